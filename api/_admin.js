@@ -4,7 +4,8 @@
 
 import crypto from 'crypto';
 import Stripe from 'stripe';
-import { getSQL, getSession, ensureUsageSchema } from './_db.js';
+import { getSQL, getSession, ensureUsageSchema, ensureYouTubeQuotaSchema } from './_db.js';
+import { YOUTUBE_DAILY_QUOTA, YOUTUBE_QUOTA_RESERVE, youtubeQuotaDay } from './_ytquota.js';
 import { anonDailyCap } from './_anon.js';
 
 // The only accounts allowed into the dashboard via Google sign-in.
@@ -213,9 +214,9 @@ async function opsSection() {
 }
 
 async function costsSection() {
-  await ensureUsageSchema();
+  await Promise.all([ensureUsageSchema(), ensureYouTubeQuotaSchema()]);
   const sql = getSQL();
-  const [days, mtd] = await Promise.all([
+  const [days, mtd, youtube] = await Promise.all([
     sql`
       SELECT date_trunc('day', created_at)::date AS day, provider,
              COUNT(*)::int AS calls,
@@ -235,11 +236,25 @@ async function costsSection() {
       WHERE created_at >= date_trunc('month', NOW())
       GROUP BY 1, 2 ORDER BY 1, 2
     `,
+    // YouTube spends quota units, not dollars: its own ledger, by Pacific day.
+    sql`
+      SELECT to_char(day, 'YYYY-MM-DD') AS day, call_type, units, calls
+      FROM youtube_quota
+      WHERE day > CURRENT_DATE - 30
+      ORDER BY day, call_type
+    `,
   ]);
+  const today = youtubeQuotaDay();
 
   return {
     days: days.map((d) => ({ ...d, in_tokens: Number(d.in_tokens), out_tokens: Number(d.out_tokens), cost_micros: Number(d.cost_micros) })),
     mtd: mtd.map((d) => ({ ...d, cost_micros: Number(d.cost_micros) })),
+    youtube: {
+      quota: YOUTUBE_DAILY_QUOTA,
+      reserve: YOUTUBE_QUOTA_RESERVE,
+      today: youtube.filter((d) => d.day === today).map(({ day, ...d }) => d),
+      days: youtube,
+    },
   };
 }
 
@@ -1,7 +1,11 @@
-// User-facing Autopilot controls: the allowed posting slots and validation for
-// manual queue edits. Slots are the exact vercel.json publish cron fire times
-// (UTC "HH:MM") — free-form times are impossible on Hobby crons, so the UI
-// offers these four and the promise "posts at X" stays exact.
+// User-facing Autopilot controls: the allowed posting slots, the platforms a
+// post goes to, and validation for manual queue edits. Slots are the exact
+// vercel.json publish cron fire times (UTC "HH:MM") — free-form times are
+// impossible on Hobby crons, so the UI offers these four and the promise
+// "posts at X" stays exact.
+
+import { CAPTION_PLATFORMS, CAPTION_RULES, captionsFromCaption, countHashtags } from './_captions.js';
+import { disclaimerFor, findComplianceViolations, withDisclaimer } from './_compliance.js';
 
 export const PUBLISH_SLOTS = ['20:30', '02:30', '08:30', '14:30'];
 export const DEFAULT_SLOT = '20:30';
@@ -10,6 +14,22 @@ export function isAllowedSlot(slot) {
   return PUBLISH_SLOTS.includes(slot);
 }
 
+// Every new post asks for TikTok and Instagram. LinkedIn and Threads are
+// added only for users who switched them on, since a feed of slideshow posts
+// there isn't what everyone wants.
+export const DEFAULT_PLATFORMS = ['tiktok', 'instagram'];
+export const OPT_IN_PLATFORMS = ['linkedin', 'threads'];
+
+export function cleanOptInPlatforms(list) {
+  return Array.isArray(list) ? OPT_IN_PLATFORMS.filter((p) => list.includes(p)) : [];
+}
+
+// What topup requests for a user's next post; publishing still narrows it
+// to the platforms actually linked.
+export function postPlatforms(user) {
+  return [...DEFAULT_PLATFORMS, ...cleanOptInPlatforms(user?.extra_platforms)];
+}
+
 // Posts are scheduled 30 minutes before their slot's cron fires, so
 // claimDuePosts (scheduled_at <= NOW) picks them up on the intended fire and
 // never on the one before. All slots are :30, so this is always hh:00.
@@ -20,7 +40,7 @@ export function scheduledTimeForSlot(slot) {
 }
 
 const LIMITS = { heading: 120, body: 500, cta: 120, caption: 2200 };
-const MAX_SLIDES = 10;
+export const MAX_SLIDES = 10;
 
 // Control characters (all C0 except newline, plus DEL) get stripped from user
 // edits. Built with fromCharCode so the ranges survive any source re-encoding.
@@ -39,8 +59,9 @@ function rawLen(v) {
   return String(v == null ? '' : v).length;
 }
 
-// Validates a manual edit of a queued post. Returns { slides, caption } with
-// cleaned values, or { error } describing the first problem found.
+// Validates a manual edit of a queued post. Returns { slides, caption,
+// captions } with cleaned values, or { error } describing the first problem
+// found.
 export function validatePostEdit(body) {
   const rawSlides = body ? body.slides : null;
   if (!Array.isArray(rawSlides) || rawSlides.length === 0) {
@@ -67,8 +88,53 @@ export function validatePostEdit(body) {
     slides.push(slide);
   }
 
+  // Per-platform captions are optional: an edit without them keeps the
+  // stored ones (captions: null). With them, each is held to its platform's
+  // limits and the Instagram text becomes the main caption.
+  let captions = null;
+  if (body.captions && typeof body.captions === 'object') {
+    captions = {};
+    for (const platform of CAPTION_PLATFORMS) {
+      const rule = CAPTION_RULES[platform];
+      const raw = body.captions[platform];
+      if (rawLen(raw) > rule.max) {
+        return { error: `${rule.label} caption is too long (max ${rule.max} characters).` };
+      }
+      const text = cleanText(raw, rule.max);
+      if (rule.maxTags !== null && countHashtags(text) > rule.maxTags) {
+        return { error: `${rule.label} allows at most ${rule.maxTags} hashtag${rule.maxTags === 1 ? '' : 's'}.` };
+      }
+      captions[platform] = text;
+    }
+    return { slides, caption: captions.instagram, captions };
+  }
+
   if (rawLen(body.caption) > LIMITS.caption) {
     return { error: `Caption is too long (max ${LIMITS.caption} characters).` };
   }
-  return { slides, caption: cleanText(body.caption, LIMITS.caption) };
+  return { slides, caption: cleanText(body.caption, LIMITS.caption), captions };
+}
+
+// What a validated edit (validatePostEdit) stores over a queued post whose
+// per-platform captions are `storedCaptions`. In a regulated niche every
+// caption gets its disclaimer back, and the check runs over every caption
+// the post will publish — the stored ones with the edited ones laid over
+// them — so a caption the edit left alone can't slip out of a hold. A post
+// with per-platform captions publishes those, so an edit of the one caption
+// rebuilds them all from it rather than leaving the old texts to go out.
+export function prepareQueuedEdit(checked, storedCaptions, profile) {
+  const niche = profile?.audience_niche?.slug;
+  const language = profile?.language;
+  const stored = storedCaptions && typeof storedCaptions === 'object' ? storedCaptions : null;
+  let caption = withDisclaimer(checked.caption, 'instagram', niche, language);
+  let edited = checked.captions && Object.fromEntries(
+    Object.entries(checked.captions).map(([p, text]) => [p, withDisclaimer(text, p, niche, language)]),
+  );
+  if (!edited && stored) {
+    edited = captionsFromCaption(checked.caption, { url: profile?.app_url || '', disclaimer: disclaimerFor(niche, language) });
+    caption = edited.instagram;
+  }
+  const captions = edited || stored ? { ...stored, ...edited } : null;
+  const compliance = findComplianceViolations({ slides: checked.slides, caption, captions }, niche, language);
+  return { caption, captions, compliance };
 }
@@ -5,13 +5,21 @@ import crypto from 'crypto';
 import {
   acquireAutopilotLock, canGenerateCarousel, claimDuePosts, claimSubmittedPosts,
   consumeCarousel, countAllPosts, countFuturePosts, createPost,
-  ensureAutopilotReliabilitySchema, finishAutopilotRun, getAutopilotUsers,
+  ensureAutopilotReliabilitySchema, ensureCaptionSchema, ensureCalendarSchema, ensureChangelogSchema, ensureComplianceSchema, ensureSeriesSchema,
+  fillCalendarDay, finishAutopilotRun, getActiveAutopilotSeries, getAnnouncedReleaseIds,
+  getAutopilotUsers, getCalendar, recordSeriesPart,
   recoverStalePostClaims, refreshUsage, releaseAutopilotLock, saveCarousel,
-  saveCarouselBg, saveCarouselHero, setPostStatus, startAutopilotRun,
+  saveCarouselBg, saveCarouselCaptions, saveCarouselHero, setPostStatus, startAutopilotRun,
 } from './_db.js';
 import {
   backgroundPrompt, cleanMotifs, generateCarouselPlan, heroPrompt, nextSlots, postKind,
 } from './_generate.js';
+import { describeClaims } from './_claims.js';
+import { postPlatforms } from './_autopilot-controls.js';
+import { loadChangelogEntries, pickNewRelease } from './_changelog.js';
+import { calendarPlanDue, planCalendar } from './_calendar.js';
+import { nextSlotSource, prepareSeriesPart, seriesEntry } from './_series.js';
+import { refreshHashtagBankIfStale } from './_hashtags.js';
 import { renderSlidePngs } from './_render.js';
 import {
   effectivePlatforms, getLinkedPlatforms, getUploadStatus, uploadPhotos,
@@ -219,9 +227,11 @@ async function publishDue(ctx) {
           log('warn', 'linked_platform_lookup_delayed', { runId: ctx.runId, postId: post.id, message: cleanMessage(error) });
         }
       }
+      // Unknown links ship only to the two platforms every account starts
+      // with, so a LinkedIn or Threads nobody connected can't fail the upload.
       const platforms = effectivePlatforms(
         post.platforms || ['tiktok', 'instagram'],
-        linkedCache.get(post.upload_post_username),
+        linkedCache.get(post.upload_post_username) ?? ['tiktok', 'instagram'],
       );
       if (!platforms.length) {
         await setPostStatus(post.id, 'blocked', { error: 'No linked social account. Link Instagram in Account; this post will retry.' });
@@ -239,7 +249,7 @@ async function publishDue(ctx) {
       ]);
       const pngs = await renderSlidePngs({
         slides: post.slides, style: post.style, accent: post.accent,
-        bgBase64: bgB64, heroBase64: heroB64, watermark: false,
+        bgBase64: bgB64, heroBase64: heroB64, watermark: false, series: post.series,
       });
 
       // Stable across retries. If our HTTP response is lost after upload-post
@@ -248,7 +258,7 @@ async function publishDue(ctx) {
       const requestId = `hooklab-post-${post.id}`;
       const providerResult = await uploadPhotos({
         username: post.upload_post_username, photos: pngs,
-        title: post.slides[0]?.heading || '', caption: post.caption,
+        title: post.slides[0]?.heading || '', caption: post.caption, captions: post.captions,
         platforms, requestId,
       });
       const outcome = uploadResponseState(providerResult);
@@ -270,6 +280,7 @@ async function publishDue(ctx) {
       try {
         if (ctx.deadline - Date.now() < 4000) throw new Error('Skipped history mirror near the worker time limit.');
         const mirrored = await saveCarousel(post.user_id, null, post.style, post.slides, post.caption, false, post.hero_scene);
+        if (post.captions) await saveCarouselCaptions(mirrored.id, post.captions);
         await saveCarouselBg(post.user_id, mirrored.id, bgB64);
         if (heroB64) await saveCarouselHero(post.user_id, mirrored.id, heroB64);
       } catch (error) {
@@ -285,6 +296,7 @@ export function handlePublish(req, res, scheduledTrigger) {
   return trackedHandler(req, res, {
     job: 'publish', scheduledTrigger,
     work: async (ctx) => {
+      await ensureComplianceSchema();
       const recovered = await recoverStalePostClaims();
       ctx.stats.recovered = recovered.length;
       await verifySubmitted(ctx);
@@ -303,6 +315,19 @@ export function handleTopup(req, res, scheduledTrigger) {
         return;
       }
       try {
+        await ensureChangelogSchema();
+        await ensureCalendarSchema();
+        await ensureSeriesSchema();
+        await ensureCaptionSchema();
+        await ensureComplianceSchema();
+        // Once a day the hashtag bank is rebuilt from the latest hooks and
+        // post metrics. A failed rebuild keeps yesterday's bank.
+        try {
+          const banked = await refreshHashtagBankIfStale();
+          if (banked !== null) ctx.stats.hashtagBankRefreshed = banked;
+        } catch (error) {
+          ctx.addError('topup_hashtags', error);
+        }
         const users = (await getAutopilotUsers()).slice(0, MAX_TOPUP_USERS_PER_RUN);
         ctx.stats.users = users.length;
         let postsCreatedThisRun = 0;
@@ -330,6 +355,47 @@ export function handleTopup(req, res, scheduledTrigger) {
             }
             const slots = nextSlots(new Date().toISOString(), scheduledAts, QUEUE_DAYS - n, user.post_slot);
             let total = await countAllPosts(user.id);
+            // Each day is filled from the month's plan. A user without one, or
+            // whose plan has run out, gets a fresh plan first, at most once a
+            // week; a day no plan covers is chosen on the fly as before.
+            const today = new Date().toISOString().substring(0, 10);
+            let planned = new Map();
+            try {
+              let calendar = await getCalendar(user.id, today);
+              if (slots.length && !calendar.some((c) => c.day === slots[0].toISOString().substring(0, 10))) {
+                if (calendarPlanDue(user)) {
+                  await planCalendar(user);
+                  ctx.stats.calendarsPlanned = (ctx.stats.calendarsPlanned || 0) + 1;
+                  calendar = await getCalendar(user.id, today);
+                } else {
+                  ctx.stats.calendarPlanWaiting = (ctx.stats.calendarPlanWaiting || 0) + 1;
+                }
+              }
+              planned = new Map(calendar.filter((c) => !c.post_id).map((c) => [c.day, c]));
+            } catch (error) {
+              ctx.addError('topup_calendar', error, { userId: user.id });
+            }
+            // A release nobody has announced yet takes the next open slot no
+            // series holds. A feed that can't be read is logged and the queue
+            // fills as usual.
+            let release = null;
+            if (user.profile?.changelog) {
+              try {
+                const [entries, announced] = await Promise.all([
+                  loadChangelogEntries(user.profile.changelog),
+                  getAnnouncedReleaseIds(user.id),
+                ]);
+                release = pickNewRelease(entries, announced);
+              } catch (error) {
+                ctx.addError('topup_changelog', error, { userId: user.id });
+              }
+            }
+            // A series the user handed to autopilot goes first, one part per
+            // slot until its last part is queued (nextSlotSource).
+            let series = await getActiveAutopilotSeries(user.id).catch((error) => {
+              ctx.addError('topup_series', error, { userId: user.id });
+              return null;
+            });
             for (const slot of slots) {
               if (postsCreatedThisRun >= MAX_TOPUP_POSTS_PER_RUN) {
                 ctx.stats.postBudgetReached = true;
@@ -341,23 +407,64 @@ export function handleTopup(req, res, scheduledTrigger) {
               }
               const gate = canGenerateCarousel(user);
               if (!gate.allowed) break;
-              const kind = postKind(total);
-              const plan = await generateCarouselPlan({ profile: user.profile, kind });
+              const day = slot.toISOString().substring(0, 10);
+              const entry = planned.get(day);
+              const source = nextSlotSource({ release, series });
+              const announcing = source === 'release' ? release : null;
+              const kind = announcing ? 'changelog' : (entry?.kind || postKind(total, user.profile?.kind_mix));
+              const part = source === 'series' ? await prepareSeriesPart(user.profile, series) : null;
+              const plan = await generateCarouselPlan({
+                profile: user.profile, kind, changes: announcing?.changes,
+                hookId: announcing ? null : entry?.hook_id, styleOverride: part?.style || entry?.style || '',
+                hook: part?.hook, series: part?.context, userId: user.id,
+              });
+              // An autopilot post publishes unreviewed, so a plan still
+              // claiming what the profile doesn't support is never queued.
+              // The slot stays open for the next run to try again.
+              if (plan.unsupportedClaims.length) {
+                ctx.stats.claimsRejected = (ctx.stats.claimsRejected || 0) + 1;
+                ctx.addError('topup_claims', new Error(`Unsupported product claims: ${describeClaims(plan.unsupportedClaims)}`), { userId: user.id });
+                break;
+              }
+              if (plan.similarity?.rewritten) ctx.stats.similarRewritten = (ctx.stats.similarRewritten || 0) + 1;
+              // A post breaking a niche compliance rule is queued but held:
+              // the publisher skips it until the user edits it clean.
+              if (plan.complianceViolations.length) ctx.stats.complianceHeld = (ctx.stats.complianceHeld || 0) + 1;
               const created = await createPost({
                 userId: user.id, scheduledAt: slot.toISOString(), kind,
-                style: plan.style, slides: plan.slides, caption: plan.caption,
-                accent: plan.accent, motifs: plan.motifs, heroScene: plan.heroScene,
+                style: plan.style, slides: plan.slides, caption: plan.caption, captions: plan.captions,
+                accent: plan.accent, motifs: plan.motifs, heroScene: plan.heroScene, platforms: postPlatforms(user),
+                releaseId: announcing?.id, series: part?.badge, compliance: plan.complianceViolations,
               });
               if (!created) {
                 ctx.stats.duplicatesAvoided = (ctx.stats.duplicatesAvoided || 0) + 1;
                 continue;
               }
+              if (entry) {
+                await fillCalendarDay(user.id, day, created.id)
+                  .catch((error) => ctx.addError('topup_calendar', error, { userId: user.id, postId: created.id }));
+              }
               await consumeCarousel(user, gate.source);
               if (gate.source === 'credit') user.credits = (user.credits || 0) - 1;
               else user.carousels_used = (user.carousels_used || 0) + 1;
               total++;
               postsCreatedThisRun++;
               ctx.stats.toppedUp = (ctx.stats.toppedUp || 0) + 1;
+              if (announcing) {
+                ctx.stats.releasesAnnounced = (ctx.stats.releasesAnnounced || 0) + 1;
+                release = null;
+              }
+              if (part) {
+                // The post is queued either way. A part that fails to record
+                // is written again next run: a repeated part beats a gap.
+                const recorded = await recordSeriesPart(series.id, part.badge.part, seriesEntry(part.badge.part, plan))
+                  .catch((error) => {
+                    ctx.addError('topup_series', error, { userId: user.id, postId: created.id });
+                    return null;
+                  });
+                series = recorded?.status === 'active' ? recorded : null;
+                ctx.stats.seriesParts = (ctx.stats.seriesParts || 0) + 1;
+              }
             }
           } catch (error) {
             ctx.addError('topup_user', error, { userId: user.id });
@@ -0,0 +1,116 @@
+// api/_calendar.js — The month ahead, planned up front. Each open posting day
+// gets a kind (the profile's post mix), a style, and a screened hook, balanced
+// across the month instead of chosen one post at a time: styles and hook
+// mechanisms spread evenly, and no topic repeats within a week. Topup fills
+// each day from its planned slot (api/_autopilot-runner.js); the autopilot page
+// shows the plan for review.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+import {
+  countAllPosts, countFuturePosts, getRecentHookIds, markCalendarPlanned, replaceCalendar,
+} from './_db.js';
+import { STYLES, nextSlots, screenHookPool } from './_generate.js';
+import { postKind } from './_kinds.js';
+import { hookMechanism } from './_mechanisms.js';
+
+export const CALENDAR_DAYS = 30;
+export const TOPIC_GAP_DAYS = 7;
+export const REPLAN_DAYS = 7;
+
+// Enough screened hooks that a month rarely has to reuse one.
+const CALENDAR_POOL_SIZE = 40;
+
+// The opening move a hook makes (api/_mechanisms.js): its stored label, or
+// the one its template reads as.
+export { hookMechanism };
+
+export function normalizeTopic(topic) {
+  return String(topic || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function dayOf(date) {
+  return new Date(date).toISOString().substring(0, 10);
+}
+
+function count(map, key) {
+  return map.get(key) || 0;
+}
+
+// Pure: slots in, one planned entry per slot out. `hooks` is the screened pool
+// best-first. A day whose every candidate repeats a topic from the previous
+// week gets no hook — topup then picks one on the day rather than break the
+// rule.
+export function buildCalendar({ slots, startIndex = 0, kindMix = null, hooks = [], recentHookIds = [], styles = Object.keys(STYLES) }) {
+  const recent = new Set(recentHookIds);
+  const hookUses = new Map();
+  const mechanismUses = new Map();
+  const styleUses = new Map();
+  const out = [];
+  slots.forEach((slot, i) => {
+    const day = dayOf(slot);
+    const previous = out[out.length - 1];
+
+    const style = [...styles].sort((a, b) =>
+      count(styleUses, a) - count(styleUses, b) ||
+      (a === previous?.style) - (b === previous?.style) ||
+      styles.indexOf(a) - styles.indexOf(b))[0];
+    styleUses.set(style, count(styleUses, style) + 1);
+
+    const weekAgo = Date.parse(day) - TOPIC_GAP_DAYS * 86400000;
+    const recentTopics = new Set(out
+      .filter((e) => Date.parse(e.day) > weekAgo && e.topic)
+      .map((e) => normalizeTopic(e.topic)));
+    const candidates = hooks
+      .map((hook, rank) => ({ hook, rank, mechanism: hookMechanism(hook), topic: normalizeTopic(hook.topic) }))
+      .filter((c) => !c.topic || !recentTopics.has(c.topic))
+      .sort((a, b) =>
+        count(hookUses, a.hook.id) - count(hookUses, b.hook.id) ||
+        recent.has(a.hook.id) - recent.has(b.hook.id) ||
+        count(mechanismUses, a.mechanism) - count(mechanismUses, b.mechanism) ||
+        (a.mechanism === previous?.mechanism) - (b.mechanism === previous?.mechanism) ||
+        a.rank - b.rank);
+    const pick = candidates[0] || null;
+    if (pick) {
+      hookUses.set(pick.hook.id, count(hookUses, pick.hook.id) + 1);
+      mechanismUses.set(pick.mechanism, count(mechanismUses, pick.mechanism) + 1);
+    }
+
+    out.push({
+      day,
+      kind: postKind(startIndex + i, kindMix),
+      style,
+      hookId: pick ? pick.hook.id : null,
+      topic: pick ? String(pick.hook.topic || '').substring(0, 300) : '',
+      mechanism: pick ? pick.mechanism : '',
+    });
+  });
+  return out;
+}
+
+// Whether topup may plan again: never attempted, or not within REPLAN_DAYS.
+// Between attempts a day the plan doesn't cover is chosen on the fly.
+export function calendarPlanDue(user, now = new Date()) {
+  const last = user.calendar_planned_at ? Date.parse(user.calendar_planned_at) : NaN;
+  return !Number.isFinite(last) || now.getTime() - last >= REPLAN_DAYS * 86400000;
+}
+
+// Plans every open day of the next CALENDAR_DAYS and stores it, replacing the
+// unfilled days of any earlier plan. Days that already have a post queued are
+// left alone. Costs one hook-pick call; the attempt is recorded first, so a
+// plan that fails still counts toward calendarPlanDue.
+export async function planCalendar(user, now = new Date()) {
+  await markCalendarPlanned(user.id);
+  const [{ n, scheduledAts }, total, recentHookIds] = await Promise.all([
+    countFuturePosts(user.id),
+    countAllPosts(user.id),
+    getRecentHookIds(user.id, 10).catch(() => []),
+  ]);
+  const slots = nextSlots(now.toISOString(), scheduledAts, Math.max(0, CALENDAR_DAYS - n), user.post_slot);
+  const hooks = await screenHookPool(user.profile || {}, { poolSize: CALENDAR_POOL_SIZE });
+  // Queued posts already took their place in the mix; the plan continues it.
+  const entries = buildCalendar({
+    slots, startIndex: total, kindMix: user.profile?.kind_mix, hooks, recentHookIds,
+  });
+  await replaceCalendar(user.id, dayOf(now), entries);
+  return entries;
+}
@@ -0,0 +1,85 @@
+// api/_captions.js — One caption per platform. Instagram, TikTok, LinkedIn and
+// Threads differ in how long a caption may run, how many hashtags read as
+// normal, and whether a link in the text is clickable. A post stores each
+// platform's text (posts.captions / carousels.captions); `caption` stays the
+// Instagram text and the fallback for rows made before this shipped.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+export const CAPTION_PLATFORMS = ['instagram', 'tiktok', 'linkedin', 'threads'];
+
+// max: the platform's caption limit. tags: how many of the post's hashtags
+// go on, widest first (pickHashtags orders them broad to niche). maxTags: the
+// platform's own hard cap, checked on edits; null = none. links: whether a
+// URL in the caption is clickable there, so worth writing at all.
+export const CAPTION_RULES = {
+  instagram: { label: 'Instagram', max: 2200, tags: 8, maxTags: 30, links: false },
+  tiktok: { label: 'TikTok', max: 2200, tags: 5, maxTags: null, links: false },
+  linkedin: { label: 'LinkedIn', max: 3000, tags: 3, maxTags: null, links: true },
+  threads: { label: 'Threads', max: 500, tags: 1, maxTags: 1, links: true },
+};
+
+const URL_RE = /\bhttps?:\/\/\S+/gi;
+const TAG_RE = /#[\p{L}\p{M}\p{N}_]+/gu;
+const TRAILING_TAGS_RE = /(?:\s*#[\p{L}\p{M}\p{N}_]+)+\s*$/u;
+
+export function countHashtags(text) {
+  return (String(text || '').match(TAG_RE) || []).length;
+}
+
+// Cuts at the last word that fits, so a long caption never ends mid-word.
+function clip(text, room) {
+  if (text.length <= room) return text;
+  if (room <= 1) return '';
+  const cut = text.substring(0, room - 1);
+  const space = cut.lastIndexOf(' ');
+  return (space > room / 2 ? cut.substring(0, space) : cut).trimEnd() + '…';
+}
+
+// Pure: one platform's caption from its text, the post's tags and the
+// product link. The text loses any hashtags of its own (the tags are added
+// back to the platform's count) and, where links don't work, its URLs. A
+// niche's disclaimer (api/_compliance.js) sits right after the text and is
+// never clipped; the text gives way to it.
+export function fitCaption(platform, { text = '', tags = [], url = '', disclaimer = '' } = {}) {
+  const rule = CAPTION_RULES[platform] || CAPTION_RULES.instagram;
+  let body = String(text || '').replace(TRAILING_TAGS_RE, '');
+  if (!rule.links) body = body.replace(URL_RE, '');
+  body = body.replace(/[ \t]+\n/g, '\n').replace(/[ \t]{2,}/g, ' ').trim();
+  const link = rule.links && url && !body.includes(url) ? url : '';
+  const tagLine = tags.slice(0, rule.tags).map((t) => '#' + t).join(' ');
+  const notice = disclaimer && !body.includes(disclaimer) ? disclaimer : '';
+  const tail = [notice, link, tagLine].filter(Boolean).join('\n\n');
+  const room = rule.max - (tail ? tail.length + 2 : 0);
+  return [clip(body, room), tail].filter(Boolean).join('\n\n').substring(0, rule.max);
+}
+
+// Pure: every platform's caption. `written` is the copy model's per-platform
+// text; a platform it left out falls back to the main caption.
+export function buildCaptions({ caption = '', written = {}, tags = [], url = '', disclaimer = '' }) {
+  const own = written && typeof written === 'object' ? written : {};
+  const out = {};
+  for (const p of CAPTION_PLATFORMS) {
+    const text = typeof own[p] === 'string' && own[p].trim() ? own[p] : caption;
+    out[p] = fitCaption(p, { text, tags, url, disclaimer });
+  }
+  return out;
+}
+
+// The post's tags, read back off a stored caption's trailing hashtags.
+export function captionTags(caption) {
+  return (String(caption || '').match(TRAILING_TAGS_RE)?.[0].match(TAG_RE) || []).map((t) => t.substring(1));
+}
+
+// Every platform's caption rebuilt from one edited caption, for an edit that
+// changed only the caption. Its trailing hashtags become the post's tags, so
+// each platform still gets its own share of them.
+export function captionsFromCaption(caption, { url = '', disclaimer = '' } = {}) {
+  const text = String(caption || '');
+  return buildCaptions({ caption: text, tags: captionTags(text), url, disclaimer });
+}
+
+// The text a platform publishes: its own caption when the post has one.
+export function captionFor(post, platform) {
+  const own = post?.captions?.[platform];
+  return typeof own === 'string' && own ? own : (post?.caption || '');
+}
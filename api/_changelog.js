@@ -0,0 +1,227 @@
+// api/_changelog.js — A product's release notes, the source for what's-new
+// posts. The profile stores where the notes come from (pasted notes, a
+// Markdown CHANGELOG, or an Atom/RSS releases feed); entries are parsed on
+// demand, so an edited CHANGELOG or a new feed item is picked up on the next
+// read. Each entry's lines are what shipped: the plan passes them as `changes`
+// and the claims check treats them as verified product facts.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+import crypto from 'node:crypto';
+import { cleanChanges } from './_generate.js';
+import { fetchFeed, isSafeUrl } from './_safe-fetch.js';
+
+export const CHANGELOG_SOURCES = {
+  notes: 'Pasted release notes',
+  markdown: 'Markdown CHANGELOG',
+  feed: 'Releases feed (Atom/RSS)',
+};
+
+export const MAX_CHANGELOG_TEXT = 20000;
+const MAX_ENTRIES = 10;
+
+// A release older than this when autopilot first sees it is history, not
+// news: connecting a feed must not announce last year's release.
+export const RELEASE_FRESH_DAYS = 14;
+
+// Returns null when no usable source is set, so a removed changelog stays
+// removed. A feed URL must pass the same SSRF checks the fetch applies.
+export function cleanChangelog(c) {
+  if (!c || typeof c !== 'object' || !Object.hasOwn(CHANGELOG_SOURCES, c.source)) return null;
+  if (c.source === 'feed') {
+    const raw = String(c.feed_url || '').trim().substring(0, 512);
+    const url = raw && !/^https?:\/\//i.test(raw) ? 'https://' + raw : raw;
+    return url && isSafeUrl(url) ? { source: 'feed', feed_url: url } : null;
+  }
+  const text = String(c.text || '').replace(/\r\n?/g, '\n').trim().substring(0, MAX_CHANGELOG_TEXT);
+  return text ? { source: c.source, text } : null;
+}
+
+function decodeEntities(s) {
+  return String(s || '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(parseInt(n, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+function isoDate(raw) {
+  const t = Date.parse(String(raw || '').trim());
+  return Number.isFinite(t) ? new Date(t).toISOString() : '';
+}
+
+function entryId(prefix, key) {
+  return prefix + ':' + crypto.createHash('sha1').update(String(key)).digest('hex').substring(0, 16);
+}
+
+// Markdown inline syntax reads as noise on a slide: keep the words.
+function plainLine(line) {
+  return line
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`~]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Release tooling appends attribution and compare links; neither is a
+// change a customer cares about.
+function isNoise(line) {
+  return !line || /^full changelog\b/i.test(line) || /^new contributors\b/i.test(line) || /^https?:\/\/\S+$/.test(line);
+}
+
+function stripAttribution(line) {
+  return line.replace(/\s+by @[\w-]+(?:\s+in\s+\S+)?$/i, '').replace(/\s+\(#\d+\)$/, '').trim();
+}
+
+const BULLET = /^\s*(?:[-*+•]|\d+[.)])\s+(.+)$/;
+
+function linesToChanges(lines) {
+  const bullets = lines.map((l) => l.match(BULLET)?.[1]).filter(Boolean);
+  const picked = bullets.length
+    ? bullets
+    : lines.filter((l) => l.trim() && !/^\s*#/.test(l));
+  return cleanChanges(picked.map((l) => stripAttribution(plainLine(l))).filter((l) => !isNoise(l)));
+}
+
+// Pasted notes are one release: the bullets, or every line when there are none.
+export function parseReleaseNotes(text) {
+  const lines = String(text || '').split('\n');
+  const changes = linesToChanges(lines);
+  if (!changes.length) return [];
+  const heading = lines.find((l) => /^\s*#/.test(l));
+  return [{
+    id: entryId('notes', changes.join('\n')),
+    title: heading ? plainLine(heading.replace(/^\s*#+/, '')) : '',
+    date: '',
+    changes,
+  }];
+}
+
+const VERSION = /\bv?\d+(?:\.\d+)+(?:[-+][\w.]+)?\b/i;
+const DAY = /\b\d{4}-\d{2}-\d{2}\b/;
+
+// Keep a Changelog and most hand-written variants: "## [1.4.0] - 2025-03-02",
+// "## v1.4.0 (2025-03-02)", "# 1.4.0". Section headings inside a release
+// ("### Added") group its bullets and are otherwise ignored. "Unreleased"
+// hasn't shipped, so it is never an entry.
+export function parseMarkdownChangelog(text) {
+  const entries = [];
+  let current = null;
+  const close = () => {
+    if (current && !current.skip) {
+      const changes = linesToChanges(current.lines.filter((l) => BULLET.test(l)));
+      if (changes.length) {
+        entries.push({ id: entryId('md', current.version), title: current.title, date: current.date, changes });
+      }
+    }
+    current = null;
+  };
+  for (const line of String(text || '').split('\n')) {
+    const heading = line.match(/^\s*#{1,3}\s+(.+)$/);
+    if (heading) {
+      const label = heading[1];
+      if (/^\[?unreleased\]?/i.test(label.trim())) {
+        close();
+        current = { skip: true, lines: [] };
+        continue;
+      }
+      const version = label.match(VERSION)?.[0] || '';
+      const day = label.match(DAY)?.[0] || '';
+      if (version || day) {
+        close();
+        current = {
+          version: version || day,
+          title: plainLine(label.replace(/[[\]]/g, '').replace(DAY, '').replace(/[\s\-–—()]+$/, '')),
+          date: isoDate(day),
+          lines: [],
+        };
+        continue;
+      }
+    }
+    if (current) current.lines.push(line);
+  }
+  close();
+  return entries.slice(0, MAX_ENTRIES);
+}
+
+function tagText(block, names) {
+  for (const name of names) {
+    const m = block.match(new RegExp('<' + name + '\\b[^>]*>([\\s\\S]*?)</' + name + '>', 'i'));
+    if (!m) continue;
+    const inner = m[1].trim();
+    const cdata = inner.match(/^<!\[CDATA\[([\s\S]*?)\]\]>$/);
+    return cdata ? cdata[1] : decodeEntities(inner);
+  }
+  return '';
+}
+
+function linkHref(block) {
+  const m = block.match(/<link\b[^>]*\bhref=["']([^"']+)["']/i);
+  return m ? decodeEntities(m[1]) : '';
+}
+
+// Release bodies arrive as HTML (GitHub renders the Markdown): list items are
+// the changes; without a list, each paragraph or line is one.
+function htmlToLines(html) {
+  const items = String(html || '').match(/<li\b[^>]*>[\s\S]*?<\/li>/gi);
+  const parts = items
+    ? items.map((li) => '- ' + li.replace(/<[^>]+>/g, ' '))
+    : String(html || '')
+      .replace(/<(?:br|\/p|\/h\d|\/div)\b[^>]*>/gi, '\n')
+      .replace(/<h\d\b[^>]*>/gi, '\n# ')
+      .replace(/<[^>]+>/g, ' ')
+      .split('\n');
+  return parts.map((l) => decodeEntities(l).replace(/[ \t]+/g, ' ').trim());
+}
+
+// Atom (GitHub's releases.atom) and RSS 2.0, newest first as published.
+export function parseReleaseFeed(xml) {
+  const source = String(xml || '');
+  const atom = source.match(/<entry\b[\s\S]*?<\/entry>/gi);
+  const blocks = atom || source.match(/<item\b[\s\S]*?<\/item>/gi) || [];
+  const entries = [];
+  for (const block of blocks.slice(0, MAX_ENTRIES)) {
+    const title = plainLine(tagText(block, ['title']));
+    const body = atom
+      ? tagText(block, ['content', 'summary'])
+      : tagText(block, ['content:encoded', 'description']);
+    const key = atom
+      ? tagText(block, ['id']) || linkHref(block)
+      : tagText(block, ['guid', 'link']);
+    const changes = linesToChanges(htmlToLines(body));
+    if (!changes.length || !(key || title)) continue;
+    entries.push({
+      id: entryId('feed', key || title),
+      title,
+      date: isoDate(atom ? tagText(block, ['updated', 'published']) : tagText(block, ['pubDate', 'dc:date'])),
+      changes,
+    });
+  }
+  return entries;
+}
+
+// The configured source's entries, newest first. A feed is fetched through
+// the SSRF-safe path on every call; `fetcher` is injectable for tests.
+export async function loadChangelogEntries(changelog, { fetcher = fetchFeed } = {}) {
+  const clean = cleanChangelog(changelog);
+  if (!clean) return [];
+  if (clean.source === 'notes') return parseReleaseNotes(clean.text);
+  if (clean.source === 'markdown') return parseMarkdownChangelog(clean.text);
+  const { xml } = await fetcher(clean.feed_url);
+  return parseReleaseFeed(xml);
+}
+
+// The release autopilot should announce now: the newest entry, when no post
+// has announced it yet and it isn't stale. Only the newest — two releases in
+// one day make one post about the later one. Undated entries (pasted notes)
+// count as new: pasting them is the announcement request.
+export function pickNewRelease(entries, announcedIds = [], now = Date.now()) {
+  const latest = Array.isArray(entries) ? entries[0] : null;
+  if (!latest?.changes?.length || announcedIds.includes(latest.id)) return null;
+  if (latest.date && now - Date.parse(latest.date) > RELEASE_FRESH_DAYS * 86400000) return null;
+  return latest;
+}
@@ -0,0 +1,164 @@
+// api/_claims.js — Deterministic check that a generated post only claims what
+// the product profile says. The copy prompt already limits product claims to
+// profile.facts / what / benefit; this is the enforcement, because an
+// autopilot post goes out under the customer's name with nobody reading it.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+//
+// Only sentences ABOUT THE PRODUCT are checked. Value slides are meant to carry
+// niche knowledge ("a smoothie bowl runs 600-900 calories"), and that is not a
+// product claim. A sentence is about the product when it names it or says
+// "our app", "this tool" and the like.
+
+const PRODUCT_REFERENCE = /\b(?:our|this|the)\s+(?:app|tool|product|platform|software|extension)\b/i;
+
+// Superlatives and absolutes a product can only claim with proof. "Free" is
+// deliberately absent: "Try Billfold free" is the standard SaaS ask. So are
+// "first" and "instant", which mostly mean "your first week" and "instant
+// feedback"; "first" is checked below only where it ranks the product.
+const SUPERLATIVES = [
+  'best', 'fastest', 'easiest', 'simplest', 'cheapest', 'smartest', 'quickest', 'most accurate',
+  'most popular', 'most trusted', 'most powerful', 'only', 'leading', 'top-rated',
+  'number one', '#1', 'no. 1', 'guaranteed', 'guarantee', 'unlimited', 'instantly',
+  'never fails', '100%', 'world\'s', 'award-winning', 'revolutionary',
+];
+
+// "The first app to", "the first tracker that", "first-ever": first among
+// other products, not first in the user's week.
+const FIRST_CLAIM = /\bthe first (?:[\p{L}-]+ )?(?:app|tool|product|platform|software|extension|service|tracker|one) (?:to|that|which)\b|\bfirst[- ]ever\b/iu;
+
+// Capitalised words that start a multi-word run without naming a feature.
+const NOT_FEATURE_WORDS = new Set(['i', 'a', 'an', 'the', 'and', 'or', 'but', 'if', 'with', 'get', 'try', 'link', 'in', 'bio', 'my', 'your', 'you', 'we', 'our', 'it', 'its']);
+
+function normalize(s) {
+  return String(s || '').toLowerCase().replace(/[‘’]/g, "'").replace(/\s+/g, ' ').trim();
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function containsPhrase(haystack, phrase) {
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(phrase)}(?=$|[^\\p{L}\\p{N}])`, 'iu').test(haystack);
+}
+
+function sentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// The text a claim may lean on, lowercased, with digit grouping removed so
+// "10,000" in a slide matches "10000" in a fact.
+function supportText(profile) {
+  return normalize([
+    profile?.name,
+    profile?.what,
+    profile?.benefit,
+    ...(Array.isArray(profile?.facts) ? profile.facts : []),
+  ].join('\n')).replace(/(\d),(?=\d{3}\b)/g, '$1');
+}
+
+function mentionsProduct(sentence, name) {
+  if (PRODUCT_REFERENCE.test(sentence)) return true;
+  return name.length >= 3 && containsPhrase(normalize(sentence), name);
+}
+
+function numberClaims(sentence) {
+  // "#1" is a superlative, checked as one.
+  return (sentence.match(/(?<![#\d.,])\d[\d,.]*\s*(?:%|x\b|k\b|m\b|\+)?/gi) || [])
+    .map((n) => n.replace(/(\d),(?=\d{3}\b)/g, '$1').replace(/[.,]$/, '').trim())
+    .filter(Boolean);
+}
+
+function superlativeClaims(sentence) {
+  const s = normalize(sentence);
+  const found = SUPERLATIVES.filter((word) => containsPhrase(s, word));
+  return FIRST_CLAIM.test(s) ? [...found, 'first'] : found;
+}
+
+// Title-Case runs of two or more words ("Smart Scan", "Meal Coach Pro") and
+// quoted terms read as named features. The product's own name is not one, and
+// a heading written in Title Case throughout has no runs worth reading.
+function featureClaims(sentence, name, titleCaseRuns = true) {
+  const found = [];
+  const quoted = sentence.match(/["“„«]([^"”“»]{2,40})["”“»]/g) || [];
+  for (const q of quoted) found.push(q.replace(/["“”„«»]/g, '').trim());
+  if (!titleCaseRuns) return found.filter((f) => normalize(f) !== name);
+  const words = sentence.replace(/["“”]/g, '').split(/\s+/);
+  const capitalisedShare = words.filter((w) => /^[^\p{L}]*\p{Lu}/u.test(w)).length / words.length;
+  if (words.length > 2 && capitalisedShare > 0.6) return found.filter((f) => normalize(f) !== name);
+  let run = [];
+  const flush = () => {
+    if (run.length >= 2) found.push(run.join(' '));
+    run = [];
+  };
+  words.forEach((raw, i) => {
+    const word = raw.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    const capitalised = /^\p{Lu}[\p{L}\p{N}'-]*$/u.test(word);
+    const skip = !word || (i === 0 && !run.length) || NOT_FEATURE_WORDS.has(word.toLowerCase())
+      || normalize(word) === name;
+    if (capitalised && !skip) run.push(word);
+    else flush();
+    if (/[,.;:!?]$/.test(raw)) flush();
+  });
+  flush();
+  return found.filter((f) => normalize(f) !== name);
+}
+
+// Every product claim in the plan's copy that profile.facts / what / benefit
+// don't support. Numbers must appear in the support text; superlatives must be
+// claimed there in the same words; a named feature needs every one of its
+// words there. Returns [] for a clean plan.
+//
+// The product-reference phrases and the superlative list are English. For
+// other languages the product's name still marks a product sentence and its
+// numbers and quoted feature names are still checked, but Title-Case runs are
+// not: German capitalises every noun.
+export function findUnsupportedClaims(plan, profile, { language = 'en' } = {}) {
+  const english = language === 'en';
+  const name = normalize(profile?.name);
+  const support = supportText(profile);
+  const parts = [
+    ...(Array.isArray(plan?.slides) ? plan.slides : []).flatMap((s, i) => [
+      { where: `slide ${i + 1} heading`, text: s?.heading },
+      { where: `slide ${i + 1} body`, text: s?.body },
+    ]),
+    { where: 'cta', text: plan?.cta },
+    { where: 'caption', text: plan?.caption },
+    ...Object.entries(plan?.captions && typeof plan.captions === 'object' ? plan.captions : {})
+      .map(([platform, text]) => ({ where: `${platform} caption`, text: typeof text === 'string' ? text : '' })),
+  ];
+  const out = [];
+  const seen = new Set();
+  const add = (type, claim, where) => {
+    const key = `${type}:${normalize(claim)}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    out.push({ type, claim, where });
+  };
+  for (const part of parts) {
+    // "CalSnap logs meals. It is the fastest tracker." — the second sentence
+    // is still about the product.
+    let aboutProduct = false;
+    for (const sentence of sentences(part.text)) {
+      aboutProduct = mentionsProduct(sentence, name) || (aboutProduct && /^it(?:'s|s)?\b/i.test(sentence));
+      if (!aboutProduct) continue;
+      for (const n of numberClaims(sentence)) {
+        if (!containsPhrase(support, normalize(n))) add('number', n, part.where);
+      }
+      for (const word of superlativeClaims(sentence)) {
+        if (!containsPhrase(support, word)) add('superlative', word, part.where);
+      }
+      for (const feature of featureClaims(sentence, name, english)) {
+        const words = normalize(feature).split(/[^\p{L}\p{N}]+/u).filter((w) => w.length > 2);
+        if (words.length && !words.every((w) => support.includes(w))) add('feature', feature, part.where);
+      }
+    }
+  }
+  return out;
+}
+
+export function describeClaims(claims) {
+  return claims.map((c) => `${c.type} "${c.claim}" (${c.where})`).join('; ');
+}
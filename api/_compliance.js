@@ -0,0 +1,179 @@
+// api/_compliance.js — Rules for niches whose posts make health and money
+// claims. Platforms flag accounts that promise weight loss by a date, returns
+// on an investment, or a cure for anxiety, so each regulated canonical niche
+// (api/_niches.js) gets three things:
+//   forbidden — claim patterns a post may never make. A hard rule: autopilot
+//               holds a post that breaks one until the user edits it.
+//   soften    — hype rewritten into a claim the platform accepts, applied to
+//               the model's copy before anything is saved.
+//   disclaimer — appended to every caption, in the post's language.
+// Patterns are English, like the claim check in api/_claims.js; the
+// disclaimer is not.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+import { canonicalNicheSlug } from './_niches.js';
+import { cleanLanguage } from './_language.js';
+import { CAPTION_RULES } from './_captions.js';
+
+const RULES = {
+  'fitness-weight-loss': {
+    forbidden: [
+      { id: 'rapid-loss', message: 'promises a set weight loss in a set time', pattern: /\b(?:lose|drop|shed|melt)\s+(?:up to\s+)?\d+\s*(?:lbs?|pounds?|kgs?|kilos?)\s+(?:in|within)\s+(?:\d+|a|one|two|three|four)\s+(?:days?|weeks?)\b/i },
+      { id: 'guaranteed-loss', message: 'guarantees weight loss', pattern: /\bguaranteed?\s+(?:weight|fat)\s+loss\b|\b(?:weight|fat)\s+loss\s+(?:is\s+)?guaranteed\b/i },
+      { id: 'medical-cure', message: 'claims to treat a medical condition', pattern: /\b(?:cures?|treats?|reverses?|heals?)\s+(?:your\s+)?(?:obesity|diabetes|pcos|insulin resistance|thyroid)/i },
+      { id: 'no-effort', message: 'promises results without diet or exercise', pattern: /\b(?:without|no)\s+(?:diet(?:ing)?|exercise|working out)\s+(?:or|and)\s+(?:diet(?:ing)?|exercise|working out)\b/i },
+    ],
+    soften: [
+      [/\bmelts?\s+(?:away\s+)?(?:belly\s+)?fat\b/gi, 'supports fat loss'],
+      [/\bburns?\s+fat\s+fast\b/gi, 'supports steady fat loss'],
+      [/\bmiracle\b/gi, 'simple'],
+      [/\bguaranteed results\b/gi, 'real results'],
+    ],
+    disclaimer: {
+      en: 'Not medical advice. Talk to your doctor before changing your diet or exercise.',
+      es: 'No es consejo médico. Consulta a tu médico antes de cambiar tu dieta o tu ejercicio.',
+      de: 'Keine medizinische Beratung. Sprich mit deiner Ärztin oder deinem Arzt, bevor du Ernährung oder Training änderst.',
+      fr: 'Ceci n’est pas un avis médical. Parlez-en à votre médecin avant de changer votre alimentation ou votre activité physique.',
+      pt: 'Não é aconselhamento médico. Fale com seu médico antes de mudar sua dieta ou seus exercícios.',
+      it: 'Non è un consiglio medico. Parla con il tuo medico prima di cambiare dieta o allenamento.',
+    },
+  },
+  'personal-finance': {
+    forbidden: [
+      { id: 'guaranteed-returns', message: 'guarantees investment returns', pattern: /\bguaranteed\s+(?:returns?|profits?|gains?|income)\b/i },
+      { id: 'risk-free', message: 'calls an investment risk-free', pattern: /\brisk[-\s]free\s+(?:investments?|investing|returns?|profits?|trades?|trading)\b/i },
+      { id: 'fixed-return', message: 'promises a fixed return', pattern: /\b(?:earn|make|get|return)s?\s+\d+(?:\.\d+)?\s*%\s+(?:a|per|every|each)\s+(?:day|week|month)\b/i },
+      { id: 'double-money', message: 'promises to double the reader\'s money', pattern: /\bdouble\s+your\s+(?:money|savings|investments?)\b/i },
+    ],
+    soften: [
+      [/\bget rich quick\b/gi, 'build wealth over time'],
+      [/\bwill make you rich\b/gi, 'can help you save'],
+      [/\bfinancial freedom in\s+\d+\s+(?:days|weeks|months)\b/gi, 'more financial breathing room'],
+    ],
+    disclaimer: {
+      en: 'Not financial advice. Do your own research before making money decisions.',
+      es: 'No es asesoramiento financiero. Investiga por tu cuenta antes de tomar decisiones con tu dinero.',
+      de: 'Keine Finanzberatung. Informiere dich selbst, bevor du Geldentscheidungen triffst.',
+      fr: 'Ceci n’est pas un conseil financier. Renseignez-vous avant de prendre une décision d’argent.',
+      pt: 'Não é aconselhamento financeiro. Pesquise por conta própria antes de tomar decisões com seu dinheiro.',
+      it: 'Non è una consulenza finanziaria. Informati prima di prendere decisioni sui tuoi soldi.',
+    },
+  },
+  'mental-wellness': {
+    forbidden: [
+      { id: 'condition-cure', message: 'claims to cure a mental health condition', pattern: /\b(?:cures?|heals?|fix(?:es)?|eliminates?)\s+(?:your\s+)?(?:anxiety|depression|adhd|ptsd|ocd|bipolar|panic disorder|insomnia)\b/i },
+      { id: 'replaces-care', message: 'presents itself as a replacement for professional care', pattern: /\b(?:replaces?|instead of|better than|no need for)\s+(?:(?:a|your)\s+)?(?:therapy|therapists?|medication|meds|psychiatrists?|doctors?)\b/i },
+      { id: 'stop-medication', message: 'tells the reader to stop medication', pattern: /\b(?:stop|quit|ditch)\s+(?:taking\s+)?(?:your\s+)?(?:medication|meds|antidepressants)\b/i },
+    ],
+    soften: [
+      [/\binstant(?:ly)?\s+relief\b/gi, 'relief'],
+      [/\bstress[-\s]free\b/gi, 'less stressful'],
+      [/\bnever feel anxious again\b/gi, 'feel less anxious'],
+    ],
+    disclaimer: {
+      en: 'Not a substitute for professional care. If you are struggling, reach out to a licensed professional.',
+      es: 'No sustituye la atención profesional. Si lo estás pasando mal, busca a un profesional autorizado.',
+      de: 'Kein Ersatz für professionelle Hilfe. Wenn es dir schlecht geht, wende dich an eine Fachperson.',
+      fr: 'Ne remplace pas un accompagnement professionnel. Si vous traversez une période difficile, contactez un professionnel qualifié.',
+      pt: 'Não substitui o cuidado profissional. Se você estiver passando por dificuldades, procure um profissional habilitado.',
+      it: 'Non sostituisce l’aiuto di un professionista. Se stai attraversando un momento difficile, rivolgiti a un professionista abilitato.',
+    },
+  },
+};
+
+export const REGULATED_NICHES = Object.keys(RULES);
+
+export function complianceRulesFor(nicheSlug) {
+  return RULES[canonicalNicheSlug(nicheSlug)] || null;
+}
+
+export function disclaimerFor(nicheSlug, language) {
+  const rules = complianceRulesFor(nicheSlug);
+  return rules ? rules.disclaimer[cleanLanguage(language)] : '';
+}
+
+// What the copy prompt is told, so the first draft already stays clear.
+export function complianceForPrompt(nicheSlug) {
+  const rules = complianceRulesFor(nicheSlug);
+  return rules ? { never: rules.forbidden.map((f) => f.message) } : null;
+}
+
+export function softenText(text, nicheSlug) {
+  const rules = complianceRulesFor(nicheSlug);
+  let out = String(text || '');
+  if (!rules) return out;
+  // A match that opened a sentence keeps its capital.
+  for (const [pattern, replacement] of rules.soften) {
+    out = out.replace(pattern, (m) => (/^\p{Lu}/u.test(m) ? replacement[0].toUpperCase() + replacement.slice(1) : replacement));
+  }
+  return out;
+}
+
+// Pure: the model's output with every soften rule applied to the text a
+// reader sees. Returns a new object; `out` is untouched.
+export function softenPlan(out, nicheSlug) {
+  if (!complianceRulesFor(nicheSlug)) return out;
+  const soft = (t) => (typeof t === 'string' ? softenText(t, nicheSlug) : t);
+  const captions = out?.captions && typeof out.captions === 'object'
+    ? Object.fromEntries(Object.entries(out.captions).map(([p, t]) => [p, soft(t)]))
+    : out?.captions;
+  return {
+    ...out,
+    slides: (Array.isArray(out?.slides) ? out.slides : []).map((s) => ({ ...s, heading: soft(s?.heading), body: soft(s?.body) })),
+    cta: soft(out?.cta),
+    caption: soft(out?.caption),
+    captions,
+  };
+}
+
+// Pure: every hard rule a post breaks, as { rule, message, where, text }.
+// A caption without the niche's disclaimer breaks one too, so an edit that
+// deletes it holds the post like a forbidden claim would.
+export function findComplianceViolations(post, nicheSlug, language = 'en') {
+  const rules = complianceRulesFor(nicheSlug);
+  if (!rules) return [];
+  const captions = post?.captions && typeof post.captions === 'object' ? post.captions : {};
+  const parts = [
+    ...(Array.isArray(post?.slides) ? post.slides : []).flatMap((s, i) => [
+      { where: `slide ${i + 1} heading`, text: s?.heading },
+      { where: `slide ${i + 1} body`, text: s?.body },
+      { where: `slide ${i + 1} cta`, text: s?.cta },
+    ]),
+    { where: 'cta', text: post?.cta },
+    { where: 'caption', text: post?.caption },
+    ...Object.entries(captions).map(([p, text]) => ({ where: `${p} caption`, text })),
+  ];
+  const out = [];
+  for (const part of parts) {
+    const text = typeof part.text === 'string' ? part.text : '';
+    for (const f of rules.forbidden) {
+      const m = text.match(f.pattern);
+      if (m) out.push({ rule: f.id, message: f.message, where: part.where, text: m[0] });
+    }
+  }
+  const disclaimer = disclaimerFor(nicheSlug, language);
+  const captionParts = [{ where: 'caption', text: post?.caption }, ...Object.entries(captions).map(([p, text]) => ({ where: `${p} caption`, text }))];
+  for (const part of captionParts) {
+    if (typeof part.text === 'string' && part.text && !part.text.includes(disclaimer)) {
+      out.push({ rule: 'disclaimer', message: 'is missing the required disclaimer', where: part.where, text: '' });
+    }
+  }
+  return out;
+}
+
+// A user's edit keeps the disclaimer even if they deleted it: it goes back in
+// after the text, ahead of any trailing hashtags, wherever it still fits the
+// platform's limit. Where it doesn't, the missing-disclaimer rule holds the post.
+export function withDisclaimer(text, platform, nicheSlug, language) {
+  const disclaimer = disclaimerFor(nicheSlug, language);
+  const body = String(text || '');
+  if (!disclaimer || !body || body.includes(disclaimer)) return body;
+  const tags = body.match(/(?:\s*#[\p{L}\p{M}\p{N}_]+)+\s*$/u)?.[0] || '';
+  const lead = body.substring(0, body.length - tags.length).trimEnd();
+  const out = [lead, disclaimer, tags.trim()].filter(Boolean).join('\n\n');
+  return out.length <= (CAPTION_RULES[platform] || CAPTION_RULES.instagram).max ? out : body;
+}
+
+export function describeViolations(violations) {
+  return violations.map((v) => `${v.where} ${v.message}${v.text ? ` ("${v.text}")` : ''}`).join('; ');
+}
@@ -8,6 +8,8 @@ import {
   NICHE_CLASSIFIER_VERSION, slugifyNiche, mergeNicheKeywords,
 } from './_niches.js';
 import { evaluateAnonThrottle, anonDailyCap, anonEnabled } from './_anon.js';
+import { onePerCluster, HOOK_POOL_OVERFETCH } from './_hookclusters.js';
+import { youtubeQuotaDay } from './_ytquota.js';
 
 function getSQL() {
   return neon(process.env.POSTGRES_URL);
@@ -211,6 +213,39 @@ export async function refreshUsage(user) {
 // ============================================
 // HOOKLAB: NICHES & HOOKS
 // ============================================
+// The platforms mined hooks come from (api/_sources.js). A hook retired by a
+// fresh rebuild keeps its platform with a `_retired` suffix.
+export const MINED_PLATFORMS = ['youtube', 'tiktok', 'reddit', 'x'];
+export const RETIRED_PLATFORMS = MINED_PLATFORMS.map((p) => `${p}_retired`);
+// Reddit and X hooks are a text post's first sentence (api/_textsources.js):
+// hooks.source_type 'text', against 'video' for a spoken opening.
+export const TEXT_PLATFORMS = ['reddit', 'x'];
+
+export function sourceTypeForPlatform(platform) {
+  return TEXT_PLATFORMS.includes(platform) ? 'text' : 'video';
+}
+
+// A text hook's `views` is an engagement equivalent, not an audience that
+// watched it say the line. The hook-pick pools rank it at this share of that
+// number, so a video opener of the same reach comes first.
+export const HOOK_SOURCE_WEIGHTS = { video: 1, text: 0.5 };
+
+let textSourceSchemaPromise = null;
+
+export async function ensureTextSourceSchema() {
+  if (!textSourceSchemaPromise) {
+    textSourceSchemaPromise = (async () => {
+      const sql = getSQL();
+      await sql`ALTER TABLE hooks ADD COLUMN IF NOT EXISTS source_type VARCHAR(10) NOT NULL DEFAULT 'video'`;
+      await sql`ALTER TABLE niches ADD COLUMN IF NOT EXISTS subreddits TEXT[] NOT NULL DEFAULT '{}'`;
+    })().catch((error) => {
+      textSourceSchemaPromise = null;
+      throw error;
+    });
+  }
+  return textSourceSchemaPromise;
+}
+
 export async function getNiches() {
   const sql = getSQL();
   return sql`
@@ -467,23 +502,26 @@ export async function reconcileNicheCatalogue({ apply = false } = {}) {
   };
 }
 
-export async function getHooks({ nicheSlug, format, platform, limit = 50, offset = 0 }) {
+export async function getHooks({ nicheSlug, format, platform, mechanism, limit = 50, offset = 0 }) {
+  await ensureTextSourceSchema();
+  await ensureMechanismSchema();
   const sql = getSQL();
   // Only source-backed, currently accepted hooks are product-facing.
   const cappedLimit = Math.min(limit, 100);
   const rows = await sql`
-    SELECT h.id, h.hook_template, h.hook_verbatim, h.topic, h.format, h.platform,
-           h.video_url, h.video_title, h.views, h.followers, h.outlier_score,
+    SELECT h.id, h.hook_template, h.hook_verbatim, h.topic, h.mechanism, h.format, h.platform,
+           h.source_type, h.video_url, h.video_title, h.views, h.followers, h.outlier_score,
            h.curated, h.last_verified, n.slug AS niche_slug, n.name AS niche_name
     FROM hooks h
     JOIN niches n ON n.id = h.niche_id
     WHERE n.active = TRUE
       AND h.curated = FALSE
-      AND h.platform <> 'youtube_retired'
+      AND h.platform <> ALL(${RETIRED_PLATFORMS})
       AND h.views >= 250000
       AND (${nicheSlug || null}::text IS NULL OR n.slug = ${nicheSlug || null})
       AND (${format || null}::text IS NULL OR h.format = ${format || null})
       AND (${platform || null}::text IS NULL OR h.platform = ${platform || null})
+      AND (${mechanism || null}::text IS NULL OR h.mechanism = ${mechanism || null})
     ORDER BY h.curated ASC, h.views DESC, h.outlier_score DESC, h.last_verified DESC
     LIMIT ${cappedLimit} OFFSET ${offset}
   `;
@@ -492,30 +530,85 @@ export async function getHooks({ nicheSlug, format, platform, limit = 50, offset
     FROM hooks h JOIN niches n ON n.id = h.niche_id
     WHERE n.active = TRUE
       AND h.curated = FALSE
-      AND h.platform <> 'youtube_retired'
+      AND h.platform <> ALL(${RETIRED_PLATFORMS})
       AND h.views >= 250000
       AND (${nicheSlug || null}::text IS NULL OR n.slug = ${nicheSlug || null})
       AND (${format || null}::text IS NULL OR h.format = ${format || null})
       AND (${platform || null}::text IS NULL OR h.platform = ${platform || null})
+      AND (${mechanism || null}::text IS NULL OR h.mechanism = ${mechanism || null})
   `;
   return { hooks: rows, total: countRows[0].total };
 }
 
+// Near-duplicate openings share hooks.cluster_id (api/_hookclusters.js); the
+// pick pools keep the strongest source of each cluster.
+let hookClusterSchemaPromise = null;
+
+export async function ensureHookClusterSchema() {
+  if (!hookClusterSchemaPromise) {
+    hookClusterSchemaPromise = (async () => {
+      const sql = getSQL();
+      await sql`ALTER TABLE hooks ADD COLUMN IF NOT EXISTS cluster_id VARCHAR(16)`;
+    })().catch((error) => {
+      hookClusterSchemaPromise = null;
+      throw error;
+    });
+  }
+  return hookClusterSchemaPromise;
+}
+
+// Every mined row of a niche, retired ones included, so a hook a later
+// rebuild reactivates keeps its cluster.
+export async function getHookTemplatesForNiche(nicheId) {
+  await ensureHookClusterSchema();
+  const sql = getSQL();
+  return sql`
+    SELECT id, hook_template, cluster_id
+    FROM hooks
+    WHERE niche_id = ${nicheId} AND curated = FALSE
+    ORDER BY id
+  `;
+}
+
+// Writes only the rows whose cluster changed. `clusters` is a Map of hook id
+// to cluster id; returns how many rows moved.
+export async function setHookClusters(nicheId, clusters, current = new Map()) {
+  const changed = [...clusters].filter(([id, cluster]) => current.get(id) !== cluster);
+  if (changed.length === 0) return 0;
+  await ensureHookClusterSchema();
+  const sql = getSQL();
+  const rows = await sql`
+    UPDATE hooks h
+    SET cluster_id = c.cluster_id
+    FROM UNNEST(${changed.map(([id]) => id)}::int[], ${changed.map(([, cluster]) => cluster)}::text[])
+      AS c(id, cluster_id)
+    WHERE h.id = c.id AND h.niche_id = ${nicheId}
+    RETURNING h.id
+  `;
+  return rows.length;
+}
+
 // Auto-pick for the done-for-you flow: a random hook from the niche's top
 // performers. Generic hand-written placeholders are deliberately excluded.
 export async function getAutoHookPool(nicheSlug, poolSize = 10) {
+  await ensureTextSourceSchema();
+  await ensureHookClusterSchema();
   const sql = getSQL();
-  return sql`
+  const rows = await sql`
     SELECT h.*, n.slug AS niche_slug
     FROM hooks h
     JOIN niches n ON n.id = h.niche_id
     WHERE n.active = TRUE AND n.slug = ${nicheSlug}
       AND h.curated = FALSE
-      AND h.platform <> 'youtube_retired'
+      AND h.platform <> ALL(${RETIRED_PLATFORMS})
       AND h.views >= 250000
-    ORDER BY h.views DESC, h.outlier_score DESC, h.last_verified DESC
-    LIMIT ${poolSize}
+    ORDER BY h.views * CASE WHEN h.source_type = 'text'
+                            THEN ${HOOK_SOURCE_WEIGHTS.text}::numeric
+                            ELSE ${HOOK_SOURCE_WEIGHTS.video}::numeric END DESC,
+             h.outlier_score DESC, h.last_verified DESC
+    LIMIT ${poolSize * HOOK_POOL_OVERFETCH}
   `;
+  return onePerCluster(rows, poolSize);
 }
 
 // Cross-niche fallback for a cold pool: the top proven hooks regardless of
@@ -524,18 +617,24 @@ export async function getAutoHookPool(nicheSlug, poolSize = 10) {
 // so until the niche has its own sources, borrow the strongest openers from
 // every niche and let the AI fit-screen judge transferability per product.
 export async function getGlobalHookPool(poolSize = 20) {
+  await ensureTextSourceSchema();
+  await ensureHookClusterSchema();
   const sql = getSQL();
-  return sql`
+  const rows = await sql`
     SELECT h.*, n.slug AS niche_slug
     FROM hooks h
     JOIN niches n ON n.id = h.niche_id
     WHERE n.active = TRUE
       AND h.curated = FALSE
-      AND h.platform <> 'youtube_retired'
+      AND h.platform <> ALL(${RETIRED_PLATFORMS})
       AND h.views >= 250000
-    ORDER BY h.views DESC, h.outlier_score DESC, h.last_verified DESC
-    LIMIT ${poolSize}
+    ORDER BY h.views * CASE WHEN h.source_type = 'text'
+                            THEN ${HOOK_SOURCE_WEIGHTS.text}::numeric
+                            ELSE ${HOOK_SOURCE_WEIGHTS.video}::numeric END DESC,
+             h.outlier_score DESC, h.last_verified DESC
+    LIMIT ${poolSize * HOOK_POOL_OVERFETCH}
   `;
+  return onePerCluster(rows, poolSize);
 }
 
 export async function getHooksByIds(ids, nicheSlug = null) {
@@ -547,26 +646,96 @@ export async function getHooksByIds(ids, nicheSlug = null) {
     WHERE h.id = ANY(${ids})
       AND n.active = TRUE
       AND h.curated = FALSE
-      AND h.platform <> 'youtube_retired'
+      AND h.platform <> ALL(${RETIRED_PLATFORMS})
       AND h.views >= 250000
       AND (${nicheSlug || null}::text IS NULL OR n.slug = ${nicheSlug || null})
   `;
 }
 
+// Which transcript provider heard each mined hook (api/_transcript.js chain:
+// supadata, timedtext, whisper; 'local' for scripts/local-mine.mjs, 'post'
+// for a Reddit or X post's own text). NULL on hooks mined before the chain.
+let transcriptProviderSchemaPromise = null;
+
+export async function ensureTranscriptProviderSchema() {
+  if (!transcriptProviderSchemaPromise) {
+    transcriptProviderSchemaPromise = (async () => {
+      const sql = getSQL();
+      await sql`ALTER TABLE hooks ADD COLUMN IF NOT EXISTS transcript_provider VARCHAR(30)`;
+    })().catch((error) => {
+      transcriptProviderSchemaPromise = null;
+      throw error;
+    });
+  }
+  return transcriptProviderSchemaPromise;
+}
+
+// Why each hook works, one id from the taxonomy in api/_mechanisms.js. NULL on
+// hooks mined before extraction asked for it until the backfill
+// (labelHookMechanisms in api/_miner.js) reaches them.
+let mechanismSchemaPromise = null;
+
+export async function ensureMechanismSchema() {
+  if (!mechanismSchemaPromise) {
+    mechanismSchemaPromise = (async () => {
+      const sql = getSQL();
+      await sql`ALTER TABLE hooks ADD COLUMN IF NOT EXISTS mechanism VARCHAR(30)`;
+      await sql`CREATE INDEX IF NOT EXISTS idx_hooks_mechanism ON hooks(mechanism)`;
+    })().catch((error) => {
+      mechanismSchemaPromise = null;
+      throw error;
+    });
+  }
+  return mechanismSchemaPromise;
+}
+
+// Mined hooks with no mechanism label yet, oldest first, for the backfill.
+export async function getUnlabeledHooks(limit = 40) {
+  await ensureMechanismSchema();
+  const sql = getSQL();
+  return sql`
+    SELECT id, hook_template, hook_verbatim
+    FROM hooks
+    WHERE mechanism IS NULL AND curated = FALSE
+    ORDER BY id
+    LIMIT ${limit}
+  `;
+}
+
+// `labels` is a Map of hook id to mechanism id; returns how many rows it set.
+export async function setHookMechanisms(labels) {
+  if (labels.size === 0) return 0;
+  await ensureMechanismSchema();
+  const sql = getSQL();
+  const rows = await sql`
+    UPDATE hooks h
+    SET mechanism = l.mechanism
+    FROM UNNEST(${[...labels.keys()]}::int[], ${[...labels.values()]}::text[]) AS l(id, mechanism)
+    WHERE h.id = l.id
+    RETURNING h.id
+  `;
+  return rows.length;
+}
+
 function upsertHookQuery(sql, nicheId, h) {
   return sql`
-    INSERT INTO hooks (niche_id, hook_template, hook_verbatim, topic, format, platform,
-                       video_url, video_title, views, followers, outlier_score, curated)
+    INSERT INTO hooks (niche_id, hook_template, hook_verbatim, topic, mechanism, format, platform,
+                       source_type, transcript_provider, video_url, video_title, views,
+                       followers, outlier_score, curated)
     VALUES (${nicheId}, ${h.hookTemplate}, ${h.hookVerbatim || ''}, ${h.topic || ''},
-            ${h.format || 'talking_head'}, ${h.platform || 'youtube'}, ${h.videoUrl},
+            ${h.mechanism || null}, ${h.format || 'talking_head'}, ${h.platform || 'youtube'},
+            ${sourceTypeForPlatform(h.platform)}, ${h.transcriptProvider || null}, ${h.videoUrl},
             ${h.videoTitle || ''}, ${h.views || 0}, ${h.followers || 0},
             ${h.outlierScore || 0}, ${h.curated || false})
     ON CONFLICT (video_url) DO UPDATE SET
       hook_template = EXCLUDED.hook_template,
       hook_verbatim = EXCLUDED.hook_verbatim,
       topic = EXCLUDED.topic,
+      mechanism = COALESCE(EXCLUDED.mechanism, hooks.mechanism),
       format = EXCLUDED.format,
       platform = EXCLUDED.platform,
+      source_type = EXCLUDED.source_type,
+      transcript_provider = COALESCE(EXCLUDED.transcript_provider, hooks.transcript_provider),
       video_title = EXCLUDED.video_title,
       views = EXCLUDED.views,
       followers = EXCLUDED.followers,
@@ -579,6 +748,9 @@ function upsertHookQuery(sql, nicheId, h) {
 }
 
 export async function upsertHook(nicheId, h) {
+  await ensureTextSourceSchema();
+  await ensureTranscriptProviderSchema();
+  await ensureMechanismSchema();
   const sql = getSQL();
   const rows = await upsertHookQuery(sql, nicheId, h);
   return rows[0];
@@ -587,6 +759,9 @@ export async function upsertHook(nicheId, h) {
 export async function applyIncrementalMine(nicheId, hooks, refreshes) {
   const safeHooks = Array.isArray(hooks) ? hooks : [];
   const safeRefreshes = Array.isArray(refreshes) ? refreshes : [];
+  await ensureTextSourceSchema();
+  await ensureTranscriptProviderSchema();
+  await ensureMechanismSchema();
   const sql = getSQL();
   const results = await sql.transaction((tx) => [
     tx`SELECT pg_advisory_xact_lock(87000, 1)`,
@@ -628,10 +803,15 @@ export async function applyIncrementalMine(nicheId, hooks, refreshes) {
 // obsolete YouTube rows are then soft-retired. Curated and future non-YouTube
 // rows are deliberately preserved. Soft retirement keeps swipe/carousel
 // references and lets a later successful recheck reactivate the same row.
-export async function replaceMinedHooksForNiche(nicheId, hooks) {
+// Only the platforms the rebuild searched are replaced: hooks imported from a
+// Reddit or X export outlive a video-only rebuild.
+export async function replaceMinedHooksForNiche(nicheId, hooks, platforms = MINED_PLATFORMS) {
   if (!Array.isArray(hooks) || hooks.length === 0) {
     throw new Error('Fresh rebuild produced no accepted hooks; existing hooks were kept.');
   }
+  await ensureTextSourceSchema();
+  await ensureTranscriptProviderSchema();
+  await ensureMechanismSchema();
   const sql = getSQL();
   const acceptedUrls = hooks.map((hook) => hook.videoUrl);
   const ownershipConflicts = await sql`
@@ -661,16 +841,18 @@ export async function replaceMinedHooksForNiche(nicheId, hooks) {
       FROM hooks
       WHERE niche_id = ${nicheId}
         AND curated = FALSE
-        AND platform = 'youtube'
+        AND platform = ANY(${MINED_PLATFORMS})
         AND video_url = ANY(${acceptedUrls})
     `,
+    // Retiring keeps the source platform in the marker (RETIRED_PLATFORMS):
+    // 'youtube_retired', 'reddit_retired'.
     tx`
       UPDATE hooks
-      SET platform = 'youtube_retired',
+      SET platform = platform || '_retired',
           last_verified = NOW()
       WHERE niche_id = ${nicheId}
         AND curated = FALSE
-        AND platform = 'youtube'
+        AND platform = ANY(${platforms})
         AND NOT (video_url = ANY(${acceptedUrls}))
       RETURNING id
     `,
@@ -698,14 +880,14 @@ export async function getExistingHookUrls(urls) {
   return new Set(rows.map((r) => r.video_url));
 }
 
-export async function getMinedHookUrlsForNiche(nicheId) {
+export async function getMinedHookUrlsForNiche(nicheId, platforms = MINED_PLATFORMS) {
   const sql = getSQL();
   const rows = await sql`
     SELECT video_url
     FROM hooks
     WHERE niche_id = ${nicheId}
       AND curated = FALSE
-      AND platform = 'youtube'
+      AND platform = ANY(${platforms})
   `;
   return new Set(rows.map((row) => row.video_url));
 }
@@ -721,24 +903,451 @@ export async function getOwnedHookUrlsForNiche(nicheId) {
   return new Set(rows.map((row) => row.video_url));
 }
 
-export async function refreshHookStats(videoUrl, views, followers, outlierScore) {
+// ---- Resumable mining jobs (api/_minejobs.js) ----
+
+// One job mines one niche over as many invocations as it takes. `phase` is
+// the next step to run (discover, stats, transcripts, extract, apply), then
+// done or failed; at most one job per niche is open. Each candidate row is a
+// checkpoint: its status records how far it got, so a phase cut short by the
+// time budget resumes at the first candidate it had not finished.
+let mineJobSchemaPromise = null;
+
+export async function ensureMineJobSchema() {
+  if (!mineJobSchemaPromise) {
+    mineJobSchemaPromise = (async () => {
+      const sql = getSQL();
+      await sql`
+        CREATE TABLE IF NOT EXISTS mine_jobs (
+          id                 SERIAL PRIMARY KEY,
+          niche_id           INTEGER NOT NULL REFERENCES niches(id) ON DELETE CASCADE,
+          phase              VARCHAR(20) NOT NULL DEFAULT 'discover',
+          dry                BOOLEAN NOT NULL DEFAULT FALSE,
+          fresh              BOOLEAN NOT NULL DEFAULT FALSE,
+          options            JSONB NOT NULL DEFAULT '{}',
+          platforms          JSONB NOT NULL DEFAULT '[]',
+          scanned            INTEGER NOT NULL DEFAULT 0,
+          discovery_failures INTEGER NOT NULL DEFAULT 0,
+          extract_failures   INTEGER NOT NULL DEFAULT 0,
+          errors             JSONB NOT NULL DEFAULT '[]',
+          attempts           INTEGER NOT NULL DEFAULT 0,
+          result             JSONB,
+          locked_until       TIMESTAMPTZ,
+          created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          finished_at        TIMESTAMPTZ
+        )
+      `;
+      await sql`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_mine_jobs_open
+        ON mine_jobs(niche_id) WHERE phase NOT IN ('done', 'failed')
+      `;
+      await sql`
+        CREATE TABLE IF NOT EXISTS mine_job_candidates (
+          job_id              INTEGER NOT NULL REFERENCES mine_jobs(id) ON DELETE CASCADE,
+          ordinal             INTEGER NOT NULL,
+          url                 TEXT NOT NULL,
+          title               TEXT NOT NULL DEFAULT '',
+          views               BIGINT NOT NULL DEFAULT 0,
+          followers           BIGINT NOT NULL DEFAULT 0,
+          platform            VARCHAR(20) NOT NULL,
+          score               NUMERIC(12,2) NOT NULL DEFAULT 0,
+          body                TEXT,
+          status              VARCHAR(20) NOT NULL DEFAULT 'found',
+          transcript          TEXT,
+          transcript_provider VARCHAR(30),
+          extraction          JSONB,
+          error               TEXT,
+          PRIMARY KEY (job_id, url)
+        )
+      `;
+    })().catch((error) => {
+      mineJobSchemaPromise = null;
+      throw error;
+    });
+  }
+  return mineJobSchemaPromise;
+}
+
+// Null when the niche already has an open job.
+export async function createMineJob(nicheId, { dry = false, fresh = false, options = {} } = {}) {
+  await ensureMineJobSchema();
+  const sql = getSQL();
+  const rows = await sql`
+    INSERT INTO mine_jobs (niche_id, dry, fresh, options)
+    VALUES (${nicheId}, ${!!dry}, ${!!fresh}, ${JSON.stringify(options)}::jsonb)
+    ON CONFLICT (niche_id) WHERE phase NOT IN ('done', 'failed') DO NOTHING
+    RETURNING id
+  `;
+  return rows[0] ? getMineJob(rows[0].id) : null;
+}
+
+// Jobs carry their niche row (`niche`): discovery searches its keywords and
+// seed channels, creators and subreddits.
+export async function getMineJob(jobId) {
+  await ensureMineJobSchema();
+  const sql = getSQL();
+  const rows = await sql`
+    SELECT j.*, n.slug AS niche_slug, n.name AS niche_name, n.active AS niche_active, to_jsonb(n) AS niche
+    FROM mine_jobs j JOIN niches n ON n.id = j.niche_id
+    WHERE j.id = ${jobId}
+  `;
+  return rows[0] || null;
+}
+
+// Open jobs, the longest waiting first; a niche's open job when nicheId is set.
+export async function getOpenMineJobs({ nicheId = null, limit = 10 } = {}) {
+  await ensureMineJobSchema();
+  const sql = getSQL();
+  return sql`
+    SELECT j.*, n.slug AS niche_slug, n.name AS niche_name, n.active AS niche_active, to_jsonb(n) AS niche
+    FROM mine_jobs j JOIN niches n ON n.id = j.niche_id
+    WHERE j.phase NOT IN ('done', 'failed')
+      AND (${nicheId}::int IS NULL OR j.niche_id = ${nicheId})
+    ORDER BY j.updated_at ASC
+    LIMIT ${limit}
+  `;
+}
+
+// Fails open jobs that stopped moving: their candidates' stats are stale, and
+// an open job keeps its niche from starting a new one.
+export async function expireMineJobs(maxAgeDays) {
+  await ensureMineJobSchema();
+  const sql = getSQL();
+  const rows = await sql`
+    UPDATE mine_jobs
+    SET phase = 'failed', finished_at = NOW(), updated_at = NOW(),
+        errors = errors || ${JSON.stringify(['job expired before it finished'])}::jsonb
+    WHERE phase NOT IN ('done', 'failed')
+      AND created_at < NOW() - (${maxAgeDays} * INTERVAL '1 day')
+    RETURNING id
+  `;
+  return rows.length;
+}
+
+// A lease, so a cron run and an admin call never advance one job at once.
+export async function claimMineJob(jobId, leaseSeconds) {
+  await ensureMineJobSchema();
+  const sql = getSQL();
+  const rows = await sql`
+    UPDATE mine_jobs
+    SET locked_until = NOW() + (${leaseSeconds} * INTERVAL '1 second')
+    WHERE id = ${jobId}
+      AND phase NOT IN ('done', 'failed')
+      AND (locked_until IS NULL OR locked_until < NOW())
+    RETURNING id
+  `;
+  return rows.length > 0;
+}
+
+export async function releaseMineJob(jobId) {
+  const sql = getSQL();
+  await sql`UPDATE mine_jobs SET locked_until = NULL WHERE id = ${jobId}`;
+}
+
+// Applies the fields present in `patch`; `errors` are appended.
+export async function updateMineJob(jobId, patch) {
+  const sql = getSQL();
+  const finished = patch.phase === 'done' || patch.phase === 'failed';
+  await sql`
+    UPDATE mine_jobs SET
+      phase = COALESCE(${patch.phase ?? null}, phase),
+      platforms = COALESCE(${patch.platforms ? JSON.stringify(patch.platforms) : null}::jsonb, platforms),
+      scanned = COALESCE(${patch.scanned ?? null}::int, scanned),
+      discovery_failures = COALESCE(${patch.discoveryFailures ?? null}::int, discovery_failures),
+      extract_failures = extract_failures + ${patch.extractFailures || 0},
+      errors = errors || ${JSON.stringify(patch.errors || [])}::jsonb,
+      attempts = COALESCE(${patch.attempts ?? null}::int, attempts),
+      result = COALESCE(${patch.result ? JSON.stringify(patch.result) : null}::jsonb, result),
+      finished_at = CASE WHEN ${finished} THEN NOW() ELSE finished_at END,
+      updated_at = NOW()
+    WHERE id = ${jobId}
+  `;
+}
+
+export async function addMineJobCandidates(jobId, candidates) {
+  if (candidates.length === 0) return;
+  const sql = getSQL();
+  await sql`
+    INSERT INTO mine_job_candidates (job_id, ordinal, url, title, views, followers, platform, score, body)
+    SELECT ${jobId}, c.*
+    FROM UNNEST(
+      ${candidates.map((_, i) => i)}::int[],
+      ${candidates.map((c) => c.url)}::text[],
+      ${candidates.map((c) => String(c.title || '').substring(0, 500))}::text[],
+      ${candidates.map((c) => c.views || 0)}::bigint[],
+      ${candidates.map((c) => c.followers || 0)}::bigint[],
+      ${candidates.map((c) => c.platform)}::text[],
+      ${candidates.map((c) => c.score || 0)}::numeric[],
+      ${candidates.map((c) => c.body ?? null)}::text[]
+    ) AS c(ordinal, url, title, views, followers, platform, score, body)
+    ON CONFLICT (job_id, url) DO NOTHING
+  `;
+}
+
+// A job's candidates in discovery order, optionally only those in `statuses`.
+export async function getMineJobCandidates(jobId, statuses = null) {
+  const sql = getSQL();
+  return sql`
+    SELECT * FROM mine_job_candidates
+    WHERE job_id = ${jobId}
+      AND (${statuses}::text[] IS NULL OR status = ANY(${statuses}::text[]))
+    ORDER BY ordinal
+  `;
+}
+
+// Checkpoints candidates: { url, status, transcript?, transcriptProvider?,
+// extraction?, error? }. Absent fields keep their stored value.
+export async function checkpointMineJobCandidates(jobId, updates) {
+  if (updates.length === 0) return;
+  const sql = getSQL();
+  await sql`
+    UPDATE mine_job_candidates m SET
+      status = u.status,
+      transcript = COALESCE(u.transcript, m.transcript),
+      transcript_provider = COALESCE(u.transcript_provider, m.transcript_provider),
+      extraction = COALESCE(u.extraction::jsonb, m.extraction),
+      error = COALESCE(u.error, m.error)
+    FROM UNNEST(
+      ${updates.map((u) => u.url)}::text[],
+      ${updates.map((u) => u.status)}::text[],
+      ${updates.map((u) => u.transcript ?? null)}::text[],
+      ${updates.map((u) => u.transcriptProvider ?? null)}::text[],
+      ${updates.map((u) => (u.extraction ? JSON.stringify(u.extraction) : null))}::text[],
+      ${updates.map((u) => u.error ?? null)}::text[]
+    ) AS u(url, status, transcript, transcript_provider, extraction, error)
+    WHERE m.job_id = ${jobId} AND m.url = u.url
+  `;
+}
+
+// ---- Mining run reports (api/_minereports.js) ----
+
+// One row per settled mine: its mode, what discovery found, how transcripts
+// went, the quality-gate rejections by reason, what was accepted and what
+// would block a fresh rebuild. Kept with the niche so its supply can be read
+// over time.
+let mineReportSchemaPromise = null;
+
+export async function ensureMineReportSchema() {
+  if (!mineReportSchemaPromise) {
+    mineReportSchemaPromise = (async () => {
+      const sql = getSQL();
+      await sql`
+        CREATE TABLE IF NOT EXISTS mine_reports (
+          id                  SERIAL PRIMARY KEY,
+          niche_id            INTEGER NOT NULL REFERENCES niches(id) ON DELETE CASCADE,
+          job_id              INTEGER,
+          mode                VARCHAR(12) NOT NULL,
+          dry                 BOOLEAN NOT NULL DEFAULT FALSE,
+          scanned             INTEGER NOT NULL DEFAULT 0,
+          discovered          INTEGER NOT NULL DEFAULT 0,
+          transcript_attempts INTEGER NOT NULL DEFAULT 0,
+          transcript_failures INTEGER NOT NULL DEFAULT 0,
+          transcript_eligible INTEGER NOT NULL DEFAULT 0,
+          rejections          JSONB NOT NULL DEFAULT '{}',
+          accepted            INTEGER NOT NULL DEFAULT 0,
+          fresh_blockers      JSONB NOT NULL DEFAULT '[]',
+          applied             BOOLEAN,
+          error_count         INTEGER NOT NULL DEFAULT 0,
+          created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `;
+      await sql`CREATE INDEX IF NOT EXISTS idx_mine_reports_niche ON mine_reports(niche_id, created_at DESC)`;
+    })().catch((e) => {
+      mineReportSchemaPromise = null;
+      throw e;
+    });
+  }
+  return mineReportSchemaPromise;
+}
+
+// Saves a buildMineReport row; returns its id.
+export async function saveMineReport(nicheId, report) {
+  await ensureMineReportSchema();
+  const sql = getSQL();
+  const rows = await sql`
+    INSERT INTO mine_reports (
+      niche_id, job_id, mode, dry, scanned, discovered, transcript_attempts,
+      transcript_failures, transcript_eligible, rejections, accepted, fresh_blockers,
+      applied, error_count
+    ) VALUES (
+      ${nicheId}, ${report.jobId}, ${report.mode}, ${report.dry}, ${report.scanned},
+      ${report.discovered}, ${report.transcriptAttempts}, ${report.transcriptFailures},
+      ${report.transcriptEligible}, ${JSON.stringify(report.rejections)}::jsonb, ${report.accepted},
+      ${JSON.stringify(report.freshBlockers)}::jsonb, ${report.applied}, ${report.errorCount}
+    )
+    RETURNING id
+  `;
+  return rows[0].id;
+}
+
+// Reports from the last `days`, newest first, for one niche or every niche;
+// in the shape compareMineReports takes.
+export async function getMineReports({ nicheId = null, days = 90, limit = 500 } = {}) {
+  await ensureMineReportSchema();
+  const sql = getSQL();
+  const rows = await sql`
+    SELECT r.*, n.slug AS niche_slug
+    FROM mine_reports r JOIN niches n ON n.id = r.niche_id
+    WHERE r.created_at > NOW() - (${days} * INTERVAL '1 day')
+      AND (${nicheId}::int IS NULL OR r.niche_id = ${nicheId})
+    ORDER BY r.created_at DESC
+    LIMIT ${limit}
+  `;
+  return rows.map((r) => ({
+    id: r.id,
+    niche: r.niche_slug,
+    jobId: r.job_id,
+    mode: r.mode,
+    dry: r.dry,
+    scanned: r.scanned,
+    discovered: r.discovered,
+    transcriptAttempts: r.transcript_attempts,
+    transcriptFailures: r.transcript_failures,
+    transcriptEligible: r.transcript_eligible,
+    rejections: r.rejections || {},
+    accepted: r.accepted,
+    freshBlockers: r.fresh_blockers || [],
+    applied: r.applied,
+    errorCount: r.error_count,
+    createdAt: r.created_at,
+  }));
+}
+
+export async function refreshHookStats(videoUrl, views, followers, outlierScore, publishedAt = null) {
   const sql = getSQL();
   await sql`
     UPDATE hooks
     SET views = ${views}, followers = ${followers},
-        outlier_score = ${outlierScore}, last_verified = NOW()
+        outlier_score = ${outlierScore}, last_verified = NOW(),
+        published_at = COALESCE(${publishedAt}::timestamptz, published_at)
     WHERE video_url = ${videoUrl}
   `;
 }
 
+// ============================================
+// HOOK FRESHNESS DECAY (api/_freshness.js)
+// ============================================
+// pinned: an admin's evergreen override, never retired by decay.
+// published_at: the source's own publish time where a platform reports it
+// (the decay job's YouTube refresh); created_at stands in until then.
+// freshness_score: the last decayed score, for the report and the dashboard.
+let freshnessSchemaPromise = null;
+
+export async function ensureFreshnessSchema() {
+  if (!freshnessSchemaPromise) {
+    freshnessSchemaPromise = (async () => {
+      const sql = getSQL();
+      await sql`ALTER TABLE hooks ADD COLUMN IF NOT EXISTS pinned BOOLEAN NOT NULL DEFAULT FALSE`;
+      await sql`ALTER TABLE hooks ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ`;
+      await sql`ALTER TABLE hooks ADD COLUMN IF NOT EXISTS freshness_score NUMERIC(6,3)`;
+      await sql`ALTER TABLE niches ADD COLUMN IF NOT EXISTS last_decayed_at TIMESTAMPTZ`;
+    })().catch((error) => {
+      freshnessSchemaPromise = null;
+      throw error;
+    });
+  }
+  return freshnessSchemaPromise;
+}
+
+// Every active canonical pool, least recently decayed first, so a run cut
+// short by its time budget resumes where it stopped.
+export async function getDecayNiches(limit = 50) {
+  await ensureFreshnessSchema();
+  const sql = getSQL();
+  return sql`
+    SELECT n.* FROM niches n
+    WHERE n.active = TRUE
+      AND NOT (n.slug = ANY(${LEGACY_NICHE_SLUGS}))
+    ORDER BY n.last_decayed_at ASC NULLS FIRST, n.id ASC
+    LIMIT ${limit}
+  `;
+}
+
+// A niche's live mined hooks with how often our users have already used each
+// one in the reuse window: carousels generated from it plus autopilot posts
+// planned on it (calendar slots that became a post).
+export async function getHooksForDecay(nicheId, reuseWindowDays) {
+  await ensureFreshnessSchema();
+  await ensureCalendarSchema();
+  const sql = getSQL();
+  return sql`
+    SELECT h.id, h.hook_verbatim, h.hook_template, h.platform, h.video_url,
+           h.views, h.followers, h.pinned, h.last_verified,
+           COALESCE(h.published_at, h.created_at) AS published_at,
+           (
+             (SELECT COUNT(*) FROM carousels c
+              WHERE c.hook_id = h.id
+                AND c.created_at > NOW() - (${reuseWindowDays} * INTERVAL '1 day'))
+             + (SELECT COUNT(*) FROM calendar_slots s
+                WHERE s.hook_id = h.id AND s.post_id IS NOT NULL
+                  AND s.day > CURRENT_DATE - ${reuseWindowDays}::int)
+           )::int AS uses
+    FROM hooks h
+    WHERE h.niche_id = ${nicheId}
+      AND h.curated = FALSE
+      AND h.platform = ANY(${MINED_PLATFORMS})
+    ORDER BY h.id
+  `;
+}
+
+// Records every checked hook's score, retires the decayed ones with the same
+// `_retired` marker a fresh rebuild uses, and stamps the niche. Pinned rows
+// are re-checked inside the statement so a pin that lands mid-run wins.
+export async function applyHookDecay(nicheId, scores, retireIds) {
+  await ensureFreshnessSchema();
+  const sql = getSQL();
+  const ids = scores.map((s) => s.id);
+  const values = scores.map((s) => s.score);
+  const results = await sql.transaction((tx) => [
+    tx`
+      UPDATE hooks h
+      SET freshness_score = s.score
+      FROM UNNEST(${ids}::int[], ${values}::numeric[]) AS s(id, score)
+      WHERE h.id = s.id AND h.niche_id = ${nicheId}
+    `,
+    tx`
+      UPDATE hooks
+      SET platform = platform || '_retired',
+          last_verified = NOW()
+      WHERE niche_id = ${nicheId}
+        AND id = ANY(${retireIds})
+        AND pinned = FALSE
+        AND curated = FALSE
+        AND platform = ANY(${MINED_PLATFORMS})
+      RETURNING id
+    `,
+    tx`UPDATE niches SET last_decayed_at = NOW() WHERE id = ${nicheId}`,
+  ]);
+  return { retired: (results[1] || []).map((row) => row.id) };
+}
+
+// Pin or unpin a hook. Pinning a hook decay already retired restores it.
+export async function setHookPinned(hookId, pinned) {
+  await ensureFreshnessSchema();
+  const sql = getSQL();
+  const rows = await sql`
+    UPDATE hooks
+    SET pinned = ${!!pinned},
+        platform = CASE
+          WHEN ${!!pinned} AND platform = ANY(${RETIRED_PLATFORMS})
+            THEN regexp_replace(platform, '_retired$', '')
+          ELSE platform
+        END
+    WHERE id = ${hookId} AND curated = FALSE
+    RETURNING id, platform, pinned
+  `;
+  return rows[0] || null;
+}
+
 // ============================================
 // HOOKLAB: SWIPE FILE
 // ============================================
 export async function getSwipeFile(userId, nicheSlug = null) {
+  await ensureTextSourceSchema();
   const sql = getSQL();
   return sql`
     SELECT h.id, h.hook_template, h.hook_verbatim, h.topic, h.format, h.platform,
-           h.video_url, h.views, h.followers, h.outlier_score,
+           h.source_type, h.video_url, h.views, h.followers, h.outlier_score,
            n.slug AS niche_slug, n.name AS niche_name, sf.created_at AS saved_at
     FROM swipe_file sf
     JOIN hooks h ON h.id = sf.hook_id
@@ -746,7 +1355,7 @@ export async function getSwipeFile(userId, nicheSlug = null) {
     WHERE sf.user_id = ${userId}
       AND n.active = TRUE
       AND h.curated = FALSE
-      AND h.platform <> 'youtube_retired'
+      AND h.platform <> ALL(${RETIRED_PLATFORMS})
       AND h.views >= 250000
       AND (${nicheSlug || null}::text IS NULL OR n.slug = ${nicheSlug || null})
     ORDER BY sf.created_at DESC
@@ -763,7 +1372,7 @@ export async function saveToSwipeFile(userId, hookId) {
     WHERE h.id = ${hookId}
       AND n.active = TRUE
       AND h.curated = FALSE
-      AND h.platform <> 'youtube_retired'
+      AND h.platform <> ALL(${RETIRED_PLATFORMS})
       AND h.views >= 250000
     ON CONFLICT (user_id, hook_id) DO UPDATE
       SET created_at = swipe_file.created_at
@@ -787,7 +1396,7 @@ export async function swipeFileCount(userId) {
     WHERE sf.user_id = ${userId}
       AND n.active = TRUE
       AND h.curated = FALSE
-      AND h.platform <> 'youtube_retired'
+      AND h.platform <> ALL(${RETIRED_PLATFORMS})
       AND h.views >= 250000
   `;
   return rows[0].n;
@@ -904,6 +1513,29 @@ export async function getRecentHookIds(userId, n = 5) {
   return [...new Set(rows.map((r) => r.hook_id))];
 }
 
+// The mechanisms of the user's newest posts, newest first: carousels made from
+// a hook plus autopilot posts planned on one. Rows carry the template too so
+// the caller can read a mechanism off hooks the backfill hasn't labeled yet.
+export async function getRecentHookMechanisms(userId, n = 10) {
+  await ensureMechanismSchema();
+  await ensureCalendarSchema();
+  const sql = getSQL();
+  return sql`
+    SELECT mechanism, hook_template FROM (
+      SELECT h.mechanism, h.hook_template, c.created_at
+      FROM carousels c JOIN hooks h ON h.id = c.hook_id
+      WHERE c.user_id = ${userId}
+      UNION ALL
+      SELECT COALESCE(h.mechanism, NULLIF(s.mechanism, '')) AS mechanism,
+             COALESCE(h.hook_template, '') AS hook_template, s.created_at
+      FROM calendar_slots s LEFT JOIN hooks h ON h.id = s.hook_id
+      WHERE s.user_id = ${userId} AND s.post_id IS NOT NULL
+    ) r
+    ORDER BY created_at DESC
+    LIMIT ${n}
+  `;
+}
+
 let reelSchemaPromise;
 
 export async function ensureReelSchema() {
@@ -927,10 +1559,51 @@ export async function ensureReelSchema() {
   return reelSchemaPromise;
 }
 
+// Single-slide rewrites are free (the post was paid for at plan time), so a
+// per-post ceiling keeps one carousel from becoming an unmetered copy loop.
+export const MAX_SLIDE_REWRITES = 20;
+// An anonymous taste has no account to meter and no throttle past its one
+// post, so it gets a few rewrites to try the feature, not the full ceiling.
+export const MAX_ANON_SLIDE_REWRITES = 3;
+
+let slideRewriteSchemaPromise;
+
+export async function ensureSlideRewriteSchema() {
+  if (!slideRewriteSchemaPromise) {
+    slideRewriteSchemaPromise = (async () => {
+      const sql = getSQL();
+      await sql`ALTER TABLE carousels ADD COLUMN IF NOT EXISTS slide_rewrites INTEGER NOT NULL DEFAULT 0`;
+    })().catch((error) => {
+      slideRewriteSchemaPromise = null;
+      throw error;
+    });
+  }
+  return slideRewriteSchemaPromise;
+}
+
+// Saves a rewritten deck, with the captions rebuilt for it, and counts the
+// rewrite in one statement, so two tabs can't race past the ceiling. A
+// finished or in-flight Reel was rendered from the old copy — clearing its
+// state makes the next Reel request render fresh. Returns false when the post
+// is gone or out of rewrites. Needs ensureCaptionSchema().
+export async function saveRewrittenSlides(userId, id, { slides, caption, captions }) {
+  const sql = getSQL();
+  const rows = await sql`
+    UPDATE carousels SET slides = ${JSON.stringify(slides)},
+      caption = ${caption || ''}, captions = ${captions ? JSON.stringify(captions) : null},
+      slide_rewrites = slide_rewrites + 1,
+      reel_status = NULL, reel_render_id = NULL, reel_url = NULL, reel_error = NULL,
+      reel_url_expires_at = NULL
+    WHERE user_id = ${userId} AND id = ${id} AND slide_rewrites < ${MAX_SLIDE_REWRITES}
+    RETURNING id
+  `;
+  return rows.length > 0;
+}
+
 export async function getCarousels(userId) {
   const sql = getSQL();
   return sql`
-    SELECT id, hook_id, style, slides, caption, watermark, created_at,
+    SELECT id, hook_id, style, slides, caption, captions, rationale, watermark, series, created_at,
            (bg IS NOT NULL) AS has_bg, reel_status, reel_url, reel_error,
            reel_requested_at, reel_finished_at, reel_url_expires_at
     FROM carousels WHERE user_id = ${userId}
@@ -1116,7 +1789,7 @@ export async function getCarouselAnon(anonId, id) {
 export async function getCarouselsAnon(anonId) {
   const sql = getSQL();
   return sql`
-    SELECT id, hook_id, style, slides, caption, watermark, created_at,
+    SELECT id, hook_id, style, slides, caption, captions, rationale, watermark, created_at,
            (bg IS NOT NULL) AS has_bg
     FROM carousels WHERE anon_id = ${anonId}
     ORDER BY created_at DESC LIMIT 5
@@ -1128,6 +1801,19 @@ export async function saveCarouselBgAnon(anonId, id, bg) {
   await sql`UPDATE carousels SET bg = ${bg} WHERE anon_id = ${anonId} AND id = ${id}`;
 }
 
+// Anon posts never have a Reel, so there is no Reel state to clear.
+export async function saveRewrittenSlidesAnon(anonId, id, { slides, caption, captions }) {
+  const sql = getSQL();
+  const rows = await sql`
+    UPDATE carousels SET slides = ${JSON.stringify(slides)},
+      caption = ${caption || ''}, captions = ${captions ? JSON.stringify(captions) : null},
+      slide_rewrites = slide_rewrites + 1
+    WHERE anon_id = ${anonId} AND id = ${id} AND slide_rewrites < ${MAX_ANON_SLIDE_REWRITES}
+    RETURNING id
+  `;
+  return rows.length > 0;
+}
+
 export async function saveCarouselHeroAnon(anonId, id, hero) {
   const sql = getSQL();
   try {
@@ -1240,13 +1926,399 @@ export async function setUploadPostUsername(userId, username) {
 export async function getPostsForUser(userId, limit = 30) {
   const sql = getSQL();
   return sql`
-    SELECT id, scheduled_at, status, kind, style, slides, caption, platforms,
-           accent, error, retries, created_at
+    SELECT id, scheduled_at, status, kind, style, slides, caption, captions, platforms,
+           accent, error, retries, series, compliance, created_at
     FROM posts WHERE user_id = ${userId}
     ORDER BY scheduled_at DESC LIMIT ${limit}
   `;
 }
 
+// ---- Content calendar (api/_calendar.js) ----
+
+let calendarSchemaPromise;
+
+// One planned slot per user per day. Keyed by day, not timestamp, so a plan
+// survives the user moving their posting time. post_id is set once topup fills
+// the day; a replan only replaces unfilled days.
+export async function ensureCalendarSchema() {
+  if (!calendarSchemaPromise) {
+    calendarSchemaPromise = (async () => {
+      const sql = getSQL();
+      await sql`
+        CREATE TABLE IF NOT EXISTS calendar_slots (
+          id         SERIAL PRIMARY KEY,
+          user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          day        DATE NOT NULL,
+          kind       VARCHAR(20) NOT NULL,
+          style      VARCHAR(20) NOT NULL,
+          hook_id    INTEGER REFERENCES hooks(id) ON DELETE SET NULL,
+          topic      VARCHAR(300) NOT NULL DEFAULT '',
+          mechanism  VARCHAR(30) NOT NULL DEFAULT '',
+          post_id    INTEGER REFERENCES posts(id) ON DELETE SET NULL,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          UNIQUE (user_id, day)
+        )
+      `;
+      // When topup last tried to plan, so a plan that fails or leaves the
+      // next day open is retried weekly rather than on every run.
+      await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_planned_at TIMESTAMPTZ`;
+    })().catch((error) => {
+      calendarSchemaPromise = null;
+      throw error;
+    });
+  }
+  return calendarSchemaPromise;
+}
+
+export async function replaceCalendar(userId, fromDay, entries) {
+  const sql = getSQL();
+  await sql.transaction((tx) => [
+    tx`DELETE FROM calendar_slots WHERE user_id = ${userId} AND day >= ${fromDay} AND post_id IS NULL`,
+    ...entries.map((e) => tx`
+      INSERT INTO calendar_slots (user_id, day, kind, style, hook_id, topic, mechanism)
+      VALUES (${userId}, ${e.day}, ${e.kind}, ${e.style}, ${e.hookId}, ${e.topic}, ${e.mechanism})
+      ON CONFLICT (user_id, day) DO NOTHING
+    `),
+  ]);
+}
+
+export async function markCalendarPlanned(userId) {
+  const sql = getSQL();
+  await sql`UPDATE users SET calendar_planned_at = NOW() WHERE id = ${userId}`;
+}
+
+// Days from `fromDay` on, with the planned hook's line for review.
+export async function getCalendar(userId, fromDay) {
+  const sql = getSQL();
+  return sql`
+    SELECT c.day::text AS day, c.kind, c.style, c.hook_id, c.topic, c.mechanism, c.post_id,
+           COALESCE(NULLIF(h.hook_verbatim, ''), h.hook_template, '') AS hook
+    FROM calendar_slots c
+    LEFT JOIN hooks h ON h.id = c.hook_id
+    WHERE c.user_id = ${userId} AND c.day >= ${fromDay}
+    ORDER BY c.day ASC
+  `;
+}
+
+export async function fillCalendarDay(userId, day, postId) {
+  const sql = getSQL();
+  await sql`
+    UPDATE calendar_slots SET post_id = ${postId}
+    WHERE user_id = ${userId} AND day = ${day} AND post_id IS NULL
+  `;
+}
+
+// ---- Series (api/_series.js) ----
+
+let seriesSchemaPromise;
+
+// A series is one theme over several posts. `written` holds what each part
+// covered ({ part, hookId, style, slides }) so the next part can refer back
+// without re-reading posts the user may have edited or skipped. posts.series
+// and carousels.series carry the part's badge ({ id, part, of }).
+export async function ensureSeriesSchema() {
+  if (!seriesSchemaPromise) {
+    seriesSchemaPromise = (async () => {
+      const sql = getSQL();
+      await sql`
+        CREATE TABLE IF NOT EXISTS series (
+          id         SERIAL PRIMARY KEY,
+          user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          theme      VARCHAR(200) NOT NULL,
+          parts      SMALLINT NOT NULL,
+          mechanism  VARCHAR(30) NOT NULL DEFAULT '',
+          hook_id    INTEGER REFERENCES hooks(id) ON DELETE SET NULL,
+          autopilot  BOOLEAN NOT NULL DEFAULT FALSE,
+          written    JSONB NOT NULL DEFAULT '[]',
+          status     VARCHAR(20) NOT NULL DEFAULT 'active',
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `;
+      await sql`CREATE INDEX IF NOT EXISTS idx_series_user ON series(user_id, status)`;
+      await sql`ALTER TABLE posts ADD COLUMN IF NOT EXISTS series JSONB`;
+      await sql`ALTER TABLE carousels ADD COLUMN IF NOT EXISTS series JSONB`;
+    })().catch((error) => {
+      seriesSchemaPromise = null;
+      throw error;
+    });
+  }
+  return seriesSchemaPromise;
+}
+
+export async function createSeries({ userId, theme, parts, mechanism, hookId, autopilot, written = [] }) {
+  const sql = getSQL();
+  const done = written.length >= parts;
+  const rows = await sql`
+    INSERT INTO series (user_id, theme, parts, mechanism, hook_id, autopilot, written, status)
+    VALUES (${userId}, ${theme}, ${parts}, ${mechanism || ''}, ${hookId || null}, ${!!autopilot},
+            ${JSON.stringify(written)}, ${done ? 'done' : 'active'})
+    RETURNING *
+  `;
+  return rows[0];
+}
+
+export async function getSeries(userId, id) {
+  const sql = getSQL();
+  const rows = await sql`SELECT * FROM series WHERE user_id = ${userId} AND id = ${id}`;
+  return rows[0] || null;
+}
+
+// The series autopilot is working through. One at a time, so its parts land
+// on consecutive slots.
+export async function getActiveAutopilotSeries(userId) {
+  const sql = getSQL();
+  const rows = await sql`
+    SELECT * FROM series
+    WHERE user_id = ${userId} AND autopilot AND status = 'active'
+    ORDER BY created_at ASC LIMIT 1
+  `;
+  return rows[0] || null;
+}
+
+// Appends one written part. The length guard makes it idempotent: a part
+// recorded twice (or out of order) changes nothing and returns null. The last
+// part closes the series.
+export async function recordSeriesPart(seriesId, part, entry) {
+  const sql = getSQL();
+  const rows = await sql`
+    UPDATE series
+    SET written = written || ${JSON.stringify([entry])}::jsonb,
+        status = CASE WHEN jsonb_array_length(written) + 1 >= parts THEN 'done' ELSE status END
+    WHERE id = ${seriesId} AND status = 'active' AND jsonb_array_length(written) = ${part - 1}
+    RETURNING *
+  `;
+  return rows[0] || null;
+}
+
+export async function stopSeries(userId, id) {
+  const sql = getSQL();
+  const rows = await sql`
+    UPDATE series SET status = 'stopped'
+    WHERE user_id = ${userId} AND id = ${id} AND status = 'active'
+    RETURNING id
+  `;
+  return rows[0] || null;
+}
+
+export async function saveCarouselSeries(userId, id, series) {
+  const sql = getSQL();
+  await sql`UPDATE carousels SET series = ${JSON.stringify(series)} WHERE user_id = ${userId} AND id = ${id}`;
+}
+
+// ---- Per-platform captions (api/_captions.js) ----
+
+let captionSchemaPromise;
+
+// { instagram, tiktok, linkedin, threads } per post and carousel. NULL on rows
+// made before per-platform captions; those publish `caption` everywhere.
+export async function ensureCaptionSchema() {
+  if (!captionSchemaPromise) {
+    captionSchemaPromise = (async () => {
+      const sql = getSQL();
+      await sql`ALTER TABLE posts ADD COLUMN IF NOT EXISTS captions JSONB`;
+      await sql`ALTER TABLE carousels ADD COLUMN IF NOT EXISTS captions JSONB`;
+      // The platforms a user opted into on top of TikTok and Instagram.
+      await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS extra_platforms TEXT[] NOT NULL DEFAULT '{}'`;
+    })().catch((error) => {
+      captionSchemaPromise = null;
+      throw error;
+    });
+  }
+  return captionSchemaPromise;
+}
+
+// By id alone: called only with the id saveCarousel just returned, for a
+// signed-in or anonymous row alike.
+export async function saveCarouselCaptions(id, captions) {
+  const sql = getSQL();
+  await sql`UPDATE carousels SET captions = ${captions ? JSON.stringify(captions) : null} WHERE id = ${id}`;
+}
+
+// ---- Hook-fit rationale (api/_generate.js) ----
+
+let rationaleSchemaPromise;
+
+// { mechanism, subject, job }: why the carousel's hook suits the product, as
+// the hook screen and copy model explained it. NULL on older carousels.
+export async function ensureRationaleSchema() {
+  if (!rationaleSchemaPromise) {
+    rationaleSchemaPromise = (async () => {
+      const sql = getSQL();
+      await sql`ALTER TABLE carousels ADD COLUMN IF NOT EXISTS rationale JSONB`;
+    })().catch((error) => {
+      rationaleSchemaPromise = null;
+      throw error;
+    });
+  }
+  return rationaleSchemaPromise;
+}
+
+// By id alone, like saveCarouselCaptions: only ever the id saveCarousel just
+// returned.
+export async function saveCarouselRationale(id, rationale) {
+  const sql = getSQL();
+  await sql`UPDATE carousels SET rationale = ${rationale ? JSON.stringify(rationale) : null} WHERE id = ${id}`;
+}
+
+// ---- Compliance holds (api/_compliance.js) ----
+
+let complianceSchemaPromise;
+
+// The hard rules a queued post breaks, as [{ rule, message, where, text }].
+// NULL means clear to publish; claimDuePosts skips any other value until an
+// edit clears it.
+export async function ensureComplianceSchema() {
+  if (!complianceSchemaPromise) {
+    complianceSchemaPromise = (async () => {
+      const sql = getSQL();
+      await sql`ALTER TABLE posts ADD COLUMN IF NOT EXISTS compliance JSONB`;
+    })().catch((error) => {
+      complianceSchemaPromise = null;
+      throw error;
+    });
+  }
+  return complianceSchemaPromise;
+}
+
+// ---- Hashtag bank (api/_hashtags.js) ----
+
+let hashtagSchemaPromise;
+
+// One row per niche per tag, rebuilt whole by the daily topup run. The use
+// and view columns are kept beside the score so a tier or score change can be
+// checked against what the bank was built from.
+export async function ensureHashtagSchema() {
+  if (!hashtagSchemaPromise) {
+    hashtagSchemaPromise = (async () => {
+      const sql = getSQL();
+      await sql`
+        CREATE TABLE IF NOT EXISTS hashtag_bank (
+          niche_id   INTEGER NOT NULL REFERENCES niches(id) ON DELETE CASCADE,
+          tag        VARCHAR(60) NOT NULL,
+          tier       VARCHAR(10) NOT NULL,
+          hook_uses  INTEGER NOT NULL DEFAULT 0,
+          hook_views BIGINT NOT NULL DEFAULT 0,
+          post_uses  INTEGER NOT NULL DEFAULT 0,
+          post_views BIGINT NOT NULL DEFAULT 0,
+          score      REAL NOT NULL DEFAULT 0,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (niche_id, tag)
+        )
+      `;
+      // When the bank was last rebuilt, kept apart from its rows: a rebuild
+      // that found no tags leaves no updated_at to read the age from.
+      await sql`
+        CREATE TABLE IF NOT EXISTS hashtag_bank_builds (
+          id       SMALLINT PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+          built_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          tags     INTEGER NOT NULL DEFAULT 0
+        )
+      `;
+    })().catch((error) => {
+      hashtagSchemaPromise = null;
+      throw error;
+    });
+  }
+  return hashtagSchemaPromise;
+}
+
+// What the bank is built from: active niches and their keywords, their
+// hooks' source titles and topics, and every posted caption with its summed
+// views, placed in the niche of the user who posted it.
+export async function getHashtagSources() {
+  const sql = getSQL();
+  const [niches, hooks, posts] = await Promise.all([
+    sql`SELECT id, keywords FROM niches WHERE active = TRUE`,
+    sql`
+      SELECT h.niche_id, h.video_title, h.topic, h.views
+      FROM hooks h JOIN niches n ON n.id = h.niche_id AND n.active = TRUE
+    `,
+    sql`
+      SELECT n.id AS niche_id, p.caption, COALESCE(SUM(m.views), 0) AS views
+      FROM posts p
+      JOIN users u ON u.id = p.user_id
+      JOIN niches n ON n.slug = u.profile->'audience_niche'->>'slug' AND n.active = TRUE
+      LEFT JOIN post_metrics m ON m.post_id = p.id
+      WHERE p.status = 'posted' AND p.caption LIKE '%#%'
+      GROUP BY n.id, p.id
+    `,
+  ]);
+  return { niches, hooks, posts };
+}
+
+export async function replaceHashtagBank(rows) {
+  const sql = getSQL();
+  const col = (k) => rows.map((r) => r[k]);
+  await sql.transaction((tx) => [
+    tx`DELETE FROM hashtag_bank`,
+    tx`
+      INSERT INTO hashtag_bank (niche_id, tag, tier, hook_uses, hook_views, post_uses, post_views, score)
+      SELECT * FROM unnest(
+        ${col('nicheId')}::int[], ${col('tag')}::text[], ${col('tier')}::text[],
+        ${col('hookUses')}::int[], ${col('hookViews')}::bigint[],
+        ${col('postUses')}::int[], ${col('postViews')}::bigint[], ${col('score')}::real[]
+      )
+    `,
+    tx`
+      INSERT INTO hashtag_bank_builds (id, built_at, tags) VALUES (1, NOW(), ${rows.length})
+      ON CONFLICT (id) DO UPDATE SET built_at = NOW(), tags = EXCLUDED.tags
+    `,
+  ]);
+}
+
+export async function getHashtagBank(nicheSlug, limit = 60) {
+  const sql = getSQL();
+  return sql`
+    SELECT b.tag, b.tier, b.score
+    FROM hashtag_bank b JOIN niches n ON n.id = b.niche_id
+    WHERE n.slug = ${nicheSlug}
+    ORDER BY b.score DESC
+    LIMIT ${limit}
+  `;
+}
+
+// When the last rebuild ran, even one that banked nothing. Null before the
+// first.
+export async function getHashtagBankAge() {
+  const sql = getSQL();
+  const rows = await sql`SELECT built_at FROM hashtag_bank_builds WHERE id = 1`;
+  return rows[0]?.built_at || null;
+}
+
+// The user's newest captions, queued or made in Create, newest first; the
+// caller reads the tags out of them.
+export async function getRecentHashtagSets(userId, n = 2) {
+  const sql = getSQL();
+  const rows = await sql`
+    SELECT caption FROM (
+      SELECT caption, created_at FROM posts WHERE user_id = ${userId}
+      UNION ALL
+      SELECT caption, created_at FROM carousels WHERE user_id = ${userId}
+    ) c
+    ORDER BY created_at DESC
+    LIMIT ${n}
+  `;
+  return rows.map((r) => r.caption || '');
+}
+
+// ---- Similarity guard (api/_similarity.js) ----
+
+// The user's newest decks, queued or made in Create. A post the user skipped
+// never reached the feed, so it doesn't count.
+export async function getRecentSlideSets(userId, n = 20) {
+  const sql = getSQL();
+  return sql`
+    SELECT id, slides FROM (
+      SELECT 'post-' || id AS id, slides, created_at FROM posts
+      WHERE user_id = ${userId} AND status <> 'skipped'
+      UNION ALL
+      SELECT 'carousel-' || id AS id, slides, created_at FROM carousels WHERE user_id = ${userId}
+    ) d
+    ORDER BY created_at DESC
+    LIMIT ${n}
+  `;
+}
+
 // ---- User-facing Autopilot controls ----
 
 export async function setAutopilotEnabled(userId, enabled) {
@@ -1259,16 +2331,35 @@ export async function setPostSlot(userId, slot) {
   await sql`UPDATE users SET post_slot = ${slot}, updated_at = NOW() WHERE id = ${userId}`;
 }
 
+export async function setExtraPlatforms(userId, platforms) {
+  const sql = getSQL();
+  await sql`UPDATE users SET extra_platforms = ${platforms}, updated_at = NOW() WHERE id = ${userId}`;
+}
+
+// The per-platform captions an edit of a queued post is laid over.
+export async function getQueuedPostCaptions(userId, postId) {
+  const sql = getSQL();
+  const rows = await sql`
+    SELECT captions FROM posts WHERE id = ${postId} AND user_id = ${userId} AND status = 'queued'
+  `;
+  return rows[0]?.captions || null;
+}
+
 // Manual edit of a queued post. The status guard in the WHERE clause makes the
 // edit atomic: if the publisher claimed the post between page load and save,
 // zero rows update and the caller reports "too late" instead of clobbering.
-export async function updateQueuedPost(userId, postId, slides, caption) {
+// A null `captions` leaves the stored per-platform captions as they are.
+// `compliance` is always rewritten: the edit was re-checked, so a clean one
+// releases a held post.
+export async function updateQueuedPost(userId, postId, slides, caption, captions = null, compliance = null) {
   const sql = getSQL();
   const rows = await sql`
     UPDATE posts
-    SET slides = ${JSON.stringify(slides)}, caption = ${caption}
+    SET slides = ${JSON.stringify(slides)}, caption = ${caption},
+        captions = COALESCE(${captions ? JSON.stringify(captions) : null}::jsonb, captions),
+        compliance = ${compliance?.length ? JSON.stringify(compliance) : null}
     WHERE id = ${postId} AND user_id = ${userId} AND status = 'queued'
-    RETURNING id, scheduled_at, status, kind, style, slides, caption, platforms, accent, error, retries, created_at
+    RETURNING id, scheduled_at, status, kind, style, slides, caption, captions, platforms, accent, error, retries, series, compliance, created_at
   `;
   return rows[0] || null;
 }
@@ -1422,14 +2513,46 @@ export async function countAllPosts(userId) {
   return rows[0].n;
 }
 
-export async function createPost({ userId, scheduledAt, kind, style, slides, caption, accent, motifs, heroScene, platforms }) {
+let changelogSchemaPromise;
+
+// posts.release_id marks the what's-new post that announced a changelog entry
+// (api/_changelog.js), so autopilot announces each release once. Bootstrapped
+// by the topup run like the other autopilot columns; migrate-changelog.sql
+// stays the source of truth.
+export async function ensureChangelogSchema() {
+  if (!changelogSchemaPromise) {
+    changelogSchemaPromise = (async () => {
+      const sql = getSQL();
+      await sql`ALTER TABLE posts ADD COLUMN IF NOT EXISTS release_id TEXT`;
+      await sql`CREATE INDEX IF NOT EXISTS idx_posts_release ON posts(user_id, release_id) WHERE release_id IS NOT NULL`;
+    })().catch((error) => {
+      changelogSchemaPromise = null;
+      throw error;
+    });
+  }
+  return changelogSchemaPromise;
+}
+
+// Every release a post was ever queued for, whatever became of the post: a
+// what's-new the user cancelled was still their call on that release.
+export async function getAnnouncedReleaseIds(userId) {
+  const sql = getSQL();
+  const rows = await sql`
+    SELECT DISTINCT release_id FROM posts
+    WHERE user_id = ${userId} AND release_id IS NOT NULL
+  `;
+  return rows.map((r) => r.release_id);
+}
+
+export async function createPost({ userId, scheduledAt, kind, style, slides, caption, captions, accent, motifs, heroScene, platforms, releaseId, series, compliance }) {
   const sql = getSQL();
   try {
     const rows = await sql`
-      INSERT INTO posts (user_id, scheduled_at, kind, style, slides, caption, accent, motifs, hero_scene, platforms)
+      INSERT INTO posts (user_id, scheduled_at, kind, style, slides, caption, captions, accent, motifs, hero_scene, platforms, release_id, series, compliance)
       SELECT ${userId}, ${scheduledAt}, ${kind}, ${style}, ${JSON.stringify(slides)},
-             ${caption}, ${accent || ''}, ${JSON.stringify(motifs || [])}, ${heroScene || ''},
-             ${platforms || ['tiktok', 'instagram']}
+             ${caption}, ${captions ? JSON.stringify(captions) : null}, ${accent || ''}, ${JSON.stringify(motifs || [])}, ${heroScene || ''},
+             ${platforms || ['tiktok', 'instagram']}, ${releaseId || null}, ${series ? JSON.stringify(series) : null},
+             ${compliance?.length ? JSON.stringify(compliance) : null}
       WHERE NOT EXISTS (
         SELECT 1 FROM posts
         WHERE user_id = ${userId} AND scheduled_at = ${scheduledAt}
@@ -1460,7 +2583,7 @@ export async function createPost({ userId, scheduledAt, kind, style, slides, cap
 // Claims are atomic: overlapping primary/recovery/manual runs can never render
 // and submit the same row at the same time. A stable provider request id then
 // covers the crash window between upload-post accepting a request and this
-// process recording its response.
+// process recording its response. A post held for compliance is never claimed.
 export async function claimDuePosts(runId, limit = 5) {
   const sql = getSQL();
   return sql`
@@ -1469,7 +2592,7 @@ export async function claimDuePosts(runId, limit = 5) {
       FROM posts p
       JOIN users u ON u.id = p.user_id
       WHERE p.status IN ('queued', 'blocked') AND p.scheduled_at <= NOW()
-        AND u.autopilot_enabled
+        AND u.autopilot_enabled AND p.compliance IS NULL
       ORDER BY p.scheduled_at ASC
       FOR UPDATE OF p SKIP LOCKED
       LIMIT ${limit}
@@ -1754,4 +2877,61 @@ export async function logUsage({ provider, op, units = 1, inTokens = null, outTo
   }
 }
 
+// ============================================
+// ADMIN: YOUTUBE QUOTA LEDGER
+// ============================================
+// YouTube calls cost quota units, not money, so they never reach api_usage.
+// ytFetch records each call's units here by Pacific quota day and call type
+// (search, videos, channels); discovery plans against what is left
+// (api/_ytquota.js).
+
+let youtubeQuotaSchemaPromise;
+
+export async function ensureYouTubeQuotaSchema() {
+  if (!youtubeQuotaSchemaPromise) {
+    youtubeQuotaSchemaPromise = (async () => {
+      const sql = getSQL();
+      await sql`
+        CREATE TABLE IF NOT EXISTS youtube_quota (
+          day DATE NOT NULL,
+          call_type VARCHAR(20) NOT NULL,
+          units INTEGER NOT NULL DEFAULT 0,
+          calls INTEGER NOT NULL DEFAULT 0,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (day, call_type)
+        )
+      `;
+    })().catch((e) => {
+      youtubeQuotaSchemaPromise = null;
+      throw e;
+    });
+  }
+  return youtubeQuotaSchemaPromise;
+}
+
+// Best-effort, like logUsage: ytFetch calls it without await.
+export async function recordYouTubeQuota(callType, units, day = youtubeQuotaDay()) {
+  try {
+    await ensureYouTubeQuotaSchema();
+    const sql = getSQL();
+    await sql`
+      INSERT INTO youtube_quota (day, call_type, units, calls)
+      VALUES (${day}, ${callType}, ${units}, 1)
+      ON CONFLICT (day, call_type) DO UPDATE SET
+        units = youtube_quota.units + EXCLUDED.units,
+        calls = youtube_quota.calls + 1,
+        updated_at = NOW()
+    `;
+  } catch (error) {
+    console.error('youtube quota log failed:', String(error?.message || error).substring(0, 200));
+  }
+}
+
+export async function getYouTubeQuotaUsed(day = youtubeQuotaDay()) {
+  await ensureYouTubeQuotaSchema();
+  const sql = getSQL();
+  const rows = await sql`SELECT COALESCE(SUM(units), 0)::int AS units FROM youtube_quota WHERE day = ${day}`;
+  return rows[0]?.units || 0;
+}
+
 export { getSQL };
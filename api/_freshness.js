@@ -0,0 +1,176 @@
+// api/_freshness.js — Hook freshness decay. FRESH_WINDOW_DAYS gates a source
+// only when it is discovered; once accepted, a hook stayed in the pick pools
+// for as long as it passed the original gates. The decay job re-scores every
+// live hook from its age, its current view velocity and how often our users
+// have already posted it, and retires the ones below a floor. Admin-pinned
+// (evergreen) hooks are scored but never retired.
+// Runs daily through /api/mine?action=decay (vercel.json cron).
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+import {
+  getDecayNiches, getHooksForDecay, applyHookDecay, refreshHookStats,
+} from './_db.js';
+import { computeOutlierScore, getVideoStats, FRESH_WINDOW_DAYS } from './_youtube.js';
+import { youtubeVideoId } from './_transcript.js';
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Neon returns timestamps as Date objects, fixtures and APIs as strings.
+function toMs(value) {
+  return value ? new Date(value).getTime() : NaN;
+}
+
+// A hook's pull halves every discovery window: at 120 days it is worth half
+// a new one, at 240 a quarter.
+export const HOOK_HALF_LIFE_DAYS = FRESH_WINDOW_DAYS;
+// A source still gaining this many views a day is being pushed right now and
+// scores up to double.
+export const VELOCITY_REFERENCE_PER_DAY = 10_000;
+// Uses in the window that halve a hook's score: the eighth carousel or post
+// on the same opening is one our users' audiences have likely seen.
+export const REUSE_HALF_AT = 8;
+export const REUSE_WINDOW_DAYS = 90;
+// Below this a hook is retired. A hook with no momentum and no reuse crosses
+// it at 240 days old; one used eight times, at 120.
+export const DECAY_FLOOR = 0.25;
+
+/**
+ * The decayed score of one hook, 1 for a new unused source with no momentum.
+ * @param {{ ageDays: number, viewsPerDay?: number, uses?: number }} signals
+ * @returns {number}
+ */
+export function hookFreshnessScore({ ageDays, viewsPerDay = 0, uses = 0 }) {
+  const age = 0.5 ** (Math.max(0, Number(ageDays) || 0) / HOOK_HALF_LIFE_DAYS);
+  const velocity = 1 + Math.min(1, Math.max(0, Number(viewsPerDay) || 0) / VELOCITY_REFERENCE_PER_DAY);
+  const reuse = 1 / (1 + Math.max(0, Number(uses) || 0) / REUSE_HALF_AT);
+  return Math.round(age * velocity * reuse * 1000) / 1000;
+}
+
+/**
+ * Score one hook row against its refreshed stats (null when the platform has
+ * none to offer: velocity then counts as zero).
+ */
+export function assessHookFreshness(hook, fresh, nowMs = Date.now()) {
+  const publishedMs = toMs(fresh?.publishedAt || hook.published_at);
+  const ageDays = Number.isFinite(publishedMs) ? Math.max(0, (nowMs - publishedMs) / DAY_MS) : 0;
+  let viewsPerDay = 0;
+  if (fresh) {
+    const verifiedMs = toMs(hook.last_verified);
+    const sinceDays = Number.isFinite(verifiedMs) ? Math.max(1, (nowMs - verifiedMs) / DAY_MS) : 1;
+    viewsPerDay = Math.max(0, Number(fresh.views) - Number(hook.views || 0)) / sinceDays;
+  }
+  const uses = Number(hook.uses) || 0;
+  const score = hookFreshnessScore({ ageDays, viewsPerDay, uses });
+  return {
+    id: hook.id,
+    score,
+    ageDays: Math.round(ageDays),
+    viewsPerDay: Math.round(viewsPerDay),
+    uses,
+    pinned: !!hook.pinned,
+    decayed: score < DECAY_FLOOR,
+  };
+}
+
+// Current YouTube stats for a niche's YouTube hooks (one quota unit per 50).
+// Other platforms have no cheap stats refresh; they decay on age and reuse.
+async function refreshedStats(hooks, apiKey, deps) {
+  const ids = hooks.map((h) => youtubeVideoId(h.video_url)).filter(Boolean);
+  if (!apiKey || ids.length === 0) return new Map();
+  return deps.getVideoStats([...new Set(ids)], apiKey);
+}
+
+/**
+ * Decay one niche's pool. dry=true scores and reports without writing.
+ * @returns {Promise<{ niche, checked, refreshed, kept, pinnedKept, retired: object[], errors: string[] }>}
+ */
+export async function decayNiche(niche, { apiKey, dry = false, nowMs = Date.now(), deps: overrides = {} } = {}) {
+  const deps = { getHooksForDecay, applyHookDecay, refreshHookStats, getVideoStats, ...overrides };
+  const errors = [];
+  const hooks = await deps.getHooksForDecay(niche.id, REUSE_WINDOW_DAYS);
+
+  let stats = new Map();
+  try {
+    stats = await refreshedStats(hooks, apiKey, deps);
+  } catch (error) {
+    errors.push(`stats: ${error.message}`);
+  }
+
+  let refreshed = 0;
+  const assessed = [];
+  for (const hook of hooks) {
+    const fresh = stats.get(youtubeVideoId(hook.video_url)) || null;
+    assessed.push({ hook, ...assessHookFreshness(hook, fresh, nowMs) });
+    if (!fresh || dry) continue;
+    try {
+      await deps.refreshHookStats(
+        hook.video_url, fresh.views, hook.followers,
+        computeOutlierScore(fresh.views, hook.followers), fresh.publishedAt,
+      );
+      refreshed++;
+    } catch (error) {
+      errors.push(`refresh ${hook.video_url}: ${error.message}`);
+    }
+  }
+
+  const candidates = assessed.filter((a) => a.decayed && !a.pinned);
+  let retiredIds = new Set(candidates.map((a) => a.id));
+  if (!dry && hooks.length > 0) {
+    const applied = await deps.applyHookDecay(
+      niche.id,
+      assessed.map((a) => ({ id: a.id, score: a.score })),
+      [...retiredIds],
+    );
+    retiredIds = new Set(applied.retired);
+  }
+
+  const retired = candidates
+    .filter((a) => retiredIds.has(a.id))
+    .map((a) => ({
+      id: a.id,
+      hook: a.hook.hook_verbatim || a.hook.hook_template,
+      url: a.hook.video_url,
+      score: a.score,
+      ageDays: a.ageDays,
+      viewsPerDay: a.viewsPerDay,
+      uses: a.uses,
+    }));
+  return {
+    niche: niche.slug,
+    checked: hooks.length,
+    refreshed,
+    kept: hooks.length - retired.length,
+    pinnedKept: assessed.filter((a) => a.decayed && a.pinned).length,
+    retired,
+    errors,
+  };
+}
+
+/**
+ * The scheduled job: decays the least recently decayed niches until the time
+ * budget runs out. One niche's failure is reported and the run moves on.
+ * Nothing is logged here; the caller logs the returned totals.
+ */
+export async function runHookDecay({
+  apiKey, dry = false, niches = null, timeBudgetMs = 40_000, deps = {},
+} = {}) {
+  const queue = niches || await (deps.getDecayNiches || getDecayNiches)();
+  const started = Date.now();
+  const reports = [];
+  for (const niche of queue) {
+    if (reports.length > 0 && Date.now() - started > timeBudgetMs) break;
+    try {
+      reports.push(await decayNiche(niche, { apiKey, dry, deps }));
+    } catch (error) {
+      reports.push({ niche: niche.slug, error: error.message });
+    }
+  }
+  return {
+    dry,
+    floor: DECAY_FLOOR,
+    decayed: reports.length,
+    remaining: queue.length - reports.length,
+    retired: reports.reduce((n, r) => n + (r.retired?.length || 0), 0),
+    niches: reports,
+  };
+}
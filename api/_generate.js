@@ -2,13 +2,26 @@
 // endpoint (api/carousel.js) and the autopilot cron (api/autopilot.js).
 // Vercel ignores _-prefixed files in api/ as endpoints.
 
-import { getAutoHookPool, getGlobalHookPool, getHooksByIds } from './_db.js';
+import { getAutoHookPool, getGlobalHookPool, getHooksByIds, getRecentHookMechanisms } from './_db.js';
 import { callGemini } from './_shared.js';
-import { CAROUSEL_COPY_PROMPT, HOOK_PICK_PROMPT } from './_prompts.js';
+import { CAROUSEL_COPY_PROMPT, HOOK_PICK_PROMPT, SLIDE_REWRITE_PROMPT } from './_prompts.js';
 import { NICHE_CLASSIFIER_VERSION } from './_niches.js';
-import { scheduledTimeForSlot } from './_autopilot-controls.js';
+import { scheduledTimeForSlot, MAX_SLIDES } from './_autopilot-controls.js';
+import { TONES, pickTone, voiceForPrompt, findBannedPhrases } from './_voice.js';
+import { findUnsupportedClaims, describeClaims } from './_claims.js';
+import { languageForPrompt } from './_language.js';
+import { postKind, cleanPostKind } from './_kinds.js';
+import { hookMechanism, leastUsedMechanismHooks } from './_mechanisms.js';
+import { loadHashtagContext, pickHashtags } from './_hashtags.js';
+import { buildCaptions, captionTags } from './_captions.js';
+import { avoidAngles, cleanAngles, findSimilarPosts, loadRecentSlides } from './_similarity.js';
+import { complianceForPrompt, describeViolations, disclaimerFor, findComplianceViolations, softenPlan } from './_compliance.js';
 
+// The default deck length. Posts can run MIN_SLIDES..MAX_SLIDES; the manual
+// edit validator owns the ceiling so a generated deck is always editable.
 export const SLIDE_COUNT = 6;
+export const MIN_SLIDES = 3;
+export { MAX_SLIDES };
 
 // The accent is always the USER'S brand color — Hooklab orange must never
 // leak into customer output. No color known -> neutral that fits the style.
@@ -102,23 +115,101 @@ Compose the subject in the lower two thirds of the frame. The top third stays da
 No illustration, no 3D render, no collage, no split screen. ABSOLUTELY NO text, letters, numbers, words, logos, watermarks, phone screens or user interfaces.`;
 }
 
-// 75% value listicles, 25% direct product showcase, deterministic by post count.
-export function postKind(n) {
-  return n % 4 === 3 ? 'showcase' : 'value';
+// The n-th post's kind, rotating through the profile's kind mix
+// (api/_kinds.js); three value posts to every showcase by default.
+export { postKind };
+
+// Each post kind has shapes that fit it, and the length is part of the shape:
+// a one-tip post padded to six slides is filler, and a deep dive cut to six
+// drops the substance that earns the save. Weights set how often an automatic
+// generation lands on each; the listicle stays the common case.
+export const SLIDE_STRUCTURES = {
+  value: [
+    { shape: 'one-tip', slideCount: 3, weight: 1 },
+    { shape: 'listicle', slideCount: 6, weight: 3 },
+    { shape: 'deep-dive', slideCount: 10, weight: 1 },
+  ],
+  showcase: [
+    { shape: 'problem-story', slideCount: 5, weight: 1 },
+    { shape: 'problem-story', slideCount: 6, weight: 2 },
+  ],
+  'myth-fact': [
+    { shape: 'myth-fact', slideCount: 5, weight: 2 },
+    { shape: 'myth-fact', slideCount: 7, weight: 1 },
+  ],
+  'before-after': [
+    { shape: 'before-after', slideCount: 4, weight: 1 },
+    { shape: 'before-after', slideCount: 6, weight: 2 },
+  ],
+  tutorial: [
+    { shape: 'step-by-step', slideCount: 5, weight: 1 },
+    { shape: 'step-by-step', slideCount: 7, weight: 2 },
+  ],
+  'old-way': [
+    { shape: 'old-vs-new', slideCount: 5, weight: 2 },
+    { shape: 'old-vs-new', slideCount: 6, weight: 1 },
+  ],
+  'customer-story': [
+    { shape: 'customer-story', slideCount: 5, weight: 1 },
+    { shape: 'customer-story', slideCount: 6, weight: 1 },
+  ],
+  changelog: [
+    { shape: 'whats-new', slideCount: 4, weight: 1 },
+    { shape: 'whats-new', slideCount: 5, weight: 1 },
+  ],
+};
+
+// null for anything that isn't a whole number (Number(null) would be 0 and
+// silently ask for the shortest deck).
+export function clampSlideCount(n) {
+  const count = typeof n === 'string' && n.trim() ? Number(n) : n;
+  if (!Number.isInteger(count)) return null;
+  return Math.min(MAX_SLIDES, Math.max(MIN_SLIDES, count));
 }
 
-// Tone is picked per generation, not pinned on the profile. Autopilot ships 30
-// posts a month from one account: a single locked voice reads like a bot, and
-// nobody ever went back to change a select they set once.
-export const TONES = ['casual', 'professional', 'funny', 'authority'];
+function closestShape(shapes, slideCount) {
+  return shapes.reduce((best, s) =>
+    Math.abs(s.slideCount - slideCount) < Math.abs(best.slideCount - slideCount) ? s : best).shape;
+}
 
-export function pickTone() {
-  return TONES[Math.floor(Math.random() * TONES.length)];
+// A requested length keeps the kind's closest shape (ask for 3 slides of value
+// and you get the one-tip shape). No request -> weighted pick per kind.
+export function pickStructure(kind, slideCount = null, rand = Math.random) {
+  const shapes = SLIDE_STRUCTURES[kind] || SLIDE_STRUCTURES.value;
+  const requested = clampSlideCount(slideCount);
+  if (requested) return { shape: closestShape(shapes, requested), slideCount: requested };
+  const total = shapes.reduce((sum, s) => sum + s.weight, 0);
+  let roll = rand() * total;
+  for (const s of shapes) {
+    roll -= s.weight;
+    if (roll < 0) return { shape: s.shape, slideCount: s.slideCount };
+  }
+  const last = shapes[shapes.length - 1];
+  return { shape: last.shape, slideCount: last.slideCount };
 }
 
+// Tone is still picked per generation — one tone on every autopilot post reads
+// like a bot — but from the brand voice's allowed tones and weights when the
+// profile has them (api/_voice.js).
+export { TONES, pickTone };
+
 export function retryablePlanError(error) {
   const message = String(error?.message || error || '');
-  return /invalid response|empty response|AI error \((429|5\d\d)\)/i.test(message);
+  return /invalid response|empty response|banned phrase|unsupported product claim|slides instead of|AI error \((429|5\d\d)\)/i.test(message);
+}
+
+function planRetryInstruction(error) {
+  if (error?.unsupportedClaims?.length) {
+    return `\n\nYour previous response made product claims that product.what, product.benefit and product.facts do not support: ${describeClaims(error.unsupportedClaims)}. Write the post again: every number, feature name and superlative about the product must come from those fields, or be left out.`;
+  }
+  if (error?.slideCount) {
+    return `\n\nYour previous response had ${error.slideCount.got} slides. Write the post again with exactly ${error.slideCount.want} slides, as slideCount asks.`;
+  }
+  const banned = error?.bannedPhrases;
+  if (banned?.length) {
+    return `\n\nYour previous response used banned phrases: ${banned.map((p) => `"${p}"`).join(', ')}. Write the post again without any of them, in any form.`;
+  }
+  return '\n\nYour previous response was not valid JSON. Return one complete JSON object, double-check every comma, quote, brace, and bracket before responding.';
 }
 
 async function generatePlanJson(payload) {
@@ -126,16 +217,46 @@ async function generatePlanJson(payload) {
   let lastError;
   for (let attempt = 0; attempt < 2; attempt++) {
     try {
-      const retryInstruction = attempt
-        ? '\n\nYour previous response was not valid JSON. Return one complete JSON object, double-check every comma, quote, brace, and bracket before responding.'
-        : '';
-      const out = await callGemini(CAROUSEL_COPY_PROMPT + retryInstruction, input, attempt ? 0.35 : 0.7);
-      if (!out || !Array.isArray(out.slides) || out.slides.length === 0) {
+      const retryInstruction = attempt ? planRetryInstruction(lastError) : '';
+      const out = await callGemini(CAROUSEL_COPY_PROMPT + retryInstruction, input, attempt ? 0.35 : 0.7, { site: 'copy' });
+      // A deck shorter than the minimum has no middle to pay the hook off.
+      if (!out || !Array.isArray(out.slides) || out.slides.length < MIN_SLIDES) {
         throw new Error('AI returned an invalid response. Please try again.');
       }
+      // The structure was picked for this many slides: a short deck loses the
+      // shape's payoff, a long one would be cut before its close.
+      if (out.slides.length !== payload.slideCount) {
+        const error = new Error(`AI returned ${out.slides.length} slides instead of ${payload.slideCount}. Please try again.`);
+        error.slideCount = { got: out.slides.length, want: payload.slideCount };
+        throw error;
+      }
+      // The prompt asks; this enforces. A banned phrase on an autopilot post
+      // goes out under the customer's name unreviewed.
+      const found = findBannedPhrases(out, payload.voice?.banned);
+      if (found.length) {
+        const error = new Error(`AI used a banned phrase (${found.join(', ')}). Please try again.`);
+        error.bannedPhrases = found;
+        throw error;
+      }
+      // A what's-new post announces the release notes, so they count as
+      // product facts here.
+      const support = { ...payload.product, facts: [...payload.product.facts, ...(payload.changes || [])] };
+      const claims = findUnsupportedClaims(out, support, { language: payload.language?.code });
+      if (claims.length) {
+        const error = new Error(`AI made unsupported product claims: ${describeClaims(claims)}`);
+        error.unsupportedClaims = claims;
+        error.plan = out;
+        throw error;
+      }
       return out;
     } catch (error) {
       lastError = error;
+      // Still over-claiming after the retry: hand the plan back flagged and
+      // let the caller decide. Create shows it for review; autopilot, where
+      // nobody reads the post before it goes out, refuses to queue it.
+      if (attempt > 0 && error.unsupportedClaims) {
+        return { ...error.plan, unsupportedClaims: error.unsupportedClaims };
+      }
       if (attempt > 0 || !retryablePlanError(error)) throw error;
       console.warn('carousel plan generation failed once; retrying:', error.message);
     }
@@ -174,7 +295,35 @@ export function nextSlots(nowIso, existing, days, postSlot) {
   return out;
 }
 
-export function buildPlanPayload({ profile, hook, kind, slideCount, tone }) {
+// What a what's-new post may announce: short, plain lines from release notes.
+export function cleanChanges(changes) {
+  return (Array.isArray(changes) ? changes : [])
+    .map((c) => String(c || '').replace(/[\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim().substring(0, 160))
+    .filter(Boolean)
+    .slice(0, 8);
+}
+
+// What one part of a series needs to know: the theme, its place, the shared
+// opening move, and what each earlier part's slides already said.
+export function cleanSeriesContext(series) {
+  const part = Number(series?.part), of = Number(series?.of);
+  if (!Number.isInteger(part) || !Number.isInteger(of) || part < 1 || of < 2 || part > of) return null;
+  return {
+    theme: String(series.theme || '').replace(/\s+/g, ' ').trim().substring(0, 200),
+    part,
+    of,
+    mechanism: String(series.mechanism || '').substring(0, 30),
+    previous: (Array.isArray(series.previous) ? series.previous : [])
+      .filter((p) => Number(p?.part) < part)
+      .map((p) => ({ part: Number(p.part), slides: cleanChanges(p.slides).slice(0, 10) }))
+      .slice(-(of - 1)),
+  };
+}
+
+export function buildPlanPayload({ profile, hook, kind, slideCount, tone, structure, changes = [], series = null, avoid = [] }) {
+  const safeKind = cleanPostKind(kind);
+  const shapes = SLIDE_STRUCTURES[safeKind];
+  const count = clampSlideCount(slideCount) || SLIDE_COUNT;
   return {
     product: {
       name: profile.name || '',
@@ -186,9 +335,16 @@ export function buildPlanPayload({ profile, hook, kind, slideCount, tone }) {
       tone: TONES.includes(tone) ? tone : 'casual',
     },
     audienceNiche: profile.audience_niche?.name || 'General',
-    hook: { template: hook.hook_template, verbatim: hook.hook_verbatim || '', topic: hook.topic || '' },
-    kind: kind === 'showcase' ? 'showcase' : 'value',
-    slideCount,
+    hook: { template: hook.hook_template, verbatim: hook.hook_verbatim || '', topic: hook.topic || '', fit: cleanRationale(hook.fit) },
+    kind: safeKind,
+    structure: shapes.some((s) => s.shape === structure) ? structure : closestShape(shapes, count),
+    slideCount: count,
+    voice: voiceForPrompt(profile.voice),
+    language: languageForPrompt(profile.language),
+    changes: safeKind === 'changelog' ? cleanChanges(changes) : [],
+    series: cleanSeriesContext(series),
+    avoid: cleanAngles(avoid),
+    compliance: complianceForPrompt(profile.audience_niche?.slug),
   };
 }
 
@@ -212,19 +368,47 @@ export function buildHookPickPayload(profile, pool) {
       hook: h.hook_verbatim || h.hook_template || '',
       topic: h.topic || '',
       views: Number(h.views || 0),
+      ...(h.source_type === 'text' ? { source: 'text' } : {}),
     })),
   };
 }
 
+// Why a hook suits the product: the mechanism kept, the subject swapped
+// ("original -> new") and the product job it now sells. The pick screen gives
+// one per hook; the copy model restates it for what it actually wrote. Shown
+// to the user beside the hook's source, so one plain line each.
+const RATIONALE_FIELDS = ['mechanism', 'subject', 'job'];
+
+export function cleanRationale(v) {
+  if (!v || typeof v !== 'object') return null;
+  const out = {};
+  for (const k of RATIONALE_FIELDS) {
+    out[k] = String(v[k] || '').replace(/[\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim().substring(0, 200);
+  }
+  return RATIONALE_FIELDS.some((k) => out[k]) ? out : null;
+}
+
+// The copy model's account wins field by field; the pick screen's fills gaps.
+export function mergeRationale(written, picked) {
+  const a = cleanRationale(written);
+  const b = cleanRationale(picked);
+  if (!a || !b) return a || b;
+  return Object.fromEntries(RATIONALE_FIELDS.map((k) => [k, a[k] || b[k]]));
+}
+
+// A picked hook carries its screen verdict as `fit` (a copy; pool rows are
+// never mutated). Hooks the model gave no reason for come back as they were.
 export function resolveHookPick(pool, out) {
   const ids = Array.isArray(out?.ids) ? out.ids : [];
+  const reasons = out?.reasons && typeof out.reasons === 'object' ? out.reasons : {};
   const byId = new Map(pool.map((h) => [h.id, h]));
   const seen = new Set();
   const picked = [];
   for (const id of ids) {
     if (byId.has(id) && !seen.has(id)) {
       seen.add(id);
-      picked.push(byId.get(id));
+      const fit = cleanRationale(reasons[id]);
+      picked.push(fit ? { ...byId.get(id), fit } : byId.get(id));
     }
   }
   return picked;
@@ -239,55 +423,122 @@ export function excludeHooks(pool, usedIds) {
   return filtered.length > 0 ? filtered : pool;
 }
 
-async function pickHook(profile, hookId, excludeHookIds) {
+// The pool's hooks that transplant onto this product, best fit first, as
+// judged by the hook-pick screen. Empty when the niche is stale or nothing
+// fits — callers never fall back to an unscreened hook.
+export async function screenHookPool(profile, { excludeHookIds = null, poolSize = 20 } = {}) {
   const nicheSlug = profile.audience_niche?.slug || '';
   if (
     !nicheSlug ||
     Number(profile.audience_niche?.classifier_version) !== NICHE_CLASSIFIER_VERSION
   ) {
-    return null;
-  }
-  if (Number.isInteger(hookId) && hookId > 0) {
-    const found = (await getHooksByIds([hookId], nicheSlug))[0];
-    if (found) return found;
+    return [];
   }
   // A brand-new audience niche starts empty (its mine runs async). Rather than
   // dead-ending the user's very first post, fall back to the strongest proven
   // hooks across ALL niches — the mechanism is what transfers, and the fit
   // screen below still judges every candidate against this product.
-  let pool = excludeHooks(await getAutoHookPool(nicheSlug, 20), excludeHookIds);
+  let pool = excludeHooks(await getAutoHookPool(nicheSlug, poolSize), excludeHookIds);
   if (pool.length === 0) {
-    pool = excludeHooks(await getGlobalHookPool(20), excludeHookIds);
+    pool = excludeHooks(await getGlobalHookPool(poolSize), excludeHookIds);
   }
-  if (pool.length === 0) return null;
+  if (pool.length === 0) return [];
   // Screen even a one-hook pool. An empty verdict, malformed response, or
   // upstream failure stops generation; a random bad-fit hook is not a useful
   // fallback for a customer-facing post.
   try {
-    const out = await callGemini(HOOK_PICK_PROMPT, JSON.stringify(buildHookPickPayload(profile, pool)), 0.2);
-    if (!out || !Array.isArray(out.ids)) return null;
-    const fit = resolveHookPick(pool, out);
-    if (fit.length > 0) return fit[Math.floor(Math.random() * fit.length)];
+    const out = await callGemini(HOOK_PICK_PROMPT, JSON.stringify(buildHookPickPayload(profile, pool)), 0.2, { site: 'hook-pick' });
+    if (!out || !Array.isArray(out.ids)) return [];
+    return resolveHookPick(pool, out);
   } catch (e) {
     console.error('hook pick failed closed:', e.message);
   }
-  return null;
+  return [];
+}
+
+// The mechanisms of the user's recent posts, newest first. Best effort: no
+// history only means no balancing.
+async function recentMechanisms(userId) {
+  if (!userId) return [];
+  const rows = await getRecentHookMechanisms(userId).catch(() => []);
+  return rows.map(hookMechanism);
+}
+
+async function pickHook(profile, hookId, excludeHookIds, userId = null) {
+  const nicheSlug = profile.audience_niche?.slug || '';
+  if (
+    !nicheSlug ||
+    Number(profile.audience_niche?.classifier_version) !== NICHE_CLASSIFIER_VERSION
+  ) {
+    return null;
+  }
+  if (Number.isInteger(hookId) && hookId > 0) {
+    const found = (await getHooksByIds([hookId], nicheSlug))[0];
+    if (found) return found;
+  }
+  const fit = await screenHookPool(profile, { excludeHookIds });
+  if (fit.length === 0) return null;
+  // Among the hooks that fit, prefer a mechanism the user's recent posts used
+  // least, so a run of one-off posts doesn't open the same way every time.
+  const balanced = leastUsedMechanismHooks(fit, await recentMechanisms(userId));
+  return balanced[Math.floor(Math.random() * balanced.length)];
 }
 
-export async function generateCarouselPlan({ profile, kind = 'value', hookId = null, styleOverride = '', excludeHookIds = null }) {
-  const hook = await pickHook(profile, hookId, excludeHookIds);
-  if (!hook) {
+// A series part arrives with its hook already chosen (api/_series.js keeps
+// every part on the series' mechanism) and the earlier parts' slides in
+// `series.previous`. `userId` lets the hashtag pick rotate away from the
+// user's last posts and the copy be checked against their recent decks.
+export async function generateCarouselPlan({ profile, userId = null, kind = 'value', hook = null, hookId = null, styleOverride = '', excludeHookIds = null, slideCount = null, changes = [], series = null }) {
+  const picked = hook || await pickHook(profile, hookId, excludeHookIds, userId);
+  if (!picked) {
     throw new Error('No hooks passed the source-and-fit checks for this product yet — try again after the next research run.');
   }
+  const [hashtags, recent] = await Promise.all([loadHashtagContext(profile, userId), loadRecentSlides(userId)]);
+  return writeCarouselPlan({ profile, hook: picked, kind, styleOverride, slideCount, changes, series, hashtags, recent });
+}
 
+// Everything after the hook is chosen: style, tone, shape, copy and the
+// caption. Needs no database, so with LLM_PROVIDER=fake it runs offline;
+// `hashtags` is the niche bank and recent sets from loadHashtagContext, and
+// `recent` the user's recent decks ({ id, slides }) from loadRecentSlides.
+export async function writeCarouselPlan({ profile, hook, kind = 'value', styleOverride = '', slideCount = null, changes = [], series = null, hashtags = null, recent = [] }) {
+  if (kind === 'changelog' && !cleanChanges(changes).length) {
+    throw new Error('A what\'s-new post needs release notes to announce.');
+  }
   const styleKeys = Object.keys(STYLES);
   const style = STYLES[styleOverride] ? styleOverride : styleKeys[Math.floor(Math.random() * styleKeys.length)];
 
-  const tone = pickTone();
-  const payload = buildPlanPayload({ profile, hook, kind, slideCount: SLIDE_COUNT, tone });
-  const out = await generatePlanJson(payload);
+  const tone = pickTone(profile.voice?.tones);
+  const structure = pickStructure(kind, slideCount);
+  const payload = buildPlanPayload({ profile, hook, kind, slideCount: structure.slideCount, tone, structure: structure.shape, changes, series });
+  let out = await generatePlanJson(payload);
 
-  const slides = out.slides.slice(0, SLIDE_COUNT).map((s, i) => ({
+  // Too close to a recent post: one rewrite, told which angles are taken. The
+  // rewrite wins only if it really moved away; a failed rewrite keeps the
+  // first plan rather than losing the post.
+  let similarity = null;
+  const similar = findSimilarPosts(out.slides.slice(0, structure.slideCount), recent);
+  if (similar.length) {
+    similarity = { score: similar[0].score, matchId: similar[0].id, rewritten: false };
+    try {
+      const retry = await generatePlanJson({ ...payload, avoid: cleanAngles([...payload.avoid, ...avoidAngles(similar)]) });
+      const still = findSimilarPosts(retry.slides.slice(0, structure.slideCount), recent);
+      const after = still.length ? still[0].score : 0;
+      if (after < similarity.score) {
+        out = retry;
+        similarity = { ...similarity, rewritten: true, after };
+      }
+    } catch (e) {
+      console.warn('similar plan rewrite failed; keeping the first plan:', e.message);
+    }
+  }
+
+  // Regulated niches: hype is softened before anything is kept. What is left
+  // of a forbidden claim is reported, and autopilot holds the post on it.
+  const nicheSlug = profile.audience_niche?.slug || '';
+  out = softenPlan(out, nicheSlug);
+
+  const slides = out.slides.slice(0, structure.slideCount).map((s, i) => ({
     index: i,
     heading: String(s.heading || '').substring(0, 120),
     body: String(s.body || '').substring(0, 220),
@@ -298,16 +549,110 @@ export async function generateCarouselPlan({ profile, kind = 'value', hookId = n
   // shipped simply renders without one.
   const cta = cleanCta(out.cta);
   if (cta) slides[slides.length - 1].cta = cta;
-  const hashtags = (Array.isArray(out.hashtags) ? out.hashtags : [])
-    .map((h) => String(h).replace(/^#/, '').replace(/[^a-z0-9_]/gi, '').toLowerCase())
-    .filter(Boolean).slice(0, 8);
-  let caption = String(out.caption || '').substring(0, 1000);
-  if (hashtags.length > 0) caption = caption + '\n\n' + hashtags.map((h) => '#' + h).join(' ');
+  // Banned and blocked tags are dropped here, before the caption exists, so
+  // no later edit path has to strip them back out.
+  const tags = pickHashtags({
+    bank: hashtags?.bank || [],
+    recentSets: hashtags?.recentSets || [],
+    modelTags: out.hashtags,
+    blocklist: profile.hashtag_blocklist || [],
+  });
+  // Each platform gets its own text, length and share of the tags; the
+  // Instagram one doubles as the post's main caption.
+  const captions = buildCaptions({
+    caption: String(out.caption || '').substring(0, 1000),
+    written: out.captions,
+    tags,
+    url: profile.app_url || '',
+    disclaimer: disclaimerFor(nicheSlug, profile.language),
+  });
 
   return {
-    hook, style, slides, caption,
+    hook, style, slides, caption: captions.instagram, captions,
+    kind: cleanPostKind(kind),
     motifs: cleanMotifs(out.motifs),
     heroScene: cleanScene(out.heroScene),
     accent: validHex(profile.color),
+    unsupportedClaims: out.unsupportedClaims || [],
+    similarity,
+    rationale: mergeRationale(out.rationale, hook.fit),
+    complianceViolations: findComplianceViolations({ slides, captions }, nicheSlug, profile.language),
+  };
+}
+
+// ============================================
+// SINGLE-SLIDE REWRITE
+// ============================================
+// The instruction is user free text headed into a prompt: one short line, no
+// control characters.
+export function cleanRewriteInstruction(v) {
+  return String(v || '')
+    .replace(/[\u0000-\u001f\u007f]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, 160);
+}
+
+export function buildSlideRewritePayload({ profile, hook, slides, index, instruction, caption = '' }) {
+  return {
+    product: {
+      name: profile.name || '',
+      what: profile.what,
+      who: profile.who || '',
+      benefit: profile.benefit || '',
+      facts: Array.isArray(profile.facts) ? profile.facts : [],
+    },
+    audienceNiche: profile.audience_niche?.name || 'General',
+    hook: { verbatim: hook?.hook_verbatim || '', template: hook?.hook_template || '' },
+    slides: slides.map((s, i) => ({ index: i, heading: s.heading || '', body: s.body || '' })),
+    index,
+    caption: String(caption || ''),
+    instruction: cleanRewriteInstruction(instruction),
+    voice: voiceForPrompt(profile.voice),
+    language: languageForPrompt(profile.language),
+  };
+}
+
+// Rewrites slides[index]'s heading and body. Anything else the slide carries
+// (the CTA on the last one) is kept as is. The caption comes back fitted to the
+// new slide and every platform's caption is rebuilt from it with the post's
+// tags, so no stored caption describes a slide that is gone. The whole post is
+// then checked again, the same way a new plan is.
+export async function rewriteSlide({ profile, hook, slides, index, instruction, caption = '' }) {
+  const payload = buildSlideRewritePayload({ profile, hook, slides, index, instruction, caption });
+  const out = await callGemini(SLIDE_REWRITE_PROMPT, JSON.stringify(payload), 0.7, { site: 'copy' });
+  const heading = String(out?.heading || '').replace(/\s+/g, ' ').trim().substring(0, 120);
+  if (!heading) throw new Error('AI returned an invalid response. Please try again.');
+  const nicheSlug = profile.audience_niche?.slug || '';
+  const [soft] = softenPlan({ slides: [{ heading, body: index === 0 ? '' : String(out.body || '').trim() }] }, nicheSlug).slides;
+  const slide = {
+    ...slides[index],
+    index,
+    heading: soft.heading.substring(0, 120),
+    body: soft.body.substring(0, 220),
+  };
+  const found = findBannedPhrases({ slides: [slide] }, payload.voice.banned);
+  if (found.length) throw new Error(`AI used a banned phrase (${found.join(', ')}). Please try again.`);
+  const claims = findUnsupportedClaims({ slides: [slide] }, profile, { language: payload.language.code });
+  if (claims.length) {
+    throw new Error(`AI made a product claim your profile doesn't support (${claims.map((c) => c.claim).join(', ')}). Please try again.`);
+  }
+  const violations = findComplianceViolations({ slides: [slide] }, nicheSlug, profile.language);
+  if (violations.length) {
+    throw new Error(`AI made a claim your niche's platforms flag (${describeViolations(violations)}). Please try again.`);
+  }
+
+  const next = slides.map((s, i) => (i === index ? slide : s));
+  const captions = buildCaptions({
+    caption: String(out.caption || '').trim().substring(0, 1000) || payload.caption,
+    tags: captionTags(payload.caption),
+    url: profile.app_url || '',
+    disclaimer: disclaimerFor(nicheSlug, profile.language),
+  });
+  const post = { slides: next, caption: captions.instagram, captions };
+  return {
+    slide, slides: next, caption: captions.instagram, captions,
+    unsupportedClaims: findUnsupportedClaims(post, profile, { language: payload.language.code }),
+    complianceViolations: findComplianceViolations(post, nicheSlug, profile.language),
   };
 }
@@ -0,0 +1,223 @@
+// api/_hashtags.js — The per-niche hashtag bank. The copy model suggests tags
+// with no memory, so left alone a post gets the same eight tags every day,
+// or reach spam no platform rewards. The bank is built from what the niche's
+// mined sources actually tagged (hashtags in their titles, their topics, the
+// niche's search keywords) and from how our own posts did with each tag.
+// Tags are tiered by size, and a post's set is drawn across the tiers,
+// rotating away from the user's last sets. A global ban list and the user's
+// own blocklist apply before the caption is built.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+import {
+  ensureAnalyticsSchema, ensureHashtagSchema, getHashtagBank, getHashtagBankAge,
+  getHashtagSources, getRecentHashtagSets, replaceHashtagBank,
+} from './_db.js';
+import { cleanHashtag } from './_language.js';
+
+export const HASHTAG_TIERS = ['broad', 'mid', 'niche'];
+export const HASHTAG_COUNT = 8;
+
+// Broad tags reach, niche tags rank: a set of only broad tags drowns in the
+// feed, and a set of only tiny ones is never searched.
+export const TIER_MIX = { broad: 2, mid: 3, niche: 3 };
+
+// Reach-bait and platform-meta tags: no audience searches them, and the
+// platforms treat sets built from them as spam. Checked on every post, bank
+// or not.
+export const BANNED_HASHTAGS = [
+  'fyp', 'foryou', 'foryoupage', 'fypシ', 'viral', 'viralvideo', 'trending', 'trend',
+  'explore', 'explorepage', 'xyzbca', 'blowthisup', 'makemefamous',
+  'follow', 'followme', 'followforfollow', 'followback', 'f4f', 'like', 'likes',
+  'like4like', 'likeforlike', 'l4l', 'tagsforlikes', 'instagood', 'instadaily',
+  'photooftheday', 'picoftheday', 'shorts', 'youtubeshorts', 'ytshorts', 'short',
+  'reels', 'reel', 'reelsinstagram', 'instareels', 'tiktok', 'tiktokviral',
+  'instagram', 'youtube', 'video', 'subscribe', 'duet', 'stitch', 'capcut',
+];
+
+// Sources that carry a tag in at least this many niches are broad; one used
+// this often inside a niche (or one of its search keywords) is mid.
+const BROAD_SPREAD = 3;
+const MID_USES = 3;
+const MAX_BANK_PER_NICHE = 80;
+const MAX_BLOCKLIST = 50;
+const BANK_MAX_AGE_HOURS = 24;
+// The bank is English-sourced: a post in another language keeps the model's
+// own tags, which are written in that language.
+const BANK_LANGUAGE = 'en';
+
+const BANNED = new Set(BANNED_HASHTAGS);
+
+export function isBannedHashtag(tag) {
+  return BANNED.has(cleanHashtag(tag));
+}
+
+// The user's "never use these" list. Accepts the form's comma-separated text
+// or an array; null when empty so an absent list stays absent.
+export function cleanHashtagBlocklist(list) {
+  const raw = Array.isArray(list) ? list : String(list || '').split(/[,\s]+/);
+  const out = [...new Set(raw.map(cleanHashtag).filter(Boolean))].slice(0, MAX_BLOCKLIST);
+  return out.length ? out : null;
+}
+
+export function extractHashtags(text) {
+  const found = String(text || '').match(/#[\p{L}\p{M}\p{N}_]+/gu) || [];
+  return [...new Set(found.map(cleanHashtag).filter(Boolean))];
+}
+
+// A topic or keyword phrase as a tag people would type: one to three words,
+// 3 to 30 letters once joined. Longer phrases make tags nobody searches.
+export function phraseTag(phrase) {
+  const words = String(phrase || '').trim().split(/\s+/).filter(Boolean);
+  if (!words.length || words.length > 3) return '';
+  const tag = cleanHashtag(words.join(''));
+  return tag.length >= 3 && tag.length <= 30 ? tag : '';
+}
+
+export function hashtagTier({ spread = 1, uses = 0, keyword = false }) {
+  if (spread >= BROAD_SPREAD) return 'broad';
+  if (keyword || uses >= MID_USES) return 'mid';
+  return 'niche';
+}
+
+// Our own posts count double: they are this audience answering our posts,
+// where a mined source's views only say the tag was on a popular video.
+export function hashtagScore({ hookViews = 0, postUses = 0, postViews = 0 }) {
+  const perPost = postUses > 0 ? postViews / postUses : 0;
+  return Math.round((Math.log10(1 + hookViews) + 2 * Math.log10(1 + perPost)) * 1000) / 1000;
+}
+
+// Pure: every niche's bank from its sources. `niches` are { id, keywords },
+// `hooks` { niche_id, video_title, topic, views }, `posts` { niche_id,
+// caption, views }.
+export function buildHashtagBank({ niches = [], hooks = [], posts = [] }) {
+  const byNiche = new Map();
+  const entry = (nicheId, tag) => {
+    if (!tag || BANNED.has(tag)) return null;
+    if (!byNiche.has(nicheId)) byNiche.set(nicheId, new Map());
+    const tags = byNiche.get(nicheId);
+    if (!tags.has(tag)) tags.set(tag, { tag, keyword: false, hookUses: 0, hookViews: 0, postUses: 0, postViews: 0 });
+    return tags.get(tag);
+  };
+  for (const n of niches) {
+    for (const k of Array.isArray(n.keywords) ? n.keywords : []) {
+      const e = entry(n.id, phraseTag(k));
+      if (e) e.keyword = true;
+    }
+  }
+  for (const h of hooks) {
+    const tags = new Set([...extractHashtags(h.video_title), phraseTag(h.topic)].filter(Boolean));
+    for (const tag of tags) {
+      const e = entry(h.niche_id, tag);
+      if (!e) continue;
+      e.hookUses += 1;
+      e.hookViews += Number(h.views || 0);
+    }
+  }
+  for (const p of posts) {
+    for (const tag of extractHashtags(p.caption)) {
+      const e = entry(p.niche_id, tag);
+      if (!e) continue;
+      e.postUses += 1;
+      e.postViews += Number(p.views || 0);
+    }
+  }
+
+  const spread = new Map();
+  for (const tags of byNiche.values()) {
+    for (const tag of tags.keys()) spread.set(tag, (spread.get(tag) || 0) + 1);
+  }
+  const rows = [];
+  for (const [nicheId, tags] of byNiche) {
+    const ranked = [...tags.values()]
+      .map((e) => ({
+        nicheId,
+        tag: e.tag,
+        tier: hashtagTier({ spread: spread.get(e.tag), uses: e.hookUses + e.postUses, keyword: e.keyword }),
+        hookUses: e.hookUses,
+        hookViews: e.hookViews,
+        postUses: e.postUses,
+        postViews: e.postViews,
+        score: hashtagScore(e),
+      }))
+      .sort((a, b) => b.score - a.score || a.tag.localeCompare(b.tag))
+      .slice(0, MAX_BANK_PER_NICHE);
+    rows.push(...ranked);
+  }
+  return rows;
+}
+
+// Pure: one post's tags. The model's tags name what this post is about, so
+// they lead the niche tier; the bank fills each tier to TIER_MIX, best score
+// first, skipping tags the user's recent posts used while others remain.
+// Without a bank the model's tags go through the same bans and blocklist.
+export function pickHashtags({ bank = [], modelTags = [], recentSets = [], blocklist = [], count = HASHTAG_COUNT }) {
+  const blocked = new Set([...BANNED_HASHTAGS, ...(cleanHashtagBlocklist(blocklist) || [])]);
+  const recent = new Set(recentSets.flat());
+  const usable = (tag) => tag && !blocked.has(tag);
+  const model = [...new Set((Array.isArray(modelTags) ? modelTags : []).map(cleanHashtag))].filter(usable);
+  const banked = new Map(bank.map((b) => [cleanHashtag(b.tag), b]));
+  const fresh = (list) => [...list.filter((t) => !recent.has(t)), ...list.filter((t) => recent.has(t))];
+
+  const tiers = {};
+  for (const tier of HASHTAG_TIERS) {
+    tiers[tier] = fresh(bank
+      .filter((b) => b.tier === tier)
+      .sort((a, b) => Number(b.score) - Number(a.score))
+      .map((b) => cleanHashtag(b.tag))
+      .filter(usable));
+  }
+  tiers.niche = [...model.filter((t) => !banked.has(t) || banked.get(t).tier === 'niche'), ...tiers.niche];
+  const picked = [];
+  const take = (t) => { if (!picked.includes(t) && picked.length < count) picked.push(t); };
+  for (const tier of HASHTAG_TIERS) {
+    let n = 0;
+    for (const t of tiers[tier]) {
+      if (n >= TIER_MIX[tier]) break;
+      if (!picked.includes(t)) { take(t); n++; }
+    }
+  }
+  // A short tier leaves room: fill it from whatever is left, model first.
+  for (const t of [...model, ...HASHTAG_TIERS.flatMap((tier) => tiers[tier])]) take(t);
+
+  // Never the exact set the last post carried, while any other tag is left.
+  const last = recentSets[0] || [];
+  if (picked.length && picked.length === last.length && picked.every((t) => last.includes(t))) {
+    const spare = [...model, ...HASHTAG_TIERS.flatMap((tier) => tiers[tier])].find((t) => !picked.includes(t));
+    if (spare) picked[picked.length - 1] = spare;
+  }
+  return picked;
+}
+
+// What a plan needs to pick tags: the niche's bank (English posts only) and
+// the user's last sets. Best effort: a missing bank just means model tags.
+export async function loadHashtagContext(profile, userId = null) {
+  const slug = profile?.audience_niche?.slug || '';
+  try {
+    await ensureHashtagSchema();
+    const [bank, recentSets] = await Promise.all([
+      slug && (profile.language || BANK_LANGUAGE) === BANK_LANGUAGE ? getHashtagBank(slug) : [],
+      userId ? getRecentHashtagSets(userId, 2) : [],
+    ]);
+    return { bank, recentSets: recentSets.map(extractHashtags) };
+  } catch (e) {
+    console.error('hashtag bank load failed:', e.message);
+    return { bank: [], recentSets: [] };
+  }
+}
+
+// Rebuilds every niche's bank from scratch. A few reads and one batched
+// write; runs once a day from the topup job.
+export async function refreshHashtagBank() {
+  await ensureHashtagSchema();
+  await ensureAnalyticsSchema();
+  const rows = buildHashtagBank(await getHashtagSources());
+  await replaceHashtagBank(rows);
+  return rows.length;
+}
+
+export async function refreshHashtagBankIfStale(maxAgeHours = BANK_MAX_AGE_HOURS) {
+  await ensureHashtagSchema();
+  const updated = await getHashtagBankAge();
+  if (updated && Date.now() - new Date(updated).getTime() < maxAgeHours * 3600000) return null;
+  return refreshHashtagBank();
+}
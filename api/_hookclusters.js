@@ -0,0 +1,109 @@
+// api/_hookclusters.js — Near-duplicate hook clustering. One viral opening
+// gets copied by several creators with a word changed, and each copy clears
+// the reach bar on its own; without clustering a pick pool can hand the model
+// five of the same hook. The miner stores a cluster id on every hook
+// (clusterNicheHooks in api/_miner.js) and the pick pools keep one hook per
+// cluster. Pure: no database or model calls.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+import crypto from 'crypto';
+import { compareCandidateReach } from './_youtube.js';
+
+// Share of a template's fixed words, in order, that must match for two
+// templates to be one hook: one changed word in four or more fixed words
+// clusters; "how I ___ in ___" and "how I ___ without ___" do not.
+export const HOOK_CLUSTER_THRESHOLD = 0.75;
+// The pools over-fetch by this factor so a pool of near-duplicates still
+// fills after each cluster collapses to one hook.
+export const HOOK_POOL_OVERFETCH = 4;
+
+/**
+ * The stored form of a hook template: one space between words, every slot
+ * written `___`, adjacent slots merged.
+ */
+export function normalizeHookTemplate(template) {
+  return String(template || '')
+    .normalize('NFC')
+    .replace(/_{2,}/g, ' ___ ')
+    .replace(/\s+/g, ' ')
+    .replace(/___(?: ___)+/g, '___')
+    .replace(/\s+([,.!?;:])/g, '$1')
+    .trim();
+}
+
+// The fixed words of a template, lowercased and without punctuation or slots:
+// the part of a hook that is the same in every copy.
+export function templateWords(template) {
+  return normalizeHookTemplate(template)
+    .toLowerCase()
+    .replace(/[‘’']/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function wordEditDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Token similarity of two templates' fixed words, 0..1: one minus the word
+ * edit distance over the longer word list.
+ */
+export function templateSimilarity(a, b) {
+  const wa = Array.isArray(a) ? a : templateWords(a);
+  const wb = Array.isArray(b) ? b : templateWords(b);
+  const longest = Math.max(wa.length, wb.length);
+  if (longest === 0) return 0;
+  return 1 - wordEditDistance(wa, wb) / longest;
+}
+
+function clusterKey(words) {
+  return crypto.createHash('sha1').update(words.join(' ')).digest('hex').substring(0, 12);
+}
+
+/**
+ * Assign cluster ids to a niche's hooks. Rows are taken in id order and each
+ * joins the first cluster whose founding hook it matches, so a cluster's id
+ * (a hash of its founder's fixed words) stays put as copies are added.
+ * @param {Array<{ id: number, hook_template: string }>} hooks
+ * @returns {Map<number, string>} hook id -> cluster id
+ */
+export function assignHookClusters(hooks, threshold = HOOK_CLUSTER_THRESHOLD) {
+  const founders = [];
+  const out = new Map();
+  for (const hook of [...hooks].sort((a, b) => a.id - b.id)) {
+    const words = templateWords(hook.hook_template);
+    let cluster = founders.find((f) => templateSimilarity(words, f.words) >= threshold);
+    if (!cluster) {
+      cluster = { words, id: clusterKey(words.length ? words : [`hook-${hook.id}`]) };
+      founders.push(cluster);
+    }
+    out.set(hook.id, cluster.id);
+  }
+  return out;
+}
+
+/**
+ * One hook per cluster, the strongest source by compareCandidateReach, in the
+ * order each cluster first appears in `rows` (the pool's own ranking). Rows
+ * without a cluster id (mined before clustering) stand alone.
+ */
+export function onePerCluster(rows, limit = Infinity) {
+  // A Map keeps each cluster at the position its first row took.
+  const clusters = new Map();
+  for (const row of rows) {
+    const key = row.cluster_id || `hook-${row.id}`;
+    const candidate = { row, views: row.views, score: row.outlier_score };
+    const leader = clusters.get(key);
+    if (!leader || compareCandidateReach(candidate, leader) < 0) clusters.set(key, candidate);
+  }
+  return [...clusters.values()].slice(0, limit).map((c) => c.row);
+}
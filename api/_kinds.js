@@ -0,0 +1,62 @@
+// api/_kinds.js — Post kinds and the per-profile mix autopilot rotates
+// through. Each kind has its own instructions in CAROUSEL_COPY_PROMPT and its
+// own slide shapes in SLIDE_STRUCTURES (api/_generate.js).
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+export const POST_KINDS = {
+  value: 'Value listicle',
+  showcase: 'Product showcase',
+  'myth-fact': 'Myth vs fact',
+  'before-after': 'Before / after',
+  tutorial: 'Step-by-step tutorial',
+  'old-way': 'Old way vs new way',
+  'customer-story': 'Customer problem story',
+  changelog: 'What\'s new',
+};
+
+// A what's-new post is only true when something shipped, so it is written on
+// demand from release notes, never rotated in blind.
+export const MIXABLE_KINDS = Object.keys(POST_KINDS).filter((k) => k !== 'changelog');
+
+export const MAX_KIND_WEIGHT = 5;
+
+// Three value posts to every showcase: the mix every profile had before kinds
+// were configurable, so an untouched profile keeps posting the same way.
+export const DEFAULT_KIND_MIX = { value: 3, showcase: 1 };
+
+export function cleanPostKind(kind, fallback = 'value') {
+  return Object.hasOwn(POST_KINDS, kind) ? kind : fallback;
+}
+
+// Returns null when nothing is switched on, so an absent mix stays absent and
+// the default applies.
+export function cleanKindMix(mix) {
+  if (!mix || typeof mix !== 'object') return null;
+  const out = {};
+  for (const kind of MIXABLE_KINDS) {
+    const weight = Math.round(Number(mix[kind]));
+    if (Number.isFinite(weight) && weight > 0) out[kind] = Math.min(MAX_KIND_WEIGHT, weight);
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// One full cycle of the mix, each kind spread evenly through it: a kind with
+// weight w lands at 1/w, 2/w ... of the way through, ties in POST_KINDS order.
+// { value: 3, showcase: 1 } -> value, value, value, showcase.
+export function kindRotation(mix) {
+  const clean = cleanKindMix(mix) || DEFAULT_KIND_MIX;
+  const order = Object.keys(POST_KINDS);
+  const slots = [];
+  for (const [kind, weight] of Object.entries(clean)) {
+    for (let k = 1; k <= weight; k++) slots.push({ kind, at: k / weight });
+  }
+  slots.sort((a, b) => a.at - b.at || order.indexOf(a.kind) - order.indexOf(b.kind));
+  return slots.map((s) => s.kind);
+}
+
+// The kind of a user's n-th post, deterministic by post count so a topup that
+// retries a slot writes the same kind.
+export function postKind(n, mix = null) {
+  const rotation = kindRotation(mix);
+  return rotation[((n % rotation.length) + rotation.length) % rotation.length];
+}
@@ -0,0 +1,42 @@
+// api/_language.js — The language a product's posts are written in. Hooks are
+// still mined in English (the miner's language gate is unchanged): the copy
+// model transplants an English hook's mechanism into the target language, so a
+// Spanish post keeps the structure that earned the reach without translating
+// the line word for word.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+// Latin-script languages only: the slide fonts (Geist / Geist Mono) cover Latin
+// Extended, so accents render everywhere the slides are drawn. A non-Latin
+// script would need its own fonts registered in api/_render.js and loaded by
+// the Create page before it can be offered here.
+export const LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  de: 'German',
+  fr: 'French',
+  pt: 'Portuguese',
+  it: 'Italian',
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export function cleanLanguage(code) {
+  const c = String(code || '').trim().toLowerCase();
+  return Object.hasOwn(LANGUAGES, c) ? c : DEFAULT_LANGUAGE;
+}
+
+export function languageForPrompt(code) {
+  const c = cleanLanguage(code);
+  return { code: c, name: LANGUAGES[c] };
+}
+
+// Hashtags keep letters from any script (#ernährung, #fútbol) but nothing
+// else: no spaces, punctuation or emoji, which would end the tag early on the
+// platform. NFC first, so a decomposed "u" + combining umlaut stays one letter.
+export function cleanHashtag(tag) {
+  return String(tag || '')
+    .normalize('NFC')
+    .replace(/^#+/, '')
+    .replace(/[^\p{L}\p{M}\p{N}_]/gu, '')
+    .toLowerCase();
+}
@@ -0,0 +1,305 @@
+// api/_llm.js — Which model answers which prompt. Every text and image call
+// still goes through callGemini / callGeminiImage in api/_shared.js; those
+// route by call site to one of three providers:
+//   gemini  — Google Gemini (the default, implemented in api/_shared.js)
+//   openai  — any OpenAI-compatible API (OpenAI, OpenRouter, a local server)
+//   fake    — deterministic canned answers, no network, no spend. The test
+//             suite uses it to run the full plan path offline.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+//
+// Configuration is read per call, so a test can flip LLM_PROVIDER and a deploy
+// can change routing without a code change:
+//   LLM_PROVIDER                     default provider for every site
+//   LLM_PROVIDER_<SITE>              provider for one site (e.g. LLM_PROVIDER_HOOK_PICK=openai)
+//   LLM_MODEL_<SITE>                 model for one site (e.g. LLM_MODEL_HOOK_PICK=gemini-2.5-flash-lite)
+
+import { logUsage } from './_db.js';
+import {
+  HOOK_EXTRACTION_PROMPT, APP_PROFILE_PROMPT, AUDIENCE_NICHE_PROMPT,
+  HOOK_PICK_PROMPT, CAROUSEL_COPY_PROMPT, SLIDE_REWRITE_PROMPT, HOOK_MECHANISM_PROMPT,
+} from './_prompts.js';
+import { inferMechanism } from './_mechanisms.js';
+
+export const LLM_PROVIDERS = ['gemini', 'openai', 'fake'];
+
+// Call sites, each with its default model per provider. Hook pick and profile
+// extraction are short, structured answers; they are the first candidates for
+// a cheaper model.
+export const LLM_SITES = {
+  'hook-pick': { gemini: 'gemini-2.5-flash', openai: 'gpt-4o-mini' },
+  copy: { gemini: 'gemini-2.5-flash', openai: 'gpt-4o-mini' },
+  profile: { gemini: 'gemini-2.5-flash', openai: 'gpt-4o-mini' },
+  'hook-extraction': { gemini: 'gemini-2.5-flash', openai: 'gpt-4o-mini' },
+  'hook-mechanism': { gemini: 'gemini-2.5-flash', openai: 'gpt-4o-mini' },
+  image: { gemini: 'gemini-2.5-flash-image', openai: 'gpt-image-1' },
+};
+
+// Sites whose prompt answers with a JSON array. OpenAI's JSON mode only
+// returns objects, so these are sent without it and parseModelJson finds the
+// array in the reply.
+const ARRAY_SITES = new Set(['hook-extraction']);
+
+function siteEnvKey(site) {
+  return String(site || '').toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+// An unknown or misspelled provider falls back to Gemini rather than failing
+// every generation on a typo in the dashboard.
+export function providerFor(site, env = process.env) {
+  const raw = String(env[`LLM_PROVIDER_${siteEnvKey(site)}`] || env.LLM_PROVIDER || '').trim().toLowerCase();
+  return LLM_PROVIDERS.includes(raw) ? raw : 'gemini';
+}
+
+export function modelFor(site, provider, env = process.env) {
+  const override = String(env[`LLM_MODEL_${siteEnvKey(site)}`] || '').trim();
+  if (override) return override;
+  if (provider === 'openai' && env.OPENAI_COMPAT_MODEL && site !== 'image') return env.OPENAI_COMPAT_MODEL;
+  const defaults = LLM_SITES[site] || LLM_SITES.copy;
+  return defaults[provider] || defaults.gemini;
+}
+
+/**
+ * Parse a model's JSON answer. Models sometimes return broken JSON — raw
+ * control characters inside strings, or prose around the object — so repair
+ * the common cases before giving up.
+ */
+export function parseModelJson(content) {
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    const fixed = content
+      .replace(/[\x00-\x1f]/g, (ch) => {
+        if (ch === '\n') return '\\n';
+        if (ch === '\r') return '\\r';
+        if (ch === '\t') return '\\t';
+        return '';
+      });
+
+    try {
+      return JSON.parse(fixed);
+    } catch (e2) {
+      // Last resort: extract the first JSON object or array
+      const match = fixed.match(/[\[{][\s\S]*[\]}]/);
+      if (match) {
+        try { return JSON.parse(match[0]); } catch (_) {}
+      }
+      console.error('JSON parse failed:', e.message, content.substring(0, 500));
+      throw new Error('AI returned an invalid response. Please try again.');
+    }
+  }
+}
+
+// ============================================
+// OPENAI-COMPATIBLE
+// ============================================
+// OPENAI_COMPAT_BASE_URL (default https://api.openai.com/v1), OPENAI_COMPAT_API_KEY,
+// OPENAI_COMPAT_MODEL. Prices are whatever the operator's provider charges, so
+// they come from OPENAI_COMPAT_INPUT_PRICE / OPENAI_COMPAT_OUTPUT_PRICE (USD per
+// 1M tokens, which is micros-USD per token) and OPENAI_COMPAT_IMAGE_PRICE (USD
+// per image); unset means the usage log records tokens without a cost.
+function openaiConfig(env = process.env) {
+  return {
+    baseUrl: String(env.OPENAI_COMPAT_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+    apiKey: env.OPENAI_COMPAT_API_KEY || '',
+    inPrice: Number(env.OPENAI_COMPAT_INPUT_PRICE) || 0,
+    outPrice: Number(env.OPENAI_COMPAT_OUTPUT_PRICE) || 0,
+    imagePrice: Number(env.OPENAI_COMPAT_IMAGE_PRICE) || 0,
+    imageSize: env.OPENAI_COMPAT_IMAGE_SIZE || '1024x1536',
+  };
+}
+
+async function openaiError(response, label) {
+  const err = await response.json().catch(() => ({}));
+  const detail = err?.error?.message || err?.error?.type || JSON.stringify(err).substring(0, 200);
+  console.error(`${label} error:`, response.status, detail);
+  return detail;
+}
+
+export async function openaiCompatText({ prompt, input, temperature, timeoutMs, model, site }) {
+  const cfg = openaiConfig();
+  if (!cfg.apiKey) throw new Error('AI service is not available.');
+
+  const response = await fetch(`${cfg.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${cfg.apiKey}` },
+    signal: AbortSignal.timeout(timeoutMs),
+    body: JSON.stringify({
+      model,
+      temperature,
+      ...(ARRAY_SITES.has(site) ? {} : { response_format: { type: 'json_object' } }),
+      messages: [
+        { role: 'system', content: prompt },
+        { role: 'user', content: input },
+      ],
+    }),
+  });
+
+  if (!response.ok) {
+    const detail = await openaiError(response, 'OpenAI-compatible API');
+    throw new Error('AI error (' + response.status + '): ' + detail);
+  }
+
+  const data = await response.json();
+  const content = data.choices?.[0]?.message?.content;
+  if (!content) throw new Error('Empty response from AI service.');
+
+  const usage = data.usage || {};
+  logUsage({
+    provider: 'openai',
+    op: 'text',
+    inTokens: usage.prompt_tokens || 0,
+    outTokens: usage.completion_tokens || 0,
+    estCostMicros: (usage.prompt_tokens || 0) * cfg.inPrice + (usage.completion_tokens || 0) * cfg.outPrice,
+  });
+  return parseModelJson(content);
+}
+
+export async function openaiCompatImage({ prompt, model }) {
+  const cfg = openaiConfig();
+  if (!cfg.apiKey) throw new Error('AI service is not available.');
+
+  const response = await fetch(`${cfg.baseUrl}/images/generations`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${cfg.apiKey}` },
+    signal: AbortSignal.timeout(30000),
+    // gpt-image-* models always answer in b64_json and reject the parameter;
+    // DALL·E answers with a URL unless asked.
+    body: JSON.stringify({
+      model, prompt, n: 1, size: cfg.imageSize,
+      ...(/^dall-e/i.test(model) ? { response_format: 'b64_json' } : {}),
+    }),
+  });
+
+  if (!response.ok) {
+    await openaiError(response, 'OpenAI-compatible image');
+    throw new Error('Image generation failed (' + response.status + ').');
+  }
+
+  const data = await response.json();
+  const b64 = data.data?.[0]?.b64_json;
+  if (!b64) throw new Error('Image generation returned no image.');
+  logUsage({ provider: 'openai', op: 'image', estCostMicros: cfg.imagePrice * 1_000_000 });
+  return b64;
+}
+
+// ============================================
+// FAKE
+// ============================================
+// Answers each known prompt with a well-formed, claim-free response built from
+// its own input, so every validator downstream (banned phrases, claims, hook
+// grounding) passes for the right reason. Unknown prompts get an error, not a
+// guess — a new call site should add its canned answer here.
+export const FAKE_PNG_BASE64 =
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+function firstWords(text, n) {
+  return String(text || '').trim().split(/\s+/).filter(Boolean).slice(0, n);
+}
+
+function fakeCopy(input) {
+  const count = Number.isInteger(input.slideCount) ? input.slideCount : 6;
+  const name = input.product?.name || 'it';
+  const topic = input.hook?.topic || 'the basics';
+  const slides = [{ heading: input.hook?.verbatim || input.hook?.template || `A note on ${topic}`, body: '' }];
+  // A rewrite told to avoid earlier angles comes back with other points.
+  const fresh = Array.isArray(input.avoid) && input.avoid.length > 0;
+  for (let i = 1; i < count - 1; i++) {
+    slides.push(fresh
+      ? { heading: `Another angle ${i}`, body: `A different ${topic} habit most people skip, number ${i}.` }
+      : { heading: `Point ${i}`, body: `One plain, practical note about ${topic}.` });
+  }
+  slides.push({ heading: 'Keep it simple', body: 'Start small and stay consistent.' });
+  return {
+    slides: slides.slice(0, Math.max(count, 1)),
+    cta: `Get ${name}. Link in bio.`,
+    caption: `A few notes on ${topic}.`,
+    captions: {
+      tiktok: `${topic} notes`,
+      linkedin: `Three practical notes on ${topic}, and how ${name} helps.`,
+      threads: `Quick notes on ${topic}.`,
+    },
+    hashtags: ['tips', 'howto', 'learnsomething', 'dailyhabits', 'advice'],
+    motifs: ['desk', 'notebook'],
+    heroScene: '',
+    rationale: {
+      mechanism: input.hook?.fit?.mechanism || 'the hook\'s opening line, kept as written',
+      subject: `${topic} -> ${topic} with ${name}`,
+      job: input.product?.what || '',
+    },
+  };
+}
+
+function fakeHookExtraction(input) {
+  const niche = String(input.niche || 'general').toLowerCase();
+  return (Array.isArray(input.videos) ? input.videos : []).map((v) => {
+    const words = firstWords(v.transcript, 8);
+    const verbatim = words.join(' ');
+    return {
+      i: v.i,
+      relevant: true,
+      language: 'en',
+      transferable: true,
+      is_ad: false,
+      quality_score: 4,
+      rejection_reason: '',
+      hook_verbatim: verbatim,
+      hook_template: [...words.slice(0, -1), '___'].join(' '),
+      topic: `${niche} opening`,
+      format: 'talking_head',
+      mechanism: inferMechanism(verbatim),
+    };
+  });
+}
+
+function fakeHookMechanisms(input) {
+  const hooks = Array.isArray(input.hooks) ? input.hooks : [];
+  return { labels: Object.fromEntries(hooks.map((h) => [h.id, inferMechanism(h.verbatim || h.template)])) };
+}
+
+function fakeProfile(input) {
+  const lines = String(input || '').split('\n').map((l) => l.trim()).filter(Boolean);
+  const name = firstWords(lines[0], 3).join(' ') || 'Product';
+  const what = (lines.find((l) => l.length > 20) || `${name} helps people get things done.`).substring(0, 200);
+  return { name, what, who: 'People who want this done faster.', benefit: 'Saves time.', facts: [], color: '#2E7D32' };
+}
+
+function fakeAudienceNiche(input) {
+  const existing = Array.isArray(input.existing_niches) ? input.existing_niches : [];
+  return {
+    existing_slug: existing[0]?.slug || null,
+    new_name: existing[0] ? null : 'General Audience',
+    keywords: ['beginner tips', 'common mistakes', 'how to start', 'daily routine'],
+  };
+}
+
+function fakeSlideRewrite(input) {
+  const slide = input.slides?.[input.index] || {};
+  const heading = `${slide.heading || 'Slide'} (rewritten)`;
+  return { heading, body: slide.body || '', caption: `Notes that open with "${heading}".` };
+}
+
+export async function fakeText({ prompt, input }) {
+  const startsWith = (p) => prompt.startsWith(p);
+  const parsed = () => { try { return JSON.parse(input); } catch { return {}; } };
+  if (startsWith(CAROUSEL_COPY_PROMPT)) return fakeCopy(parsed());
+  if (startsWith(HOOK_PICK_PROMPT)) {
+    const pick = parsed();
+    const hooks = (Array.isArray(pick.hooks) ? pick.hooks : []).slice(0, 3);
+    const reasons = Object.fromEntries(hooks.map((h) => [h.id, {
+      mechanism: 'a direct command that names a habit',
+      subject: `${h.topic || 'the topic'} -> ${pick.product?.name || 'the product'}`,
+      job: pick.product?.what || '',
+    }]));
+    return { ids: hooks.map((h) => h.id), reasons };
+  }
+  if (startsWith(SLIDE_REWRITE_PROMPT)) return fakeSlideRewrite(parsed());
+  if (startsWith(HOOK_EXTRACTION_PROMPT)) return fakeHookExtraction(parsed());
+  if (startsWith(HOOK_MECHANISM_PROMPT)) return fakeHookMechanisms(parsed());
+  if (startsWith(AUDIENCE_NICHE_PROMPT)) return fakeAudienceNiche(parsed());
+  if (startsWith(APP_PROFILE_PROMPT)) return fakeProfile(input);
+  throw new Error('Fake AI provider has no answer for this prompt.');
+}
+
+export async function fakeImage() {
+  return FAKE_PNG_BASE64;
+}
@@ -0,0 +1,83 @@
+// api/_mechanisms.js — Why a hook works: one label from a fixed taxonomy.
+// The miner asks for it at extraction (HOOK_EXTRACTION_PROMPT) and
+// validateHookExtraction infers one for a label outside this list; older
+// hooks are backfilled (labelHookMechanisms in api/_miner.js). The calendar,
+// series and single-post hook pick balance on it, and GET /api/hooks filters
+// by it.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+// id -> what the opening does. The ids are stored in hooks.mechanism,
+// calendar_slots.mechanism and series.mechanism; the prompt lists the same
+// ids with these descriptions.
+export const HOOK_MECHANISMS = {
+  'curiosity-gap': 'withholds something the viewer now needs to know',
+  contrarian: 'challenges a belief the audience holds',
+  'numbered-list': 'promises a counted set of items',
+  'mistake-warning': 'warns the viewer off a mistake or habit',
+  'identity-callout': 'names who the viewer is or what they are going through',
+  'result-first': 'opens on an outcome or transformation before the how',
+  question: 'asks the viewer a direct question',
+  story: 'opens a first-person story',
+  'how-to': 'promises a method for a goal',
+  statement: 'a plain, confident statement with none of the moves above',
+};
+
+export const MECHANISM_IDS = Object.keys(HOOK_MECHANISMS);
+
+// Labels the calendar inferred before the taxonomy existed; still stored on
+// older calendar slots and series.
+const LEGACY_MECHANISMS = { warning: 'mistake-warning', list: 'numbered-list' };
+
+/** A label as its taxonomy id ("Curiosity gap" -> "curiosity-gap"), or ''. */
+export function normalizeMechanism(label) {
+  const id = String(label || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+  const resolved = LEGACY_MECHANISMS[id] || id;
+  return Object.hasOwn(HOOK_MECHANISMS, resolved) ? resolved : '';
+}
+
+// The opening move read off a template, for hooks with no stored label yet.
+// First match wins, so the order matters ("5 mistakes ..." is a list).
+const MECHANISM_PATTERNS = [
+  ['question', /\?\s*$/],
+  ['mistake-warning', /^(?:stop|don'?t|never|quit|avoid)\b/i],
+  ['identity-callout', /^(?:if you(?:'re| are)?|to (?:all|every|anyone)|for (?:all|every|anyone)|calling all)\b/i],
+  ['how-to', /^(?:how to|here'?s how)\b/i],
+  ['contrarian', /\b(?:nobody|no one|everyone|wrong|myths?|lies?|actually|truth)\b/i],
+  ['numbered-list', /^\d+\b|\b\d+\s+(?:\w+\s+)?(?:things|ways|reasons|mistakes|signs|habits|tips|rules|steps)\b/i],
+  ['curiosity-gap', /\b(?:the (?:one|real|secret|reason)|here'?s (?:why|what)|what happens|nobody tells)\b/i],
+  ['result-first', /^(?:i|we|my \w+)\s+(?:\w+\s+)?(?:lost|gained|made|saved|grew|doubled|paid off|went from)\b/i],
+  ['story', /^(?:i|i'm|i've|my|when i|last (?:week|year|month))\b/i],
+];
+
+export function inferMechanism(line) {
+  const text = String(line || '').trim();
+  for (const [mechanism, pattern] of MECHANISM_PATTERNS) {
+    if (pattern.test(text)) return mechanism;
+  }
+  return 'statement';
+}
+
+/** A hook's mechanism: its stored label, or the one its template reads as. */
+export function hookMechanism(hook) {
+  return normalizeMechanism(hook?.mechanism) || inferMechanism(hook?.hook_template || hook?.hook_verbatim);
+}
+
+/**
+ * The screened hooks whose mechanism the user's recent posts used least, so
+ * one-off posts rotate mechanisms the way the calendar does. `recent` is the
+ * user's recent mechanisms, newest first. Never empties the pool.
+ */
+export function leastUsedMechanismHooks(fit, recent = []) {
+  const uses = new Map();
+  for (const m of recent) {
+    const id = normalizeMechanism(m);
+    if (id) uses.set(id, (uses.get(id) || 0) + 1);
+  }
+  const last = normalizeMechanism(recent[0]);
+  const scored = fit.map((hook) => {
+    const mechanism = hookMechanism(hook);
+    return { hook, uses: uses.get(mechanism) || 0, repeat: mechanism === last ? 1 : 0 };
+  });
+  const best = Math.min(...scored.map((s) => s.uses * 2 + s.repeat));
+  return scored.filter((s) => s.uses * 2 + s.repeat === best).map((s) => s.hook);
+}
@@ -0,0 +1,319 @@
+// api/_minejobs.js — Resumable mining jobs. A niche's mine used to run in one
+// call, so a niche that ran out of the cron's time budget lost all its
+// discovery and transcript work. A job persists that work in Postgres
+// (mine_jobs, mine_job_candidates) and moves through the pipeline one phase
+// at a time:
+//   discover    -> every enabled source, reach filter; candidates saved
+//   stats       -> split known sources (their stats are refreshed on apply)
+//                  from new ones and queue the transcript spend
+//   transcripts -> one checkpoint per candidate, cut short by the deadline
+//   extract     -> Gemini extraction of every transcribed candidate
+//   apply       -> the production gates and write (settleMine in ./_miner.js)
+// Each invocation picks up where the last stopped. assessFreshReadiness runs
+// at apply over the whole job's counts, not over one call's partial results.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+import {
+  addMineJobCandidates, checkpointMineJobCandidates, claimMineJob, createMineJob,
+  expireMineJobs, getExistingHookUrls, getMineJob, getMineJobCandidates, getOpenMineJobs,
+  getStalestNiches, releaseMineJob, updateMineJob,
+} from './_db.js';
+import {
+  discoverCandidates, selectResearchPool, fetchCandidateTranscript, chainTranscript,
+  extractHooks, buildHookRows, settleMine, planYouTubeSearches, mineNiche, TRANSCRIPT_CONCURRENCY,
+} from './_miner.js';
+import { youtubeQuotaDay } from './_ytquota.js';
+
+export const MINE_JOB_PHASES = ['discover', 'stats', 'transcripts', 'extract', 'apply'];
+// Consecutive invocations a phase may fail before the job is given up.
+export const MINE_JOB_MAX_ATTEMPTS = 3;
+// An open job older than this is failed: its candidates' stats are stale, and
+// it keeps its niche from starting a new one.
+export const MINE_JOB_MAX_AGE_DAYS = 7;
+// Longer than one invocation's maxDuration, so a run that died mid-phase
+// frees its job for the next.
+const MINE_JOB_LEASE_SECONDS = 90;
+const TRANSCRIPT_PAUSE_MS = 300;
+
+// Candidate statuses after each phase. A transcript attempt ends in one of
+// TRANSCRIPT_ATTEMPTED; the eligible ones are what extraction sees.
+const TRANSCRIPT_ATTEMPTED = ['transcribed', 'extracted', 'extract_failed', 'not_evaluated', 'unused', 'unusable', 'no_transcript', 'transcript_failed'];
+const TRANSCRIPT_ELIGIBLE = ['transcribed', 'extracted', 'extract_failed', 'not_evaluated'];
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function nicheOf(job) {
+  return { ...job.niche, id: job.niche_id, slug: job.niche_slug, name: job.niche_name };
+}
+
+// A stored candidate in the shape the pipeline steps take.
+function candidateOf(row) {
+  return {
+    url: row.url,
+    title: row.title || '',
+    views: Number(row.views) || 0,
+    followers: Number(row.followers) || 0,
+    platform: row.platform,
+    score: Number(row.score) || 0,
+    body: row.body || '',
+    transcript: row.transcript || '',
+    transcriptProvider: row.transcript_provider || null,
+    extraction: row.extraction || null,
+  };
+}
+
+function jobOptions(job) {
+  const options = job.options || {};
+  return {
+    maxExtractions: options.maxExtractions ?? 12,
+    maxTranscripts: options.maxTranscripts ?? 18,
+    maxKeywords: options.maxKeywords ?? 6,
+    maxSeedChannels: options.maxSeedChannels ?? 3,
+    // The cron's share of today's YouTube quota; a plan from an earlier quota
+    // day is dropped and discovery plans the niche again.
+    youtubePlan: options.youtube?.day === youtubeQuotaDay() ? options.youtube : undefined,
+  };
+}
+
+// Each phase returns the job patch to store; a patch that keeps the phase
+// means the deadline cut it short and the next invocation resumes it.
+const PHASES = {
+  async discover(job, { apiKey, deps }) {
+    const { maxKeywords, maxSeedChannels, youtubePlan } = jobOptions(job);
+    const discovery = await deps.discoverCandidates(nicheOf(job), apiKey, { maxKeywords, maxSeedChannels, youtubePlan });
+    await deps.addMineJobCandidates(job.id, discovery.outliers);
+    return {
+      phase: 'stats',
+      platforms: discovery.platforms,
+      scanned: discovery.scanned,
+      discoveryFailures: discovery.discoveryFailures,
+      errors: discovery.errors,
+    };
+  },
+
+  async stats(job, { deps }) {
+    const found = (await deps.getMineJobCandidates(job.id, ['found'])).map(candidateOf);
+    const existing = await deps.getExistingHookUrls(found.map((c) => c.url));
+    const pool = selectResearchPool(found, existing, { dry: job.dry, fresh: job.fresh });
+    const queued = new Set(pool.slice(0, jobOptions(job).maxTranscripts).map((c) => c.url));
+    await deps.checkpointMineJobCandidates(job.id, found.map((c) => ({
+      url: c.url,
+      status: queued.has(c.url) ? 'queued' : (existing.has(c.url) ? 'known' : 'skipped'),
+    })));
+    return { phase: 'transcripts' };
+  },
+
+  async transcripts(job, { deadline, deps }) {
+    const { maxExtractions } = jobOptions(job);
+    const all = await deps.getMineJobCandidates(job.id, ['queued', 'transcribed']);
+    let ready = all.filter((c) => c.status === 'transcribed').length;
+    const queued = all.filter((c) => c.status === 'queued').map(candidateOf);
+    const getTranscript = deps.transcriptProvider || chainTranscript;
+    let next = 0;
+    while (next < queued.length && ready < maxExtractions) {
+      if (Date.now() >= deadline) return { phase: 'transcripts' };
+      if (next > 0) await deps.sleep(TRANSCRIPT_PAUSE_MS);
+      const batch = queued.slice(next, next + TRANSCRIPT_CONCURRENCY);
+      next += batch.length;
+      const results = await Promise.all(batch.map((c) => fetchCandidateTranscript(getTranscript, c)));
+      const updates = [];
+      const errors = [];
+      for (const r of results) {
+        const url = r.candidate.url;
+        if (r.error) {
+          updates.push({ url, status: r.status === 'failed' ? 'transcript_failed' : 'no_transcript', error: r.error.message });
+          errors.push(`transcript ${url}: ${r.error.message}`);
+        } else if (r.status === 'ready' && ready < maxExtractions) {
+          ready++;
+          updates.push({ url, status: 'transcribed', transcript: r.text, transcriptProvider: r.provider });
+        } else {
+          updates.push({ url, status: r.status === 'ready' ? 'unused' : 'unusable' });
+        }
+      }
+      await deps.checkpointMineJobCandidates(job.id, updates);
+      if (errors.length > 0) await deps.updateMineJob(job.id, { errors });
+    }
+    // Enough transcripts: the rest of the queue is never fetched.
+    await deps.checkpointMineJobCandidates(job.id, queued.slice(next).map((c) => ({ url: c.url, status: 'skipped' })));
+    return { phase: 'extract' };
+  },
+
+  async extract(job, { deps }) {
+    const pending = (await deps.getMineJobCandidates(job.id, ['transcribed'])).map(candidateOf);
+    if (pending.length === 0) return { phase: 'apply' };
+    const extraction = await deps.extractHooks(nicheOf(job), pending, {});
+    const answers = new Map();
+    const errors = [...extraction.errors];
+    for (const ex of extraction.extracted) {
+      if (!Number.isInteger(ex?.i) || answers.has(ex.i)) {
+        errors.push('skipped malformed or duplicate extraction index');
+        continue;
+      }
+      if (pending[ex.i]) answers.set(ex.i, ex);
+    }
+    await deps.checkpointMineJobCandidates(job.id, pending.map((c, i) => {
+      if (answers.has(i)) return { url: c.url, status: 'extracted', extraction: answers.get(i) };
+      return { url: c.url, status: extraction.failed.has(i) ? 'extract_failed' : 'not_evaluated' };
+    }));
+    return { phase: 'apply', extractFailures: extraction.failures, errors };
+  },
+
+  async apply(job, { deps }) {
+    const rows = await deps.getMineJobCandidates(job.id);
+    const all = rows.map((row) => ({ ...candidateOf(row), status: row.status }));
+    const eligible = all.filter((c) => TRANSCRIPT_ELIGIBLE.includes(c.status));
+    const extracted = eligible.flatMap((c, i) => (c.extraction ? [{ ...c.extraction, i }] : []));
+    const errors = [...(job.errors || [])];
+    const built = buildHookRows(eligible, extracted, errors);
+    const existing = await deps.getExistingHookUrls(all.map((c) => c.url));
+    const transcriptProviders = {};
+    for (const c of eligible) {
+      if (c.transcriptProvider) transcriptProviders[c.transcriptProvider] = (transcriptProviders[c.transcriptProvider] || 0) + 1;
+    }
+    const count = (...statuses) => all.filter((c) => statuses.includes(c.status)).length;
+    const result = await deps.settleMine(nicheOf(job), {
+      rows: built.rows,
+      rejections: built.rejections,
+      jobId: job.id,
+      dry: job.dry,
+      fresh: job.fresh,
+      ...(job.platforms?.length ? { platforms: job.platforms } : {}),
+      existing,
+      refresh: all.filter((c) => existing.has(c.url)),
+      errors,
+      scanned: job.scanned,
+      outliers: all.length,
+      transcriptAttempts: count(...TRANSCRIPT_ATTEMPTED),
+      transcriptEligible: eligible.length,
+      transcriptFailures: count('no_transcript', 'transcript_failed'),
+      transcriptProviders,
+      evaluated: built.evaluated,
+      discoveryFailures: job.discovery_failures,
+      upstreamFailures: count('transcript_failed') + (job.extract_failures || 0),
+    });
+    return { phase: 'done', result: { job: job.id, ...result } };
+  },
+};
+
+/**
+ * Run a job's phases until it finishes or the deadline passes. A phase that
+ * throws is retried by the next invocation, up to MINE_JOB_MAX_ATTEMPTS.
+ * @returns {Promise<object>} { job, niche, phase, done } plus the mine's
+ *   result once done; busy: true when another invocation holds the job.
+ */
+export async function advanceMineJob(job, { apiKey, deadline, deps: overrides = {} } = {}) {
+  const deps = { ...DEFAULT_DEPS, ...overrides };
+  const report = { job: job.id, niche: job.niche_slug };
+  if (!await deps.claimMineJob(job.id, MINE_JOB_LEASE_SECONDS)) {
+    return { ...report, phase: job.phase, done: false, busy: true };
+  }
+  let current = job;
+  try {
+    if (!current.niche_active) {
+      await deps.updateMineJob(current.id, { phase: 'failed', errors: ['niche is no longer active'] });
+      return { ...report, phase: 'failed', done: false, error: 'niche is no longer active' };
+    }
+    while (MINE_JOB_PHASES.includes(current.phase) && Date.now() < deadline) {
+      const phase = current.phase;
+      try {
+        const patch = await PHASES[phase](current, { apiKey, deadline, deps });
+        await deps.updateMineJob(current.id, { ...patch, attempts: 0 });
+        current = await deps.getMineJob(current.id);
+        if (current.phase === phase) break;
+      } catch (error) {
+        const attempts = (current.attempts || 0) + 1;
+        const failed = attempts >= MINE_JOB_MAX_ATTEMPTS;
+        await deps.updateMineJob(current.id, {
+          attempts,
+          errors: [`${phase}: ${error.message}`],
+          ...(failed ? { phase: 'failed' } : {}),
+        });
+        return { ...report, phase: failed ? 'failed' : phase, done: false, error: error.message };
+      }
+    }
+  } finally {
+    await deps.releaseMineJob(job.id);
+  }
+  return current.phase === 'done'
+    ? { ...report, phase: 'done', done: true, ...current.result }
+    : { ...report, phase: current.phase, done: false };
+}
+
+/**
+ * The cron sweep: advance the open jobs first (they hold work already paid
+ * for), then start jobs for the stalest niches, until nichesPerRun jobs have
+ * run or the time budget is spent. The new jobs' YouTube searches are planned
+ * together against today's remaining quota, stalest niche first.
+ * A dry sweep never touches the jobs: it previews the stalest niches in one
+ * call each, so it can neither apply an open job nor hold a niche's job slot.
+ */
+export async function runMineJobs({
+  apiKey, dry = false, nichesPerRun = 3, timeBudgetMs = 35_000, deps: overrides = {},
+} = {}) {
+  const deps = { ...DEFAULT_DEPS, ...overrides };
+  const deadline = Date.now() + timeBudgetMs;
+  const results = [];
+  const outOfTime = () => results.length > 0 && Date.now() >= deadline;
+
+  if (dry) {
+    for (const niche of await deps.getStalestNiches(nichesPerRun)) {
+      if (outOfTime()) break;
+      try {
+        results.push(await deps.mineNiche(niche, apiKey, { dry: true }));
+      } catch (error) {
+        results.push({ niche: niche.slug, error: error.message });
+      }
+    }
+    return { mined: results.filter((r) => !r.error).length, results };
+  }
+
+  await deps.expireMineJobs(MINE_JOB_MAX_AGE_DAYS);
+
+  for (const job of await deps.getOpenMineJobs({ limit: nichesPerRun })) {
+    if (outOfTime()) break;
+    results.push(await advanceMineJob(job, { apiKey, deadline, deps }));
+  }
+  if (results.length < nichesPerRun && !outOfTime()) {
+    const stalest = await deps.getStalestNiches(nichesPerRun);
+    const plan = apiKey ? await deps.planYouTubeSearches(stalest) : null;
+    for (const niche of stalest) {
+      if (results.length >= nichesPerRun || outOfTime()) break;
+      const youtube = plan?.get(niche.id);
+      const job = await deps.createMineJob(niche.id, { dry, options: youtube ? { youtube } : {} });
+      // An open job the loop above already advanced (or another run holds).
+      if (!job) continue;
+      results.push(await advanceMineJob(job, { apiKey, deadline, deps }));
+    }
+  }
+  return { mined: results.filter((r) => r.done).length, results };
+}
+
+/**
+ * One niche's job, for the admin route: resumes its open job or starts one
+ * with these flags. A conflicting open job is returned, not advanced.
+ */
+export async function advanceNicheJob(niche, {
+  apiKey, dry = false, fresh = false, options = {}, timeBudgetMs = 35_000, deps: overrides = {},
+} = {}) {
+  const deps = { ...DEFAULT_DEPS, ...overrides };
+  const deadline = Date.now() + timeBudgetMs;
+  await deps.expireMineJobs(MINE_JOB_MAX_AGE_DAYS);
+  let [job] = await deps.getOpenMineJobs({ nicheId: niche.id, limit: 1 });
+  if (!job) job = await deps.createMineJob(niche.id, { dry, fresh, options });
+  // Lost a race to another start: take the job that won.
+  if (!job) [job] = await deps.getOpenMineJobs({ nicheId: niche.id, limit: 1 });
+  if (!job) throw new Error('Could not start a mining job for this niche.');
+  if (job.dry !== dry || job.fresh !== fresh) {
+    return { job: job.id, niche: niche.slug, phase: job.phase, done: false, conflict: true, dry: job.dry, fresh: job.fresh };
+  }
+  return advanceMineJob(job, { apiKey, deadline, deps });
+}
+
+const DEFAULT_DEPS = {
+  addMineJobCandidates, checkpointMineJobCandidates, claimMineJob, createMineJob,
+  expireMineJobs, getExistingHookUrls, getMineJob, getMineJobCandidates, getOpenMineJobs,
+  getStalestNiches, releaseMineJob, updateMineJob,
+  discoverCandidates, extractHooks, settleMine, planYouTubeSearches, mineNiche,
+  transcriptProvider: null,
+  sleep: defaultSleep,
+};
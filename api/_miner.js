@@ -4,24 +4,27 @@
 
 import {
   getExistingHookUrls, getMinedHookUrlsForNiche, getOwnedHookUrlsForNiche,
-  applyIncrementalMine, replaceMinedHooksForNiche,
+  applyIncrementalMine, replaceMinedHooksForNiche, MINED_PLATFORMS, TEXT_PLATFORMS,
+  getHookTemplatesForNiche, setHookClusters, getUnlabeledHooks, setHookMechanisms,
+  getYouTubeQuotaUsed, saveMineReport,
 } from './_db.js';
 import {
   computeOutlierScore, isHighReachCandidate, compareCandidateReach, isMostlyLatin,
-  searchShorts, channelRecentShorts, getVideoStats, getChannelStats,
 } from './_youtube.js';
+import { enabledSources, youtubeSource } from './_sources.js';
+import { planYouTubeDiscovery, remainingYouTubeUnits, youtubeQuotaDay } from './_ytquota.js';
+import { firstSentence } from './_textsources.js';
 import { fetchTranscript } from './_transcript.js';
+import { normalizeHookTemplate, assignHookClusters } from './_hookclusters.js';
+import { normalizeMechanism, inferMechanism } from './_mechanisms.js';
+import { buildMineReport } from './_minereports.js';
 import { callGemini } from './_shared.js';
-import { HOOK_EXTRACTION_PROMPT } from './_prompts.js';
+import { HOOK_EXTRACTION_PROMPT, HOOK_MECHANISM_PROMPT } from './_prompts.js';
 
 const VALID_FORMATS = ['talking_head', 'whiteboard', 'audio_broll', 'skit', 'other'];
 export const MIN_FRESH_ACCEPTED_HOOKS = 8;
 export const MIN_FRESH_TRANSCRIPT_ELIGIBLE = 12;
 
-function videoUrl(videoId) {
-  return `https://www.youtube.com/watch?v=${videoId}`;
-}
-
 function normalizedWords(text) {
   return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)?/gu) || [])
     .map((word) => word.replaceAll('’', "'"));
@@ -54,8 +57,12 @@ function containsWordsInOrder(haystack, needle) {
 
 // Deterministic second gate after model extraction. It prevents a plausible
 // YouTube title from being published as a spoken hook unless the same words
-// are actually grounded near the start of the transcript.
-export function validateHookExtraction(ex, transcript) {
+// are actually grounded near the start of the transcript. A text post's hook
+// is its first sentence, so sourceType 'text' grounds it there, in the post.
+// An accepted hook comes back with its mechanism: the model's label when it
+// is in the taxonomy, else the one the line reads as (inferMechanism), so a
+// missing or unknown label never costs a grounded hook.
+export function validateHookExtraction(ex, transcript, { sourceType = 'video' } = {}) {
   if (!ex || ex.relevant !== true) return { ok: false, reason: 'off-niche' };
   if (String(ex.language || '').toLowerCase() !== 'en') return { ok: false, reason: 'non-English' };
   if (ex.transferable !== true) return { ok: false, reason: 'not transferable' };
@@ -85,11 +92,17 @@ export function validateHookExtraction(ex, transcript) {
     return { ok: false, reason: 'template not derived from hook' };
   }
 
+  if (sourceType === 'text') {
+    if (!containsContiguousWords(normalizedWords(firstSentence(transcript)), hookWords)) {
+      return { ok: false, reason: 'not grounded in the post\'s first sentence' };
+    }
+    return { ok: true, reason: '', mechanism: normalizeMechanism(ex.mechanism) || inferMechanism(verbatim) };
+  }
   const transcriptWords = normalizedWords(transcript).slice(0, 100);
   if (!containsContiguousWords(transcriptWords, hookWords, 25)) {
     return { ok: false, reason: 'not grounded in opening transcript' };
   }
-  return { ok: true, reason: '' };
+  return { ok: true, reason: '', mechanism: normalizeMechanism(ex.mechanism) || inferMechanism(verbatim) };
 }
 
 export function selectResearchPool(candidates, existingUrls, { dry = false, fresh = false } = {}) {
@@ -128,7 +141,7 @@ export function excludeCrossNicheRows(rows, allExistingUrls, currentNicheUrls) {
   };
 }
 
-export const VALID_PLATFORMS = ['youtube', 'tiktok'];
+export const VALID_PLATFORMS = MINED_PLATFORMS;
 export const MAX_SUPPLIED_CANDIDATES = 60;
 
 // Transcript failures that reflect the video (or the caller's payload), not a
@@ -139,7 +152,21 @@ const NON_UPSTREAM_TRANSCRIPT_ERRORS = new Set([
   'No transcript supplied.',
 ]);
 
-const SUPPLIED_URL_HOSTS = /^(?:www\.|m\.|vm\.|vt\.)?(?:youtube\.com|youtu\.be|tiktok\.com)$/;
+// Keep the transcript burst small and paced. Supadata's rate limit 429s a
+// wide fan-out; fetchTranscript already retries a single 429 with backoff,
+// and pausing between batches keeps the whole pass under the per-second
+// ceiling. The attached-transcript path passes transcriptPauseMs: 0 — nothing
+// remote.
+export const TRANSCRIPT_CONCURRENCY = 2;
+
+const SUPPLIED_URL_HOSTS = /^(?:www\.|m\.|vm\.|vt\.|old\.)?(?:youtube\.com|youtu\.be|tiktok\.com|reddit\.com|x\.com|twitter\.com)$/;
+
+function platformForHost(host) {
+  if (/(?:^|\.)tiktok\.com$/.test(host)) return 'tiktok';
+  if (/(?:^|\.)reddit\.com$/.test(host)) return 'reddit';
+  if (/(?:^|\.)(?:x|twitter)\.com$/.test(host)) return 'x';
+  return 'youtube';
+}
 
 // Sanitize candidates supplied by the local mining script (POST /api/mine).
 // Reach and outlier score are re-derived server-side, never trusted.
@@ -160,7 +187,7 @@ export function parseSuppliedCandidates(raw) {
     let host = '';
     try { host = new URL(url).hostname.toLowerCase(); } catch { /* rejected below */ }
     if (!url.startsWith('https://') || !SUPPLIED_URL_HOSTS.test(host)) {
-      errors.push(`${label}: url must be a YouTube or TikTok https URL`);
+      errors.push(`${label}: url must be a YouTube, TikTok, Reddit or X https URL`);
       continue;
     }
     if (seenUrls.has(url)) {
@@ -184,14 +211,26 @@ export function parseSuppliedCandidates(raw) {
     const rawFollowers = Math.floor(Number(item?.followers));
     const followers = Number.isFinite(rawFollowers) && rawFollowers > 0 ? rawFollowers : 0;
     seenUrls.add(url);
+    const platform = VALID_PLATFORMS.includes(item?.platform) ? item.platform : platformForHost(host);
+    // A text post is its own transcript: its body stands in when none is given.
+    const supplied = typeof item?.transcript === 'string' && item.transcript;
+    const transcript = supplied
+      ? item.transcript
+      : (TEXT_PLATFORMS.includes(platform) && typeof item?.body === 'string' ? item.body : '');
+    // Transcripts arrive from scripts/local-mine.mjs ('local') unless the
+    // caller names its provider; a post's own body is 'post'.
+    const transcriptProvider = /^[a-z0-9-]{1,30}$/.test(item?.transcriptProvider || '')
+      ? item.transcriptProvider
+      : (supplied ? 'local' : 'post');
     candidates.push({
       url,
       title: title.substring(0, 500),
       views,
       followers,
-      platform: VALID_PLATFORMS.includes(item?.platform) ? item.platform : 'youtube',
+      platform,
       score: computeOutlierScore(views, followers),
-      transcript: typeof item?.transcript === 'string' ? item.transcript : '',
+      transcript,
+      transcriptProvider,
     });
   }
   candidates.sort(compareCandidateReach);
@@ -201,75 +240,199 @@ export function parseSuppliedCandidates(raw) {
 // Steps 1-3 of the pipeline: discovery, stats, reach filter. Split out so the
 // local mining script can fetch this candidate list, attach transcripts on the
 // user's machine (home IP — free caption/Whisper access clouds don't get), and
-// POST them back for extraction.
+// POST them back for extraction. Discovery runs through the source adapters in
+// ./_sources.js (YouTube with an API key, TikTok with a scraping backend);
+// a failing source counts as a discovery failure and the others still run.
+/**
+ * Today's YouTube search plan for these niches, stalest first, against the
+ * quota the ledger says is left. Null when the ledger can't be read, so
+ * discovery runs unplanned rather than not at all.
+ * @returns {Promise<Map<nicheId, {day, keywords, channels, units}>|null>}
+ */
+export async function planYouTubeSearches(niches, {
+  maxKeywords = 6, maxSeedChannels = 3, getUsed = getYouTubeQuotaUsed,
+} = {}) {
+  try {
+    const day = youtubeQuotaDay();
+    const plan = planYouTubeDiscovery(niches, remainingYouTubeUnits(await getUsed(day)), { maxKeywords, maxSeedChannels });
+    for (const [id, entry] of plan) plan.set(id, { day, ...entry });
+    return plan;
+  } catch (error) {
+    console.error('youtube quota plan failed:', String(error?.message || error).substring(0, 200));
+    return null;
+  }
+}
+
 export async function discoverCandidates(niche, apiKey, {
-  maxKeywords = 6, maxSeedChannels = 3,
+  maxKeywords = 6, maxSeedChannels = 3, sources = null, youtubePlan,
 } = {}) {
+  const ctx = { apiKey, maxKeywords, maxSeedChannels, youtubePlan: youtubePlan ?? null };
+  const adapters = sources || enabledSources(ctx);
+  // A niche mined on its own is planned alone; the cron plans its niches
+  // together (runMineJobs) and passes each one's share in.
+  if (youtubePlan === undefined && adapters.includes(youtubeSource)) {
+    const plan = await planYouTubeSearches([niche], { maxKeywords, maxSeedChannels });
+    ctx.youtubePlan = plan?.get(niche.id) || null;
+  }
   const errors = [];
   let discoveryFailures = 0;
+  let scanned = 0;
 
-  // 1. Gather candidate videos
-  const candidates = new Map(); // videoId -> {videoId, title, channelId}
-  const discovery = [
-    ...(niche.keywords || []).slice(0, maxKeywords).map((keyword) => ({
-      label: `search "${keyword}"`,
-      run: () => searchShorts(keyword, apiKey),
-    })),
-    ...(niche.seed_channels || []).slice(0, maxSeedChannels).map((channelId) => ({
-      label: `channel ${channelId}`,
-      run: () => channelRecentShorts(channelId, apiKey),
-    })),
-  ];
-  const discoveryResults = await Promise.all(discovery.map(async (source) => {
+  // 1-2. Gather candidate videos with their stats, one adapter per platform.
+  const candidates = new Map(); // url -> {url, title, views, followers, platform}
+  const results = await Promise.all(adapters.map(async (source) => {
     try {
-      return { source, videos: await source.run(), error: null };
+      return { source, found: await source.discover(niche, ctx), error: null };
     } catch (error) {
-      return { source, videos: [], error };
+      return { source, found: null, error };
     }
   }));
-  for (const result of discoveryResults) {
-    if (result.error) {
+  for (const { source, found, error } of results) {
+    if (error) {
       discoveryFailures++;
-      errors.push(`${result.source.label}: ${result.error.message}`);
+      errors.push(`${source.platform}: ${error.message}`);
       continue;
     }
-    for (const video of result.videos) {
-      candidates.set(video.videoId, video);
+    scanned += found.scanned;
+    discoveryFailures += found.failures;
+    errors.push(...found.errors);
+    for (const video of found.videos) {
+      candidates.set(video.url, { ...video, platform: source.platform });
     }
   }
 
-  // 2. Batch stats
-  const videoIds = [...candidates.keys()];
-  const vStats = await getVideoStats(videoIds, apiKey);
-  const cStats = await getChannelStats(
-    [...vStats.values()].map((v) => v.channelId), apiKey
-  );
-
-  // 3. Reach filter. Subscriber ratio is recorded as secondary context but a
-  // large creator's genuinely popular post is no longer thrown away.
+  // 3. Reach filter, the same for every source. Follower ratio is recorded as
+  // secondary context but a large creator's genuinely popular post is no
+  // longer thrown away.
   const outliers = [];
-  for (const [videoId, v] of vStats) {
-    const followers = cStats.get(v.channelId)?.subscribers || 0;
+  for (const v of candidates.values()) {
     if (isHighReachCandidate(v.views)) {
-      outliers.push({
-        videoId,
-        url: videoUrl(videoId),
-        title: v.title,
-        views: v.views,
-        followers,
-        score: computeOutlierScore(v.views, followers),
-      });
+      outliers.push({ ...v, score: computeOutlierScore(v.views, v.followers) });
     }
   }
   outliers.sort(compareCandidateReach);
 
-  return { scanned: videoIds.length, outliers, discoveryFailures, errors };
+  return { scanned, outliers, discoveryFailures, errors, platforms: adapters.map((source) => source.platform) };
+}
+
+// A transcript attempt and what it is worth: 'ready' (enough words to ground
+// a hook), 'unusable' (too few), 'no_transcript' (the video or payload has
+// none) or 'failed' (a provider broke, which counts as an upstream failure).
+export async function fetchCandidateTranscript(getTranscript, candidate) {
+  try {
+    const got = await getTranscript(candidate);
+    const text = String(got?.text || '').substring(0, 2000);
+    const status = normalizedWords(text).length >= 8 ? 'ready' : 'unusable';
+    return { candidate, text, provider: got?.provider || null, status, error: null };
+  } catch (error) {
+    const status = NON_UPSTREAM_TRANSCRIPT_ERRORS.has(error.message) ? 'no_transcript' : 'failed';
+    return { candidate, text: '', provider: null, status, error };
+  }
+}
+
+// The server-side transcript source: a Reddit or X post is its own text, a
+// video goes through the ./_transcript.js provider chain.
+export async function chainTranscript(candidate) {
+  return TEXT_PLATFORMS.includes(candidate.platform)
+    ? { text: candidate.body || '', provider: 'post' }
+    : fetchTranscript(candidate.url);
+}
+
+// Step 6: Gemini extraction — chunked and parallel. A single 18-video call can
+// outrun even a generous timeout on a slow Gemini day (seen live); three
+// 6-video calls each finish fast, and one failed chunk costs 6 candidates
+// instead of the whole extraction. Indexes are global, so remapping is free.
+// `failed` holds the indexes of candidates whose chunk failed.
+const EXTRACTION_CHUNK_SIZE = 6;
+
+export async function extractHooks(niche, candidates, { timeoutMs } = {}) {
+  const chunks = [];
+  for (let start = 0; start < candidates.length; start += EXTRACTION_CHUNK_SIZE) {
+    chunks.push(candidates.slice(start, start + EXTRACTION_CHUNK_SIZE).map((o, offset) => ({
+      i: start + offset, title: o.title, views: o.views, followers: o.followers,
+      ...(TEXT_PLATFORMS.includes(o.platform) ? { source: 'text' } : {}),
+      ...(o.transcript ? { transcript: o.transcript } : {}),
+    })));
+  }
+  const chunkResults = await Promise.all(chunks.map(async (videos) => {
+    try {
+      const result = await callGemini(
+        HOOK_EXTRACTION_PROMPT, JSON.stringify({ niche: niche.name, videos }), 0.1,
+        { site: 'hook-extraction', ...(timeoutMs ? { timeoutMs } : {}) },
+      );
+      return Array.isArray(result) ? { videos, result } : { videos, error: 'extraction returned non-array' };
+    } catch (e) {
+      return { videos, error: `extraction: ${e.message}` };
+    }
+  }));
+  const extracted = [];
+  const failed = new Set();
+  const errors = [];
+  for (const chunk of chunkResults) {
+    if (chunk.error) {
+      errors.push(chunk.error);
+      for (const video of chunk.videos) failed.add(video.i);
+    } else {
+      extracted.push(...chunk.result);
+    }
+  }
+  return { extracted, failed, failures: chunkResults.filter((c) => c.error).length, errors };
+}
+
+// Step 7: validate each extraction against its transcript and build the hook
+// rows. `rejections` counts the extractions each gate turned away, keyed by
+// its reason; `evaluated` counts the transcripts the model answered for.
+export function buildHookRows(transcriptReady, extracted, errors) {
+  const rows = [];
+  const rejections = {};
+  const reject = (reason) => { rejections[reason] = (rejections[reason] || 0) + 1; };
+  const seenExtractionIndexes = new Set();
+  for (const ex of extracted) {
+    if (!Number.isInteger(ex?.i) || seenExtractionIndexes.has(ex.i)) {
+      errors.push('skipped malformed or duplicate extraction index');
+      continue;
+    }
+    const src = transcriptReady[ex.i];
+    if (!src) continue;
+    seenExtractionIndexes.add(ex.i);
+    const isText = TEXT_PLATFORMS.includes(src.platform);
+    const validation = validateHookExtraction(ex, src.transcript, { sourceType: isText ? 'text' : 'video' });
+    if (!validation.ok) {
+      reject(validation.reason);
+      errors.push(`skipped ${validation.reason}: ${src.url}`);
+      continue;
+    }
+    // English-titled video can still have non-English audio — the title
+    // filter at discovery can't catch that, so gate the extracted text too.
+    if (!isMostlyLatin(ex.hook_template) || !isMostlyLatin(ex.hook_verbatim) || !isMostlyLatin(ex.topic)) {
+      reject('non-Latin hook');
+      errors.push(`skipped non-Latin hook: ${src.url}`);
+      continue;
+    }
+    rows.push({
+      hookTemplate: normalizeHookTemplate(ex.hook_template).substring(0, 500),
+      hookVerbatim: String(ex.hook_verbatim || '').substring(0, 500),
+      topic: String(ex.topic || '').substring(0, 300),
+      mechanism: validation.mechanism,
+      format: isText ? 'other' : (VALID_FORMATS.includes(ex.format) ? ex.format : 'talking_head'),
+      platform: VALID_PLATFORMS.includes(src.platform) ? src.platform : 'youtube',
+      videoUrl: src.url,
+      videoTitle: src.title.substring(0, 500),
+      transcriptProvider: src.transcriptProvider || null,
+      views: src.views,
+      followers: src.followers,
+      outlierScore: src.score,
+      curated: false,
+    });
+  }
+  return { rows, rejections, evaluated: seenExtractionIndexes.size };
 }
 
 // Steps 4-8: refresh split, transcript gate, extraction, validation, write.
-// Transcripts come from opts.transcriptProvider (Supadata via mineNiche) or,
-// when absent, from a `transcript` field already attached to each candidate
-// (the local mining path).
+// Transcripts come from opts.transcriptProvider (the ./_transcript.js chain
+// via mineNiche), which resolves { text, provider }, or, when absent, from a
+// `transcript` field already attached to each candidate (the local mining
+// path). Each accepted hook records the provider that produced its transcript.
 export async function mineFromCandidates(niche, outliers, opts = {}) {
   const {
     maxExtractions = 12, maxTranscripts = 18, dry = false, fresh = false,
@@ -279,6 +442,10 @@ export async function mineFromCandidates(niche, outliers, opts = {}) {
     transcriptPauseMs = 300,
     extractionTimeoutMs,
     errors: priorErrors = [],
+    // The platforms this run searched; a fresh rebuild replaces only theirs.
+    platforms = MINED_PLATFORMS,
+    // A profile-save mine; only changes how its report is filed.
+    light = false,
   } = opts;
   const errors = [...priorErrors];
   let upstreamFailures = 0;
@@ -286,12 +453,6 @@ export async function mineFromCandidates(niche, outliers, opts = {}) {
   // 4. Split into refresh (already known) vs new. Dry and fresh rebuilds
   // deliberately recheck both groups under the current extraction policy.
   const existing = await getExistingHookUrls(outliers.map((o) => o.url));
-  const currentMined = (dry || fresh)
-    ? await getMinedHookUrlsForNiche(niche.id)
-    : new Set();
-  const currentOwned = (dry || fresh)
-    ? await getOwnedHookUrlsForNiche(niche.id)
-    : new Set();
   const refresh = outliers.filter((o) => existing.has(o.url));
   const researchPool = selectResearchPool(outliers, existing, { dry, fresh });
 
@@ -301,17 +462,13 @@ export async function mineFromCandidates(niche, outliers, opts = {}) {
   // keep only those with real spoken words, cap the transcript spend.
   const getTranscript = transcriptProvider || (async (candidate) => {
     if (!String(candidate.transcript || '').trim()) throw new Error('No transcript supplied.');
-    return candidate.transcript;
+    return { text: candidate.transcript, provider: candidate.transcriptProvider || 'local' };
   });
+  const byProvider = {};
   const transcriptReady = [];
   let transcriptAttempts = 0;
   let transcriptFailures = 0;
   const transcriptCandidates = researchPool.slice(0, maxTranscripts);
-  // Keep the burst small and paced. Supadata's rate limit 429s a wide fan-out;
-  // fetchTranscript already retries a single 429 with backoff, and pausing
-  // between batches keeps the whole pass under the per-second ceiling. The
-  // attached-transcript path passes transcriptPauseMs: 0 — nothing remote.
-  const TRANSCRIPT_CONCURRENCY = 2;
   for (let start = 0; start < transcriptCandidates.length; start += TRANSCRIPT_CONCURRENCY) {
     if (transcriptReady.length >= maxExtractions) break;
     if (start > 0 && transcriptPauseMs > 0) {
@@ -319,100 +476,82 @@ export async function mineFromCandidates(niche, outliers, opts = {}) {
     }
     const batch = transcriptCandidates.slice(start, start + TRANSCRIPT_CONCURRENCY);
     transcriptAttempts += batch.length;
-    const batchResults = await Promise.all(batch.map(async (candidate) => {
-      try {
-        const text = String(await getTranscript(candidate)).substring(0, 2000);
-        return { candidate, text, error: null };
-      } catch (error) {
-        return { candidate, text: '', error };
-      }
-    }));
+    const batchResults = await Promise.all(batch.map((candidate) => fetchCandidateTranscript(getTranscript, candidate)));
     for (const result of batchResults) {
       if (result.error) {
         transcriptFailures++;
-        if (!NON_UPSTREAM_TRANSCRIPT_ERRORS.has(result.error.message)) upstreamFailures++;
+        if (result.status === 'failed') upstreamFailures++;
         errors.push(`transcript ${result.candidate.url}: ${result.error.message}`);
-      } else if (
-        transcriptReady.length < maxExtractions &&
-        normalizedWords(result.text).length >= 8
-      ) {
+      } else if (result.status === 'ready' && transcriptReady.length < maxExtractions) {
         result.candidate.transcript = result.text;
+        result.candidate.transcriptProvider = result.provider;
+        if (result.provider) byProvider[result.provider] = (byProvider[result.provider] || 0) + 1;
         transcriptReady.push(result.candidate);
       }
     }
   }
 
-  // 6. Gemini extraction — chunked and parallel. A single 18-video call can
-  // outrun even a generous timeout on a slow Gemini day (seen live); three
-  // 6-video calls each finish fast, and one failed chunk costs 6 candidates
-  // instead of the whole extraction. Indexes are global, so remapping is free.
-  const EXTRACTION_CHUNK_SIZE = 6;
-  const extracted = [];
+  // 6. Extraction
+  let extracted = [];
   if (transcriptReady.length > 0) {
-    const chunks = [];
-    for (let start = 0; start < transcriptReady.length; start += EXTRACTION_CHUNK_SIZE) {
-      chunks.push(transcriptReady.slice(start, start + EXTRACTION_CHUNK_SIZE).map((o, offset) => ({
-        i: start + offset, title: o.title, views: o.views, followers: o.followers,
-        ...(o.transcript ? { transcript: o.transcript } : {}),
-      })));
-    }
-    const chunkResults = await Promise.all(chunks.map(async (videos) => {
-      try {
-        const result = await callGemini(
-          HOOK_EXTRACTION_PROMPT, JSON.stringify({ niche: niche.name, videos }), 0.1,
-          extractionTimeoutMs ? { timeoutMs: extractionTimeoutMs } : {},
-        );
-        return Array.isArray(result) ? { result } : { error: 'extraction returned non-array' };
-      } catch (e) {
-        return { error: `extraction: ${e.message}` };
-      }
-    }));
-    for (const chunk of chunkResults) {
-      if (chunk.error) {
-        upstreamFailures++;
-        errors.push(chunk.error);
-      } else {
-        extracted.push(...chunk.result);
-      }
-    }
+    const extraction = await extractHooks(niche, transcriptReady, { timeoutMs: extractionTimeoutMs });
+    extracted = extraction.extracted;
+    upstreamFailures += extraction.failures;
+    errors.push(...extraction.errors);
   }
 
   // 7. Build rows
-  const rows = [];
-  const seenExtractionIndexes = new Set();
-  for (const ex of extracted) {
-    if (!Number.isInteger(ex?.i) || seenExtractionIndexes.has(ex.i)) {
-      errors.push('skipped malformed or duplicate extraction index');
-      continue;
-    }
-    const src = transcriptReady[ex.i];
-    if (!src) continue;
-    seenExtractionIndexes.add(ex.i);
-    const validation = validateHookExtraction(ex, src.transcript);
-    if (!validation.ok) {
-      errors.push(`skipped ${validation.reason}: ${src.url}`);
-      continue;
-    }
-    // English-titled video can still have non-English audio — the title
-    // filter in searchShorts can't catch that, so gate the extracted text too.
-    if (!isMostlyLatin(ex.hook_template) || !isMostlyLatin(ex.hook_verbatim) || !isMostlyLatin(ex.topic)) {
-      errors.push(`skipped non-Latin hook: ${src.url}`);
-      continue;
-    }
-    rows.push({
-      hookTemplate: String(ex.hook_template).substring(0, 500),
-      hookVerbatim: String(ex.hook_verbatim || '').substring(0, 500),
-      topic: String(ex.topic || '').substring(0, 300),
-      format: VALID_FORMATS.includes(ex.format) ? ex.format : 'talking_head',
-      platform: VALID_PLATFORMS.includes(src.platform) ? src.platform : 'youtube',
-      videoUrl: src.url,
-      videoTitle: src.title.substring(0, 500),
-      views: src.views,
-      followers: src.followers,
-      outlierScore: src.score,
-      curated: false,
-    });
+  const { rows, rejections, evaluated } = buildHookRows(transcriptReady, extracted, errors);
+
+  return settleMine(niche, {
+    rows, rejections, dry, fresh, light, platforms, existing, refresh, errors,
+    scanned, outliers: outliers.length,
+    transcriptAttempts, transcriptEligible: transcriptReady.length, transcriptFailures,
+    transcriptProviders: byProvider, evaluated, discoveryFailures, upstreamFailures,
+  });
+}
+
+/**
+ * Step 8: judge and write one mine's accepted rows — the dry-run report, the
+ * fresh rebuild (only when assessFreshReadiness passes over the whole run's
+ * counts) or the incremental write — and file the run's report
+ * (./_minereports.js). Shared by mineFromCandidates and the resumable jobs in
+ * ./_minejobs.js, which hand it a completed job's totals.
+ */
+export async function settleMine(niche, run) {
+  const judged = run.rows.length;
+  const result = await writeMine(niche, run);
+  // writeMine drops rows whose source another niche owns.
+  const rejections = { ...(run.rejections || {}) };
+  if (run.rows.length < judged) rejections['source owned by another niche'] = judged - run.rows.length;
+  const readiness = assessFreshReadiness({
+    accepted: run.rows.length,
+    transcriptEligible: run.transcriptEligible,
+    evaluated: run.evaluated,
+    discoveryFailures: run.discoveryFailures,
+    upstreamFailures: run.upstreamFailures,
+  });
+  result.rejections = rejections;
+  try {
+    result.reportId = await saveMineReport(niche.id, buildMineReport({ ...run, rejections }, result, readiness));
+  } catch (error) {
+    result.errors.push(`mine report not saved: ${error.message}`);
   }
+  return result;
+}
+
+async function writeMine(niche, run) {
+  const {
+    rows, dry = false, fresh = false, platforms = MINED_PLATFORMS, existing, refresh, errors,
+    scanned, outliers, transcriptAttempts, transcriptEligible, transcriptFailures,
+    transcriptProviders: byProvider, evaluated, discoveryFailures = 0, upstreamFailures = 0,
+  } = run;
+  const currentMined = (dry || fresh)
+    ? await getMinedHookUrlsForNiche(niche.id, platforms)
+    : new Set();
+  const currentOwned = (dry || fresh)
+    ? await getOwnedHookUrlsForNiche(niche.id)
+    : new Set();
 
   if (dry || fresh) {
     const owned = excludeCrossNicheRows(rows, existing, currentOwned);
@@ -424,8 +563,8 @@ export async function mineFromCandidates(niche, outliers, opts = {}) {
 
   const freshReadiness = assessFreshReadiness({
     accepted: rows.length,
-    transcriptEligible: transcriptReady.length,
-    evaluated: seenExtractionIndexes.size,
+    transcriptEligible,
+    evaluated,
     discoveryFailures,
     upstreamFailures,
   });
@@ -440,9 +579,10 @@ export async function mineFromCandidates(niche, outliers, opts = {}) {
     const wouldRetire = [...currentMined].filter((url) => !acceptedUrls.has(url));
     return {
       dry: true, fresh, niche: niche.slug,
-      scanned, outliers: outliers.length,
-      transcriptAttempts, transcriptEligible: transcriptReady.length, transcriptFailures,
-      accepted: rows.length, rejected: Math.max(0, transcriptReady.length - rows.length),
+      scanned, outliers,
+      transcriptAttempts, transcriptEligible, transcriptFailures,
+      transcriptProviders: byProvider,
+      accepted: rows.length, rejected: Math.max(0, transcriptEligible - rows.length),
       currentMined: currentMined.size, finalMined: rows.length,
       minimumAccepted: MIN_FRESH_ACCEPTED_HOOKS,
       minimumTranscriptEligible: MIN_FRESH_TRANSCRIPT_ELIGIBLE,
@@ -454,14 +594,14 @@ export async function mineFromCandidates(niche, outliers, opts = {}) {
     };
   }
 
-  // 8. Write
   if (fresh) {
     if (!freshReadiness.canApply) {
       return {
         fresh: true, applied: false, niche: niche.slug,
-        scanned, outliers: outliers.length,
-        transcriptAttempts, transcriptEligible: transcriptReady.length, transcriptFailures,
-        accepted: rows.length, rejected: Math.max(0, transcriptReady.length - rows.length),
+        scanned, outliers,
+        transcriptAttempts, transcriptEligible, transcriptFailures,
+        transcriptProviders: byProvider,
+        accepted: rows.length, rejected: Math.max(0, transcriptEligible - rows.length),
         currentMined: currentMined.size, finalMined: currentMined.size,
         minimumAccepted: MIN_FRESH_ACCEPTED_HOOKS,
         minimumTranscriptEligible: MIN_FRESH_TRANSCRIPT_ELIGIBLE,
@@ -473,29 +613,96 @@ export async function mineFromCandidates(niche, outliers, opts = {}) {
         ],
       };
     }
-    const replaced = await replaceMinedHooksForNiche(niche.id, rows);
+    const replaced = await replaceMinedHooksForNiche(niche.id, rows, platforms);
+    const clustered = await clusterAfterWrite(niche.id, errors);
     return {
       fresh: true, applied: true, niche: niche.slug,
-      scanned, outliers: outliers.length,
-      transcriptAttempts, transcriptEligible: transcriptReady.length, transcriptFailures,
-      accepted: rows.length, rejected: Math.max(0, transcriptReady.length - rows.length),
+      scanned, outliers,
+      transcriptAttempts, transcriptEligible, transcriptFailures,
+      transcriptProviders: byProvider,
+      accepted: rows.length, rejected: Math.max(0, transcriptEligible - rows.length),
       currentMined: currentMined.size, finalMined: rows.length,
       retired: replaced.retired, removed: replaced.removed,
-      upserted: replaced.upserted, errors,
+      upserted: replaced.upserted, clustered, errors,
     };
   }
 
   const written = await applyIncrementalMine(niche.id, rows, refresh);
+  const clustered = written.inserted > 0 ? await clusterAfterWrite(niche.id, errors) : 0;
 
   return {
     niche: niche.slug,
-    scanned, outliers: outliers.length,
-    inserted: written.inserted, refreshed: written.refreshed, errors,
+    scanned, outliers,
+    transcriptProviders: byProvider,
+    inserted: written.inserted, refreshed: written.refreshed, clustered, errors,
   };
 }
 
-// Full pipeline: discover on YouTube, fetch transcripts via Supadata, extract.
-// The cron and profile-save entry point; behavior unchanged by the split.
+/**
+ * Re-cluster a niche's near-duplicate hooks (api/_hookclusters.js) and store
+ * the cluster ids that changed. Also the backfill behind
+ * /api/mine?action=cluster.
+ * @returns {Promise<{ hooks: number, clusters: number, updated: number }>}
+ */
+export async function clusterNicheHooks(nicheId) {
+  const hooks = await getHookTemplatesForNiche(nicheId);
+  const clusters = assignHookClusters(hooks);
+  const updated = await setHookClusters(
+    nicheId, clusters, new Map(hooks.map((h) => [h.id, h.cluster_id])),
+  );
+  return { hooks: hooks.length, clusters: new Set(clusters.values()).size, updated };
+}
+
+// The hooks are already written; a clustering failure leaves new rows
+// standing alone in the pools until the next mine, never a failed mine.
+async function clusterAfterWrite(nicheId, errors) {
+  try {
+    return (await clusterNicheHooks(nicheId)).updated;
+  } catch (error) {
+    errors.push(`cluster: ${error.message}`);
+    return 0;
+  }
+}
+
+const MECHANISM_BATCH_SIZE = 40;
+
+/**
+ * Backfill mechanism labels on hooks mined before extraction asked for one,
+ * in batches until the time budget runs out. A label outside the taxonomy
+ * falls back to the one the line reads as (inferMechanism), so every hook in
+ * a batch is labeled and the backfill always moves forward.
+ * Behind /api/mine?action=label-mechanisms.
+ * @returns {Promise<{ labeled: number, inferred: number, done: boolean }>}
+ */
+export async function labelHookMechanisms({ timeBudgetMs = 40_000 } = {}) {
+  const started = Date.now();
+  let labeled = 0;
+  let inferred = 0;
+  let done = false;
+  while (Date.now() - started < timeBudgetMs) {
+    const hooks = await getUnlabeledHooks(MECHANISM_BATCH_SIZE);
+    if (hooks.length === 0) {
+      done = true;
+      break;
+    }
+    const input = {
+      hooks: hooks.map((h) => ({ id: h.id, verbatim: h.hook_verbatim || '', template: h.hook_template })),
+    };
+    const result = await callGemini(HOOK_MECHANISM_PROMPT, JSON.stringify(input), 0.2, { site: 'hook-mechanism' });
+    const labels = new Map();
+    for (const h of hooks) {
+      const mechanism = normalizeMechanism(result?.labels?.[h.id]);
+      if (!mechanism) inferred++;
+      labels.set(h.id, mechanism || inferMechanism(h.hook_verbatim || h.hook_template));
+    }
+    labeled += await setHookMechanisms(labels);
+  }
+  return { labeled, inferred, done };
+}
+
+// Full pipeline: discover through every enabled source, fetch transcripts
+// through the provider chain (Supadata, YouTube captions, Whisper; a Reddit or
+// X post is its own text), extract. The cron and profile-save entry point.
 export async function mineNiche(niche, apiKey, opts = {}) {
   const { maxKeywords = 6, maxSeedChannels = 3, ...mineOpts } = opts;
   const discovery = await discoverCandidates(niche, apiKey, { maxKeywords, maxSeedChannels });
@@ -504,6 +711,7 @@ export async function mineNiche(niche, apiKey, opts = {}) {
     scanned: discovery.scanned,
     discoveryFailures: discovery.discoveryFailures,
     errors: discovery.errors,
-    transcriptProvider: async (candidate) => (await fetchTranscript(candidate.url)).text,
+    platforms: discovery.platforms,
+    transcriptProvider: chainTranscript,
   });
 }
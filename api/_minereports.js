@@ -0,0 +1,115 @@
+// api/_minereports.js — One report row per settled mine (mine_reports), so a
+// niche's supply can be followed across runs instead of read out of one HTTP
+// response or the function logs. settleMine in ./_miner.js saves the report;
+// GET /api/mine?action=reports lists and compares them per niche.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+export const MINE_MODES = ['light', 'fresh', 'incremental'];
+
+// Runs averaged as "recent" when comparing a niche against its own history,
+// and how far below its earlier average a recent run's yield must fall to
+// count as drying up.
+export const RECENT_RUNS = 3;
+export const DRYING_UP_RATIO = 0.5;
+
+// A fresh rebuild, a profile-save light mine, or the routine additive mine.
+// Dry runs keep their mode and set `dry`.
+export function mineRunMode({ fresh = false, light = false } = {}) {
+  if (fresh) return 'fresh';
+  return light ? 'light' : 'incremental';
+}
+
+/**
+ * The report row for a settled run: what settleMine judged (`run`, the
+ * readiness it computed) and what it wrote (`result`).
+ */
+export function buildMineReport(run, result, freshReadiness) {
+  return {
+    mode: mineRunMode(run),
+    dry: !!run.dry,
+    jobId: run.jobId ?? null,
+    scanned: Number(run.scanned) || 0,
+    discovered: Number(run.outliers) || 0,
+    transcriptAttempts: Number(run.transcriptAttempts) || 0,
+    transcriptFailures: Number(run.transcriptFailures) || 0,
+    transcriptEligible: Number(run.transcriptEligible) || 0,
+    rejections: { ...(run.rejections || {}) },
+    accepted: run.rows.length,
+    // Readiness is judged on every run, so an incremental mine also shows
+    // whether a fresh rebuild of the niche would pass today.
+    freshBlockers: freshReadiness.blockers,
+    applied: result.applied ?? (run.dry ? false : null),
+    errorCount: (result.errors || []).length,
+  };
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, v) => a + v, 0) / values.length : 0;
+}
+
+function round(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// One mode's runs, oldest first: the latest RECENT_RUNS against every run
+// before them. Light mines search less by design, so modes never mix.
+function modeTrend(runs) {
+  const recent = runs.slice(-RECENT_RUNS);
+  const earlier = runs.slice(0, -RECENT_RUNS);
+  const trend = {
+    runs: runs.length,
+    recent: {
+      discovered: round(mean(recent.map((r) => r.discovered))),
+      accepted: round(mean(recent.map((r) => r.accepted))),
+    },
+    earlier: earlier.length ? {
+      discovered: round(mean(earlier.map((r) => r.discovered))),
+      accepted: round(mean(earlier.map((r) => r.accepted))),
+    } : null,
+    dryingUp: false,
+  };
+  if (trend.earlier) {
+    trend.dryingUp = ['discovered', 'accepted'].some((key) => (
+      trend.earlier[key] > 0 && trend.recent[key] < trend.earlier[key] * DRYING_UP_RATIO
+    ));
+  }
+  return trend;
+}
+
+/**
+ * Group reports (any order, any niches) per niche: the runs oldest first,
+ * the rejection totals, and per mode the recent yield against the earlier
+ * one. Dry runs are listed but left out of the trend: they re-evaluate saved
+ * sources a real mine would skip.
+ */
+export function compareMineReports(reports) {
+  const byNiche = new Map();
+  for (const report of reports) {
+    if (!byNiche.has(report.niche)) byNiche.set(report.niche, []);
+    byNiche.get(report.niche).push(report);
+  }
+  const niches = [];
+  for (const [niche, list] of byNiche) {
+    const runs = [...list].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const rejections = {};
+    for (const run of runs) {
+      for (const [reason, count] of Object.entries(run.rejections || {})) {
+        rejections[reason] = (rejections[reason] || 0) + count;
+      }
+    }
+    const trends = {};
+    for (const mode of MINE_MODES) {
+      const real = runs.filter((r) => r.mode === mode && !r.dry);
+      if (real.length) trends[mode] = modeTrend(real);
+    }
+    niches.push({
+      niche,
+      runs,
+      rejections,
+      trends,
+      dryingUp: Object.values(trends).some((t) => t.dryingUp),
+    });
+  }
+  // The niches running dry first, then the rest by name.
+  return niches.sort((a, b) => Number(b.dryingUp) - Number(a.dryingUp) || a.niche.localeCompare(b.niche));
+}
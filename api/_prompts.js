@@ -4,9 +4,13 @@
 // ============================================
 // HOOK EXTRACTION (mining pipeline)
 // ============================================
-export const HOOK_EXTRACTION_PROMPT = `You are a short-form content researcher. You receive a JSON object: { niche: "<the creator audience being researched>", videos: [...] }. Each video has: i (index), title, views, followers, and transcript (the spoken words).
+// The mechanism labels of api/_mechanisms.js, as both prompts that assign one
+// list them.
+const HOOK_MECHANISM_TAXONOMY = 'curiosity-gap (withholds something the viewer now needs to know), contrarian (challenges a belief the audience holds), numbered-list (promises a counted set of items), mistake-warning (warns the viewer off a mistake or habit), identity-callout (names who the viewer is or what they are going through), result-first (opens on an outcome or transformation before the how), question (asks the viewer a direct question), story (opens a first-person story), how-to (promises a method for a goal), statement (a plain, confident statement with none of the moves above)';
 
-For EACH video, assess and extract its hook. The hook is the attention-grabbing opening: the first 1-2 spoken sentences of the transcript, cleaned only of filler ("um", "hey guys", "welcome back"). The title is context only. Never copy, derive, repair, or invent a hook from the title. If the opening transcript has no complete, compelling spoken line, reject the video.
+export const HOOK_EXTRACTION_PROMPT = `You are a short-form content researcher. You receive a JSON object: { niche: "<the creator audience being researched>", videos: [...] }. Each video has: i (index), title, views, followers, and transcript (the spoken words). A video with source "text" is a text post instead (a Reddit submission or an X thread opener): its transcript is the post itself and views is an engagement-based equivalent.
+
+For EACH video, assess and extract its hook. The hook is the attention-grabbing opening: the first 1-2 spoken sentences of the transcript, cleaned only of filler ("um", "hey guys", "welcome back"). The title is context only. Never copy, derive, repair, or invent a hook from the title. If the opening transcript has no complete, compelling spoken line, reject the video. For a text post the hook is its first sentence, taken as written; if that sentence is not a compelling opening on its own, reject the post.
 
 Return ONLY a JSON array, one object per input video:
 [{
@@ -20,7 +24,8 @@ Return ONLY a JSON array, one object per input video:
   "hook_verbatim": "the actual opening line from the transcript",
   "hook_template": "the same hook with specifics replaced by ___ slots",
   "topic": "3-8 word topic summary",
-  "format": "talking_head"
+  "format": "talking_head",
+  "mechanism": "mistake-warning"
 }]
 
 Rules:
@@ -33,10 +38,23 @@ Rules:
 - hook_verbatim must preserve a complete, contiguous line actually present near the START of transcript. Filler may be skipped before the hook, but never delete, add, reorder, paraphrase, or repair words inside it. Never use the title to fill missing words.
 - hook_template: replace names, numbers, niches, and product-specifics with ___ slots. Example: "How I took my client from 150 to 130 lbs in 8 weeks" becomes "How I took my client from ___ to ___ in ___". Keep the sentence structure and emotional punch intact.
 - A reusable template has 1-4 ___ slots, at least 4 fixed words, and no more than 20 total words. Every fixed word must come from hook_verbatim in the same order.
-- format must be one of: talking_head, whiteboard, audio_broll, skit, other. Without visual evidence default to talking_head.
+- format must be one of: talking_head, whiteboard, audio_broll, skit, other. Without visual evidence default to talking_head. A text post is always other.
 - topic is plain lowercase, no hashtags.
+- mechanism: why the opening works, exactly one of: ${HOOK_MECHANISM_TAXONOMY}. When two fit, pick the one the first words make.
 - Output raw JSON array only. No markdown fences, no commentary.`;
 
+// Backfill for hooks mined before extraction asked for a mechanism
+// (labelHookMechanisms in api/_miner.js).
+export const HOOK_MECHANISM_PROMPT = `You receive JSON { hooks: [{ id, verbatim, template }] }. Each is a screened opening line from a high-reach short-form video or a high-engagement text post; template is the same line with its specifics replaced by ___ slots. Label why each opening works.
+
+Return ONLY this JSON object:
+{"labels": {"12": "curiosity-gap", "15": "mistake-warning"}}
+
+Rules:
+- One label for every hook id, exactly one of: ${HOOK_MECHANISM_TAXONOMY}.
+- Judge the line as written, not its topic. When two fit, pick the one the first words make.
+- Output raw JSON only. No markdown fences.`;
+
 // ============================================
 // PRODUCT PROFILE (scraped URL -> structured product profile)
 // ============================================
@@ -93,7 +111,7 @@ Rules:
 // ============================================
 // HOOK PICK (app profile + candidate hooks -> best-fit shortlist)
 // ============================================
-export const HOOK_PICK_PROMPT = `You receive JSON { product, audienceNiche, hooks }. hooks are screened spoken openings from high-reach short-form videos in this audience's niche (views = the source video's public view count). One of them will be transplanted onto this product: its sentence structure kept, its subject swapped for the product's job-to-be-done.
+export const HOOK_PICK_PROMPT = `You receive JSON { product, audienceNiche, hooks }. hooks are screened spoken openings from high-reach short-form videos in this audience's niche (views = the source video's public view count). A hook with source "text" is instead the first sentence of a high-engagement Reddit or X post, and its views is an engagement-based equivalent; judge it as a line that must also work spoken or on a slide. One of them will be transplanted onto this product: its sentence structure kept, its subject swapped for the product's job-to-be-done.
 
 Pick the hooks that would transplant BEST onto THIS product.
 
@@ -102,9 +120,14 @@ A hook transplants well when the thing that made it work — the surprise, the s
 Apply a second quality check even if a candidate has many views. Reject SEO-style titles, fragments, labels, keyword lists, names without a claim, direct-response ads, calls to follow/subscribe, and generic lines with no tension or curiosity. A useful candidate must read like a complete spoken opening and remain compelling after its subject is swapped.
 
 Return ONLY this JSON object, best fit first, only ids that exist in the input:
-{"ids": [7, 12, 3]}
+{"ids": [7, 12, 3], "reasons": {"7": {"mechanism": "...", "subject": "...", "job": "..."}}}
+
+reasons has one entry per id in ids, keyed by that id, and says why it fits, in plain words a founder would follow:
+- mechanism: the structure that made the hook work and is kept, in one short phrase (e.g. "a confession that flips a common habit")
+- subject: what is swapped, as "original subject -> this product's subject"
+- job: the product's job-to-be-done the transplanted hook now sells, from product.what or product.benefit
 
-Include a hook only if it genuinely transplants. If NONE do, return {"ids": []} — an honest empty list beats a bad pick.
+Include a hook only if it genuinely transplants. If NONE do, return {"ids": [], "reasons": {}} — an honest empty list beats a bad pick.
 
 No markdown fences, no commentary.`;
 
@@ -114,9 +137,16 @@ No markdown fences, no commentary.`;
 export const CAROUSEL_COPY_PROMPT = `You write faceless slideshow posts (TikTok photo-mode / Instagram carousels) that grow an audience for a product — a mobile app, a website, or a SaaS tool. You receive JSON:
 - product: { name, what, who, benefit, facts, url, tone } — facts are verified claims about the product; the ONLY product claims you may use
 - audienceNiche: the content niche of the product's TARGET USERS (write for THEM, in their language — never for software builders)
-- hook: { verbatim, template, topic } — verbatim is the exact screened spoken opening from a high-reach short-form video. template is that same line with its swappable specifics marked as ___ slots. This line is your raw material, not a suggestion.
-- kind: "value" or "showcase"
-- slideCount: total slides including hook slide and final slide
+- hook: { verbatim, template, topic, fit } — verbatim is the exact screened spoken opening from a high-reach short-form video. template is that same line with its swappable specifics marked as ___ slots. This line is your raw material, not a suggestion. fit is null, or the hook screen's { mechanism, subject, job } for why this hook suits the product
+- kind: "value", "showcase", "myth-fact", "before-after", "tutorial", "old-way", "customer-story" or "changelog"
+- structure: the deck's shape — "one-tip", "listicle" or "deep-dive" for value, "problem-story" for showcase, and one shape named after each other kind
+- changes: for kind "changelog" only, what the product just shipped, from its release notes. Empty for every other kind
+- series: null, or { theme, part, of, mechanism, previous } when this post is one part of a multi-part series on theme. previous lists the parts already written, in order, each as { part, slides } with its slide headings
+- avoid: slide headings from the product's recent posts that this post came out too close to. Usually empty
+- compliance: null, or { never } when audienceNiche is a regulated niche. never lists the claims platforms flag accounts for here
+- slideCount: total slides including hook slide and final slide (3 to 10). The slides array has EXACTLY slideCount entries.
+- voice: { samples, banned, readingLevel, emoji } — the product's brand voice. samples are posts the founder wrote themselves; banned are words and phrases the brand never uses
+- language: { code, name } — the language the whole post is written in
 
 Return ONLY this JSON object:
 {
@@ -126,16 +156,40 @@ Return ONLY this JSON object:
   ],
   "cta": "the closing ask painted on the last slide, max 8 words",
   "caption": "2-3 sentences continuing the post's idea, ending with where to get the product (its name, not a URL)",
+  "captions": { "tiktok": "...", "linkedin": "...", "threads": "..." },
   "hashtags": ["5-8 lowercase hashtags without #, audienceNiche tags + reach tags"],
   "motifs": ["3-5 concrete drawable objects representing the product's subject"],
-  "heroScene": "one real photographable moment that shows slide 0's claim, max 20 words"
+  "heroScene": "one real photographable moment that shows slide 0's claim, max 20 words",
+  "rationale": { "mechanism": "...", "subject": "...", "job": "..." }
 }
 
+LANGUAGE: write every slide, the cta, the captions and the hashtags in language.name, the way a native speaker in audienceNiche would post it. hook.verbatim and hook.template are English source material: transplant the hook's MECHANISM (sentence structure, rhythm, tension, the concrete number) into natural language.name. Never translate it word for word, and never leave English in the post unless it is the product's name or a term the audience really uses untranslated. The cta translates "link in bio" into the phrase creators in that language actually use. hashtags are the tags that audience searches in its own language, accents kept. motifs and heroScene stay in English: they feed an image model, not the reader.
+
 THE ONE RULE THAT MATTERS — a single narrative arc:
 Slide 0 makes a promise. Every following slide pays off exactly that promise. The last slide is the natural conclusion of the same arc. A reader must never feel the topic change between slide 0 and the last slide. If slide 0 promises "5 things", the middle slides ARE the 5 things, numbered. The product enters only where the arc naturally lands on the job it does — as the payoff, never as a bolted-on ad.
 
 kind = "value": a genuinely useful listicle/guide for audienceNiche (tips, mistakes, mini-plan, myths). Real substance the reader can use without the product — this is what earns saves, shares and follows; an ad earns a scroll-past. HARD RULE: the product may appear in AT MOST one middle slide, and only where the arc naturally lands on its job. Every other middle slide teaches real audienceNiche substance: use your genuine domain knowledge — real numbers, named examples, specific mistakes ("a 'healthy' smoothie bowl runs 600-900 calories", not "smoothies can be caloric"). Vague advice anyone could write is a failed slide. The final slide + cta carry the product.
 kind = "showcase": a problem-story arc — slide 0 names a painful, specific problem product.who has; middle slides walk the pain and what solving it feels like; final slide reveals the product as how, in plain words.
+kind = "myth-fact": slide 0 promises to bust beliefs audienceNiche holds; each middle slide is ONE common myth as the heading and the well-established fact that corrects it as the body. Myths are real beliefs the audience repeats, never straw men. Like value, the product appears in at most one middle slide; the final slide + cta carry it.
+kind = "before-after": slide 0 states the change; the first half of the middle slides shows the BEFORE (the specific, painful way product.who does it today), the second half the AFTER (the same moments, done better). The product is how the after happens, described only with product facts. Never invent a measured result.
+kind = "tutorial": a step-by-step guide to one outcome audienceNiche wants. Slide 0 promises the outcome; each middle slide is ONE numbered step the reader can do today, in order; the product is the tool for at most one step, where it genuinely does that step's job. The final slide says what they will have once they finish.
+kind = "old-way": slide 0 calls out how things are usually done; each middle slide sets the old way against the new way on ONE dimension (time, cost, effort, accuracy, stress), old first. The new way is the product's approach, described only with product facts; the reader must recognise the old way as their own habit.
+kind = "customer-story": one composite customer from product.who, told as a short story: slide 0 opens on their specific problem; middle slides walk what it cost them, what they tried, and the moment the product changed how they do it. Give them a first name and a situation, never a surname, company, quote, review, or measured result: this is an illustration, never a testimonial. Product details come only from product facts.
+kind = "changelog": a "what's new" post. Slide 0 announces the update in the audience's terms (what they can do now), not as version numbers. Each middle slide is ONE item from changes: the heading names it plainly, the body says what it lets the reader do. Announce only what changes lists, in its order of importance; never pad with older features presented as new.
+
+SERIES: when series is set, this post is part series.part of series.of, and every part is about series.theme. Slide 0 still transplants hook.verbatim; every part opens with the same move, series.mechanism, so the series reads as one voice. Cover a piece of series.theme no entry in previous covered, and never repeat an earlier part's points. When previous is not empty, one middle slide or the last slide refers back to an earlier part by its number in a few words ("Part 1 was the why. This is the how."). Every part but the last ends by teasing the next one; the last part closes the series. Never write "Part N of M" on a slide: that badge is drawn on the image. The caption may name the part.
+
+structure sets how the slides are spent:
+- "one-tip": slide 0 the hook; the middle slide is the ONE tip, specific enough to act on today; the last slide is the payoff and the ask. Never pad it into a list.
+- "listicle": slide 0 promises the list; each middle slide is one numbered item; the last slide closes the arc.
+- "deep-dive": slide 0 the hook; slide 1 sets up why it matters; the numbered items follow, one per slide; the second-to-last slide recaps them in one line each; the last slide closes.
+- "problem-story": the showcase arc above, with the pain and the relief spread over however many middle slides slideCount leaves.
+- "myth-fact": slide 0 the hook; one myth and its fact per middle slide; the last slide closes.
+- "before-after": slide 0 the hook; the middle slides split evenly into before then after; the last slide closes.
+- "step-by-step": slide 0 promises the outcome; one numbered step per middle slide; the last slide is the result and the ask.
+- "old-vs-new": slide 0 the hook; one old-vs-new contrast per middle slide; the last slide closes.
+- "customer-story": slide 0 opens the story; the middle slides carry it forward; the last slide lands it on the product.
+- "whats-new": slide 0 announces; one change per middle slide, using as many of changes as slideCount leaves room for; the last slide is the ask.
 
 Rules:
 - Slide 0 is a TRANSPLANT of hook.verbatim, NOT a refill of hook.template. Keep the verbatim line's exact sentence structure, rhythm, and emotional tension — the ___ slots in hook.template show you the ONLY words to swap; everything that is not a slot is the winning DNA, so keep it. Swap the slot words for audienceNiche specifics tied to product's job-to-be-done. If the original carries a concrete number, a surprise, or real stakes, yours carries an equally concrete one — never blandify it into a generic niche statement. Do not reuse the original's subject; it was about a different topic.
@@ -144,14 +198,21 @@ Rules:
 - Slide 0 must STAND ALONE as text. The cover photo is best-effort and can be absent, so never write a line that points at the image ("THIS is what 300 calories looks like", "watch this", "look at the difference"). If the original hook points at something visual, rewrite it to carry the punch in words and numbers instead: "This is what I thought was 300 calories" becomes "I thought my protein bar was 300 calories. I was off by 180."
 - Slide 0's promise must be PAYABLE by the slides. If the original hook promises countable content the slides cannot deliver from product facts ("7 meals", "5 recipes"), keep its rhythm but re-anchor the promise to what the middle slides WILL actually contain. Never open with a promise the carousel doesn't keep.
 - Middle slides each carry ONE concrete idea.
-- Claims ABOUT THE PRODUCT come only from product.what / product.benefit / product.facts — never invent features, user counts, or results the product doesn't claim. Knowledge about the NICHE (nutrition numbers, training facts, money stats) is yours to use freely in value slides — accuracy over caution, but only well-established facts.
+- When avoid is not empty, those angles are taken: the reader has already seen them. Keep the hook's mechanism but make different points, with different examples and different wording. No heading may restate an entry in avoid.
+- When compliance is set, no slide, caption or cta makes a claim in compliance.never, in any wording. Talk about habits, tools and what helped, never promised results by a date, cures, or guaranteed money. A disclaimer is added to the caption for you: never write one.
+- Claims ABOUT THE PRODUCT come only from product.what / product.benefit / product.facts (and changes, for a changelog) — never invent features, user counts, or results the product doesn't claim. Knowledge about the NICHE (nutrition numbers, training facts, money stats) is yours to use freely in value slides — accuracy over caution, but only well-established facts.
 - Headings max 12 words. Bodies max 30 words. Text must fit on an image.
 - Match product.tone: casual = contractions and plain talk; professional = tight and direct; funny = one honest joke maximum; authority = confident short declaratives.
-- Banned EVERYWHERE (slides, caption, cta): "here's the truth", "skyrocket", "game-changer", "unlock", "elevate", "delve". No em-dashes, no emoji in slides.
+- When voice.samples is not empty, write like them: their sentence length, vocabulary, punctuation habits and how they address the reader. Borrow the voice, never their content or claims.
+- voice.readingLevel: simple = short everyday words a 12-year-old reads easily; standard = plain adult prose; advanced = the niche's own expert vocabulary is fine.
+- captions: the same post's caption rewritten for each platform, without hashtags (they are added per platform). caption itself is the Instagram one. tiktok: one or two short lines with the words this audience types into TikTok search. linkedin: 3-5 short sentences in a plain professional register, the point stated first, still for audienceNiche. threads: one or two conversational sentences, under 400 characters. None of them contains a URL: the product link is added where the platform makes it clickable.
+- voice.emoji sets the captions only: none = no emoji; sparing = at most two; liberal = a few where they fit naturally.
+- Banned EVERYWHERE (slides, caption, captions, cta): "here's the truth", "skyrocket", "game-changer", "unlock", "elevate", "delve", and every entry in voice.banned, in any form. A post containing one is rejected. No em-dashes, no emoji in slides.
 - cta: the reason the post exists. Name the product once and ask for the next step in the reader's words. Use the verb the product actually takes: a mobile app (a Play Store or App Store url) is downloaded; a website or SaaS is tried, opened or started free. Pair it with "link in bio" — the slide is an image, so NEVER write a URL, an @handle or "click here".
   a calorie-tracking app -> "Get CalSnap. Link in bio."
   a SaaS invoicing tool -> "Try Billfold free. Link in bio."
 - motifs: physical objects an illustrator could draw for THIS product's subject. Never "app", "screen", "phone", "logo", "text", or abstractions.
+- rationale: how this post transplanted the hook, for the founder to read, in English. mechanism: the structure kept from hook.verbatim, in one short phrase. subject: what was swapped, as "original subject -> the subject slide 0 uses". job: the product's job-to-be-done slide 0 now sells. Start from hook.fit when it is set, and correct it to match what you actually wrote.
 - heroScene: the photograph slide 0 sits on. Describe ONE moment a photographer could actually shoot — a person, a pair of hands, or a physical object, doing something specific, in a real place, with the light named. It must SHOW slide 0's claim, not decorate it. Never a screen or app interface, never a crowd, never text, logos or brand marks, never a metaphor you cannot photograph. Never use the words "label", "text", "sign", "logo", "screenshot" or "poster" in the scene — a scene containing them is discarded and the post ships with no cover photo at all.
   hook about quitting doomscrolling -> "a hand dropping a phone into a kitchen drawer, hard morning light"
   hook about tracking workouts -> "a runner stopped on an empty road at dawn, glancing at her wrist"
@@ -159,9 +220,60 @@ Rules:
 - Before answering, verify: does the last slide follow directly from slide 0's promise? Is every middle slide substantive? Does the cta use the verb this product actually takes? Could a photographer shoot heroScene tomorrow? If not, rewrite, then output.
 - Output raw JSON only. No markdown fences.`;
 
+// ============================================
+// SLIDE REWRITE (one weak slide, the rest of the post as context)
+// ============================================
+export const SLIDE_REWRITE_PROMPT = `You fix ONE slide of a finished faceless slideshow post (TikTok photo-mode / Instagram carousel) for a product. You receive JSON:
+- product: { name, what, who, benefit, facts } — facts are verified claims; the ONLY product claims you may use
+- audienceNiche: the content niche of the product's target users (write for THEM)
+- hook: { verbatim, template } — the screened high-reach opening slide 0 was transplanted from (may be empty)
+- slides: the whole post, in order, as { index, heading, body }
+- voice: { samples, banned, readingLevel, emoji } — the product's brand voice; write the slide like voice.samples, at voice.readingLevel
+- index: the slide to rewrite
+- caption: the post's caption as it stands, written for the slides as they were
+- language: { code, name } — the post's language; the new slide is written in language.name like the rest
+- instruction: what the user wants changed ("shorter", "more specific", "add a number"); empty means make it stronger
+
+Return ONLY this JSON object:
+{ "heading": "the new heading, max 12 words", "body": "the new body, max 30 words", "caption": "the post's caption, fitted to the new slide" }
+
+Rules:
+- Rewrite slides[index] and nothing else. Every other slide stays as written, so the new slide must still fit between its neighbours: same promise, same numbering, same voice.
+- If index is 0 it is the hook slide: keep hook.verbatim's sentence structure, rhythm and tension, keep the promise the later slides pay off, and return an empty body.
+- Follow the instruction when it fits these rules; if it would break them, get as close as the rules allow.
+- caption: return it as written unless it describes what slides[index] used to say; then change only what no longer matches the new slide. Leave out its hashtags, link and disclaimer.
+- Claims about the product come only from product.what / product.benefit / product.facts. Niche knowledge must be well established.
+- Headings max 12 words. Bodies max 30 words. No em-dashes, no emoji, no URLs.
+- Banned: "here's the truth", "skyrocket", "game-changer", "unlock", "elevate", "delve", and every entry in voice.banned, in any form.
+- Output raw JSON only. No markdown fences.`;
+
 // ============================================
 // BRAND COLOR (fallback when profile save has none)
 // ============================================
 export const PICK_COLOR_PROMPT = `You receive JSON: { name, what } describing a product (app, website or SaaS). Pick ONE saturated brand accent color that fits its subject (e.g. green for nutrition, blue for finance, red-pink for dating). Never white, black, gray, or yellow (#FFDD00 is Promote.dev's own brand color, reserved).
 
 Return ONLY: {"color": "#RRGGBB"}`;
+
+// ============================================
+// PROMPT REGISTRY (versions scored by scripts/eval-prompts.mjs)
+// ============================================
+// The constants above are always the live text. A candidate rewrite is added
+// here as a new version and replayed against the fixtures next to the live one
+// (node scripts/eval-prompts.mjs --prompt=carousel-copy --candidate=v2). It
+// ships by moving its text into the constant and pointing `live` at it; the
+// old text stays as its own version so the next candidate can be diffed
+// against it.
+export const PROMPT_REGISTRY = {
+  'carousel-copy': { live: 'v1', versions: { v1: CAROUSEL_COPY_PROMPT } },
+  'hook-pick': { live: 'v1', versions: { v1: HOOK_PICK_PROMPT } },
+  'hook-extraction': { live: 'v1', versions: { v1: HOOK_EXTRACTION_PROMPT } },
+  'app-profile': { live: 'v1', versions: { v1: APP_PROFILE_PROMPT } },
+};
+
+export function getPromptVersion(name, version = '') {
+  const entry = PROMPT_REGISTRY[name];
+  if (!entry) throw new Error(`Unknown prompt "${name}".`);
+  const id = version || entry.live;
+  if (!Object.hasOwn(entry.versions, id)) throw new Error(`Prompt "${name}" has no version "${id}".`);
+  return { name, version: id, text: entry.versions[id] };
+}
@@ -21,7 +21,7 @@ function registerFonts() {
   fontsReady = true;
 }
 
-export async function renderSlidePngs({ slides, style, accent, bgBase64, heroBase64, watermark }) {
+export async function renderSlidePngs({ slides, style, accent, bgBase64, heroBase64, watermark, series = null }) {
   registerFonts();
   const bg = await loadImage(Buffer.from(bgBase64, 'base64'));
   // Slide 0 rides a real photograph when we have one. A hero that fails to
@@ -30,20 +30,22 @@ export async function renderSlidePngs({ slides, style, accent, bgBase64, heroBas
     ? await loadImage(Buffer.from(heroBase64, 'base64')).catch(() => null)
     : null;
 
-  const out = [];
-  for (const slide of slides) out.push(renderLoadedSlide({
-    slide, slides, style, accent, bg, hero, watermark, width: SLIDE_W, height: SLIDE_H,
+  return slides.map((slide, position) => renderLoadedSlide({
+    slide, position, slides, style, accent, bg, hero, watermark, series, width: SLIDE_W, height: SLIDE_H,
   }));
-  return out;
 }
 
-function renderLoadedSlide({ slide, slides, style, accent, bg, hero, watermark, width, height, format = 'png' }) {
+// First and last are positional: a manually edited post keeps only heading,
+// body and cta per slide, so a stored index can't be trusted once the deck
+// length is no longer fixed.
+function renderLoadedSlide({ slide, position, slides, style, accent, bg, hero, watermark, series, width, height, format = 'png' }) {
   const canvas = createCanvas(width, height);
-  const isLast = slide.index === slides.length - 1;
-  const isHero = !!hero && slide.index === 0;
+  const isLast = position === slides.length - 1;
+  const isHero = !!hero && position === 0;
   drawSlideOn(canvas, isHero ? hero : bg, slide, slides.length, style, accent, {
     hero: isHero,
     watermark: !!watermark && isLast,
+    series,
     fontSans: 'Geist',
     fontMono: '"Geist Mono"',
   });
@@ -58,7 +60,7 @@ function renderLoadedSlide({ slide, slides, style, accent, bg, hero, watermark,
 export async function renderReelSlideJpeg({ carousel, index, accent }) {
   registerFonts();
   const slides = Array.isArray(carousel.slides) ? carousel.slides : [];
-  const slide = slides.find((item) => item.index === index);
+  const slide = Number.isInteger(index) ? slides[index] : null;
   if (!slide || !carousel.bg) throw new Error('Reel slide assets are not ready.');
   const [bg, hero] = await Promise.all([
     loadImage(Buffer.from(carousel.bg, 'base64')),
@@ -67,7 +69,7 @@ export async function renderReelSlideJpeg({ carousel, index, accent }) {
       : Promise.resolve(null),
   ]);
   return renderLoadedSlide({
-    slide, slides, style: carousel.style, accent, bg, hero,
-    watermark: !!carousel.watermark, width: 1080, height: 1920, format: 'jpeg',
+    slide, position: index, slides, style: carousel.style, accent, bg, hero,
+    watermark: !!carousel.watermark, series: carousel.series, width: 1080, height: 1920, format: 'jpeg',
   });
 }
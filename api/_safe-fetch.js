@@ -0,0 +1,219 @@
+// api/_safe-fetch.js — SSRF-safe fetching of user-supplied URLs: product
+// pages for profile import (api/profile.js) and release feeds for the
+// changelog source (api/_changelog.js). Every hop is re-checked against
+// private address space and the resolved IP is pinned for the request.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+import http from 'node:http';
+import https from 'node:https';
+import dns from 'node:dns/promises';
+import net from 'node:net';
+
+const FETCH_TIMEOUT_MS = 8000;
+const FETCH_MAX_BYTES = 3 * 1024 * 1024; // 3MB — Play Store pages are big
+const FETCH_MAX_REDIRECTS = 4;
+
+// What each caller asks for and will accept back. A page that answers with
+// something else (a PDF, a binary download) is refused before it is read.
+const RESPONSE_TYPES = {
+  html: {
+    accept: 'text/html,application/xhtml+xml',
+    pattern: /(?:text\/html|application\/xhtml\+xml)/i,
+    error: 'response was not HTML',
+  },
+  feed: {
+    accept: 'application/atom+xml,application/rss+xml,application/xml;q=0.9,text/xml;q=0.8',
+    pattern: /(?:application\/(?:atom\+|rss\+)?xml|text\/xml)/i,
+    error: 'response was not a feed',
+  },
+};
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.88.99.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 96],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['64:ff9b:1::', 48],
+  ['100::', 64],
+  ['2001::', 32],
+  ['2001:2::', 48],
+  ['2001:10::', 28],
+  ['2001:20::', 28],
+  ['2001:db8::', 32],
+  ['2002::', 16],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['fec0::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+export function isPrivateAddress(address) {
+  const clean = String(address || '').replace(/^\[|\]$/g, '').split('%')[0].toLowerCase();
+  const family = net.isIP(clean);
+  if (!family) return true;
+  if (family === 6 && clean.startsWith('::ffff:')) return true;
+  return BLOCKED_ADDRESSES.check(clean, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+export function isSafeUrl(rawUrl) {
+  let u;
+  try { u = new URL(rawUrl); } catch { return false; }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return false;
+  if (u.username || u.password) return false;
+  const host = u.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const family = net.isIP(host);
+  if (family) return !isPrivateAddress(host);
+  if (!host.includes('.')) return false; // blocks localhost and bare intranet hosts
+  if (
+    host === 'localhost' ||
+    host.endsWith('.localhost') ||
+    host.endsWith('.local') ||
+    host.endsWith('.internal') ||
+    host === 'home.arpa' ||
+    host.endsWith('.home.arpa')
+  ) return false;
+  return true;
+}
+
+async function resolvePublicAddress(hostname, deadline) {
+  const clean = hostname.replace(/^\[|\]$/g, '');
+  const family = net.isIP(clean);
+  if (family) {
+    if (isPrivateAddress(clean)) throw new Error('private address blocked');
+    return { address: clean, family };
+  }
+
+  const remaining = deadline - Date.now();
+  if (remaining <= 0) throw new Error('fetch timed out');
+  let timer;
+  const records = await new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('DNS lookup timed out')), remaining);
+    dns.lookup(clean, { all: true, verbatim: true }).then(resolve, reject);
+  }).finally(() => clearTimeout(timer));
+  if (!records.length || records.some((record) => isPrivateAddress(record.address))) {
+    throw new Error('private or unresolved host blocked');
+  }
+  records.sort((a, b) => a.family - b.family); // IPv4 first when both are public.
+  return records[0];
+}
+
+function requestOnce(target, resolved, deadline, expected) {
+  return new Promise((resolve, reject) => {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) return reject(new Error('fetch timed out'));
+
+    const transport = target.protocol === 'https:' ? https : http;
+    let settled = false;
+    let timer;
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      fn(value);
+    };
+    const req = transport.request(target, {
+      method: 'GET',
+      family: resolved.family,
+      lookup: (_hostname, _options, callback) =>
+        callback(null, resolved.address, resolved.family),
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; PromoteDevBot/1.0; +https://transcriptgrab.vercel.app)',
+        'Accept': expected.accept,
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Accept-Encoding': 'identity',
+      },
+    }, (response) => {
+      const status = response.statusCode || 0;
+      const location = response.headers.location;
+      if ([301, 302, 303, 307, 308].includes(status) && location) {
+        response.resume();
+        try {
+          return finish(resolve, { redirect: new URL(location, target).href });
+        } catch {
+          return finish(reject, new Error('invalid redirect'));
+        }
+      }
+      if (status < 200 || status >= 300) {
+        response.resume();
+        return finish(reject, new Error('status ' + status));
+      }
+
+      const type = String(response.headers['content-type'] || '');
+      if (type && !expected.pattern.test(type)) {
+        response.resume();
+        return finish(reject, new Error(expected.error));
+      }
+      const declared = Number(response.headers['content-length'] || 0);
+      if (declared > FETCH_MAX_BYTES) {
+        response.resume();
+        return finish(reject, new Error('page too large'));
+      }
+
+      const chunks = [];
+      let total = 0;
+      response.on('data', (chunk) => {
+        if (settled) return;
+        total += chunk.length;
+        if (total > FETCH_MAX_BYTES) {
+          response.destroy();
+          return finish(reject, new Error('page too large'));
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => finish(resolve, { body: Buffer.concat(chunks, total) }));
+      response.on('error', (error) => finish(reject, error));
+    });
+    req.setTimeout(remaining, () => req.destroy(new Error('fetch timed out')));
+    timer = setTimeout(() => req.destroy(new Error('fetch timed out')), remaining);
+    req.on('error', (error) => finish(reject, error));
+    req.end();
+  });
+}
+
+async function fetchSafely(url, expected) {
+  const deadline = Date.now() + FETCH_TIMEOUT_MS;
+  let current = new URL(url);
+  for (let redirects = 0; redirects <= FETCH_MAX_REDIRECTS; redirects += 1) {
+    if (!isSafeUrl(current.href)) throw new Error('unsafe URL blocked');
+    const resolved = await resolvePublicAddress(current.hostname, deadline);
+    const result = await requestOnce(current, resolved, deadline, expected);
+    if (result.redirect) {
+      if (redirects === FETCH_MAX_REDIRECTS) throw new Error('too many redirects');
+      current = new URL(result.redirect);
+      continue;
+    }
+    return {
+      text: new TextDecoder('utf-8').decode(result.body),
+      finalUrl: current.href,
+    };
+  }
+  throw new Error('too many redirects');
+}
+
+export async function fetchHtml(url) {
+  const page = await fetchSafely(url, RESPONSE_TYPES.html);
+  return { html: page.text, finalUrl: page.finalUrl };
+}
+
+// Atom/RSS, e.g. https://github.com/owner/repo/releases.atom.
+export async function fetchFeed(url) {
+  const page = await fetchSafely(url, RESPONSE_TYPES.feed);
+  return { xml: page.text, finalUrl: page.finalUrl };
+}
@@ -0,0 +1,117 @@
+// api/_series.js — Multi-part series: one theme told over several posts that
+// share one hook mechanism and refer back to each other. A series is started
+// from Create (parts written one at a time, on request) or handed to
+// autopilot, whose topup writes the next part into each open slot until the
+// series is done, so the parts land on consecutive posting days. Each part
+// carries a "Part N of M" badge (slide-render.mjs seriesLabel).
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+import { getHooksByIds } from './_db.js';
+import { screenHookPool } from './_generate.js';
+import { hookMechanism } from './_calendar.js';
+import { normalizeMechanism } from './_mechanisms.js';
+
+export const MIN_SERIES_PARTS = 2;
+export const MAX_SERIES_PARTS = 5;
+export const MAX_SERIES_THEME = 200;
+
+// Parts choose among screened hooks; a wider pool keeps the mechanism filter
+// from leaving nothing.
+const SERIES_POOL_SIZE = 40;
+
+export function cleanSeriesTheme(v) {
+  return String(v || '')
+    .replace(/[\u0000-\u001f\u007f]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, MAX_SERIES_THEME);
+}
+
+export function cleanSeriesParts(v) {
+  const n = parseInt(v, 10);
+  return Number.isInteger(n) && n >= MIN_SERIES_PARTS && n <= MAX_SERIES_PARTS ? n : null;
+}
+
+// What a part covered, as later parts read it: its slide headings.
+export function summarizeSlides(slides) {
+  return (Array.isArray(slides) ? slides : [])
+    .map((s) => String(s?.heading || '').replace(/\s+/g, ' ').trim().substring(0, 120))
+    .filter(Boolean)
+    .slice(0, 10);
+}
+
+// Pure: the next part's hook from a screened pool, best fit first. Same
+// mechanism as the series, and a hook no earlier part used when there is one;
+// null sends the caller back to the series' own hook.
+export function pickSeriesHook(fit, series) {
+  const used = new Set((series.written || []).map((w) => w.hookId));
+  // Series started before the taxonomy may store a legacy label ('warning').
+  const mechanism = normalizeMechanism(series.mechanism) || series.mechanism;
+  const same = (fit || []).filter((h) => hookMechanism(h) === mechanism);
+  return same.find((h) => !used.has(h.id)) || null;
+}
+
+// Pure: what autopilot writes into the next open slot when a release and a
+// series may both be waiting. The series keeps every slot until its last part
+// is queued, so the parts stay on consecutive posting days; a release that
+// came out meanwhile is announced in the slot after.
+export function nextSlotSource({ release, series }) {
+  if (series) return 'series';
+  return release ? 'release' : null;
+}
+
+// The hook, style and plan context for the series' next part. Part 1 opens on
+// the hook the series was started with; later parts screen for a fresh hook
+// with the same mechanism and fall back to the series' hook. The style is the
+// first part's, so the parts look like a set.
+export async function prepareSeriesPart(profile, series) {
+  const written = Array.isArray(series.written) ? series.written : [];
+  const part = written.length + 1;
+  if (part > series.parts) throw new Error('This series is already complete.');
+  let hook = part === 1 && series.hook ? series.hook : null;
+  if (!hook && part > 1) {
+    hook = pickSeriesHook(await screenHookPool(profile, { poolSize: SERIES_POOL_SIZE }), series);
+  }
+  if (!hook && series.hook_id) hook = (await getHooksByIds([series.hook_id]))[0] || null;
+  if (!hook) {
+    throw new Error('No hooks passed the source-and-fit checks for this product yet — try again after the next research run.');
+  }
+  return {
+    hook,
+    style: written[0]?.style || '',
+    badge: { id: series.id || null, part, of: series.parts },
+    context: {
+      theme: series.theme,
+      part,
+      of: series.parts,
+      mechanism: series.mechanism,
+      previous: written.map((w) => ({ part: w.part, slides: w.slides })),
+    },
+  };
+}
+
+// A new, unsaved series: the theme, its length, and the screened hook whose
+// mechanism every part will share. Costs one hook-pick call.
+export async function planSeries(profile, { theme, parts }) {
+  const fit = await screenHookPool(profile, { poolSize: SERIES_POOL_SIZE });
+  if (!fit.length) {
+    throw new Error('No hooks passed the source-and-fit checks for this product yet — try again after the next research run.');
+  }
+  const hook = fit[Math.floor(Math.random() * fit.length)];
+  return { id: null, theme, parts, mechanism: hookMechanism(hook), hook_id: hook.id, hook, written: [] };
+}
+
+// The record a written part leaves on its series.
+export function seriesEntry(part, plan) {
+  return { part, hookId: plan.hook?.id || null, style: plan.style, slides: summarizeSlides(plan.slides) };
+}
+
+// What the pages show: progress, not the stored slide headings.
+export function publicSeries(row) {
+  if (!row) return null;
+  const written = Array.isArray(row.written) ? row.written.length : 0;
+  return {
+    id: row.id, theme: row.theme, parts: row.parts, written,
+    mechanism: row.mechanism || '', status: row.status,
+  };
+}
@@ -2,22 +2,27 @@
 // Vercel ignores _-prefixed files in api/ as endpoints.
 
 import { logUsage } from './_db.js';
+import {
+  providerFor, modelFor, parseModelJson,
+  openaiCompatText, openaiCompatImage, fakeText, fakeImage,
+} from './_llm.js';
 
 const GEMINI_KEY = process.env.GEMINI_API_KEY || '';
 const GEMINI_TEXT_TIMEOUT_MS = 20_000;
 
 // Published Gemini prices, kept as integer micros-USD so cost math never
 // touches floats: gemini-2.5-flash $0.30/1M input + $2.50/1M output tokens
-// (= 0.3 / 2.5 micros per token); gemini-2.5-flash-image $0.039 per image.
-const GEMINI_TEXT_IN_MICROS_PER_TOKEN = 0.3;
-const GEMINI_TEXT_OUT_MICROS_PER_TOKEN = 2.5;
+// (= 0.3 / 2.5 micros per token), flash-lite $0.10 / $0.40;
+// gemini-2.5-flash-image $0.039 per image. An unlisted model is costed as flash.
+const GEMINI_TEXT_MICROS_PER_TOKEN = {
+  'gemini-2.5-flash': { in: 0.3, out: 2.5 },
+  'gemini-2.5-flash-lite': { in: 0.1, out: 0.4 },
+};
 export const GEMINI_IMAGE_COST_MICROS = 39_000;
 
-export function geminiTextCostMicros(inTokens, outTokens) {
-  return Math.round(
-    (inTokens || 0) * GEMINI_TEXT_IN_MICROS_PER_TOKEN +
-    (outTokens || 0) * GEMINI_TEXT_OUT_MICROS_PER_TOKEN
-  );
+export function geminiTextCostMicros(inTokens, outTokens, model = 'gemini-2.5-flash') {
+  const price = GEMINI_TEXT_MICROS_PER_TOKEN[model] || GEMINI_TEXT_MICROS_PER_TOKEN['gemini-2.5-flash'];
+  return Math.round((inTokens || 0) * price.in + (outTokens || 0) * price.out);
 }
 
 /**
@@ -57,7 +62,8 @@ export function adminSecretOk(req) {
 }
 
 /**
- * Generate one image with gemini-2.5-flash-image.
+ * Generate one image. Routed by api/_llm.js (LLM_PROVIDER_IMAGE); Gemini's
+ * gemini-2.5-flash-image by default.
  * Returns a base64 PNG string (no data: prefix). Throws on failure.
  */
 // Image gen fails transiently often enough to be worth one blind retry.
@@ -71,10 +77,18 @@ export async function callGeminiImageRetry(prompt) {
 }
 
 export async function callGeminiImage(prompt) {
+  const provider = providerFor('image');
+  const model = modelFor('image', provider);
+  if (provider === 'fake') return fakeImage({ prompt, model });
+  if (provider === 'openai') return openaiCompatImage({ prompt, model });
+  return geminiImage(prompt, model);
+}
+
+async function geminiImage(prompt, model) {
   if (!GEMINI_KEY) throw new Error('AI service is not available.');
 
   const response = await fetch(
-    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-image:generateContent?key=${GEMINI_KEY}`,
+    `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${GEMINI_KEY}`,
     {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
@@ -103,19 +117,29 @@ export async function callGeminiImage(prompt) {
 }
 
 /**
- * Call Gemini Flash Lite and return parsed JSON.
- * Truncates input text to 120k chars, sends prompt + text to Gemini.
+ * Call the text model for a call site and return parsed JSON.
+ * Truncates input text to 120k chars. `site` picks the provider and model
+ * (api/_llm.js LLM_SITES); Gemini Flash unless configured otherwise.
  */
-export async function callGemini(prompt, text, temperature = 0.7, { timeoutMs = GEMINI_TEXT_TIMEOUT_MS } = {}) {
-  if (!GEMINI_KEY) throw new Error('AI service is not available.');
-
+export async function callGemini(prompt, text, temperature = 0.7, { timeoutMs = GEMINI_TEXT_TIMEOUT_MS, site = 'copy' } = {}) {
   let input = text.trim();
   if (input.length > 120000) {
     input = input.substring(0, 120000) + '\n\n[Transcript truncated]';
   }
 
+  const provider = providerFor(site);
+  const model = modelFor(site, provider);
+  const call = { prompt, input, temperature, timeoutMs, model, site };
+  if (provider === 'fake') return fakeText(call);
+  if (provider === 'openai') return openaiCompatText(call);
+  return geminiText(call);
+}
+
+async function geminiText({ prompt, input, temperature, timeoutMs, model }) {
+  if (!GEMINI_KEY) throw new Error('AI service is not available.');
+
   const response = await fetch(
-    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${GEMINI_KEY}`,
+    `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${GEMINI_KEY}`,
     {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
@@ -144,31 +168,7 @@ export async function callGemini(prompt, text, temperature = 0.7, { timeoutMs =
     op: 'text',
     inTokens: usage.promptTokenCount || 0,
     outTokens: usage.candidatesTokenCount || 0,
-    estCostMicros: geminiTextCostMicros(usage.promptTokenCount, usage.candidatesTokenCount),
+    estCostMicros: geminiTextCostMicros(usage.promptTokenCount, usage.candidatesTokenCount, model),
   });
-
-  try {
-    return JSON.parse(content);
-  } catch (e) {
-    // Gemini sometimes returns broken JSON — try to repair common issues
-    let fixed = content
-      .replace(/[\x00-\x1f]/g, (ch) => {
-        if (ch === '\n') return '\\n';
-        if (ch === '\r') return '\\r';
-        if (ch === '\t') return '\\t';
-        return '';
-      });
-
-    try {
-      return JSON.parse(fixed);
-    } catch (e2) {
-      // Last resort: extract the first JSON object or array
-      const match = fixed.match(/[\[{][\s\S]*[\]}]/);
-      if (match) {
-        try { return JSON.parse(match[0]); } catch (_) {}
-      }
-      console.error('JSON parse failed:', e.message, content.substring(0, 500));
-      throw new Error('AI returned an invalid response. Please try again.');
-    }
-  }
+  return parseModelJson(content);
 }
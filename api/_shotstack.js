@@ -33,11 +33,21 @@ export function shotstackEnabled() {
   return !!process.env.SHOTSTACK_API_KEY;
 }
 
+// Long decks share a fixed budget instead of stretching the Reel: ten slides
+// at the full reading pace would run past 80 seconds, well beyond where
+// short-form viewers drop off.
+const REEL_MAX_SECONDS = 60;
+const HOOK_SCENE_SECONDS = 4;
+const MIN_READ_SECONDS = 6;
+const MAX_READ_SECONDS = 8.5;
+
 export function reelSceneLength(index, count) {
   // These are reading slides, not decorative cuts. The hook lands quickly;
   // every content/CTA slide gets enough time to read at a natural pace.
-  if (index === 0) return 4;
-  return 8.5;
+  if (index === 0) return HOOK_SCENE_SECONDS;
+  const share = (REEL_MAX_SECONDS - HOOK_SCENE_SECONDS) / Math.max(1, count - 1);
+  // Half-second steps keep clip starts tidy on the timeline.
+  return Math.min(MAX_READ_SECONDS, Math.max(MIN_READ_SECONDS, Math.floor(share * 2) / 2));
 }
 
 export function buildReelEdit(assetUrls) {
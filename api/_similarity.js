@@ -0,0 +1,86 @@
+// api/_similarity.js — Keeps a user's feed from repeating itself. excludeHooks
+// stops one hook being reused, but two different hooks can still be written
+// into nearly the same slides. A new plan's slide text is compared with the
+// user's recent posts and carousels by word-shingle overlap, computed here
+// with no model call; a plan too close to one of them is rewritten once with
+// those posts' headings as angles to avoid.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+import { getRecentSlideSets } from './_db.js';
+
+// Three-word shingles: long enough that shared stopword pairs ("how to",
+// "you can") don't count, short enough to catch a reworded sentence.
+export const SHINGLE_SIZE = 3;
+// Jaccard overlap above which two decks read as the same post. Unrelated posts
+// in one niche score under 0.1; a light rewrite of one post scores over 0.4.
+export const SIMILARITY_THRESHOLD = 0.3;
+export const RECENT_POSTS_CHECKED = 20;
+const MAX_AVOID_ANGLES = 12;
+
+export function slideText(slides) {
+  return (Array.isArray(slides) ? slides : [])
+    .flatMap((s) => [s?.heading, s?.body])
+    .map((t) => String(t || ''))
+    .join(' ');
+}
+
+export function shingles(text, n = SHINGLE_SIZE) {
+  const words = String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[‘’']/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  const out = new Set();
+  if (words.length && words.length < n) out.add(words.join(' '));
+  for (let i = 0; i + n <= words.length; i++) out.add(words.slice(i, i + n).join(' '));
+  return out;
+}
+
+export function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const s of a) if (b.has(s)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// Pure: the recent decks this plan's slides are too close to, closest first.
+// `recent` rows are { id, slides }.
+export function findSimilarPosts(slides, recent = [], threshold = SIMILARITY_THRESHOLD) {
+  const mine = shingles(slideText(slides));
+  return recent
+    .map((r) => ({ id: r.id, slides: r.slides, score: Math.round(jaccard(mine, shingles(slideText(r.slides))) * 1000) / 1000 }))
+    .filter((r) => r.score > threshold)
+    .sort((a, b) => b.score - a.score);
+}
+
+// One line each, deduplicated, capped: the list rides in the copy payload.
+export function cleanAngles(list) {
+  const seen = new Set();
+  const out = [];
+  for (const a of Array.isArray(list) ? list : []) {
+    const angle = String(a || '').replace(/[\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim().substring(0, 120);
+    const key = angle.toLowerCase();
+    if (!angle || seen.has(key)) continue;
+    seen.add(key);
+    out.push(angle);
+  }
+  return out.slice(0, MAX_AVOID_ANGLES);
+}
+
+// The angles a rewrite must stay off: the matched posts' slide headings.
+export function avoidAngles(matches) {
+  return cleanAngles(matches.flatMap((m) => (Array.isArray(m.slides) ? m.slides : []).map((s) => s?.heading)));
+}
+
+// The user's recent decks to check a plan against. Best effort: no history
+// (or no database) means no check, never a failed plan.
+export async function loadRecentSlides(userId) {
+  if (!userId) return [];
+  try {
+    return await getRecentSlideSets(userId, RECENT_POSTS_CHECKED);
+  } catch (e) {
+    console.error('recent slides load failed:', e.message);
+    return [];
+  }
+}
@@ -0,0 +1,150 @@
+// api/_sources.js — Discovery source adapters for the miner. Each adapter
+// finds a niche's candidate videos on one platform and returns them with
+// their reach already attached:
+//   { platform, enabled(ctx), discover(niche, ctx) }
+//   discover -> { scanned, videos: [{ url, title, views, followers, platform, body? }],
+//                 failures, errors }
+// Text sources (Reddit, X) also return `body`, the post its hook is grounded
+// in, and report engagement on the view scale as `views`.
+// Adapters never judge reach or hook quality themselves: discoverCandidates
+// in api/_miner.js applies one reach policy (isHighReachCandidate) to every
+// source, and every extraction goes through validateHookExtraction.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+import { searchShorts, channelRecentShorts, getVideoStats, getChannelStats } from './_youtube.js';
+import { tiktokEnabled, searchTikTok, creatorRecentTikToks } from './_tiktok.js';
+import {
+  redditEnabled, searchReddit, subredditTop, xEnabled, searchX,
+} from './_textsources.js';
+
+// Runs a niche's searches side by side; one failed search is one failure,
+// never a lost run.
+async function runSearches(searches) {
+  const results = await Promise.all(searches.map(async (search) => {
+    try {
+      return { search, videos: await search.run(), error: null };
+    } catch (error) {
+      return { search, videos: [], error };
+    }
+  }));
+  const errors = [];
+  const videos = [];
+  let failures = 0;
+  for (const result of results) {
+    if (result.error) {
+      failures++;
+      errors.push(`${result.search.label}: ${result.error.message}`);
+    } else {
+      videos.push(...result.videos);
+    }
+  }
+  return { videos, failures, errors };
+}
+
+// YouTube Shorts: keyword search plus the niche's seed channels, then batch
+// video and channel stats (search results carry no view counts). A
+// `youtubePlan` ({ keywords, channels } from planYouTubeDiscovery) caps the
+// 100-unit searches to the day's quota; each search it drops counts as a
+// discovery failure, so a fresh rebuild never retires hooks on a partial scan.
+export const youtubeSource = {
+  platform: 'youtube',
+  enabled: (ctx) => !!ctx.apiKey,
+  async discover(niche, { apiKey, maxKeywords = 6, maxSeedChannels = 3, youtubePlan = null }) {
+    const keywords = (niche.keywords || []).slice(0, maxKeywords);
+    const channels = (niche.seed_channels || []).slice(0, maxSeedChannels);
+    const planned = {
+      keywords: keywords.slice(0, youtubePlan ? youtubePlan.keywords : keywords.length),
+      channels: channels.slice(0, youtubePlan ? youtubePlan.channels : channels.length),
+    };
+    const found = await runSearches([
+      ...planned.keywords.map((keyword) => ({
+        label: `search "${keyword}"`,
+        run: () => searchShorts(keyword, apiKey),
+      })),
+      ...planned.channels.map((channelId) => ({
+        label: `channel ${channelId}`,
+        run: () => channelRecentShorts(channelId, apiKey),
+      })),
+    ]);
+    const skipped = keywords.length + channels.length - planned.keywords.length - planned.channels.length;
+    if (skipped > 0) {
+      found.failures += skipped;
+      found.errors.push(`youtube: ${skipped} search${skipped === 1 ? '' : 'es'} skipped, over the YouTube quota budget`);
+    }
+    const videoIds = [...new Set(found.videos.map((v) => v.videoId))];
+    const vStats = await getVideoStats(videoIds, apiKey);
+    const cStats = await getChannelStats([...vStats.values()].map((v) => v.channelId), apiKey);
+    const videos = [...vStats].map(([videoId, v]) => ({
+      url: `https://www.youtube.com/watch?v=${videoId}`,
+      title: v.title,
+      views: v.views,
+      followers: cStats.get(v.channelId)?.subscribers || 0,
+      platform: 'youtube',
+    }));
+    return { scanned: videoIds.length, videos, failures: found.failures, errors: found.errors };
+  },
+};
+
+// TikTok: keyword search plus the niche's seed creators (niches.tiktok_creators)
+// through the configured scraping backend, which returns stats inline.
+export const tiktokSource = {
+  platform: 'tiktok',
+  enabled: () => tiktokEnabled(),
+  async discover(niche, { maxKeywords = 6, maxSeedChannels = 3 }) {
+    const found = await runSearches([
+      ...(niche.keywords || []).slice(0, maxKeywords).map((keyword) => ({
+        label: `tiktok search "${keyword}"`,
+        run: () => searchTikTok(keyword),
+      })),
+      ...(niche.tiktok_creators || []).slice(0, maxSeedChannels).map((handle) => ({
+        label: `tiktok creator @${String(handle).replace(/^@/, '')}`,
+        run: () => creatorRecentTikToks(handle),
+      })),
+    ]);
+    return uniqueByUrl(found);
+  },
+};
+
+function uniqueByUrl(found) {
+  const byUrl = new Map(found.videos.map((v) => [v.url, v]));
+  return { scanned: byUrl.size, videos: [...byUrl.values()], failures: found.failures, errors: found.errors };
+}
+
+// Reddit: top submissions of the month per keyword plus the niche's seed
+// subreddits (niches.subreddits).
+export const redditSource = {
+  platform: 'reddit',
+  enabled: () => redditEnabled(),
+  async discover(niche, { maxKeywords = 6, maxSeedChannels = 3 }) {
+    return uniqueByUrl(await runSearches([
+      ...(niche.keywords || []).slice(0, maxKeywords).map((keyword) => ({
+        label: `reddit search "${keyword}"`,
+        run: () => searchReddit(keyword),
+      })),
+      ...(niche.subreddits || []).slice(0, maxSeedChannels).map((sub) => ({
+        label: `subreddit r/${String(sub).replace(/^\/?r\//, '')}`,
+        run: () => subredditTop(sub),
+      })),
+    ]));
+  },
+};
+
+// X: recent thread openers per keyword.
+export const xSource = {
+  platform: 'x',
+  enabled: () => xEnabled(),
+  async discover(niche, { maxKeywords = 6 }) {
+    return uniqueByUrl(await runSearches((niche.keywords || []).slice(0, maxKeywords).map((keyword) => ({
+      label: `x search "${keyword}"`,
+      run: () => searchX(keyword),
+    }))));
+  },
+};
+
+export const SOURCE_ADAPTERS = [youtubeSource, tiktokSource, redditSource, xSource];
+
+// The adapters this deployment can run: YouTube with an API key, TikTok with
+// a scraping backend, Reddit and X with their API credentials.
+export function enabledSources(ctx) {
+  return SOURCE_ADAPTERS.filter((source) => source.enabled(ctx));
+}
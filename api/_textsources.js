@@ -0,0 +1,223 @@
+// api/_textsources.js — Text-first hook sources: Reddit submissions and X
+// thread openers. Some buyers' niches live in text, not video, so a post's
+// first sentence stands in for a spoken opening and the post itself for the
+// transcript the hook is grounded in. Posts arrive two ways:
+//   - a configured API: Reddit's app-only OAuth (REDDIT_CLIENT_ID +
+//     REDDIT_CLIENT_SECRET) and X's recent search (X_BEARER_TOKEN);
+//   - an exported JSON file, POSTed to /api/mine as { export: { platform, data } }.
+// Text posts have no view count, so their engagement is scaled onto the view
+// scale (normalizedEngagement) and the one reach policy in api/_youtube.js
+// applies to them unchanged.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+import { FRESH_WINDOW_DAYS, isMostlyLatin } from './_youtube.js';
+
+const TEXT_REQUEST_TIMEOUT_MS = 15_000;
+const MAX_POST_TEXT = 2000;
+
+// View equivalent of one unit of weighted engagement. Roughly one in a
+// hundred readers of a Reddit post votes or comments, about one in fifty on
+// X; at these rates a post needs ~2,500 (Reddit) or ~5,000 (X) weighted
+// interactions to clear the 250,000-view reach bar.
+export const ENGAGEMENT_VIEW_EQUIVALENT = { reddit: 100, x: 50 };
+
+function count(v) {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/**
+ * A text post's engagement on the view scale. Comments, replies, reposts and
+ * quotes count double a vote or like: they carry the post to new readers.
+ */
+export function normalizedEngagement(platform, m = {}) {
+  const raw = platform === 'reddit'
+    ? count(m.score) + 2 * count(m.comments)
+    : count(m.likes) + 2 * (count(m.reposts) + count(m.quotes)) + count(m.replies);
+  return raw * (ENGAGEMENT_VIEW_EQUIVALENT[platform] || 0);
+}
+
+/** The post's opening sentence: its hook, as a video's first spoken line is. */
+export function firstSentence(text) {
+  return String(text || '').trim().split(/(?<=[.!?…])\s+|\n+/)[0].trim();
+}
+
+function isFresh(createdMs, nowMs) {
+  return Number.isFinite(createdMs) && createdMs >= nowMs - FRESH_WINDOW_DAYS * 24 * 3600 * 1000;
+}
+
+// title is the opening line (what the miner shows as the source's title);
+// body is the whole post, the text its hook must be grounded in.
+function textCandidate({ url, text, views, followers, platform }) {
+  const body = String(text || '').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim().substring(0, MAX_POST_TEXT);
+  if (!body || !isMostlyLatin(body)) return null;
+  return {
+    url,
+    title: body.split('\n')[0].substring(0, 500),
+    views,
+    followers,
+    platform,
+    body,
+  };
+}
+
+/**
+ * One Reddit submission (a listing child or its `data`) as a miner candidate,
+ * or null: stickied, promoted, NSFW, removed, off-site, or outside the
+ * freshness window. The title opens the post, so it leads the body.
+ */
+export function normalizeRedditPost(item, nowMs = Date.now()) {
+  // Listing children are { kind, data }; only t3 (a submission) is a post.
+  const p = item?.kind ? (item.kind === 't3' ? item.data : null) : item;
+  if (!p || p.stickied || p.promoted || p.over_18) return null;
+  const permalink = String(p.permalink || '');
+  if (!permalink.startsWith('/r/')) return null;
+  if (!isFresh(Number(p.created_utc) * 1000, nowMs)) return null;
+  const selftext = ['[removed]', '[deleted]'].includes(p.selftext) ? '' : String(p.selftext || '');
+  return textCandidate({
+    url: `https://www.reddit.com${permalink}`,
+    text: [String(p.title || '').trim(), selftext.trim()].filter(Boolean).join('\n\n'),
+    views: normalizedEngagement('reddit', { score: p.score, comments: p.num_comments }),
+    followers: count(p.subreddit_subscribers),
+    platform: 'reddit',
+  });
+}
+
+/**
+ * One X post as a miner candidate, or null: a reply or repost (only thread
+ * openers count), or outside the freshness window. Takes an API v2 tweet
+ * (public_metrics, author via `users`) or an archive export's
+ * ({ tweet: { id_str, full_text, favorite_count, ... } }).
+ */
+export function normalizeXPost(item, users = new Map(), nowMs = Date.now()) {
+  const t = item?.tweet || item;
+  const id = String(t?.id_str || t?.id || '');
+  if (!/^\d+$/.test(id)) return null;
+  const text = String(t.text ?? t.full_text ?? '');
+  if (t.in_reply_to_status_id_str || /^RT @/.test(text)) return null;
+  if (Array.isArray(t.referenced_tweets) && t.referenced_tweets.some((r) => r.type !== 'quoted')) return null;
+  if (!isFresh(Date.parse(t.created_at), nowMs)) return null;
+  const author = users.get(String(t.author_id || ''));
+  const handle = author?.username || '';
+  const metrics = t.public_metrics || {};
+  return textCandidate({
+    url: handle ? `https://x.com/${handle}/status/${id}` : `https://x.com/i/status/${id}`,
+    // Drop trailing t.co links: they are the post's media, not its words.
+    text: text.replace(/\s*https:\/\/t\.co\/\w+/g, ''),
+    views: normalizedEngagement('x', {
+      likes: metrics.like_count ?? t.favorite_count,
+      reposts: metrics.retweet_count ?? t.retweet_count,
+      quotes: metrics.quote_count,
+      replies: metrics.reply_count,
+    }),
+    followers: count(author?.public_metrics?.followers_count),
+    platform: 'x',
+  });
+}
+
+function xUsers(data) {
+  return new Map((data?.includes?.users || []).map((u) => [String(u.id), u]));
+}
+
+/**
+ * An exported JSON file as candidates. Reddit: a listing ({ data: { children } }),
+ * an array of listings, or an array of posts. X: an API v2 response
+ * ({ data, includes }) or an archive's array of { tweet }.
+ */
+export function candidatesFromTextExport(platform, data, nowMs = Date.now()) {
+  if (platform === 'reddit') {
+    const listings = Array.isArray(data) ? data : [data];
+    const posts = listings.flatMap((l) => (Array.isArray(l?.data?.children) ? l.data.children : [l]));
+    return posts.map((p) => normalizeRedditPost(p, nowMs)).filter(Boolean);
+  }
+  if (platform === 'x') {
+    const tweets = Array.isArray(data) ? data : (Array.isArray(data?.data) ? data.data : []);
+    const users = xUsers(data);
+    return tweets.map((t) => normalizeXPost(t, users, nowMs)).filter(Boolean);
+  }
+  throw new Error('export platform must be reddit or x');
+}
+
+async function fetchJson(url, init, label) {
+  const res = await fetch(url, { ...init, signal: AbortSignal.timeout(TEXT_REQUEST_TIMEOUT_MS) });
+  if (!res.ok) {
+    const body = await res.text().catch(() => '');
+    throw new Error(`${label} error ${res.status}: ${body.substring(0, 200)}`);
+  }
+  return res.json();
+}
+
+// ============================================
+// REDDIT
+// ============================================
+const REDDIT_USER_AGENT = 'web:promote.dev-hook-research:v1';
+let redditToken = null; // { value, expiresAt }
+
+export function redditEnabled() {
+  return !!(process.env.REDDIT_CLIENT_ID && process.env.REDDIT_CLIENT_SECRET);
+}
+
+async function redditAccessToken() {
+  if (redditToken && redditToken.expiresAt > Date.now() + 60_000) return redditToken.value;
+  const basic = Buffer.from(`${process.env.REDDIT_CLIENT_ID}:${process.env.REDDIT_CLIENT_SECRET}`).toString('base64');
+  const data = await fetchJson('https://www.reddit.com/api/v1/access_token', {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${basic}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'User-Agent': REDDIT_USER_AGENT,
+    },
+    body: 'grant_type=client_credentials',
+  }, 'Reddit token');
+  if (!data?.access_token) throw new Error('Reddit token response had no access_token.');
+  redditToken = { value: data.access_token, expiresAt: Date.now() + count(data.expires_in) * 1000 };
+  return redditToken.value;
+}
+
+async function redditListing(path, params) {
+  const token = await redditAccessToken();
+  const data = await fetchJson(`https://oauth.reddit.com${path}?${new URLSearchParams(params)}`, {
+    headers: { Authorization: `Bearer ${token}`, 'User-Agent': REDDIT_USER_AGENT },
+  }, `Reddit ${path}`);
+  return candidatesFromTextExport('reddit', data);
+}
+
+/**
+ * Top Reddit submissions of the past month for a keyword.
+ * @returns {Promise<Array<{url, title, views, followers, platform, body}>>}
+ */
+export function searchReddit(keyword, limit = 50) {
+  return redditListing('/search', { q: keyword, sort: 'top', t: 'month', type: 'link', limit: String(limit) });
+}
+
+/** A subreddit's top submissions of the past month (the niche's seed subreddits). */
+export function subredditTop(subreddit, limit = 50) {
+  const name = String(subreddit).replace(/^\/?r\//, '');
+  return redditListing(`/r/${encodeURIComponent(name)}/top`, { t: 'month', limit: String(limit) });
+}
+
+// ============================================
+// X
+// ============================================
+export function xEnabled() {
+  return !!process.env.X_BEARER_TOKEN;
+}
+
+/**
+ * Recent English X posts for a keyword, thread openers only. X's recent search
+ * covers the past seven days.
+ * @returns {Promise<Array<{url, title, views, followers, platform, body}>>}
+ */
+export async function searchX(keyword, maxResults = 100) {
+  const params = new URLSearchParams({
+    query: `${keyword} -is:retweet -is:reply lang:en`,
+    max_results: String(maxResults),
+    'tweet.fields': 'created_at,public_metrics,referenced_tweets',
+    expansions: 'author_id',
+    'user.fields': 'username,public_metrics',
+  });
+  const data = await fetchJson(`https://api.twitter.com/2/tweets/search/recent?${params}`, {
+    headers: { Authorization: `Bearer ${process.env.X_BEARER_TOKEN}` },
+  }, 'X search');
+  return candidatesFromTextExport('x', data);
+}
@@ -0,0 +1,99 @@
+// api/_tiktok.js — TikTok discovery through a configurable HTTP scraping
+// backend. TikTok has no public search API, so the server talks to whatever
+// scraper the deployment runs (TIKTOK_SCRAPER_URL, optional bearer
+// TIKTOK_SCRAPER_KEY). The backend answers two GETs with a JSON list of
+// videos, as `videos`, `items`, `data` or a bare array:
+//   {base}/search?keyword=...&count=N   keyword search
+//   {base}/user?username=...&count=N    a creator's recent posts
+// Items may use TikTok's own field names (id, desc, createTime, stats /
+// authorStats, author.uniqueId) or plain ones (url, title, views, followers,
+// created_at); normalizeTikTokVideo maps either onto a miner candidate.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+import { FRESH_WINDOW_DAYS, isMostlyLatin } from './_youtube.js';
+
+const TIKTOK_REQUEST_TIMEOUT_MS = 15_000;
+
+export function tiktokEnabled() {
+  return !!process.env.TIKTOK_SCRAPER_URL;
+}
+
+function numberOr0(...values) {
+  for (const v of values) {
+    if (v === null || v === undefined || v === '') continue;
+    const n = Math.floor(Number(v));
+    if (Number.isFinite(n) && n >= 0) return n;
+  }
+  return 0;
+}
+
+// Epoch seconds, epoch milliseconds or an ISO string -> ms; NaN when absent.
+function createdMs(item) {
+  const raw = item?.createTime ?? item?.create_time ?? item?.created_at ?? item?.createdAt;
+  if (raw === null || raw === undefined || raw === '') return NaN;
+  const n = Number(raw);
+  if (Number.isFinite(n)) return n < 1e12 ? n * 1000 : n;
+  return Date.parse(raw);
+}
+
+/**
+ * One backend item as a miner candidate, or null when it can't be used: no
+ * URL, a non-Latin caption, or a post outside the freshness window (an item
+ * without a date can't prove it is recent, so it is dropped too).
+ * @returns {{url, title, views, followers, platform: 'tiktok'} | null}
+ */
+export function normalizeTikTokVideo(item, nowMs = Date.now()) {
+  const author = item?.author && typeof item.author === 'object'
+    ? (item.author.uniqueId || item.author.unique_id)
+    : (item?.author || item?.username);
+  const handle = String(author || '').replace(/^@/, '');
+  const id = String(item?.id || item?.video_id || '');
+  let url = typeof item?.url === 'string' ? item.url.trim() : '';
+  if (!url && handle && /^\d+$/.test(id)) url = `https://www.tiktok.com/@${handle}/video/${id}`;
+  if (!/^https:\/\/(?:www\.|m\.)?tiktok\.com\//.test(url)) return null;
+  const title = String(item?.desc ?? item?.title ?? '').replace(/\s+/g, ' ').trim();
+  if (!isMostlyLatin(title)) return null;
+  const created = createdMs(item);
+  if (!Number.isFinite(created) || created < nowMs - FRESH_WINDOW_DAYS * 24 * 3600 * 1000) return null;
+  return {
+    url,
+    title: (title || url).substring(0, 500),
+    views: numberOr0(item?.stats?.playCount, item?.playCount, item?.play_count, item?.views),
+    followers: numberOr0(item?.authorStats?.followerCount, item?.author?.followerCount, item?.followers),
+    platform: 'tiktok',
+  };
+}
+
+async function scraperFetch(path, params) {
+  const base = String(process.env.TIKTOK_SCRAPER_URL || '').replace(/\/+$/, '');
+  if (!base) throw new Error('TikTok scraping backend is not configured.');
+  const key = process.env.TIKTOK_SCRAPER_KEY || '';
+  const res = await fetch(`${base}/${path}?${new URLSearchParams(params)}`, {
+    headers: key ? { Authorization: `Bearer ${key}` } : {},
+    signal: AbortSignal.timeout(TIKTOK_REQUEST_TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    const body = await res.text().catch(() => '');
+    throw new Error(`TikTok backend ${path} error ${res.status}: ${body.substring(0, 200)}`);
+  }
+  const data = await res.json();
+  const items = Array.isArray(data) ? data : (data?.videos || data?.items || data?.data || []);
+  if (!Array.isArray(items)) throw new Error(`TikTok backend ${path} returned an unrecognized shape.`);
+  return items.map((item) => normalizeTikTokVideo(item)).filter(Boolean);
+}
+
+/**
+ * Recent TikToks for a keyword.
+ * @returns {Promise<Array<{url, title, views, followers, platform}>>}
+ */
+export function searchTikTok(keyword, count = 30) {
+  return scraperFetch('search', { keyword, count: String(count) });
+}
+
+/**
+ * A creator's recent posts (for the niche's seed creators).
+ * @returns {Promise<Array<{url, title, views, followers, platform}>>}
+ */
+export function creatorRecentTikToks(handle, count = 20) {
+  return scraperFetch('user', { username: String(handle).replace(/^@/, ''), count: String(count) });
+}
@@ -1,16 +1,30 @@
 // api/_transcript.js — Internal transcript helper (not an endpoint).
 // Vercel ignores _-prefixed files in api/ as endpoints.
 //
-// Fetches a plain-text transcript for a video URL via Supadata.
-// Used by the mining pipeline to enrich hook extraction.
+// Fetches a plain-text transcript for a video URL through a provider chain:
+//   1. Supadata (SUPADATA_API_KEY) — any YouTube or TikTok URL
+//   2. YouTube timedtext captions — YouTube only, no key
+//   3. A self-hosted Whisper HTTP endpoint (WHISPER_HTTP_URL, optional bearer
+//      WHISPER_HTTP_KEY) — the whisper-ctranslate2 tool scripts/local-mine.mjs
+//      runs locally, served over HTTP. POST { url, language } -> { text } or
+//      { segments: [{ text }] }.
+// Each step has its own retry policy and logs its usage; the first step with
+// words wins and the result names it, so every mined hook records which
+// provider heard it. Used by the mining pipeline to enrich hook extraction.
 
 import { logUsage } from './_db.js';
 
 const SUPADATA_KEY = process.env.SUPADATA_API_KEY || '';
 const TRANSCRIPT_REQUEST_TIMEOUT_MS = 12_000;
+// Whisper downloads and transcribes the audio inside the request.
+const WHISPER_REQUEST_TIMEOUT_MS = 30_000;
 const TRANSCRIPT_MAX_ATTEMPTS = 3;
 const TRANSCRIPT_RETRY_BASE_MS = 500;
 
+// Misses that say something about the video, not the provider: the chain moves
+// on, and a candidate every provider missed is not an upstream failure.
+const NO_CAPTIONS = 'No captions available.';
+
 const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 /**
@@ -26,15 +40,22 @@ export function transcriptRetryDelayMs(attempt, retryAfterHeader) {
   return TRANSCRIPT_RETRY_BASE_MS * 2 ** (attempt - 1);
 }
 
+function segmentsText(segments) {
+  return (Array.isArray(segments) ? segments : [])
+    .filter((s) => s?.text?.trim())
+    .map((s) => s.text.trim())
+    .join(' ');
+}
+
 /**
- * Fetch transcript text for a video URL. Throws on failure.
+ * Supadata transcript for a video URL. Throws on failure.
  * Retries HTTP 429 with backoff so a burst of requests against Supadata's rate
  * limit is paced out instead of discarding otherwise-usable candidates.
  * @param {string} videoUrl
  * @param {{ fetchImpl?: typeof fetch, sleep?: (ms: number) => Promise<void>, maxAttempts?: number }} [deps]
  * @returns {Promise<{ text: string }>}
  */
-export async function fetchTranscript(videoUrl, {
+export async function fetchSupadataTranscript(videoUrl, {
   fetchImpl = fetch,
   sleep = defaultSleep,
   maxAttempts = TRANSCRIPT_MAX_ATTEMPTS,
@@ -67,14 +88,9 @@ export async function fetchTranscript(videoUrl, {
 
     const data = await res.json();
     const content = data?.content || data;
-    const rawSegments = Array.isArray(content) ? content : content?.segments || content?.transcript || [];
+    const text = segmentsText(Array.isArray(content) ? content : content?.segments || content?.transcript || []);
 
-    const text = rawSegments
-      .filter((s) => s.text?.trim())
-      .map((s) => s.text.trim())
-      .join(' ');
-
-    if (!text) throw new Error('No captions available.');
+    if (!text) throw new Error(NO_CAPTIONS);
     // Best-effort credit log (Supadata bills per transcript); not awaited.
     logUsage({ provider: 'supadata', op: 'transcript' });
     return { text };
@@ -82,3 +98,129 @@ export async function fetchTranscript(videoUrl, {
 
   throw lastError;
 }
+
+export function youtubeVideoId(videoUrl) {
+  let url;
+  try { url = new URL(videoUrl); } catch { return ''; }
+  const host = url.hostname.replace(/^(?:www\.|m\.)/, '');
+  let id = '';
+  if (host === 'youtu.be') id = url.pathname.slice(1);
+  else if (host === 'youtube.com') {
+    id = url.searchParams.get('v') || (url.pathname.match(/^\/(?:shorts|embed|live)\/([^/]+)/)?.[1] ?? '');
+  }
+  return /^[\w-]{11}$/.test(id) ? id : '';
+}
+
+// YouTube's json3 caption format: events of segments. Events are joined with
+// a space so authored captions without trailing whitespace don't fuse words.
+export function json3CaptionText(data) {
+  const events = Array.isArray(data?.events) ? data.events : [];
+  return events
+    .map((event) => (Array.isArray(event?.segs) ? event.segs.map((seg) => seg?.utf8 || '').join('') : ''))
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * YouTube's own caption track: the English authored track, then the
+ * auto-generated one. Retries 429 and 5xx once. Throws NO_CAPTIONS when the
+ * video has neither.
+ * @returns {Promise<{ text: string }>}
+ */
+export async function fetchTimedtextTranscript(videoUrl, {
+  fetchImpl = fetch,
+  sleep = defaultSleep,
+  maxAttempts = 2,
+} = {}) {
+  const id = youtubeVideoId(videoUrl);
+  if (!id) throw new Error(NO_CAPTIONS);
+  for (const kind of ['', 'asr']) {
+    const params = new URLSearchParams({ v: id, lang: 'en', fmt: 'json3', ...(kind ? { kind } : {}) });
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const res = await fetchImpl(`https://www.youtube.com/api/timedtext?${params}`, {
+        signal: AbortSignal.timeout(TRANSCRIPT_REQUEST_TIMEOUT_MS),
+      });
+      if ((res.status === 429 || res.status >= 500) && attempt < maxAttempts) {
+        await sleep(transcriptRetryDelayMs(attempt, res.headers?.get?.('retry-after')));
+        continue;
+      }
+      if (!res.ok) throw new Error(`Caption service error (${res.status})`);
+      // An absent track is an empty 200, not an error.
+      const raw = await res.text();
+      let text = '';
+      try { text = raw ? json3CaptionText(JSON.parse(raw)) : ''; } catch { text = ''; }
+      if (text) {
+        logUsage({ provider: 'youtube-timedtext', op: 'transcript' });
+        return { text };
+      }
+      break;
+    }
+  }
+  throw new Error(NO_CAPTIONS);
+}
+
+/**
+ * The self-hosted Whisper endpoint. Transcription is slow and the server runs
+ * one job at a time, so only a busy answer (503) is retried, once.
+ * @returns {Promise<{ text: string }>}
+ */
+export async function fetchWhisperTranscript(videoUrl, {
+  fetchImpl = fetch,
+  sleep = defaultSleep,
+  maxAttempts = 2,
+} = {}) {
+  const base = process.env.WHISPER_HTTP_URL || '';
+  if (!base) throw new Error('Whisper endpoint is not configured.');
+  const key = process.env.WHISPER_HTTP_KEY || '';
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const res = await fetchImpl(base, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(key ? { Authorization: `Bearer ${key}` } : {}) },
+      body: JSON.stringify({ url: videoUrl, language: 'en' }),
+      signal: AbortSignal.timeout(WHISPER_REQUEST_TIMEOUT_MS),
+    });
+    if (res.status === 503 && attempt < maxAttempts) {
+      await sleep(transcriptRetryDelayMs(attempt, res.headers?.get?.('retry-after')));
+      continue;
+    }
+    if (!res.ok) throw new Error(`Whisper endpoint error (${res.status})`);
+    const data = await res.json();
+    const text = String(typeof data?.text === 'string' ? data.text : segmentsText(data?.segments)).replace(/\s+/g, ' ').trim();
+    if (!text) throw new Error(NO_CAPTIONS);
+    logUsage({ provider: 'whisper', op: 'transcript' });
+    return { text };
+  }
+  throw new Error('Whisper endpoint error (503)');
+}
+
+// The chain, in order. `applies` keeps a step off URLs it can't serve.
+export const TRANSCRIPT_PROVIDERS = [
+  { name: 'supadata', enabled: () => !!SUPADATA_KEY, applies: () => true, fetch: fetchSupadataTranscript },
+  { name: 'timedtext', enabled: () => true, applies: (url) => !!youtubeVideoId(url), fetch: fetchTimedtextTranscript },
+  { name: 'whisper', enabled: () => !!process.env.WHISPER_HTTP_URL, applies: () => true, fetch: fetchWhisperTranscript },
+];
+
+/**
+ * Fetch transcript text for a video URL from the first provider that has it.
+ * Throws NO_CAPTIONS when every provider that ran found no words, or one error
+ * naming each provider's failure when any of them broke.
+ * @param {string} videoUrl
+ * @param {{ providers?: typeof TRANSCRIPT_PROVIDERS, fetchImpl?: typeof fetch, sleep?: (ms: number) => Promise<void> }} [deps]
+ * @returns {Promise<{ text: string, provider: string }>}
+ */
+export async function fetchTranscript(videoUrl, { providers = TRANSCRIPT_PROVIDERS, ...deps } = {}) {
+  const steps = providers.filter((p) => p.enabled() && p.applies(videoUrl));
+  if (steps.length === 0) throw new Error('Transcript service is not configured.');
+  const failures = [];
+  for (const step of steps) {
+    try {
+      const { text } = await step.fetch(videoUrl, deps);
+      return { text, provider: step.name };
+    } catch (error) {
+      failures.push({ provider: step.name, message: error.message });
+    }
+  }
+  if (failures.every((f) => f.message === NO_CAPTIONS)) throw new Error(NO_CAPTIONS);
+  throw new Error(`All transcript providers failed (${failures.map((f) => `${f.provider}: ${f.message}`).join('; ')})`);
+}
@@ -79,13 +79,29 @@ export function effectivePlatforms(requested, linked) {
   return requested.filter((p) => linked.includes(p));
 }
 
-export async function uploadPhotos({ username, photos, title, caption, platforms, requestId }) {
+// Where upload-post reads one platform's own post text. Instagram, LinkedIn
+// and Threads publish the title as the post text; a TikTok photo post keeps a
+// short title and shows the description.
+export const PLATFORM_CAPTION_FIELDS = {
+  instagram: 'instagram_title',
+  tiktok: 'tiktok_description',
+  linkedin: 'linkedin_title',
+  threads: 'threads_title',
+};
+
+// `captions` ({ platform: text }) overrides `caption` per platform; the
+// shared fields stay as the fallback for any platform without its own text.
+export async function uploadPhotos({ username, photos, title, caption, captions = null, platforms, requestId }) {
   const form = new FormData();
   form.append('user', username);
   for (const p of platforms) form.append('platform[]', p);
   form.append('title', (title || caption || '').substring(0, 150));
   if (caption) form.append('caption', caption);
   if (caption) form.append('description', caption); // TikTok/others use description
+  for (const p of platforms) {
+    const text = captions?.[p];
+    if (text && PLATFORM_CAPTION_FIELDS[p]) form.append(PLATFORM_CAPTION_FIELDS[p], text);
+  }
   form.append('async_upload', 'true');
   if (requestId) form.append('request_id', requestId);
   photos.forEach((buf, i) => {
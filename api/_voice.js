@@ -0,0 +1,96 @@
+// api/_voice.js — The product's brand voice: which tones it speaks in and how
+// often, posts the founder wrote themselves, words it never uses, and reading
+// level / emoji preferences. Lives on the profile (profile.voice), cleaned by
+// api/profile.js and read by the generator in api/_generate.js.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+export const TONES = ['casual', 'professional', 'funny', 'authority'];
+export const READING_LEVELS = ['simple', 'standard', 'advanced'];
+export const EMOJI_PREFS = ['none', 'sparing', 'liberal'];
+
+export const MAX_TONE_WEIGHT = 5;
+const MAX_SAMPLES = 3;
+const MAX_SAMPLE_LEN = 600;
+const MAX_BANNED = 30;
+const MAX_BANNED_LEN = 60;
+
+// The house list every post is held to, whatever the profile says. Kept in
+// step with the "Banned EVERYWHERE" line in CAROUSEL_COPY_PROMPT.
+export const HOUSE_BANNED_PHRASES = ["here's the truth", 'skyrocket', 'game-changer', 'unlock', 'elevate', 'delve'];
+
+function cleanLine(v, n) {
+  return String(v || '').replace(/[\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim().substring(0, n);
+}
+
+// Returns null when nothing was set, so an absent voice stays absent and the
+// generator falls back to its old behaviour (every tone equally likely).
+export function cleanBrandVoice(v) {
+  if (!v || typeof v !== 'object') return null;
+  const tones = {};
+  const rawTones = v.tones && typeof v.tones === 'object' ? v.tones : {};
+  for (const tone of TONES) {
+    const weight = Math.round(Number(rawTones[tone]));
+    if (Number.isFinite(weight) && weight > 0) tones[tone] = Math.min(MAX_TONE_WEIGHT, weight);
+  }
+  const samples = (Array.isArray(v.samples) ? v.samples : [])
+    .map((s) => String(s || '').replace(/[\u0000-\u0009\u000b-\u001f\u007f]/g, ' ').trim().substring(0, MAX_SAMPLE_LEN))
+    .filter(Boolean)
+    .slice(0, MAX_SAMPLES);
+  const seen = new Set();
+  const banned = (Array.isArray(v.banned) ? v.banned : [])
+    .map((b) => cleanLine(b, MAX_BANNED_LEN).toLowerCase())
+    .filter((b) => b && !seen.has(b) && seen.add(b))
+    .slice(0, MAX_BANNED);
+  const readingLevel = READING_LEVELS.includes(v.reading_level) ? v.reading_level : '';
+  const emoji = EMOJI_PREFS.includes(v.emoji) ? v.emoji : '';
+
+  if (!Object.keys(tones).length && !samples.length && !banned.length && !readingLevel && !emoji) return null;
+  return { tones, samples, banned, reading_level: readingLevel, emoji };
+}
+
+// Weighted by the profile's tone weights; a profile without any (or with every
+// tone switched off) keeps the per-generation variety of a uniform pick.
+export function pickTone(weights = null, rand = Math.random) {
+  const allowed = TONES.filter((t) => Number(weights?.[t]) > 0);
+  if (!allowed.length) return TONES[Math.floor(rand() * TONES.length)];
+  const total = allowed.reduce((sum, t) => sum + Number(weights[t]), 0);
+  let roll = rand() * total;
+  for (const t of allowed) {
+    roll -= Number(weights[t]);
+    if (roll < 0) return t;
+  }
+  return allowed[allowed.length - 1];
+}
+
+// What the copy model sees. Tone is chosen separately (pickTone) and rides on
+// product.tone; this carries the rest of the voice.
+export function voiceForPrompt(voice) {
+  return {
+    samples: voice?.samples || [],
+    banned: voice?.banned || [],
+    readingLevel: voice?.reading_level || 'standard',
+    emoji: voice?.emoji || 'sparing',
+  };
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Every banned word or phrase found anywhere in a plan's copy — headings,
+// bodies, the cta and the caption. Matches whole words, so banning "hack"
+// leaves "shack" alone, but a banned single word also catches its common
+// inflections: the model dodges "unlock" by writing "unlocked".
+export function findBannedPhrases(plan, banned = []) {
+  const text = [
+    ...(Array.isArray(plan?.slides) ? plan.slides : []).flatMap((s) => [s?.heading, s?.body]),
+    plan?.cta,
+    plan?.caption,
+    ...Object.values(plan?.captions && typeof plan.captions === 'object' ? plan.captions : {}),
+  ].map((t) => String(t || '')).join('\n').replace(/[‘’]/g, "'");
+  const phrases = [...new Set([...HOUSE_BANNED_PHRASES, ...(banned || [])].map((p) => String(p).toLowerCase()))];
+  return phrases.filter((phrase) => {
+    const suffix = /\s/.test(phrase) ? '' : '(?:s|es|ed|d|ing|ers?)?';
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(phrase)}${suffix}(?=$|[^\\p{L}\\p{N}])`, 'iu').test(text);
+  });
+}
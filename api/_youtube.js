@@ -4,6 +4,9 @@
 // Discovery is reach-first. Subscriber ratio is retained as context for old
 // rows and receipts, but it is no longer a qualification gate or rank signal.
 
+import { recordYouTubeQuota } from './_db.js';
+import { youtubeCallUnits } from './_ytquota.js';
+
 const API_BASE = 'https://www.googleapis.com/youtube/v3';
 const YOUTUBE_REQUEST_TIMEOUT_MS = 12_000;
 
@@ -60,6 +63,8 @@ async function ytFetch(path, params, apiKey) {
   const res = await fetch(`${API_BASE}/${path}?${qs}`, {
     signal: AbortSignal.timeout(YOUTUBE_REQUEST_TIMEOUT_MS),
   });
+  // Google charges a call that got an answer, error or not.
+  recordYouTubeQuota(path, youtubeCallUnits(path));
   if (!res.ok) {
     const body = await res.text().catch(() => '');
     throw new Error(`YouTube API ${path} error ${res.status}: ${body.substring(0, 200)}`);
@@ -119,7 +124,7 @@ export async function channelRecentShorts(channelId, apiKey) {
 
 /**
  * Batch video statistics. Accepts up to 50 ids per call; chunks internally.
- * @returns {Promise<Map<videoId, {views, title, channelId}>>}
+ * @returns {Promise<Map<videoId, {views, title, channelId, publishedAt}>>}
  */
 export async function getVideoStats(videoIds, apiKey) {
   const out = new Map();
@@ -134,6 +139,7 @@ export async function getVideoStats(videoIds, apiKey) {
         views: parseInt(it.statistics?.viewCount || '0', 10),
         title: it.snippet?.title || '',
         channelId: it.snippet?.channelId || '',
+        publishedAt: it.snippet?.publishedAt || null,
       });
     }
   }
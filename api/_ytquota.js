@@ -0,0 +1,72 @@
+// api/_ytquota.js — YouTube Data API quota: what each call costs, which quota
+// day it lands on, and how discovery spends what is left of the day. Every
+// ytFetch in api/_youtube.js records its units in the youtube_quota ledger
+// (api/_db.js); the miner plans its keyword and channel searches against the
+// remainder, stalest niches first, instead of finding out from a 403.
+// Vercel ignores _-prefixed files in api/ as endpoints.
+
+// Units per call, by API method. A search is 100 whatever it returns; a
+// videos.list or channels.list is 1 per call of up to 50 ids.
+export const YOUTUBE_UNIT_COSTS = { search: 100, videos: 1, channels: 1 };
+
+// The key's daily quota (Google's default is 10,000) and what the planner
+// leaves untouched for the freshness decay and admin discovery calls.
+export const YOUTUBE_DAILY_QUOTA = Number(process.env.YOUTUBE_DAILY_QUOTA) || 10_000;
+export const YOUTUBE_QUOTA_RESERVE = 300;
+
+// Search result sizes in api/_youtube.js (maxResults), for the stats estimate.
+const KEYWORD_RESULTS = 25;
+const CHANNEL_RESULTS = 15;
+
+export function youtubeCallUnits(path) {
+  return YOUTUBE_UNIT_COSTS[path] ?? 1;
+}
+
+// The quota resets at midnight Pacific time, so the ledger's day is the
+// date in Los Angeles, not UTC.
+export function youtubeQuotaDay(now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'America/Los_Angeles', year: 'numeric', month: '2-digit', day: '2-digit',
+  }).format(now);
+}
+
+export function remainingYouTubeUnits(usedToday, quota = YOUTUBE_DAILY_QUOTA) {
+  return Math.max(0, quota - YOUTUBE_QUOTA_RESERVE - (Number(usedToday) || 0));
+}
+
+/**
+ * Units one niche's discovery spends: the searches, then the videos.list and
+ * channels.list batches over at most every result they return.
+ */
+export function estimateDiscoveryUnits({ keywords = 0, channels = 0 }) {
+  const searches = keywords + channels;
+  if (searches === 0) return 0;
+  const ids = keywords * KEYWORD_RESULTS + channels * CHANNEL_RESULTS;
+  const batches = Math.ceil(ids / 50);
+  return searches * YOUTUBE_UNIT_COSTS.search
+    + batches * (YOUTUBE_UNIT_COSTS.videos + YOUTUBE_UNIT_COSTS.channels);
+}
+
+/**
+ * Share the remaining units across niches in the order given (stalest first,
+ * as getStalestNiches returns them): each niche gets its keyword searches,
+ * then its seed-channel searches, as many as still fit, before the next
+ * niche gets any.
+ * @returns {Map<nicheId, {keywords, channels, units}>}
+ */
+export function planYouTubeDiscovery(niches, remainingUnits, { maxKeywords = 6, maxSeedChannels = 3 } = {}) {
+  const plan = new Map();
+  let left = Math.max(0, Number(remainingUnits) || 0);
+  for (const niche of niches) {
+    const wantKeywords = Math.min(maxKeywords, (niche.keywords || []).length);
+    const wantChannels = Math.min(maxSeedChannels, (niche.seed_channels || []).length);
+    let keywords = 0;
+    let channels = 0;
+    while (keywords < wantKeywords && estimateDiscoveryUnits({ keywords: keywords + 1, channels }) <= left) keywords++;
+    while (channels < wantChannels && estimateDiscoveryUnits({ keywords, channels: channels + 1 }) <= left) channels++;
+    const units = estimateDiscoveryUnits({ keywords, channels });
+    left -= units;
+    plan.set(niche.id, { keywords, channels, units });
+  }
+  return plan;
+}
@@ -1,9 +1,15 @@
 // api/carousel.js — Faceless carousel generation.
 //
 // POST /api/carousel {action:'plan', hookId, style}          -> slide copy plan + caption + hashtags
+//                                                               + the hook-fit rationale
 //                                                               (consumes: pro quota | credit | the one free)
+//      + series: {theme, parts} | seriesId                    -> part 1 of a new series | the next part
 // POST /api/carousel {action:'background', carouselId}       -> the textless bg the text slides sit on
 // POST /api/carousel {action:'hero', carouselId}             -> the hook slide's photograph (may be null)
+// POST /api/carousel {action:'rewrite-slide', carouselId, index, instruction?}
+//                                                            -> one slide's heading/body rewritten in place,
+//                                                               captions rebuilt to match
+//                                                               (free: never consumes a post)
 // POST /api/carousel {action:'slide', carouselId, index}     -> ONE rendered slide as data URL (legacy)
 // GET  /api/carousel                                         -> { carousels } (history, copy only)
 //
@@ -19,17 +25,26 @@ import {
   claimReelRender, saveReelSubmission, saveReelState, getReelState,
   getAnonProfile, getCarouselAnon, getCarouselsAnon,
   saveCarouselBgAnon, saveCarouselHeroAnon,
-  reserveAnonSlot, completeAnonSlot, releaseAnonSlot,
+  reserveAnonSlot, completeAnonSlot, releaseAnonSlot, getHooksByIds,
+  ensureSlideRewriteSchema, saveRewrittenSlides, saveRewrittenSlidesAnon, MAX_SLIDE_REWRITES, MAX_ANON_SLIDE_REWRITES,
+  ensureSeriesSchema, getSeries, createSeries, recordSeriesPart, saveCarouselSeries,
+  ensureCaptionSchema, saveCarouselCaptions, ensureRationaleSchema, saveCarouselRationale,
 } from './_db.js';
 import { resolveActor, clientIp, hashIp } from './_anon.js';
 import { callGeminiImageRetry } from './_shared.js';
 import {
-  generateCarouselPlan, backgroundPrompt, heroPrompt, cleanMotifs, STYLES, resolveAccent,
+  generateCarouselPlan, backgroundPrompt, heroPrompt, cleanMotifs, STYLES, resolveAccent, rewriteSlide,
 } from './_generate.js';
 import { renderReelSlideJpeg } from './_render.js';
 import { publicBaseUrl, reelAssetUrl, verifyReelAsset } from './_reel.js';
 import { getReelRender, shotstackEnabled, submitReel } from './_shotstack.js';
 import { NICHE_CLASSIFIER_VERSION } from './_niches.js';
+import { MIXABLE_KINDS } from './_kinds.js';
+import { loadChangelogEntries } from './_changelog.js';
+import {
+  cleanSeriesParts, cleanSeriesTheme, planSeries, prepareSeriesPart, seriesEntry,
+  MAX_SERIES_PARTS, MIN_SERIES_PARTS,
+} from './_series.js';
 
 export const maxDuration = 60;
 
@@ -124,11 +139,14 @@ export default async function handler(req, res) {
     }
 
     if (req.method === 'GET') {
+      await ensureCaptionSchema();
+      await ensureRationaleSchema();
       if (!user) {
         const carousels = await getCarouselsAnon(anonId);
         return res.status(200).json({ carousels, reelEnabled: false, reelUpgradeRequired: true });
       }
       await ensureReelSchema();
+      await ensureSeriesSchema();
       const carousels = await getCarousels(user.id);
       return res.status(200).json({ carousels, ...reelAccess(user) });
     }
@@ -141,6 +159,28 @@ export default async function handler(req, res) {
 
     // ===== PLAN: hook -> slide copy + caption + hashtags =====
     if (action === 'plan') {
+      // Series are checked before any allowance is spent. Autopilot writes
+      // its own series' parts, so Create only continues the ones it started.
+      const wantsSeries = !!(body.series || body.seriesId);
+      let series = null;
+      let seriesStart = null;
+      if (wantsSeries) {
+        if (!user) return res.status(401).json({ error: 'Sign in to write a series.' });
+        await ensureSeriesSchema();
+        if (body.seriesId) {
+          series = await getSeries(user.id, parseInt(body.seriesId, 10));
+          if (!series || series.status !== 'active' || series.autopilot) {
+            return res.status(409).json({ error: 'This series is already finished.' });
+          }
+        } else {
+          seriesStart = { theme: cleanSeriesTheme(body.series?.theme), parts: cleanSeriesParts(body.series?.parts) };
+          if (!seriesStart.theme) return res.status(400).json({ error: 'Give the series a theme.' });
+          if (!seriesStart.parts) {
+            return res.status(400).json({ error: `A series runs ${MIN_SERIES_PARTS} to ${MAX_SERIES_PARTS} parts.` });
+          }
+        }
+      }
+
       let gate;
       if (user) {
         gate = canGenerateCarousel(user);
@@ -172,18 +212,41 @@ export default async function handler(req, res) {
         });
       }
 
-      // hookId + style are optional — the done-for-you default picks a
-      // best-fit hook from the audience niche's top performers + a random
-      // style, avoiding hooks this user's recent carousels already used.
+      // hookId + style + slideCount + kind are optional — the done-for-you
+      // default picks a best-fit hook from the audience niche's top performers,
+      // a random style and a length that fits the post kind, avoiding hooks
+      // this user's recent carousels already used. A what's-new post announces
+      // the newest entry of the profile's changelog source.
+      const kind = body.kind === 'changelog' || MIXABLE_KINDS.includes(body.kind) ? body.kind : 'value';
+      let changes = [];
+      if (kind === 'changelog') {
+        const entries = await loadChangelogEntries(profile.changelog).catch((e) => {
+          console.error('changelog load error:', e.message);
+          return [];
+        });
+        if (!entries.length) {
+          if (anonId) await releaseAnonSlot(anonId).catch(() => {});
+          return res.status(400).json({ error: 'Add release notes to your product first \u2014 a what\u2019s-new post announces the latest one.' });
+        }
+        changes = entries[0].changes;
+      }
       const recentHookIds = user ? await getRecentHookIds(user.id).catch(() => []) : [];
       let plan;
+      let part = null;
       try {
+        if (seriesStart) series = await planSeries(profile, seriesStart);
+        if (series) part = await prepareSeriesPart(profile, series);
         plan = await generateCarouselPlan({
           profile,
+          userId: user?.id,
           hookId: parseInt(body.hookId, 10),
-          styleOverride: body.style || '',
-          kind: 'value',
+          styleOverride: body.style || part?.style || '',
+          kind,
+          changes,
           excludeHookIds: recentHookIds,
+          slideCount: parseInt(body.slideCount, 10),
+          hook: part?.hook,
+          series: part?.context,
         });
       } catch (e) {
         // Our failure must not burn the anon's one taste.
@@ -198,12 +261,42 @@ export default async function handler(req, res) {
         user ? user.id : null, plan.hook.id, plan.style, plan.slides, plan.caption, gate.watermark, plan.heroScene,
         anonId,
       );
+      await ensureCaptionSchema();
+      await saveCarouselCaptions(saved.id, plan.captions);
+      await ensureRationaleSchema();
+      await saveCarouselRationale(saved.id, plan.rationale);
       if (user) await consumeCarousel(user, gate.source);
       else await completeAnonSlot({ anonId, carouselId: saved.id });
 
+      // A new series is saved only once its first part exists, so a failed
+      // plan leaves no empty series behind.
+      let seriesOut = null;
+      if (part) {
+        const entry = seriesEntry(part.badge.part, plan);
+        const row = series.id
+          ? await recordSeriesPart(series.id, part.badge.part, entry)
+          : await createSeries({
+            userId: user.id, theme: series.theme, parts: series.parts,
+            mechanism: series.mechanism, hookId: series.hook_id, written: [entry],
+          });
+        if (row) {
+          const badge = { id: row.id, part: part.badge.part, of: row.parts };
+          await saveCarouselSeries(user.id, saved.id, badge);
+          seriesOut = { ...badge, theme: row.theme };
+        }
+      }
+
       return res.status(200).json({
         carouselId: saved.id, style: plan.style, slides: plan.slides, caption: plan.caption,
-        motifs: plan.motifs, accent: plan.accent,
+        captions: plan.captions, motifs: plan.motifs, accent: plan.accent,
+        // Product claims the verifier couldn't match to the profile, even
+        // after a retry. Shown for review, never silently dropped.
+        claimWarnings: plan.unsupportedClaims,
+        // Claims a regulated niche forbids (api/_compliance.js). Autopilot
+        // holds a post on these; here they are shown before the user posts.
+        complianceWarnings: plan.complianceViolations,
+        // Why this hook suits the product: { mechanism, subject, job }.
+        rationale: plan.rationale,
         hook: {
           id: plan.hook.id,
           text: plan.hook.hook_verbatim || plan.hook.hook_template || '',
@@ -212,12 +305,64 @@ export default async function handler(req, res) {
             ? ''
             : (plan.hook.video_url || ''),
           curated: !!plan.hook.curated || String(plan.hook.video_url || '').startsWith('curated://'),
+          // 'text' when the hook is a Reddit or X post's first sentence and
+          // views is its engagement equivalent.
+          sourceType: plan.hook.source_type === 'text' ? 'text' : 'video',
         },
         watermark: !!gate.watermark, source: gate.source,
+        series: seriesOut,
         ...(user ? reelAccess(user) : { reelEnabled: false, reelUpgradeRequired: true }),
       });
     }
 
+    // ===== REWRITE-SLIDE: one weak slide, regenerated in place. The post was
+    // paid for at plan time, so this never touches consumeCarousel — the
+    // per-post rewrite ceiling is the only limit, and an anonymous taste's is
+    // much lower. =====
+    if (action === 'rewrite-slide') {
+      await ensureSlideRewriteSchema();
+      await ensureCaptionSchema();
+      // An anon out of rewrites gets the same sign-in signal as its spent taste.
+      const limit = user ? MAX_SLIDE_REWRITES : MAX_ANON_SLIDE_REWRITES;
+      const outOfRewrites = () => (user
+        ? res.status(429).json({ error: `This post has used all ${MAX_SLIDE_REWRITES} slide rewrites. Create a new post to keep going.` })
+        : res.status(403).json({ error: 'gate', reason: 'rewrites' }));
+      const carousel = await carouselGet(parseInt(body.carouselId, 10));
+      if (!carousel) return res.status(404).json({ error: 'Post not found.' });
+      const slides = Array.isArray(carousel.slides) ? carousel.slides : [];
+      const index = parseInt(body.index, 10);
+      if (!Number.isInteger(index) || index < 0 || index >= slides.length) {
+        return res.status(400).json({ error: 'Slide not found.' });
+      }
+      if (Number(carousel.slide_rewrites || 0) >= limit) return outOfRewrites();
+      const profile = await profileGet();
+      if (!profile || !profile.what) {
+        return res.status(400).json({ error: 'Set up your app profile first.', needsProfile: true });
+      }
+
+      // The source hook is context, not a requirement: a hook retired since
+      // the post was made just leaves slide 0 as the only hook reference.
+      const [hook] = carousel.hook_id ? await getHooksByIds([carousel.hook_id]).catch(() => []) : [];
+      const rewrite = await rewriteSlide({
+        profile, hook, slides, index, instruction: body.instruction, caption: carousel.caption,
+      });
+      const next = { slides: rewrite.slides, caption: rewrite.caption, captions: rewrite.captions };
+
+      let saved;
+      if (user) {
+        await ensureReelSchema();
+        saved = await saveRewrittenSlides(user.id, carousel.id, next);
+      } else {
+        saved = await saveRewrittenSlidesAnon(anonId, carousel.id, next);
+      }
+      if (!saved) return outOfRewrites();
+      return res.status(200).json({
+        carouselId: carousel.id, index, slide: rewrite.slide, ...next,
+        claimWarnings: rewrite.unsupportedClaims,
+        complianceWarnings: rewrite.complianceViolations,
+      });
+    }
+
     // ===== REEL: submit/poll a silent 9:16 MP4 render for download =====
     if (action === 'reel') {
       if (!user || user.tier !== 'pro') {
@@ -246,9 +391,8 @@ export default async function handler(req, res) {
       try {
         const expires = Math.floor(Date.now() / 1000) + (2 * 60 * 60);
         const baseUrl = publicBaseUrl(req);
-        const assetUrls = [...carousel.slides]
-          .sort((a, b) => a.index - b.index)
-          .map((slide) => reelAssetUrl({ baseUrl, carouselId, index: slide.index, expires }));
+        const assetUrls = carousel.slides
+          .map((slide, index) => reelAssetUrl({ baseUrl, carouselId, index, expires }));
         const submitted = await submitReel(assetUrls);
         await saveReelSubmission(user.id, carouselId, submitted.id);
         return res.status(202).json(reelJson(await getReelState(user.id, carouselId)));
@@ -1,13 +1,17 @@
 // api/hooks.js — Internal hook catalogue + swipe file.
 //
-// GET  /api/hooks?niche=slug&format=&platform=&offset=0  -> library (tiered depth)
+// GET  /api/hooks?niche=slug&format=&platform=&mechanism=&offset=0
+//                                                        -> library (tiered depth)
+//                                                           platform: youtube | tiktok
+//                                                           mechanism: api/_mechanisms.js id
 // GET  /api/hooks?swipe=1                                -> user's swipe file (auth)
 // POST /api/hooks {action:'save'|'unsave', hookId}       -> swipe file mutation (auth)
 
 import {
   getSession, getNiches, getHooks, getSwipeFile,
-  saveToSwipeFile, removeFromSwipeFile, swipeFileCount,
+  saveToSwipeFile, removeFromSwipeFile, swipeFileCount, MINED_PLATFORMS,
 } from './_db.js';
+import { normalizeMechanism } from './_mechanisms.js';
 
 const FREE_SWIPE_CAP = 25;
 
@@ -46,7 +50,8 @@ export default async function handler(req, res) {
         getHooks({
           nicheSlug: req.query.niche || null,
           format: req.query.format || null,
-          platform: req.query.platform || null,
+          platform: MINED_PLATFORMS.includes(req.query.platform) ? req.query.platform : null,
+          mechanism: normalizeMechanism(req.query.mechanism) || null,
           limit: 50,
           offset,
         }),
@@ -8,27 +8,57 @@
 // writes) for scripts/local-mine.mjs, which attaches transcripts locally.
 // POST /api/mine (admin) accepts those candidates back:
 //   { niche, dry?, fresh?, candidates: [{url,title,views,followers,platform,transcript}] }
-// Also runs via Vercel cron (Bearer CRON_SECRET), one niche per run
-// (the one mined longest ago).
+// or an exported Reddit/X JSON file in place of candidates (additive only):
+//   { niche, dry?, export: { platform: 'reddit' | 'x', data } }
+// The cron (Bearer CRON_SECRET) runs resumable mining jobs (./_minejobs.js):
+// it advances the open jobs, then starts jobs for the niches mined longest
+// ago, and a job cut short by the time budget resumes on the next run. With
+// dry=1 it previews the stalest niches instead and leaves the jobs alone.
+// GET /api/mine?niche=slug&job=1[&dry=1][&fresh=1] (admin) advances that
+// niche's job the same way; repeat until it answers done: true.
 //
-// Pipeline: search Shorts per keyword + seed channels -> batch video/channel
-// stats -> absolute-reach filter -> Gemini hook extraction -> strict transcript
-// grounding and quality gate -> upsert hooks table.
+// GET /api/mine?action=decay[&niche=slug][&dry=1] (cron or admin) — the daily
+// freshness decay (./_freshness.js): refresh, re-score and retire stale hooks,
+// reported per niche.
+// POST /api/mine { action: 'pin', hookId, pinned } (admin) — pin an evergreen
+// hook so decay never retires it; pinning a retired hook restores it.
+// GET /api/mine?action=cluster[&niche=slug] (admin) — re-cluster near-duplicate
+// hooks (./_hookclusters.js); every write already does this for its niche.
+// GET /api/mine?action=label-mechanisms (admin) — backfill the mechanism label
+// (./_mechanisms.js) on hooks mined before extraction asked for one; repeat
+// until it answers done: true.
+// GET /api/mine?action=reports[&niche=slug][&days=90] (admin) — every settled
+// mine's report (./_minereports.js), grouped per niche with its recent yield
+// against its earlier runs; niches whose supply is drying up come first.
+//
+// Pipeline: every enabled source adapter (./_sources.js: YouTube Shorts search
+// + seed channels, TikTok search + seed creators, Reddit search + seed
+// subreddits, X search) -> one absolute-reach filter
+// -> Gemini hook extraction -> strict transcript grounding and quality gate ->
+// upsert hooks table, each hook tagged with its platform.
 // Pipeline body lives in ./_miner.js so profile-save can also call it.
 
-import { getNicheBySlug, getStalestNiches, reconcileNicheCatalogue } from './_db.js';
 import {
-  mineNiche, discoverCandidates, mineFromCandidates, parseSuppliedCandidates,
+  getNicheBySlug, getNiches, reconcileNicheCatalogue, setHookPinned, getMineReports,
+} from './_db.js';
+import {
+  mineNiche, discoverCandidates, mineFromCandidates, parseSuppliedCandidates, clusterNicheHooks,
+  labelHookMechanisms,
 } from './_miner.js';
 import { adminSecretOk, cronAuthOk } from './_shared.js';
+import { enabledSources } from './_sources.js';
+import { candidatesFromTextExport } from './_textsources.js';
+import { runHookDecay } from './_freshness.js';
+import { runMineJobs, advanceNicheJob } from './_minejobs.js';
+import { compareMineReports } from './_minereports.js';
 import { LEGACY_NICHE_SLUGS } from './_niches.js';
 
 export const maxDuration = 60;
 
 // One cron fires per day; with one niche per run, N niches means each gets
-// mined every N days — too stale to mean "currently viral". Batch a few
-// stalest niches per run inside a time budget that leaves headroom for the
-// last niche to finish within maxDuration.
+// mined every N days — too stale to mean "currently viral". Advance a few
+// niches' jobs per run inside a time budget that leaves headroom for the
+// phase in flight to finish within maxDuration.
 const NICHES_PER_RUN = 3;
 const TIME_BUDGET_MS = 35_000;
 
@@ -60,6 +90,97 @@ export default async function handler(req, res) {
     }
   }
 
+  if (action === 'decay') {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+    if (!cronAuthOk(req)) return res.status(401).json({ error: 'Unauthorized' });
+    try {
+      let niches = null;
+      if (req.query.niche) {
+        const niche = await getNicheBySlug(req.query.niche);
+        if (!niche) return res.status(404).json({ error: 'No active niche found' });
+        niches = [niche];
+      }
+      const result = await runHookDecay({
+        apiKey: process.env.YOUTUBE_API_KEY,
+        dry: req.query.dry === '1',
+        niches,
+      });
+      console.log(`hook decay: ${result.decayed} niches, ${result.retired} retired, ${result.remaining} left${result.dry ? ' (dry run)' : ''}`);
+      return res.status(200).json(result);
+    } catch (e) {
+      console.error('hook decay error:', e);
+      return res.status(500).json({ error: e.message });
+    }
+  }
+
+  if (action === 'cluster') {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+    if (!adminSecretOk(req)) return res.status(401).json({ error: 'ADMIN_SECRET required' });
+    try {
+      let niches;
+      if (req.query.niche) {
+        const niche = await getNicheBySlug(req.query.niche);
+        if (!niche) return res.status(404).json({ error: 'No active niche found' });
+        niches = [niche];
+      } else {
+        niches = await getNiches();
+      }
+      const results = [];
+      for (const niche of niches) {
+        results.push({ niche: niche.slug, ...await clusterNicheHooks(niche.id) });
+      }
+      return res.status(200).json({ results });
+    } catch (e) {
+      console.error('hook cluster error:', e);
+      return res.status(500).json({ error: e.message });
+    }
+  }
+
+  if (action === 'label-mechanisms') {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+    if (!adminSecretOk(req)) return res.status(401).json({ error: 'ADMIN_SECRET required' });
+    try {
+      return res.status(200).json(await labelHookMechanisms({ timeBudgetMs: TIME_BUDGET_MS }));
+    } catch (e) {
+      console.error('mechanism backfill error:', e);
+      return res.status(500).json({ error: e.message });
+    }
+  }
+
+  if (action === 'reports') {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+    if (!adminSecretOk(req)) return res.status(401).json({ error: 'ADMIN_SECRET required' });
+    const days = Math.min(365, Math.max(1, parseInt(req.query.days, 10) || 90));
+    try {
+      let nicheId = null;
+      if (req.query.niche) {
+        const niche = await getNicheBySlug(req.query.niche);
+        if (!niche) return res.status(404).json({ error: 'No active niche found' });
+        nicheId = niche.id;
+      }
+      const reports = await getMineReports({ nicheId, days });
+      return res.status(200).json({ days, niches: compareMineReports(reports) });
+    } catch (e) {
+      console.error('mine reports error:', e);
+      return res.status(500).json({ error: e.message });
+    }
+  }
+
+  if (action === 'pin') {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    if (!adminSecretOk(req)) return res.status(401).json({ error: 'ADMIN_SECRET required' });
+    const hookId = Number(body?.hookId);
+    if (!Number.isInteger(hookId) || hookId <= 0) return res.status(400).json({ error: 'hookId is required' });
+    try {
+      const hook = await setHookPinned(hookId, body?.pinned !== false);
+      if (!hook) return res.status(404).json({ error: 'No mined hook with that id' });
+      return res.status(200).json({ hook });
+    } catch (e) {
+      console.error('hook pin error:', e);
+      return res.status(500).json({ error: e.message });
+    }
+  }
+
   // POST /api/mine — supplied-candidate mine, used by scripts/local-mine.mjs.
   // The caller fetched transcripts on their own machine (yt-dlp captions /
   // local Whisper — free, home IP); extraction, quality gates, and all
@@ -73,12 +194,23 @@ export default async function handler(req, res) {
         error: 'That legacy niche is retired. Run action=repair-niches, then mine its canonical replacement.',
       });
     }
+    const dry = body?.dry === true || body?.dry === '1' || body?.dry === 1;
+    const fresh = body?.fresh === true || body?.fresh === '1' || body?.fresh === 1;
+    // An export is a hand-picked slice of one platform, not a full search:
+    // it can add hooks but never stand in for a niche's rebuild.
+    if (body?.export) {
+      if (fresh) return res.status(400).json({ error: 'A text export can only add hooks; drop fresh=1' });
+      if (!['reddit', 'x'].includes(body.export.platform)) {
+        return res.status(400).json({ error: 'export.platform must be reddit or x' });
+      }
+    }
     try {
       const niche = await getNicheBySlug(slug);
       if (!niche) return res.status(404).json({ error: 'No active niche found' });
-      const dry = body?.dry === true || body?.dry === '1' || body?.dry === 1;
-      const fresh = body?.fresh === true || body?.fresh === '1' || body?.fresh === 1;
-      const parsed = parseSuppliedCandidates(body?.candidates);
+      const supplied = body?.export
+        ? candidatesFromTextExport(body.export.platform, body.export.data).map((c) => ({ ...c, transcript: c.body }))
+        : body?.candidates;
+      const parsed = parseSuppliedCandidates(supplied);
       if (parsed.candidates.length === 0) {
         return res.status(400).json({ error: 'No usable candidates', errors: parsed.errors });
       }
@@ -96,6 +228,7 @@ export default async function handler(req, res) {
         // speech-poor niches (music-recipe shorts etc.) need the depth.
         maxExtractions: 30,
         maxTranscripts: 48,
+        platforms: [...new Set(parsed.candidates.map((c) => c.platform))],
       });
       return res.status(fresh && !dry && result.applied === false ? 409 : 200).json(result);
     } catch (e) {
@@ -108,8 +241,13 @@ export default async function handler(req, res) {
 
   if (!cronAuthOk(req)) return res.status(401).json({ error: 'Unauthorized' });
 
+  // Any one source is enough: the adapters the deployment can't run are skipped.
   const apiKey = process.env.YOUTUBE_API_KEY;
-  if (!apiKey) return res.status(500).json({ error: 'YOUTUBE_API_KEY not configured' });
+  if (enabledSources({ apiKey }).length === 0) {
+    return res.status(500).json({
+      error: 'No discovery source configured (YOUTUBE_API_KEY, TIKTOK_SCRAPER_URL, REDDIT_CLIENT_ID/REDDIT_CLIENT_SECRET or X_BEARER_TOKEN)',
+    });
+  }
 
   try {
     const dry = req.query.dry === '1';
@@ -148,29 +286,24 @@ export default async function handler(req, res) {
         });
       }
 
-      const result = await mineNiche(niche, apiKey, {
-        dry,
-        fresh,
-        ...(fresh ? { maxExtractions: 18, maxTranscripts: 30 } : {}),
-      });
+      const options = fresh ? { maxExtractions: 18, maxTranscripts: 30 } : {};
+      if (req.query.job === '1') {
+        if (!adminSecretOk(req)) return res.status(403).json({ error: 'job=1 requires ADMIN_SECRET' });
+        const result = await advanceNicheJob(niche, { apiKey, dry, fresh, options, timeBudgetMs: TIME_BUDGET_MS });
+        if (result.conflict) {
+          return res.status(409).json({ ...result, error: 'This niche has an open job with other dry/fresh flags' });
+        }
+        return res.status(fresh && !dry && result.applied === false ? 409 : 200).json(result);
+      }
+
+      const result = await mineNiche(niche, apiKey, { dry, fresh, ...options });
       return res.status(fresh && !dry && result.applied === false ? 409 : 200).json(result);
     }
 
-    // Cron / no niche: sweep the stalest few within the time budget.
-    const niches = await getStalestNiches(NICHES_PER_RUN);
-    if (niches.length === 0) return res.status(404).json({ error: 'No active niche found' });
-
-    const started = Date.now();
-    const results = [];
-    for (const niche of niches) {
-      if (results.length > 0 && Date.now() - started > TIME_BUDGET_MS) break;
-      try {
-        results.push(await mineNiche(niche, apiKey, { dry }));
-      } catch (e) {
-        results.push({ niche: niche.slug, error: e.message });
-      }
-    }
-    return res.status(200).json({ mined: results.length, results });
+    // Cron / no niche: advance open jobs, then start the stalest niches'.
+    const swept = await runMineJobs({ apiKey, dry, nichesPerRun: NICHES_PER_RUN, timeBudgetMs: TIME_BUDGET_MS });
+    if (swept.results.length === 0) return res.status(404).json({ error: 'No active niche found' });
+    return res.status(200).json(swept);
   } catch (e) {
     console.error('mine error:', e);
     return res.status(500).json({ error: e.message });
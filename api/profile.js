@@ -5,6 +5,10 @@
 // POST /api/profile {action:'import', url}   -> scrape URL, return AI-prefilled
 //                                               profile fields (NOT saved)
 // POST /api/profile {action:'refresh_icon'}  -> backfill an older saved profile
+// POST /api/profile {action:'changelog', changelog?}
+//                                            -> the release entries a changelog
+//                                               source yields (stored one when
+//                                               omitted; NOT saved)
 
 import {
   getSession, getProfile, saveProfile, updateProfileIcon, slugifyNiche, ensureNiche,
@@ -15,58 +19,26 @@ import { resolveActor, clientIp, hashIp } from './_anon.js';
 import { callGemini } from './_shared.js';
 import { APP_PROFILE_PROMPT, AUDIENCE_NICHE_PROMPT } from './_prompts.js';
 import { mineNiche } from './_miner.js';
+import { enabledSources } from './_sources.js';
+import { cleanBrandVoice } from './_voice.js';
+import { cleanLanguage } from './_language.js';
+import { cleanKindMix } from './_kinds.js';
+import { cleanChangelog, loadChangelogEntries } from './_changelog.js';
+import { cleanHashtagBlocklist } from './_hashtags.js';
+import { fetchHtml, isSafeUrl } from './_safe-fetch.js';
 import {
   NICHE_CLASSIFIER_VERSION, nicheCatalogueForPrompt,
   shouldReuseStoredAudience, validateAudienceChoice,
 } from './_niches.js';
-import http from 'node:http';
-import https from 'node:https';
-import dns from 'node:dns/promises';
-import net from 'node:net';
+
+// The private-address checks live with the fetcher now; re-exported for the
+// callers and tests that have always imported them from here.
+export { isPrivateAddress, isSafeUrl } from './_safe-fetch.js';
 
 export const maxDuration = 60;
 
 const MAX_TEXT_LEN = 3000;
 const MAX_URL_LEN = 512;
-const FETCH_TIMEOUT_MS = 8000;
-const FETCH_MAX_BYTES = 3 * 1024 * 1024; // 3MB — Play Store pages are big
-const FETCH_MAX_REDIRECTS = 4;
-
-const BLOCKED_ADDRESSES = new net.BlockList();
-[
-  ['0.0.0.0', 8],
-  ['10.0.0.0', 8],
-  ['100.64.0.0', 10],
-  ['127.0.0.0', 8],
-  ['169.254.0.0', 16],
-  ['172.16.0.0', 12],
-  ['192.0.0.0', 24],
-  ['192.0.2.0', 24],
-  ['192.88.99.0', 24],
-  ['192.168.0.0', 16],
-  ['198.18.0.0', 15],
-  ['198.51.100.0', 24],
-  ['203.0.113.0', 24],
-  ['224.0.0.0', 4],
-  ['240.0.0.0', 4],
-].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
-[
-  ['::', 96],
-  ['::1', 128],
-  ['64:ff9b::', 96],
-  ['64:ff9b:1::', 48],
-  ['100::', 64],
-  ['2001::', 32],
-  ['2001:2::', 48],
-  ['2001:10::', 28],
-  ['2001:20::', 28],
-  ['2001:db8::', 32],
-  ['2002::', 16],
-  ['fc00::', 7],
-  ['fe80::', 10],
-  ['fec0::', 10],
-  ['ff00::', 8],
-].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
 
 function corsHeaders(req, res) {
   const origin = req.headers.origin || '';
@@ -86,149 +58,6 @@ function clipText(s, n) {
   return t.length > n ? t.slice(0, n) : t;
 }
 
-export function isPrivateAddress(address) {
-  const clean = String(address || '').replace(/^\[|\]$/g, '').split('%')[0].toLowerCase();
-  const family = net.isIP(clean);
-  if (!family) return true;
-  if (family === 6 && clean.startsWith('::ffff:')) return true;
-  return BLOCKED_ADDRESSES.check(clean, family === 4 ? 'ipv4' : 'ipv6');
-}
-
-export function isSafeUrl(rawUrl) {
-  let u;
-  try { u = new URL(rawUrl); } catch { return false; }
-  if (u.protocol !== 'http:' && u.protocol !== 'https:') return false;
-  if (u.username || u.password) return false;
-  const host = u.hostname.toLowerCase().replace(/^\[|\]$/g, '');
-  const family = net.isIP(host);
-  if (family) return !isPrivateAddress(host);
-  if (!host.includes('.')) return false; // blocks localhost and bare intranet hosts
-  if (
-    host === 'localhost' ||
-    host.endsWith('.localhost') ||
-    host.endsWith('.local') ||
-    host.endsWith('.internal') ||
-    host === 'home.arpa' ||
-    host.endsWith('.home.arpa')
-  ) return false;
-  return true;
-}
-
-async function resolvePublicAddress(hostname, deadline) {
-  const clean = hostname.replace(/^\[|\]$/g, '');
-  const family = net.isIP(clean);
-  if (family) {
-    if (isPrivateAddress(clean)) throw new Error('private address blocked');
-    return { address: clean, family };
-  }
-
-  const remaining = deadline - Date.now();
-  if (remaining <= 0) throw new Error('fetch timed out');
-  let timer;
-  const records = await new Promise((resolve, reject) => {
-    timer = setTimeout(() => reject(new Error('DNS lookup timed out')), remaining);
-    dns.lookup(clean, { all: true, verbatim: true }).then(resolve, reject);
-  }).finally(() => clearTimeout(timer));
-  if (!records.length || records.some((record) => isPrivateAddress(record.address))) {
-    throw new Error('private or unresolved host blocked');
-  }
-  records.sort((a, b) => a.family - b.family); // IPv4 first when both are public.
-  return records[0];
-}
-
-function requestHtmlOnce(target, resolved, deadline) {
-  return new Promise((resolve, reject) => {
-    const remaining = deadline - Date.now();
-    if (remaining <= 0) return reject(new Error('fetch timed out'));
-
-    const transport = target.protocol === 'https:' ? https : http;
-    let settled = false;
-    let timer;
-    const finish = (fn, value) => {
-      if (settled) return;
-      settled = true;
-      clearTimeout(timer);
-      fn(value);
-    };
-    const req = transport.request(target, {
-      method: 'GET',
-      family: resolved.family,
-      lookup: (_hostname, _options, callback) =>
-        callback(null, resolved.address, resolved.family),
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; PromoteDevBot/1.0; +https://transcriptgrab.vercel.app)',
-        'Accept': 'text/html,application/xhtml+xml',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept-Encoding': 'identity',
-      },
-    }, (response) => {
-      const status = response.statusCode || 0;
-      const location = response.headers.location;
-      if ([301, 302, 303, 307, 308].includes(status) && location) {
-        response.resume();
-        try {
-          return finish(resolve, { redirect: new URL(location, target).href });
-        } catch {
-          return finish(reject, new Error('invalid redirect'));
-        }
-      }
-      if (status < 200 || status >= 300) {
-        response.resume();
-        return finish(reject, new Error('status ' + status));
-      }
-
-      const type = String(response.headers['content-type'] || '');
-      if (type && !/(?:text\/html|application\/xhtml\+xml)/i.test(type)) {
-        response.resume();
-        return finish(reject, new Error('response was not HTML'));
-      }
-      const declared = Number(response.headers['content-length'] || 0);
-      if (declared > FETCH_MAX_BYTES) {
-        response.resume();
-        return finish(reject, new Error('page too large'));
-      }
-
-      const chunks = [];
-      let total = 0;
-      response.on('data', (chunk) => {
-        if (settled) return;
-        total += chunk.length;
-        if (total > FETCH_MAX_BYTES) {
-          response.destroy();
-          return finish(reject, new Error('page too large'));
-        }
-        chunks.push(chunk);
-      });
-      response.on('end', () => finish(resolve, { body: Buffer.concat(chunks, total) }));
-      response.on('error', (error) => finish(reject, error));
-    });
-    req.setTimeout(remaining, () => req.destroy(new Error('fetch timed out')));
-    timer = setTimeout(() => req.destroy(new Error('fetch timed out')), remaining);
-    req.on('error', (error) => finish(reject, error));
-    req.end();
-  });
-}
-
-async function fetchHtml(url) {
-  const deadline = Date.now() + FETCH_TIMEOUT_MS;
-  let current = new URL(url);
-  for (let redirects = 0; redirects <= FETCH_MAX_REDIRECTS; redirects += 1) {
-    if (!isSafeUrl(current.href)) throw new Error('unsafe URL blocked');
-    const resolved = await resolvePublicAddress(current.hostname, deadline);
-    const result = await requestHtmlOnce(current, resolved, deadline);
-    if (result.redirect) {
-      if (redirects === FETCH_MAX_REDIRECTS) throw new Error('too many redirects');
-      current = new URL(result.redirect);
-      continue;
-    }
-    return {
-      html: new TextDecoder('utf-8').decode(result.body),
-      finalUrl: current.href,
-    };
-  }
-  throw new Error('too many redirects');
-}
-
 function extractMeta(html, attr, name) {
   const re = new RegExp('<meta[^>]+' + attr + '=["\']' + name + '["\'][^>]*content=["\']([^"\']+)["\']', 'i');
   const m = html.match(re);
@@ -570,10 +399,15 @@ function parseScrapedContent(html, url) {
   return { text: '', source: 'empty', icon_url: iconUrl };
 }
 
-// No tone here on purpose: it is picked fresh on every generation (pickTone in
-// _generate.js). A tone pinned once on the profile made 30 autopilot posts a
-// month speak in one voice. Old profiles may still carry the key; it is dropped
-// on the next save and never read.
+// Post settings edited outside the core product fields. A save that omits one
+// keeps the stored value (see the save action).
+const PRESERVED_PROFILE_KEYS = ['voice', 'language', 'kind_mix', 'changelog', 'hashtag_blocklist'];
+
+// No single tone here on purpose: it is picked fresh on every generation
+// (pickTone in _voice.js), weighted by voice.tones when the brand voice sets
+// them. A tone pinned once on the profile made 30 autopilot posts a month speak
+// in one voice. Old profiles may still carry the key; it is dropped on the next
+// save and never read.
 function cleanProfile(p) {
   if (!p || typeof p !== 'object') return null;
   return {
@@ -603,6 +437,19 @@ function cleanProfile(p) {
           : {}),
       } : null;
     })(),
+    voice: cleanBrandVoice(p.voice),
+    // The language posts are written in. Hooks stay English-mined; the copy
+    // model transplants them (see api/_language.js).
+    language: cleanLanguage(p.language),
+    // How often autopilot writes each post kind; null = the default mix
+    // (api/_kinds.js).
+    kind_mix: cleanKindMix(p.kind_mix),
+    // Where release notes come from, for what's-new posts; null = none
+    // (api/_changelog.js).
+    changelog: cleanChangelog(p.changelog),
+    // Tags this user never wants on a post, on top of the global ban list;
+    // null = none (api/_hashtags.js).
+    hashtag_blocklist: cleanHashtagBlocklist(p.hashtag_blocklist),
   };
 }
 
@@ -716,6 +563,14 @@ export default async function handler(req, res) {
       return res.status(500).json({ error: 'Could not load the audience catalogue. Please try again.' });
     }
 
+    // Settings a client doesn't send (an older tab, the import flow) must not
+    // be wiped by the save. An explicit value, null included, still wins.
+    for (const key of PRESERVED_PROFILE_KEYS) {
+      if (body.profile[key] === undefined && currentProfile?.[key] !== undefined) {
+        cleaned[key] = cleanProfile({ [key]: currentProfile[key] })[key];
+      }
+    }
+
     let appKw = [];
     let audienceWasResolved = false;
     if (shouldReuseStoredAudience(currentProfile, cleaned, activeNiches)) {
@@ -736,7 +591,7 @@ export default async function handler(req, res) {
             benefit: cleaned.benefit,
           },
           existing_niches: nicheCatalogueForPrompt(activeNiches),
-        }), 0);
+        }), 0, { site: 'profile' });
         const resolved = validateAudienceChoice(choice, activeNiches);
         appKw = resolved.keywords;
         const row = await ensureNiche({
@@ -784,7 +639,7 @@ export default async function handler(req, res) {
     // A newly resolved product may land in a new OR pre-seeded-but-empty pool.
     // Give a thin pool one bounded light mine so its first generation is not
     // left without source-backed choices. Unchanged v2 saves skip this work.
-    if (audienceWasResolved && cleaned.audience_niche && process.env.YOUTUBE_API_KEY) {
+    if (audienceWasResolved && cleaned.audience_niche && enabledSources({ apiKey: process.env.YOUTUBE_API_KEY }).length > 0) {
       try {
         // Only cold-start a niche that has essentially nothing. Any real
         // content means the pool is usable now and the daily mine cron keeps it
@@ -807,7 +662,7 @@ export default async function handler(req, res) {
             const LIGHT_MINE_BUDGET_MS = 6000;
             await Promise.race([
               mineNiche(nicheRow, process.env.YOUTUBE_API_KEY, {
-                maxKeywords: 2, maxSeedChannels: 0, maxExtractions: 4, maxTranscripts: 6,
+                maxKeywords: 2, maxSeedChannels: 0, maxExtractions: 4, maxTranscripts: 6, light: true,
               }).catch((e) => console.error('light mine run failed:', e.message)),
               new Promise((resolve) => setTimeout(resolve, LIGHT_MINE_BUDGET_MS)),
             ]);
@@ -820,6 +675,23 @@ export default async function handler(req, res) {
     return res.status(200).json({ ok: true, profile: cleaned });
   }
 
+  // Lets the profile form show what a changelog source will announce before
+  // it is saved. Signed-in only: it fetches a user-supplied URL.
+  if (action === 'changelog') {
+    if (!user) return res.status(401).json({ error: 'Sign in to connect release notes.' });
+    let changelog = body.changelog;
+    if (changelog === undefined) changelog = (await getProfile(user.id).catch(() => null))?.changelog;
+    const clean = cleanChangelog(changelog);
+    if (!clean) return res.status(400).json({ error: 'Paste release notes or a public releases feed URL first.' });
+    try {
+      const entries = await loadChangelogEntries(clean);
+      return res.status(200).json({ changelog: clean, entries: entries.slice(0, 5) });
+    } catch (e) {
+      console.error('changelog load error:', e.message);
+      return res.status(400).json({ error: 'Couldn\u2019t read that feed \u2014 check it is a public Atom or RSS URL.' });
+    }
+  }
+
   if (action === 'import') {
     const { url } = body || {};
     if (!url || typeof url !== 'string') return res.status(400).json({ error: 'Paste a URL first.' });
@@ -836,7 +708,7 @@ export default async function handler(req, res) {
       if (parsed.source === 'blocked' || !parsed.text) {
         return res.status(400).json({ error: 'Couldn\u2019t read that page \u2014 please fill the form manually.' });
       }
-      const structured = await callGemini(APP_PROFILE_PROMPT, parsed.text, 0.3);
+      const structured = await callGemini(APP_PROFILE_PROMPT, parsed.text, 0.3, { site: 'profile' });
       const prefill = cleanProfile({
         app_url: normalized,
         name: structured.name,
@@ -5,22 +5,30 @@
 //
 // GET  /api/social                          -> { enabled, connected, username, linked, posts, queue, health }
 // GET  /api/social?resource=analytics       -> { enabled, connected, totals, posts, syncedAt }  (cached, fast)
-// GET  /api/social?resource=autopilot       -> GET payload + { autopilotOn, postSlot, slots }
+// GET  /api/social?resource=autopilot       -> GET payload + { autopilotOn, postSlot, slots, calendar, series }
 // POST /api/social {action:'link'}          -> { url } (hosted upload-post linking page)
 // POST /api/social {action:'refresh-analytics'} -> pull fresh numbers, save, return updated set
 // POST /api/social {action:'toggle', enabled}   -> autopilot on/off
 // POST /api/social {action:'set-slot', slot}    -> posting time (allowed cron slots only)
-// POST /api/social {action:'edit-post', postId, slides, caption} -> manual queue edit
+// POST /api/social {action:'set-platforms', platforms} -> opt new posts into LinkedIn/Threads
+// POST /api/social {action:'edit-post', postId, slides, caption, captions?} -> manual queue edit; re-checks a compliance hold
 // POST /api/social {action:'skip-post', postId} -> skip a queued post
+// POST /api/social {action:'plan-calendar'}     -> replan the month's unfilled days
+// POST /api/social {action:'start-series', theme, parts} -> hand a series to autopilot
+// POST /api/social {action:'stop-series', seriesId}      -> stop it before its last part
 
 import {
   getSession, setUploadPostUsername, getPostsForUser, getPostQueueSummary,
   getLatestAutopilotRuns, ensureAnalyticsSchema, getPostsWithMetrics,
   getPostsForMetricSync, savePostMetrics, ensureAutopilotReliabilitySchema,
-  setAutopilotEnabled, setPostSlot, updateQueuedPost, skipQueuedPost,
+  setAutopilotEnabled, setPostSlot, setExtraPlatforms, getQueuedPostCaptions, updateQueuedPost, skipQueuedPost,
+  ensureCalendarSchema, getCalendar, ensureCaptionSchema, ensureComplianceSchema, ensureSeriesSchema, createSeries, getActiveAutopilotSeries,
+  stopSeries,
 } from './_db.js';
+import { planCalendar } from './_calendar.js';
+import { cleanSeriesParts, cleanSeriesTheme, planSeries, publicSeries, MAX_SERIES_PARTS, MIN_SERIES_PARTS } from './_series.js';
 import {
-  PUBLISH_SLOTS, DEFAULT_SLOT, isAllowedSlot, validatePostEdit,
+  PUBLISH_SLOTS, DEFAULT_SLOT, OPT_IN_PLATFORMS, cleanOptInPlatforms, isAllowedSlot, prepareQueuedEdit, validatePostEdit,
 } from './_autopilot-controls.js';
 import {
   uploadPostEnabled, createUploadPostUser, generateLinkUrl, getLinkedPlatforms,
@@ -31,6 +39,9 @@ import {
   aggregateTotals, normalizePostAnalytics, shouldSyncPost, requestIdForPost, sumProfileFollowers,
 } from './_analytics.js';
 
+// A replan makes one hook-pick model call.
+export const maxDuration = 60;
+
 const HISTORY_LIMIT = 30;
 const MAX_SYNC_PER_REFRESH = 8;
 const DEFAULT_STALE_MS = 6 * 60 * 60 * 1000; // 6h
@@ -113,6 +124,9 @@ export default async function handler(req, res) {
     if (req.method === 'GET') {
       const wantsAutopilot = req.query?.resource === 'autopilot';
       if (wantsAutopilot) await ensureAutopilotReliabilitySchema();
+      await ensureSeriesSchema();
+      await ensureCaptionSchema();
+      await ensureComplianceSchema();
       const [posts, queue, healthRows] = await Promise.all([
         getPostsForUser(user.id),
         getPostQueueSummary(user.id),
@@ -139,7 +153,15 @@ export default async function handler(req, res) {
         payload.autopilotOn = user.autopilot_enabled !== false;
         payload.postSlot = isAllowedSlot(user.post_slot) ? user.post_slot : DEFAULT_SLOT;
         payload.slots = PUBLISH_SLOTS;
+        payload.extraPlatforms = cleanOptInPlatforms(user.extra_platforms);
+        payload.optInPlatforms = OPT_IN_PLATFORMS;
         payload.tier = user.tier || 'free';
+        // The month ahead as planned; empty until the first topup (or a
+        // replan) builds it.
+        payload.calendar = await ensureCalendarSchema()
+          .then(() => getCalendar(user.id, new Date().toISOString().substring(0, 10)))
+          .catch(() => []);
+        payload.series = publicSeries(await getActiveAutopilotSeries(user.id).catch(() => null));
       }
       return res.status(200).json(payload);
     }
@@ -164,7 +186,7 @@ export default async function handler(req, res) {
     }
 
     // ---- autopilot controls (pro-only; the page itself upsells free users) ----
-    if (['toggle', 'set-slot', 'edit-post', 'skip-post'].includes(body.action)) {
+    if (['toggle', 'set-slot', 'set-platforms', 'edit-post', 'skip-post', 'plan-calendar', 'start-series', 'stop-series'].includes(body.action)) {
       if (user.tier !== 'pro') {
         return res.status(402).json({ error: 'Autopilot is included with Pro ($19/month).', upgrade: true });
       }
@@ -184,6 +206,62 @@ export default async function handler(req, res) {
         return res.status(200).json({ postSlot: body.slot });
       }
 
+      // Applies to posts queued from now on; queued posts keep their list.
+      if (body.action === 'set-platforms') {
+        const platforms = cleanOptInPlatforms(body.platforms);
+        await ensureCaptionSchema();
+        await setExtraPlatforms(user.id, platforms);
+        return res.status(200).json({ extraPlatforms: platforms });
+      }
+
+      // Replanning keeps filled days and re-spreads the rest, e.g. after the
+      // post mix or posting time changed.
+      if (body.action === 'plan-calendar') {
+        if (!user.profile?.what) {
+          return res.status(400).json({ error: 'Set up your product on the Create page first.' });
+        }
+        await ensureCalendarSchema();
+        await planCalendar(user);
+        return res.status(200).json({ calendar: await getCalendar(user.id, new Date().toISOString().substring(0, 10)) });
+      }
+
+      // One autopilot series at a time: its parts take the next open slots
+      // in order, and a second series would interleave with it.
+      if (body.action === 'start-series') {
+        const theme = cleanSeriesTheme(body.theme);
+        const parts = cleanSeriesParts(body.parts);
+        if (!theme) return res.status(400).json({ error: 'Give the series a theme.' });
+        if (!parts) {
+          return res.status(400).json({ error: `A series runs ${MIN_SERIES_PARTS} to ${MAX_SERIES_PARTS} parts.` });
+        }
+        if (!user.profile?.what) {
+          return res.status(400).json({ error: 'Set up your product on the Create page first.' });
+        }
+        await ensureSeriesSchema();
+        if (await getActiveAutopilotSeries(user.id)) {
+          return res.status(409).json({ error: 'Autopilot is already running a series. Stop it or let it finish first.' });
+        }
+        let planned;
+        try {
+          planned = await planSeries(user.profile, { theme, parts });
+        } catch (e) {
+          if (String(e.message).startsWith('No hooks')) return res.status(503).json({ error: e.message });
+          throw e;
+        }
+        const row = await createSeries({
+          userId: user.id, theme, parts, mechanism: planned.mechanism, hookId: planned.hook_id, autopilot: true,
+        });
+        return res.status(200).json({ series: publicSeries(row) });
+      }
+
+      if (body.action === 'stop-series') {
+        const seriesId = parseInt(body.seriesId, 10);
+        await ensureSeriesSchema();
+        const stopped = Number.isInteger(seriesId) ? await stopSeries(user.id, seriesId) : null;
+        if (!stopped) return res.status(409).json({ error: 'This series has already finished.' });
+        return res.status(200).json({ series: null });
+      }
+
       const postId = parseInt(body.postId, 10);
       if (!Number.isInteger(postId) || postId <= 0) {
         return res.status(400).json({ error: 'Missing post id.' });
@@ -192,7 +270,13 @@ export default async function handler(req, res) {
       if (body.action === 'edit-post') {
         const checked = validatePostEdit(body);
         if (checked.error) return res.status(400).json({ error: checked.error });
-        const updated = await updateQueuedPost(user.id, postId, checked.slides, checked.caption);
+        await ensureCaptionSchema();
+        await ensureComplianceSchema();
+        // Regulated niches: the edit gets its disclaimer back and is checked
+        // again. A clean edit releases a held post; a failing one stays held.
+        const stored = await getQueuedPostCaptions(user.id, postId);
+        const { caption, captions, compliance } = prepareQueuedEdit(checked, stored, user.profile);
+        const updated = await updateQueuedPost(user.id, postId, checked.slides, caption, captions, compliance);
         if (!updated) {
           return res.status(409).json({ error: 'This post is no longer editable — it may already be publishing.' });
         }
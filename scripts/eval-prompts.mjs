@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+
+// scripts/eval-prompts.mjs — Prompt regression harness.
+//
+// Replays the stored fixtures in scripts/eval-fixtures/ through a version of
+// one prompt from the registry in api/_prompts.js, scores every answer with
+// the same deterministic gates production applies (hook-extraction grounding,
+// slide length limits, CTA URL stripping, banned phrases, product-claim
+// grounding), and diffs two versions fixture by fixture. Nothing is written
+// anywhere but stdout and the optional report file.
+//
+//   node scripts/eval-prompts.mjs --prompt=carousel-copy
+//   node scripts/eval-prompts.mjs --prompt=carousel-copy --candidate=v2
+//   node scripts/eval-prompts.mjs --prompt=hook-pick --candidate-file=drafts/pick.txt --runs=3
+//
+// Options:
+//   --prompt=name          Required. carousel-copy, hook-pick, hook-extraction
+//                          or app-profile.
+//   --base=version         Version to compare against (default: the live one).
+//   --candidate=version    Registry version to score against the base.
+//   --candidate-file=path  Score a prompt text from a file instead (a draft
+//                          that isn't in the registry yet).
+//   --runs=N               Replay each fixture N times (1-5, default 1). The
+//                          models are sampled, so one run of a close call is
+//                          noise; the report shows per-check pass rates.
+//   --fixtures=path.json   Override the fixture file.
+//   --report=path.json     Save both reports and the diff to a JSON file.
+//
+// Environment: the same provider settings as the app (GEMINI_API_KEY, or
+// LLM_PROVIDER / LLM_PROVIDER_<SITE> — see api/_llm.js). LLM_PROVIDER=fake
+// runs offline against the live versions, which is how the tests drive it.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename, dirname, join, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { callGemini } from '../api/_shared.js';
+import { PROMPT_REGISTRY, getPromptVersion } from '../api/_prompts.js';
+import { buildPlanPayload, buildHookPickPayload, cleanCta, MIN_SLIDES } from '../api/_generate.js';
+import { validateHookExtraction } from '../api/_miner.js';
+import { findUnsupportedClaims } from '../api/_claims.js';
+import { findBannedPhrases } from '../api/_voice.js';
+import { cleanHashtag } from '../api/_language.js';
+
+const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), 'eval-fixtures');
+const MAX_RUNS = 5;
+
+function words(text) {
+  return String(text || '').trim().split(/\s+/).filter(Boolean);
+}
+
+function check(name, pass, detail = '') {
+  return { check: name, pass: !!pass, detail: pass ? '' : detail };
+}
+
+// ---------------------------------------------------------------------------
+// Per-prompt input builders and scorers (pure, tested)
+//
+// Each builds the exact input the app sends for that prompt (same payload
+// builders, same temperature and call site) and scores an answer into a list
+// of named pass/fail checks.
+
+function copyPayload(fx) {
+  return buildPlanPayload({
+    profile: fx.profile, hook: fx.hook, kind: fx.kind, slideCount: fx.slideCount, tone: fx.tone,
+  });
+}
+
+function scoreCopy(fx, out) {
+  const payload = copyPayload(fx);
+  const slides = Array.isArray(out?.slides) ? out.slides : [];
+  const long = slides
+    .map((s, i) => ({ i, heading: words(s?.heading).length, body: words(s?.body).length }))
+    .filter((s) => s.heading === 0 || s.heading > 12 || s.body > 30);
+  const cta = String(out?.cta || '').replace(/\s+/g, ' ').trim();
+  const banned = findBannedPhrases(out, payload.voice.banned);
+  const claims = findUnsupportedClaims(out, fx.profile, { language: payload.language.code });
+  const hashtags = Array.isArray(out?.hashtags) ? out.hashtags : [];
+  const badTags = hashtags.filter((h) => cleanHashtag(h) !== String(h));
+  return [
+    check('slide-count', slides.length === payload.slideCount && slides.length >= MIN_SLIDES,
+      `${slides.length} slides, asked for ${payload.slideCount}`),
+    check('slide-length', slides.length && !long.length,
+      long.map((s) => `slide ${s.i + 1}: heading ${s.heading} words, body ${s.body} words`).join('; ')),
+    check('hook-slide-no-body', slides.length && !String(slides[0]?.body || '').trim(), 'slide 1 has a body'),
+    check('cta-survives-cleaning', cta && cleanCta(cta) === cta.substring(0, 60) && cta.length <= 60,
+      cta ? `"${cta}" is stripped or cut` : 'no cta'),
+    check('cta-names-product', cta.toLowerCase().includes(String(fx.profile.name || '').toLowerCase()),
+      `"${cta}" doesn't name ${fx.profile.name}`),
+    check('no-banned-phrases', !banned.length, banned.join(', ')),
+    check('claims-grounded', !claims.length, claims.map((c) => `${c.type} "${c.claim}" (${c.where})`).join('; ')),
+    check('hashtags', hashtags.length >= 5 && hashtags.length <= 8 && !badTags.length,
+      `${hashtags.length} hashtags${badTags.length ? `, malformed: ${badTags.join(', ')}` : ''}`),
+  ];
+}
+
+function scoreHookPick(fx, out) {
+  const ids = Array.isArray(out?.ids) ? out.ids : null;
+  const known = new Set(fx.pool.map((h) => h.id));
+  const include = fx.expect?.include || [];
+  const exclude = fx.expect?.exclude || [];
+  const checks = [
+    check('shape', ids, 'no ids array'),
+    check('ids-exist', ids && ids.every((id) => known.has(id)),
+      `unknown ids: ${(ids || []).filter((id) => !known.has(id)).join(', ')}`),
+  ];
+  if (include.length) {
+    checks.push(check('picks-a-fit', ids && ids.some((id) => include.includes(id)),
+      `picked ${JSON.stringify(ids)}, expected one of ${include.join(', ')}`));
+  }
+  if (exclude.length) {
+    checks.push(check('rejects-misfits', ids && !ids.some((id) => exclude.includes(id)),
+      `picked ${(ids || []).filter((id) => exclude.includes(id)).join(', ')}`));
+  }
+  return checks;
+}
+
+function scoreHookExtraction(fx, out) {
+  const rows = Array.isArray(out) ? out : [];
+  const byIndex = new Map();
+  for (const row of rows) if (Number.isInteger(row?.i) && !byIndex.has(row.i)) byIndex.set(row.i, row);
+  const checks = [
+    check('shape', Array.isArray(out), 'not an array'),
+    check('every-video-once', rows.length === fx.videos.length && fx.videos.every((_, i) => byIndex.has(i)),
+      `${rows.length} rows for ${fx.videos.length} videos`),
+  ];
+  fx.videos.forEach((video, i) => {
+    const verdict = validateHookExtraction(byIndex.get(i), video.transcript);
+    const accepted = verdict.ok ? 'accept' : 'reject';
+    checks.push(check(`video-${i}-${video.expect}`, accepted === video.expect,
+      verdict.ok ? 'accepted' : `rejected: ${verdict.reason}`));
+  });
+  return checks;
+}
+
+function factGrounded(fact, source) {
+  const text = source.toLowerCase().replace(/(\d),(?=\d{3}\b)/g, '$1');
+  const factWords = String(fact).toLowerCase().replace(/(\d),(?=\d{3}\b)/g, '$1')
+    .split(/[^\p{L}\p{N}.+$%]+/u)
+    .map((w) => w.replace(/[.]+$/, ''))
+    .filter((w) => w.length > 2 || /\d/.test(w));
+  if (!factWords.length) return false;
+  // Every number must be in the source; most of the words must be.
+  if (factWords.some((w) => /\d/.test(w) && !text.includes(w))) return false;
+  return factWords.filter((w) => text.includes(w)).length / factWords.length >= 0.7;
+}
+
+function scoreAppProfile(fx, out) {
+  const facts = Array.isArray(out?.facts) ? out.facts.map(String) : [];
+  const long = facts.filter((f) => words(f).length >= 15);
+  const ungrounded = facts.filter((f) => !factGrounded(f, fx.text));
+  const color = String(out?.color || '');
+  const hex = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+  const gray = hex && hex[1].toLowerCase() === hex[2].toLowerCase() && hex[2].toLowerCase() === hex[3].toLowerCase();
+  const checks = [
+    check('shape', out && typeof out === 'object' && out.name && out.what, 'missing name or what'),
+    check('facts-count', facts.length >= 3 && facts.length <= 8, `${facts.length} facts`),
+    check('fact-length', !long.length, long.join('; ')),
+    check('facts-grounded', facts.length && !ungrounded.length, facts.length ? ungrounded.join('; ') : 'no facts'),
+    check('color', hex && !gray, color || 'no color'),
+  ];
+  if (fx.expect?.name) {
+    checks.push(check('name', String(out?.name || '').toLowerCase().includes(fx.expect.name.toLowerCase()),
+      `"${out?.name || ''}"`));
+  }
+  return checks;
+}
+
+export const EVAL_PROMPTS = {
+  'carousel-copy': {
+    site: 'copy', temperature: 0.7,
+    input: (fx) => JSON.stringify(copyPayload(fx)),
+    score: scoreCopy,
+  },
+  'hook-pick': {
+    site: 'hook-pick', temperature: 0.2,
+    input: (fx) => JSON.stringify(buildHookPickPayload(fx.profile, fx.pool)),
+    score: scoreHookPick,
+  },
+  'hook-extraction': {
+    site: 'hook-extraction', temperature: 0.1,
+    input: (fx) => JSON.stringify({
+      niche: fx.niche,
+      videos: fx.videos.map((v, i) => ({ i, title: v.title, views: v.views, followers: v.followers, transcript: v.transcript })),
+    }),
+    score: scoreHookExtraction,
+  },
+  'app-profile': {
+    site: 'profile', temperature: 0.3,
+    input: (fx) => fx.text,
+    score: scoreAppProfile,
+  },
+};
+
+export function scoreAnswer(name, fixture, out) {
+  const spec = EVAL_PROMPTS[name];
+  if (!spec) throw new Error(`No scorer for prompt "${name}".`);
+  return spec.score(fixture, out);
+}
+
+// ---------------------------------------------------------------------------
+// Runner
+
+// Replays every fixture `runs` times, one call at a time. A failed call scores
+// every check as failed for that run rather than aborting the report: a prompt
+// that makes the model return broken JSON is a regression worth seeing.
+export async function runEval({ prompt, fixtures, runs = 1, callModel = callGemini }) {
+  const spec = EVAL_PROMPTS[prompt.name];
+  if (!spec) throw new Error(`No scorer for prompt "${prompt.name}".`);
+  const results = [];
+  for (const fixture of fixtures) {
+    const tally = new Map();
+    const errors = [];
+    for (let run = 0; run < runs; run++) {
+      let checks;
+      try {
+        const out = await callModel(prompt.text, spec.input(fixture), spec.temperature, { site: spec.site });
+        checks = spec.score(fixture, out);
+      } catch (error) {
+        errors.push(error.message);
+        checks = spec.score(fixture, null).map((c) => ({ ...c, pass: false, detail: `call failed: ${error.message}` }));
+      }
+      for (const c of checks) {
+        const t = tally.get(c.check) || { check: c.check, passed: 0, runs: 0, detail: '' };
+        t.runs++;
+        if (c.pass) t.passed++;
+        else if (!t.detail) t.detail = c.detail;
+        tally.set(c.check, t);
+      }
+    }
+    const checks = [...tally.values()];
+    const passed = checks.reduce((sum, c) => sum + c.passed, 0);
+    const total = checks.reduce((sum, c) => sum + c.runs, 0);
+    results.push({ id: fixture.id, score: total ? passed / total : 0, checks, errors });
+  }
+  const score = results.length ? results.reduce((sum, r) => sum + r.score, 0) / results.length : 0;
+  return { prompt: prompt.name, version: prompt.version, runs, score, fixtures: results };
+}
+
+function passRate(c) {
+  return c ? c.passed / c.runs : null;
+}
+
+// Fixture by fixture: the score change, and which checks got better or worse.
+export function diffReports(base, candidate) {
+  const baseById = new Map(base.fixtures.map((f) => [f.id, f]));
+  const fixtures = candidate.fixtures.map((cand) => {
+    const was = baseById.get(cand.id);
+    const wasChecks = new Map((was?.checks || []).map((c) => [c.check, c]));
+    const improved = [];
+    const regressed = [];
+    for (const c of cand.checks) {
+      const before = passRate(wasChecks.get(c.check));
+      const after = passRate(c);
+      if (before === null || after === before) continue;
+      (after > before ? improved : regressed).push(c.check);
+    }
+    return {
+      id: cand.id,
+      base: was ? was.score : null,
+      candidate: cand.score,
+      delta: was ? cand.score - was.score : null,
+      improved,
+      regressed,
+    };
+  });
+  return {
+    prompt: candidate.prompt,
+    base: base.version,
+    candidate: candidate.version,
+    score: { base: base.score, candidate: candidate.score, delta: candidate.score - base.score },
+    fixtures,
+  };
+}
+
+function pct(n) {
+  return n === null ? '   -' : `${Math.round(n * 100)}%`.padStart(4);
+}
+
+export function formatReport(report) {
+  const lines = [`${report.prompt} ${report.version}: ${pct(report.score)} over ${report.fixtures.length} fixture(s), ${report.runs} run(s) each`];
+  for (const f of report.fixtures) {
+    lines.push(`  ${pct(f.score)}  ${f.id}`);
+    for (const c of f.checks.filter((c) => c.passed < c.runs)) {
+      lines.push(`          ${c.check} ${c.passed}/${c.runs}${c.detail ? ` — ${c.detail}` : ''}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+export function formatDiff(diff) {
+  const sign = (n) => (n === null ? '' : `${n >= 0 ? '+' : ''}${Math.round(n * 100)}`);
+  const lines = [`${diff.prompt}: ${diff.base} ${pct(diff.score.base)} -> ${diff.candidate} ${pct(diff.score.candidate)} (${sign(diff.score.delta)})`];
+  for (const f of diff.fixtures) {
+    const changes = [
+      ...f.improved.map((c) => `+${c}`),
+      ...f.regressed.map((c) => `-${c}`),
+    ].join(' ');
+    lines.push(`  ${pct(f.base)} -> ${pct(f.candidate)}  ${f.id}${changes ? `  ${changes}` : ''}`);
+  }
+  return lines.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+
+function optionValue(args, name) {
+  const prefix = `${name}=`;
+  const inline = args.find((arg) => arg.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+export function parseCliOptions(args) {
+  const prompt = optionValue(args, '--prompt');
+  if (!prompt) throw new Error('--prompt=name is required.');
+  if (!PROMPT_REGISTRY[prompt] || !EVAL_PROMPTS[prompt]) {
+    throw new Error(`Unknown --prompt=${prompt}. Known: ${Object.keys(EVAL_PROMPTS).join(', ')}.`);
+  }
+  const candidate = optionValue(args, '--candidate');
+  const candidateFile = optionValue(args, '--candidate-file');
+  if (candidate && candidateFile) throw new Error('Use --candidate or --candidate-file, not both.');
+  const runs = Math.max(1, Math.min(MAX_RUNS, Number(optionValue(args, '--runs')) || 1));
+  return {
+    prompt,
+    base: optionValue(args, '--base') || '',
+    candidate: candidate || '',
+    candidateFile: candidateFile || '',
+    runs,
+    fixtures: optionValue(args, '--fixtures') || join(FIXTURE_DIR, `${prompt}.json`),
+    report: optionValue(args, '--report'),
+  };
+}
+
+export async function main(args = process.argv.slice(2)) {
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log('See the header of scripts/eval-prompts.mjs for usage.');
+    return;
+  }
+  const options = parseCliOptions(args);
+  const fixtures = JSON.parse(readFileSync(options.fixtures, 'utf8'));
+  if (!Array.isArray(fixtures) || !fixtures.length) throw new Error(`No fixtures in ${options.fixtures}.`);
+
+  const base = getPromptVersion(options.prompt, options.base);
+  let candidate = null;
+  if (options.candidateFile) {
+    candidate = {
+      name: options.prompt,
+      version: `file:${basename(options.candidateFile)}`,
+      text: readFileSync(options.candidateFile, 'utf8').trim(),
+    };
+  } else if (options.candidate) {
+    candidate = getPromptVersion(options.prompt, options.candidate);
+  }
+
+  const baseReport = await runEval({ prompt: base, fixtures, runs: options.runs });
+  console.log(formatReport(baseReport));
+  let candidateReport = null;
+  let diff = null;
+  if (candidate) {
+    candidateReport = await runEval({ prompt: candidate, fixtures, runs: options.runs });
+    diff = diffReports(baseReport, candidateReport);
+    console.log('');
+    console.log(formatReport(candidateReport));
+    console.log('');
+    console.log(formatDiff(diff));
+  }
+
+  if (options.report) {
+    writeFileSync(options.report, `${JSON.stringify({
+      createdAt: new Date().toISOString(),
+      options: { ...options, report: undefined },
+      base: baseReport,
+      candidate: candidateReport,
+      diff,
+    }, null, 2)}\n`, 'utf8');
+    console.log(`Full results saved to ${options.report}`);
+  }
+}
+
+const entryPoint = process.argv[1] ? pathToFileURL(resolve(process.argv[1])).href : '';
+if (import.meta.url === entryPoint) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
@@ -357,8 +357,10 @@ async function youtubeCandidates(options, secret) {
   if (!response.ok) throw new Error(body?.error || `discover failed (${response.status})`);
   console.log(`Discovered ${body.outlierCount} outliers (scanned ${body.scanned}).`);
   for (const error of body.errors || []) console.log(`  discovery: ${error}`);
+  // Server discovery runs every enabled source; keep each outlier's platform.
   return (body.outliers || []).map((o) => ({
-    url: o.url, title: o.title, views: o.views, followers: o.followers, platform: 'youtube',
+    url: o.url, title: o.title, views: o.views, followers: o.followers, platform: o.platform || 'youtube',
+    ...(o.body ? { body: o.body } : {}),
   }));
 }
 
@@ -434,6 +436,11 @@ export async function main(args = process.argv.slice(2)) {
   const candidates = [];
   let failures = 0;
   for (const [index, candidate] of pool.entries()) {
+    // A Reddit or X post is its own text: nothing to transcribe.
+    if (candidate.body) {
+      candidates.push({ ...candidate, transcript: candidate.body });
+      continue;
+    }
     // Gentle pacing between videos keeps YouTube's per-IP throttle away.
     if (index > 0) await new Promise((resolve) => setTimeout(resolve, 1500));
     console.log(`  [${index + 1}/${pool.length}] ${candidate.url}`);
@@ -0,0 +1,18 @@
+-- The 30-day content calendar (api/_calendar.js): one planned slot per user
+-- per day, filled by the autopilot topup.
+CREATE TABLE IF NOT EXISTS calendar_slots (
+  id         SERIAL PRIMARY KEY,
+  user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  day        DATE NOT NULL,
+  kind       VARCHAR(20) NOT NULL,
+  style      VARCHAR(20) NOT NULL,
+  hook_id    INTEGER REFERENCES hooks(id) ON DELETE SET NULL,
+  topic      VARCHAR(300) NOT NULL DEFAULT '',
+  mechanism  VARCHAR(30) NOT NULL DEFAULT '',
+  post_id    INTEGER REFERENCES posts(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, day)
+);
+
+-- When a plan was last attempted; topup retries a missing plan once a week.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_planned_at TIMESTAMPTZ;
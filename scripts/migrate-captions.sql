@@ -0,0 +1,7 @@
+-- Per-platform captions (api/_captions.js): { instagram, tiktok, linkedin,
+-- threads }, each within its platform's limits. NULL on rows made before
+-- this; those publish `caption` everywhere.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS captions JSONB;
+ALTER TABLE carousels ADD COLUMN IF NOT EXISTS captions JSONB;
+-- LinkedIn and Threads, when the user opted into them on the Autopilot page.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS extra_platforms TEXT[] NOT NULL DEFAULT '{}';
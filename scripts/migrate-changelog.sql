@@ -0,0 +1,4 @@
+-- The changelog entry a what's-new post announced (api/_changelog.js), so
+-- autopilot queues one post per release.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS release_id TEXT;
+CREATE INDEX IF NOT EXISTS idx_posts_release ON posts(user_id, release_id) WHERE release_id IS NOT NULL;
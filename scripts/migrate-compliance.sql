@@ -0,0 +1,4 @@
+-- Compliance holds (api/_compliance.js): the hard rules a queued post breaks
+-- for its niche, as [{ rule, message, where, text }]. NULL = clear to
+-- publish; the publisher skips any other value until an edit clears it.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS compliance JSONB;
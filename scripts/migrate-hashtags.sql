@@ -0,0 +1,23 @@
+-- Per-niche hashtag bank (api/_hashtags.js): tags drawn from mined hooks'
+-- source titles and topics, niche keywords and our own posts' metrics, tiered
+-- broad/mid/niche. Rebuilt whole once a day by the autopilot topup run.
+CREATE TABLE IF NOT EXISTS hashtag_bank (
+  niche_id   INTEGER NOT NULL REFERENCES niches(id) ON DELETE CASCADE,
+  tag        VARCHAR(60) NOT NULL,
+  tier       VARCHAR(10) NOT NULL,
+  hook_uses  INTEGER NOT NULL DEFAULT 0,
+  hook_views BIGINT NOT NULL DEFAULT 0,
+  post_uses  INTEGER NOT NULL DEFAULT 0,
+  post_views BIGINT NOT NULL DEFAULT 0,
+  score      REAL NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (niche_id, tag)
+);
+
+-- When the bank was last rebuilt. A rebuild that found no tags leaves the
+-- bank empty, so its age can't be read off hashtag_bank.updated_at.
+CREATE TABLE IF NOT EXISTS hashtag_bank_builds (
+  id       SMALLINT PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  built_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  tags     INTEGER NOT NULL DEFAULT 0
+);
@@ -0,0 +1,5 @@
+-- Near-duplicate hook clusters (api/_hookclusters.js). Hooks whose templates
+-- differ by about a word share a cluster_id; the pick pools keep the
+-- strongest source of each. Backfill existing niches afterwards with
+-- GET /api/mine?action=cluster (admin).
+ALTER TABLE hooks ADD COLUMN IF NOT EXISTS cluster_id VARCHAR(16);
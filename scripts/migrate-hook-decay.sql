@@ -0,0 +1,10 @@
+-- Hook freshness decay (api/_freshness.js, daily /api/mine?action=decay).
+-- pinned: an admin's evergreen override; decay never retires a pinned hook.
+ALTER TABLE hooks ADD COLUMN IF NOT EXISTS pinned BOOLEAN NOT NULL DEFAULT FALSE;
+-- The source's own publish time where the platform reports it; created_at
+-- stands in until the decay job's stats refresh fills it.
+ALTER TABLE hooks ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ;
+-- The last decayed score (1 = a new, unused source with no momentum).
+ALTER TABLE hooks ADD COLUMN IF NOT EXISTS freshness_score NUMERIC(6,3);
+-- Decay runs least recently decayed niches first.
+ALTER TABLE niches ADD COLUMN IF NOT EXISTS last_decayed_at TIMESTAMPTZ;
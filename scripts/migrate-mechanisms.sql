@@ -0,0 +1,7 @@
+-- Hook mechanism labels (api/_mechanisms.js): why each hook's opening works,
+-- one id from a fixed taxonomy. GET /api/hooks filters on it and the hook
+-- pick balances it across a user's recent posts. Backfill existing hooks
+-- afterwards with GET /api/mine?action=label-mechanisms (admin), repeated
+-- until it answers done: true.
+ALTER TABLE hooks ADD COLUMN IF NOT EXISTS mechanism VARCHAR(30);
+CREATE INDEX IF NOT EXISTS idx_hooks_mechanism ON hooks(mechanism);
@@ -0,0 +1,44 @@
+-- Resumable mining jobs (api/_minejobs.js). One job mines one niche across
+-- as many cron runs as it takes; each candidate row checkpoints how far it
+-- got (discovered, queued, transcribed, extracted), so a run that hits the
+-- time budget resumes where it stopped. At most one open job per niche.
+CREATE TABLE IF NOT EXISTS mine_jobs (
+  id                 SERIAL PRIMARY KEY,
+  niche_id           INTEGER NOT NULL REFERENCES niches(id) ON DELETE CASCADE,
+  phase              VARCHAR(20) NOT NULL DEFAULT 'discover',
+  dry                BOOLEAN NOT NULL DEFAULT FALSE,
+  fresh              BOOLEAN NOT NULL DEFAULT FALSE,
+  options            JSONB NOT NULL DEFAULT '{}',
+  platforms          JSONB NOT NULL DEFAULT '[]',
+  scanned            INTEGER NOT NULL DEFAULT 0,
+  discovery_failures INTEGER NOT NULL DEFAULT 0,
+  extract_failures   INTEGER NOT NULL DEFAULT 0,
+  errors             JSONB NOT NULL DEFAULT '[]',
+  attempts           INTEGER NOT NULL DEFAULT 0,
+  result             JSONB,
+  locked_until       TIMESTAMPTZ,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at        TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mine_jobs_open
+  ON mine_jobs(niche_id) WHERE phase NOT IN ('done', 'failed');
+
+CREATE TABLE IF NOT EXISTS mine_job_candidates (
+  job_id              INTEGER NOT NULL REFERENCES mine_jobs(id) ON DELETE CASCADE,
+  ordinal             INTEGER NOT NULL,
+  url                 TEXT NOT NULL,
+  title               TEXT NOT NULL DEFAULT '',
+  views               BIGINT NOT NULL DEFAULT 0,
+  followers           BIGINT NOT NULL DEFAULT 0,
+  platform            VARCHAR(20) NOT NULL,
+  score               NUMERIC(12,2) NOT NULL DEFAULT 0,
+  body                TEXT,
+  status              VARCHAR(20) NOT NULL DEFAULT 'found',
+  transcript          TEXT,
+  transcript_provider VARCHAR(30),
+  extraction          JSONB,
+  error               TEXT,
+  PRIMARY KEY (job_id, url)
+);
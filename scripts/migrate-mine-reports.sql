@@ -0,0 +1,25 @@
+-- Mining run reports (api/_minereports.js). settleMine files one row per
+-- settled mine: its mode (light/fresh/incremental, dry or not), candidates
+-- discovered, transcript failures, quality-gate rejections by reason,
+-- accepted hooks and the fresh-rebuild blockers. Read per niche over time
+-- with GET /api/mine?action=reports.
+CREATE TABLE IF NOT EXISTS mine_reports (
+  id                  SERIAL PRIMARY KEY,
+  niche_id            INTEGER NOT NULL REFERENCES niches(id) ON DELETE CASCADE,
+  job_id              INTEGER,
+  mode                VARCHAR(12) NOT NULL,
+  dry                 BOOLEAN NOT NULL DEFAULT FALSE,
+  scanned             INTEGER NOT NULL DEFAULT 0,
+  discovered          INTEGER NOT NULL DEFAULT 0,
+  transcript_attempts INTEGER NOT NULL DEFAULT 0,
+  transcript_failures INTEGER NOT NULL DEFAULT 0,
+  transcript_eligible INTEGER NOT NULL DEFAULT 0,
+  rejections          JSONB NOT NULL DEFAULT '{}',
+  accepted            INTEGER NOT NULL DEFAULT 0,
+  fresh_blockers      JSONB NOT NULL DEFAULT '[]',
+  applied             BOOLEAN,
+  error_count         INTEGER NOT NULL DEFAULT 0,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mine_reports_niche ON mine_reports(niche_id, created_at DESC);
@@ -0,0 +1,3 @@
+-- Hook-fit rationale (api/_generate.js): { mechanism, subject, job } — why
+-- the carousel's hook suits the product. NULL on carousels made before this.
+ALTER TABLE carousels ADD COLUMN IF NOT EXISTS rationale JSONB;
@@ -0,0 +1,19 @@
+-- Multi-part series (api/_series.js): one theme told over several posts that
+-- share a hook mechanism. posts.series / carousels.series hold each part's
+-- "Part N of M" badge.
+CREATE TABLE IF NOT EXISTS series (
+  id         SERIAL PRIMARY KEY,
+  user_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  theme      VARCHAR(200) NOT NULL,
+  parts      SMALLINT NOT NULL,
+  mechanism  VARCHAR(30) NOT NULL DEFAULT '',
+  hook_id    INTEGER REFERENCES hooks(id) ON DELETE SET NULL,
+  autopilot  BOOLEAN NOT NULL DEFAULT FALSE,
+  written    JSONB NOT NULL DEFAULT '[]',
+  status     VARCHAR(20) NOT NULL DEFAULT 'active',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_series_user ON series(user_id, status);
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS series JSONB;
+ALTER TABLE carousels ADD COLUMN IF NOT EXISTS series JSONB;
@@ -0,0 +1,2 @@
+-- Per-post counter for free single-slide rewrites (api/carousel.js rewrite-slide).
+ALTER TABLE carousels ADD COLUMN IF NOT EXISTS slide_rewrites INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,6 @@
+-- Text-first hook sources (api/_textsources.js): Reddit and X posts whose
+-- first sentence is the hook. source_type is 'video' or 'text'; the hook-pick
+-- pools weight text hooks below video ones (HOOK_SOURCE_WEIGHTS in api/_db.js).
+ALTER TABLE hooks ADD COLUMN IF NOT EXISTS source_type VARCHAR(10) NOT NULL DEFAULT 'video';
+-- A niche's seed subreddits for the Reddit source, without the r/ prefix.
+ALTER TABLE niches ADD COLUMN IF NOT EXISTS subreddits TEXT[] NOT NULL DEFAULT '{}';
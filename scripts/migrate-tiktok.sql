@@ -0,0 +1,3 @@
+-- TikTok discovery source (api/_sources.js): a niche's seed creators, as
+-- TikTok handles. Empty means the TikTok adapter runs keyword search only.
+ALTER TABLE niches ADD COLUMN IF NOT EXISTS tiktok_creators TEXT[] NOT NULL DEFAULT '{}';
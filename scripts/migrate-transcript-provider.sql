@@ -0,0 +1,5 @@
+-- Which step of the transcript chain (api/_transcript.js) produced a hook's
+-- transcript: supadata, timedtext, whisper, local (scripts/local-mine.mjs) or
+-- post (a Reddit or X post is its own transcript). NULL for hooks mined before
+-- the chain.
+ALTER TABLE hooks ADD COLUMN IF NOT EXISTS transcript_provider VARCHAR(30);
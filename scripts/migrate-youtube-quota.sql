@@ -0,0 +1,12 @@
+-- YouTube Data API quota ledger (api/_ytquota.js). Every YouTube call adds
+-- its units to its Pacific quota day and call type; the miner plans its
+-- 100-unit searches against what is left, and the admin dashboard shows the
+-- day's spend next to api_usage.
+CREATE TABLE IF NOT EXISTS youtube_quota (
+  day        DATE NOT NULL,
+  call_type  VARCHAR(20) NOT NULL,
+  units      INTEGER NOT NULL DEFAULT 0,
+  calls      INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (day, call_type)
+);
@@ -62,18 +62,38 @@ function visibleAccent(hex, ink, dark) {
   return hex;
 }
 
-function wrapText(x, text, maxWidth) {
-  var words = String(text || '').split(/\s+/).filter(Boolean);
+// Wraps on whitespace. Text is NFC-normalised first so an accented letter
+// typed as base + combining mark measures and draws as one glyph. A single
+// word wider than the line (a long German compound, or a script written
+// without spaces) is broken between characters rather than left to run off
+// the slide.
+export function wrapText(x, text, maxWidth) {
+  var words = String(text || '').normalize('NFC').split(/\s+/).filter(Boolean);
   var lines = [], line = '';
   words.forEach(function (w) {
     var probe = line ? line + ' ' + w : w;
     if (x.measureText(probe).width > maxWidth && line) { lines.push(line); line = w; }
     else line = probe;
+    while (x.measureText(line).width > maxWidth && Array.from(line).length > 1) {
+      var chars = Array.from(line), cut = chars.length - 1;
+      while (cut > 1 && x.measureText(chars.slice(0, cut).join('')).width > maxWidth) cut--;
+      lines.push(chars.slice(0, cut).join(''));
+      line = chars.slice(cut).join('');
+    }
   });
   if (line) lines.push(line);
   return lines;
 }
 
+// "Part 2 of 5" for a post that is one part of a series, '' otherwise. The
+// badge is the post's, not the slide's: every slide of a part carries the
+// same one, so a swiped-in reader knows where they landed.
+export function seriesLabel(series) {
+  var part = series && Number(series.part), of = series && Number(series.of);
+  if (!(part >= 1 && of >= 2 && part <= of && part % 1 === 0 && of % 1 === 0)) return '';
+  return 'Part ' + part + ' of ' + of;
+}
+
 export function drawSlideOn(canvas, bg, slide, count, style, accent, opts) {
   opts = opts || {};
   var hero = !!opts.hero;
@@ -171,6 +191,21 @@ export function drawSlideOn(canvas, bg, slide, count, style, accent, opts) {
 
   // NO slide-index chip — deliberate (2026-07-13 spec).
 
+  // Series badge: top-right, clear of the accent bar and the heading on both
+  // the hero and the text slides. Same place, size and ink on every slide.
+  var badge = seriesLabel(opts.series);
+  if (badge) {
+    x.font = '600 28px ' + fontMono;
+    x.textBaseline = 'top';
+    var bW = x.measureText(badge).width;
+    x.fillStyle = visibleAccent(accent, ink, hero || theme.dark);
+    x.fillRect(slideW - pad - bW, Math.round(pad * 0.6) + 40, bW, 3);
+    x.fillStyle = ink;
+    x.globalAlpha = 0.82;
+    x.fillText(badge, slideW - pad - bW, Math.round(pad * 0.6));
+    x.globalAlpha = 1;
+  }
+
   // Free-tier watermark: whisper, not a badge. Last slide only (caller decides).
   if (opts.watermark) {
     var wm = 'made with promote.dev';
@@ -1,6 +1,9 @@
 import test from 'node:test';
 import assert from 'node:assert';
 import fs from 'node:fs';
+import carouselHandler from '../api/carousel.js';
+import { MAX_ANON_SLIDE_REWRITES } from '../api/_db.js';
+import { fakeNeon } from './fake-neon.mjs';
 
 const profileSrc = fs.readFileSync(new URL('../api/profile.js', import.meta.url), 'utf8');
 const carouselSrc = fs.readFileSync(new URL('../api/carousel.js', import.meta.url), 'utf8');
@@ -62,6 +65,96 @@ test('carousel.js keeps reel Pro-only (guards null user)', () => {
   assert.match(carouselSrc, /if \(!user \|\| user\.tier !== 'pro'\)/);
 });
 
+test('carousel.js rewrite-slide never spends a post and saves per actor', () => {
+  const block = carouselSrc.match(/if \(action === 'rewrite-slide'\)[\s\S]*?\n    \}\n/)?.[0] || '';
+  assert.ok(block.length > 0, 'rewrite-slide action not found');
+  assert.doesNotMatch(block, /consumeCarousel|reserveAnonSlot|anonReserveGate/);
+  assert.match(block, /saveRewrittenSlides\(user\.id/);
+  assert.match(block, /saveRewrittenSlidesAnon\(anonId/);
+});
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    getHeader(name) { return this.headers[name]; },
+    setHeader(name, value) { this.headers[name] = value; },
+  };
+}
+
+const ANON_ID = 'a'.repeat(64);
+
+// An anonymous rewrite of slide 2 on a stored post, through the real handler
+// and the fake copy model.
+async function anonRewrite({ slideRewrites }) {
+  const carousel = {
+    id: 7, hook_id: null, slide_rewrites: slideRewrites,
+    slides: [
+      { index: 0, heading: '3 foods that stall weight loss', body: '' },
+      { index: 1, heading: 'Granola', body: 'A cup runs 600 calories.' },
+      { index: 2, heading: 'Log it with CalSnap', body: 'Snap a photo.' },
+    ],
+    caption: 'Slide 2 is all about granola.\n\n#weightloss #mealprep',
+    captions: { threads: 'Granola, mostly.\n\n#weightloss' },
+  };
+  const profile = { name: 'CalSnap', what: 'AI calorie counter', benefit: 'log meals from a photo' };
+  const db = fakeNeon((query) => {
+    if (/FROM carousels WHERE anon_id/.test(query)) return [carousel];
+    if (/SELECT profile FROM anon_slots/.test(query)) return [{ profile }];
+    if (/UPDATE carousels SET slides/.test(query)) return [{ id: carousel.id }];
+    return [];
+  });
+  const saved = { fetch: globalThis.fetch, provider: process.env.LLM_PROVIDER, salt: process.env.ANON_IP_SALT, url: process.env.POSTGRES_URL };
+  globalThis.fetch = db.fetch;
+  process.env.LLM_PROVIDER = 'fake';
+  process.env.ANON_IP_SALT = 'salt-test';
+  process.env.POSTGRES_URL = 'postgresql://u:p@db.test/hooklab';
+  const res = response();
+  try {
+    await carouselHandler({
+      method: 'POST',
+      headers: { cookie: `tg_anon=${ANON_ID}` },
+      query: {},
+      body: { action: 'rewrite-slide', carouselId: 7, index: 1 },
+    }, res);
+  } finally {
+    globalThis.fetch = saved.fetch;
+    for (const [key, value] of [['LLM_PROVIDER', saved.provider], ['ANON_IP_SALT', saved.salt], ['POSTGRES_URL', saved.url]]) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+  return { res, update: db.queries.find((q) => /UPDATE carousels SET slides/.test(q.query)) };
+}
+
+test('an anonymous rewrite saves the new slide with every caption rebuilt to match', async () => {
+  const { res, update } = await anonRewrite({ slideRewrites: 0 });
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  assert.equal(res.body.slide.heading, 'Granola (rewritten)');
+  assert.deepEqual(res.body.claimWarnings, []);
+  assert.deepEqual(res.body.complianceWarnings, []);
+  for (const text of [res.body.caption, ...Object.values(res.body.captions)]) {
+    assert.match(text, /Granola \(rewritten\)/);
+    assert.doesNotMatch(text, /all about granola|Granola, mostly/);
+  }
+  assert.ok(update, 'the rewrite was not saved');
+  assert.ok(update.params.includes(ANON_ID));
+  assert.ok(update.params.includes(JSON.stringify(res.body.slides)));
+  assert.ok(update.params.includes(res.body.caption));
+  assert.ok(update.params.includes(JSON.stringify(res.body.captions)));
+  assert.ok(update.params.includes(String(MAX_ANON_SLIDE_REWRITES)));
+});
+
+test('an anonymous post out of rewrites gets the sign-in gate before any model call', async () => {
+  const { res, update } = await anonRewrite({ slideRewrites: MAX_ANON_SLIDE_REWRITES });
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(res.body, { error: 'gate', reason: 'rewrites' });
+  assert.equal(update, undefined);
+});
+
 // ---- auth/callback.js ----
 
 const callbackSrc = fs.readFileSync(new URL('../api/auth/callback.js', import.meta.url), 'utf8');
@@ -1,7 +1,8 @@
 import test from 'node:test';
 import assert from 'node:assert';
+import fs from 'node:fs';
 import {
-  PUBLISH_SLOTS, isAllowedSlot, scheduledTimeForSlot, validatePostEdit,
+  PUBLISH_SLOTS, isAllowedSlot, scheduledTimeForSlot, validatePostEdit, postPlatforms, cleanOptInPlatforms,
 } from '../api/_autopilot-controls.js';
 
 // ---- slots ----
@@ -24,6 +25,20 @@ test('scheduledTimeForSlot is fire time minus 30 minutes', () => {
   assert.deepEqual(scheduledTimeForSlot('nope'), { h: 20, m: 0 });
 });
 
+// ---- platforms ----
+
+test('new posts go to TikTok and Instagram, LinkedIn and Threads only when opted in', () => {
+  assert.deepEqual(postPlatforms({}), ['tiktok', 'instagram']);
+  assert.deepEqual(postPlatforms({ extra_platforms: ['threads', 'linkedin', 'facebook', 'threads'] }), ['tiktok', 'instagram', 'linkedin', 'threads']);
+  assert.deepEqual(cleanOptInPlatforms('linkedin'), []);
+  const db = fs.readFileSync(new URL('../api/_db.js', import.meta.url), 'utf8');
+  const create = db.slice(db.indexOf('export async function createPost('), db.indexOf('export async function claimDuePosts('));
+  assert.doesNotMatch(create, /CAPTION_PLATFORMS/);
+  assert.equal(create.match(/\$\{platforms \|\| \['tiktok', 'instagram'\]\}/g).length, 2);
+  const runner = fs.readFileSync(new URL('../api/_autopilot-runner.js', import.meta.url), 'utf8');
+  assert.match(runner, /platforms: postPlatforms\(user\)/);
+});
+
 // ---- post edit validation ----
 
 function goodEdit() {
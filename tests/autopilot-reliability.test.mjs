@@ -123,6 +123,13 @@ test('top-up respects the per-user posting slot', () => {
   assert.match(runner, /nextSlots\(.*user\.post_slot\)/);
 });
 
+test('top-up never queues a plan flagged with unsupported product claims', () => {
+  const runner = fs.readFileSync(new URL('../api/_autopilot-runner.js', import.meta.url), 'utf8');
+  const flagged = runner.indexOf('plan.unsupportedClaims.length');
+  assert.ok(flagged > 0, 'claim check missing from top-up');
+  assert.ok(flagged < runner.indexOf('await createPost('), 'claim check must run before createPost');
+});
+
 test('misclassified provider-processing rows are eligible for safe verification', () => {
   const source = fs.readFileSync(new URL('../api/_db.js', import.meta.url), 'utf8');
   assert.match(source, /external_ids->>'request_id' IS NOT NULL/);
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import {
+  buildCalendar, calendarPlanDue, hookMechanism, normalizeTopic, REPLAN_DAYS, TOPIC_GAP_DAYS,
+} from '../api/_calendar.js';
+import { nextSlots, postKind } from '../api/_generate.js';
+
+const runner = fs.readFileSync(new URL('../api/_autopilot-runner.js', import.meta.url), 'utf8');
+const social = fs.readFileSync(new URL('../api/social.js', import.meta.url), 'utf8');
+
+const SLOTS = nextSlots('2025-06-01T12:00:00.000Z', [], 30, '20:30');
+
+function hook(id, template, topic) {
+  return { id, hook_template: template, hook_verbatim: template.replace(/___/g, 'x'), topic };
+}
+
+const POOL = [
+  hook(1, 'Stop doing ___ before bed', 'sleep'),
+  hook(2, 'Why does nobody talk about ___?', 'focus'),
+  hook(3, 'I tried ___ for 30 days', 'habits'),
+  hook(4, '5 mistakes people make with ___', 'sleep'),
+  hook(5, 'Everyone is wrong about ___', 'screen time'),
+  hook(6, 'This is what ___ looks like', 'morning routine'),
+];
+
+function daysBetween(a, b) {
+  return Math.abs(Date.parse(a) - Date.parse(b)) / 86400000;
+}
+
+test('hookMechanism reads the opening move, keeping a stored label', () => {
+  assert.equal(hookMechanism(POOL[0]), 'mistake-warning');
+  assert.equal(hookMechanism(POOL[1]), 'question');
+  assert.equal(hookMechanism(POOL[2]), 'story');
+  assert.equal(hookMechanism(POOL[3]), 'numbered-list');
+  assert.equal(hookMechanism(POOL[4]), 'contrarian');
+  assert.equal(hookMechanism(POOL[5]), 'statement');
+  assert.equal(hookMechanism({ ...POOL[5], mechanism: 'curiosity-gap' }), 'curiosity-gap');
+  assert.equal(normalizeTopic('  Screen-Time! '), 'screen time');
+});
+
+test('a month plan covers every slot and follows the post mix from the post count', () => {
+  const plan = buildCalendar({ slots: SLOTS, startIndex: 5, kindMix: { value: 2, tutorial: 1 }, hooks: POOL });
+  assert.equal(plan.length, 30);
+  assert.equal(plan[0].day, '2025-06-01');
+  assert.equal(plan[29].day, '2025-06-30');
+  plan.forEach((e, i) => assert.equal(e.kind, postKind(5 + i, { value: 2, tutorial: 1 })));
+});
+
+test('styles spread evenly and never repeat on consecutive days', () => {
+  const plan = buildCalendar({ slots: SLOTS, hooks: POOL, styles: ['bold', 'mono', 'notebook', 'stat'] });
+  const uses = {};
+  plan.forEach((e, i) => {
+    uses[e.style] = (uses[e.style] || 0) + 1;
+    if (i) assert.notEqual(e.style, plan[i - 1].style);
+  });
+  assert.ok(Math.max(...Object.values(uses)) - Math.min(...Object.values(uses)) <= 1);
+});
+
+test('no topic repeats within a week; a day with no safe hook is left open', () => {
+  const plan = buildCalendar({ slots: SLOTS, hooks: POOL });
+  plan.forEach((a, i) => plan.slice(i + 1).forEach((b) => {
+    if (a.topic && a.topic === b.topic) assert.ok(daysBetween(a.day, b.day) >= TOPIC_GAP_DAYS, `${a.topic} ${a.day} ${b.day}`);
+  }));
+  // Five topics cannot fill seven days without a repeat.
+  assert.ok(plan.some((e) => e.hookId === null));
+  assert.ok(plan.filter((e) => e.hookId).length >= 20);
+});
+
+test('hooks and mechanisms rotate before anything is reused, best fit first', () => {
+  const plan = buildCalendar({ slots: SLOTS.slice(0, 5), hooks: POOL, recentHookIds: [1] });
+  const ids = plan.map((e) => e.hookId);
+  assert.equal(new Set(ids).size, 5);
+  assert.notEqual(ids[0], 1, 'a hook the user just used waits');
+  assert.equal(new Set(plan.map((e) => e.mechanism)).size, 5);
+});
+
+test('topup fills days from the plan and replans when it runs out', () => {
+  assert.match(runner, /await planCalendar\(user\)/);
+  assert.match(runner, /hookId: announcing \? null : entry\?\.hook_id, styleOverride: part\?\.style \|\| entry\?\.style \|\| ''/);
+  assert.match(runner, /fillCalendarDay\(user\.id, day, created\.id\)/);
+  assert.ok(runner.indexOf('fillCalendarDay(') < runner.indexOf('await consumeCarousel(user, gate.source)'));
+  assert.match(social, /'plan-calendar'/);
+  assert.match(social, /payload\.calendar = /);
+});
+
+test('topup plans at most once a week, attempts that failed included', () => {
+  const now = new Date('2025-06-10T12:00:00.000Z');
+  assert.equal(calendarPlanDue({}, now), true);
+  assert.equal(calendarPlanDue({ calendar_planned_at: '2025-06-08T12:00:00.000Z' }, now), false);
+  assert.equal(calendarPlanDue({ calendar_planned_at: new Date(now - REPLAN_DAYS * 86400000) }, now), true);
+  assert.match(runner, /if \(calendarPlanDue\(user\)\) \{\s+await planCalendar\(user\)/);
+  const calendar = fs.readFileSync(new URL('../api/_calendar.js', import.meta.url), 'utf8');
+  const plan = calendar.slice(calendar.indexOf('export async function planCalendar('));
+  assert.ok(plan.indexOf('markCalendarPlanned(user.id)') < plan.indexOf('screenHookPool('), 'the attempt is recorded before the model call');
+});
@@ -0,0 +1,128 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import { buildCaptions, captionFor, countHashtags, fitCaption, CAPTION_PLATFORMS, CAPTION_RULES } from '../api/_captions.js';
+import { prepareQueuedEdit, validatePostEdit } from '../api/_autopilot-controls.js';
+import { writeCarouselPlan } from '../api/_generate.js';
+import { uploadPhotos } from '../api/_uploadpost.js';
+
+const runner = fs.readFileSync(new URL('../api/_autopilot-runner.js', import.meta.url), 'utf8');
+
+const PROFILE = { name: 'Quietly', what: 'Blocks distracting apps on a schedule.', facts: ['Blocks apps on a schedule'], app_url: 'https://quietly.app' };
+const HOOK = { id: 7, hook_template: 'Stop doing ___ before bed', hook_verbatim: 'Stop doing this before bed', topic: 'sleep' };
+const TAGS = ['productivity', 'motivation', 'focus', 'deepwork', 'screentime', 'phonecurfew', 'appblocker', 'focusmode'];
+
+test('each platform gets its own share of the tags and its own link rule', () => {
+  const text = 'Your phone wins every night. Get Quietly at https://quietly.app';
+  const ig = fitCaption('instagram', { text, tags: TAGS, url: PROFILE.app_url });
+  assert.equal(countHashtags(ig), 8);
+  assert.doesNotMatch(ig, /https:/, 'links are not clickable on Instagram');
+  assert.equal(countHashtags(fitCaption('tiktok', { text, tags: TAGS })), 5);
+  const li = fitCaption('linkedin', { text: 'Your phone wins every night.', tags: TAGS, url: PROFILE.app_url });
+  assert.match(li, /https:\/\/quietly\.app/);
+  assert.equal(countHashtags(li), 3);
+  assert.equal(countHashtags(fitCaption('threads', { text, tags: TAGS })), 1);
+  // The text's own hashtags give way to the platform's count.
+  assert.equal(countHashtags(fitCaption('threads', { text: 'Sleep better #a #b #c', tags: ['sleep'] })), 1);
+});
+
+test('a caption over the limit is cut at a word, keeping the link and tags', () => {
+  const long = 'word '.repeat(400);
+  const threads = fitCaption('threads', { text: long, tags: TAGS, url: PROFILE.app_url });
+  assert.ok(threads.length <= CAPTION_RULES.threads.max);
+  assert.match(threads, /word…\n\nhttps:\/\/quietly\.app\n\n#productivity$/);
+  for (const p of CAPTION_PLATFORMS) {
+    assert.ok(fitCaption(p, { text: 'x'.repeat(5000), tags: TAGS }).length <= CAPTION_RULES[p].max);
+  }
+});
+
+test('a platform the model skipped falls back to the main caption; old rows read `caption`', () => {
+  const captions = buildCaptions({ caption: 'Main text.', written: { linkedin: 'Longer LinkedIn text.' }, tags: ['sleep'] });
+  assert.deepEqual(Object.keys(captions), CAPTION_PLATFORMS);
+  assert.equal(captions.tiktok, 'Main text.\n\n#sleep');
+  assert.equal(captions.linkedin, 'Longer LinkedIn text.\n\n#sleep');
+  assert.equal(captionFor({ caption: 'Old', captions: null }, 'threads'), 'Old');
+  assert.equal(captionFor({ caption: 'Old', captions }, 'threads'), 'Main text.\n\n#sleep');
+});
+
+test('a plan carries one caption per platform; the Instagram one is the main caption', async () => {
+  const saved = process.env.LLM_PROVIDER;
+  process.env.LLM_PROVIDER = 'fake';
+  try {
+    const plan = await writeCarouselPlan({ profile: PROFILE, hook: HOOK, kind: 'value' });
+    assert.deepEqual(Object.keys(plan.captions), CAPTION_PLATFORMS);
+    assert.equal(plan.caption, plan.captions.instagram);
+    assert.match(plan.captions.linkedin, /^Three practical notes on sleep/);
+    assert.match(plan.captions.linkedin, /https:\/\/quietly\.app/);
+    assert.equal(countHashtags(plan.captions.threads), 1);
+  } finally {
+    if (saved === undefined) delete process.env.LLM_PROVIDER;
+    else process.env.LLM_PROVIDER = saved;
+  }
+});
+
+test('an edit checks each platform caption against that platform\'s limits', () => {
+  const slides = [{ heading: 'Hook', body: '', cta: '' }];
+  const captions = { instagram: 'IG #a', tiktok: 'TT', linkedin: 'LI', threads: 'TH #one' };
+  const ok = validatePostEdit({ slides, captions });
+  assert.deepEqual(ok.captions, captions);
+  assert.equal(ok.caption, 'IG #a');
+  assert.match(validatePostEdit({ slides, captions: { ...captions, threads: 'x'.repeat(501) } }).error, /Threads caption is too long \(max 500/);
+  assert.equal(validatePostEdit({ slides, captions: { ...captions, linkedin: 'x'.repeat(2500) } }).error, undefined);
+  assert.match(validatePostEdit({ slides, captions: { ...captions, threads: '#one #two' } }).error, /Threads allows at most 1 hashtag\./);
+  // Without captions the edit carries only the one caption to rebuild them from.
+  assert.equal(validatePostEdit({ slides, caption: 'Only this' }).captions, null);
+});
+
+test('publishing sends each platform its own text next to the shared fallback', async () => {
+  const realFetch = globalThis.fetch;
+  let form;
+  globalThis.fetch = async (url, init) => {
+    form = init.body;
+    return new Response(JSON.stringify({ request_id: 'r1' }), { status: 200 });
+  };
+  try {
+    await uploadPhotos({
+      username: 'u', photos: [Buffer.from('png')], title: 'Hook', caption: 'IG text',
+      captions: { instagram: 'IG text', tiktok: 'TT text', linkedin: 'LI text', threads: 'TH text' },
+      platforms: ['instagram', 'tiktok', 'threads'], requestId: 'hooklab-post-1',
+    });
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+  assert.equal(form.get('caption'), 'IG text');
+  assert.equal(form.get('instagram_title'), 'IG text');
+  assert.equal(form.get('tiktok_description'), 'TT text');
+  assert.equal(form.get('threads_title'), 'TH text');
+  assert.equal(form.get('linkedin_title'), null, 'a platform not shipped to gets nothing');
+  assert.match(runner, /caption: post\.caption, captions: post\.captions,/);
+  assert.match(runner, /caption: plan\.caption, captions: plan\.captions,/);
+});
+
+test('editing only the caption rebuilds what every platform publishes', async () => {
+  const stored = { instagram: 'Old IG #calories', tiktok: 'Old TT', linkedin: 'Old LI', threads: 'Old TH' };
+  const checked = validatePostEdit({ slides: [{ heading: 'Hook', body: '', cta: '' }], caption: 'Snap your lunch, skip the math. #calories #mealprep' });
+  const edit = prepareQueuedEdit(checked, stored, { app_url: 'https://calsnap.app' });
+  const realFetch = globalThis.fetch;
+  let form;
+  globalThis.fetch = async (url, init) => {
+    form = init.body;
+    return new Response(JSON.stringify({ request_id: 'r1' }), { status: 200 });
+  };
+  try {
+    await uploadPhotos({
+      username: 'u', photos: [Buffer.from('png')], title: 'Hook', caption: edit.caption, captions: edit.captions,
+      platforms: ['instagram', 'tiktok', 'linkedin', 'threads'], requestId: 'hooklab-post-2',
+    });
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+  assert.equal(form.get('caption'), 'Snap your lunch, skip the math.\n\n#calories #mealprep');
+  assert.equal(form.get('instagram_title'), form.get('caption'));
+  assert.equal(form.get('tiktok_description'), 'Snap your lunch, skip the math.\n\n#calories #mealprep');
+  assert.equal(form.get('linkedin_title'), 'Snap your lunch, skip the math.\n\nhttps://calsnap.app\n\n#calories #mealprep');
+  assert.equal(form.get('threads_title'), 'Snap your lunch, skip the math.\n\nhttps://calsnap.app\n\n#calories');
+  // A post made before per-platform captions keeps publishing the one caption.
+  assert.equal(prepareQueuedEdit(checked, null, {}).captions, null);
+});
@@ -0,0 +1,140 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import {
+  cleanChangelog, parseReleaseNotes, parseMarkdownChangelog, parseReleaseFeed,
+  loadChangelogEntries, pickNewRelease, RELEASE_FRESH_DAYS,
+} from '../api/_changelog.js';
+
+const runner = fs.readFileSync(new URL('../api/_autopilot-runner.js', import.meta.url), 'utf8');
+
+const CHANGELOG_MD = `# Changelog
+
+## [Unreleased]
+- Half-built sync
+
+## [1.4.0] - 2025-03-02
+### Added
+- **Focus streaks** on the home screen
+- Block lists sync across [devices](https://example.com/docs)
+
+### Fixed
+- Timer no longer resets at midnight (#212)
+
+## v1.3.1 (2025-02-10)
+* Faster app launch
+`;
+
+const GITHUB_ATOM = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Release notes from quietly</title>
+  <entry>
+    <id>tag:github.com,2008:Repository/1/v2.0.0</id>
+    <updated>2025-05-01T10:00:00Z</updated>
+    <link rel="alternate" type="text/html" href="https://github.com/q/quietly/releases/tag/v2.0.0"/>
+    <title>v2.0.0</title>
+    <content type="html">&lt;h2&gt;What&amp;#39;s Changed&lt;/h2&gt;
+&lt;ul&gt;
+&lt;li&gt;Dark mode by @sam in https://github.com/q/quietly/pull/9&lt;/li&gt;
+&lt;li&gt;Weekly focus report&lt;/li&gt;
+&lt;/ul&gt;
+&lt;p&gt;&lt;strong&gt;Full Changelog&lt;/strong&gt;: https://github.com/q/quietly/compare/v1.9.0...v2.0.0&lt;/p&gt;</content>
+  </entry>
+  <entry>
+    <id>tag:github.com,2008:Repository/1/v1.9.0</id>
+    <updated>2025-04-01T10:00:00Z</updated>
+    <title>v1.9.0</title>
+    <content type="html">&lt;p&gt;Calendar-based schedules&lt;/p&gt;</content>
+  </entry>
+</feed>`;
+
+const RSS = `<rss version="2.0"><channel><title>Updates</title>
+<item><title>April update</title><guid>upd-42</guid><pubDate>Tue, 01 Apr 2025 09:00:00 GMT</pubDate>
+<description><![CDATA[<ul><li>Export to CSV</li><li>Team seats</li></ul>]]></description></item>
+</channel></rss>`;
+
+test('cleanChangelog keeps one usable source and refuses private feed URLs', () => {
+  assert.deepEqual(cleanChangelog({ source: 'notes', text: '  - Dark mode\r\n', feed_url: 'x' }), { source: 'notes', text: '- Dark mode' });
+  assert.deepEqual(
+    cleanChangelog({ source: 'feed', feed_url: 'github.com/q/quietly/releases.atom' }),
+    { source: 'feed', feed_url: 'https://github.com/q/quietly/releases.atom' },
+  );
+  assert.equal(cleanChangelog({ source: 'feed', feed_url: 'http://169.254.169.254/latest' }), null);
+  assert.equal(cleanChangelog({ source: 'feed', feed_url: 'http://localhost/releases.atom' }), null);
+  assert.equal(cleanChangelog({ source: 'markdown', text: '   ' }), null);
+  assert.equal(cleanChangelog({ source: 'rss-ish', text: 'x' }), null);
+  assert.equal(cleanChangelog(null), null);
+});
+
+test('pasted notes are one release: bullets when there are any, lines otherwise', () => {
+  const [entry] = parseReleaseNotes('# Spring release\nSome intro.\n- Dark mode\n- Focus **streaks**');
+  assert.equal(entry.title, 'Spring release');
+  assert.deepEqual(entry.changes, ['Dark mode', 'Focus streaks']);
+  assert.match(entry.id, /^notes:[0-9a-f]{16}$/);
+  assert.deepEqual(parseReleaseNotes('Dark mode\n\nFaster sync')[0].changes, ['Dark mode', 'Faster sync']);
+  assert.notEqual(parseReleaseNotes('Dark mode')[0].id, parseReleaseNotes('Light mode')[0].id);
+  assert.deepEqual(parseReleaseNotes('\n\n'), []);
+});
+
+test('a Markdown CHANGELOG yields shipped versions newest first, never Unreleased', () => {
+  const entries = parseMarkdownChangelog(CHANGELOG_MD);
+  assert.deepEqual(entries.map((e) => e.title), ['1.4.0', 'v1.3.1']);
+  assert.deepEqual(entries[0].changes, [
+    'Focus streaks on the home screen',
+    'Block lists sync across devices',
+    'Timer no longer resets at midnight',
+  ]);
+  assert.equal(entries[0].date, '2025-03-02T00:00:00.000Z');
+  assert.equal(entries[1].date, '2025-02-10T00:00:00.000Z');
+  assert.ok(!entries.some((e) => e.changes.includes('Half-built sync')));
+});
+
+test('GitHub releases Atom: list items become changes, attribution and compare links dropped', () => {
+  const entries = parseReleaseFeed(GITHUB_ATOM);
+  assert.equal(entries.length, 2);
+  assert.equal(entries[0].title, 'v2.0.0');
+  assert.equal(entries[0].date, '2025-05-01T10:00:00.000Z');
+  assert.deepEqual(entries[0].changes, ['Dark mode', 'Weekly focus report']);
+  assert.deepEqual(entries[1].changes, ['Calendar-based schedules']);
+  assert.notEqual(entries[0].id, entries[1].id);
+});
+
+test('RSS items with CDATA descriptions parse the same way', () => {
+  const [entry] = parseReleaseFeed(RSS);
+  assert.equal(entry.title, 'April update');
+  assert.deepEqual(entry.changes, ['Export to CSV', 'Team seats']);
+  assert.equal(entry.date, '2025-04-01T09:00:00.000Z');
+});
+
+test('loadChangelogEntries fetches feeds through the given fetcher only', async () => {
+  const seen = [];
+  const fetcher = async (url) => { seen.push(url); return { xml: RSS, finalUrl: url }; };
+  const feed = await loadChangelogEntries({ source: 'feed', feed_url: 'https://example.com/releases.rss' }, { fetcher });
+  assert.equal(feed[0].title, 'April update');
+  assert.deepEqual(seen, ['https://example.com/releases.rss']);
+
+  const md = await loadChangelogEntries({ source: 'markdown', text: CHANGELOG_MD }, { fetcher });
+  assert.equal(md[0].title, '1.4.0');
+  assert.deepEqual(await loadChangelogEntries({ source: 'feed', feed_url: 'http://10.0.0.1/x' }, { fetcher }), []);
+  assert.equal(seen.length, 1);
+});
+
+test('pickNewRelease announces the newest entry once, and only while it is news', () => {
+  const [latest, older] = parseReleaseFeed(GITHUB_ATOM);
+  const now = Date.parse(latest.date) + 86400000;
+  assert.equal(pickNewRelease([latest, older], [], now), latest);
+  assert.equal(pickNewRelease([latest, older], [latest.id], now), null);
+  assert.equal(pickNewRelease([latest], [], Date.parse(latest.date) + (RELEASE_FRESH_DAYS + 1) * 86400000), null);
+  const [pasted] = parseReleaseNotes('- Dark mode');
+  assert.equal(pickNewRelease([pasted], [], now), pasted);
+  assert.equal(pickNewRelease([], [], now), null);
+});
+
+test('topup slots a new release in as a what\'s-new post tied to its entry', () => {
+  assert.match(runner, /const announcing = source === 'release' \? release : null/);
+  assert.match(runner, /const kind = announcing \? 'changelog' : \(entry\?\.kind \|\| postKind\(total, user\.profile\?\.kind_mix\)\)/);
+  assert.match(runner, /profile: user\.profile, kind, changes: announcing\?\.changes,/);
+  assert.match(runner, /releaseId: announcing\?\.id/);
+  assert.ok(runner.indexOf('releaseId: announcing?.id') > runner.indexOf('plan.unsupportedClaims.length'), 'claims check still gates the post');
+});
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { findUnsupportedClaims, describeClaims } from '../api/_claims.js';
+
+const PROFILE = {
+  name: 'CalSnap',
+  what: 'AI calorie counter that logs meals from a photo',
+  benefit: 'lose weight without weighing food',
+  facts: ['photo logging in under 5 seconds', 'supports 40+ diets', '10,000 foods in the database'],
+};
+
+const claims = (plan) => findUnsupportedClaims(plan, PROFILE).map((c) => `${c.type}:${c.claim}`);
+
+test('niche knowledge on value slides is not a product claim', () => {
+  assert.deepEqual(claims({
+    slides: [
+      { heading: 'I cut 3 foods and the scale finally moved', body: '' },
+      { heading: 'Granola', body: 'A cup runs 600 calories. It is the fastest way to blow a deficit.' },
+    ],
+  }), []);
+});
+
+test('numbers about the product must appear in the profile', () => {
+  assert.deepEqual(claims({ slides: [{ heading: 'x', body: 'CalSnap logs a meal in 5 seconds and knows 10000 foods.' }] }), []);
+  assert.deepEqual(claims({ slides: [{ heading: 'x', body: 'CalSnap is 2x more accurate than 9 out of 10 apps.' }] }), ['number:2x', 'number:9', 'number:10']);
+});
+
+test('superlatives and named features need profile support', () => {
+  assert.deepEqual(
+    claims({ slides: [{ heading: 'x', body: 'CalSnap logs meals. It is the fastest tracker with Smart Scan built in.' }] }),
+    ['superlative:fastest', 'feature:Smart Scan'],
+  );
+  assert.deepEqual(claims({ caption: 'CalSnap is the #1 calorie app.' }), ['superlative:#1']);
+  assert.deepEqual(claims({ caption: 'This app has a "Barcode Mode" too.' }), ['feature:Barcode Mode']);
+});
+
+test('a superlative is supported by the same whole word, not a longer one holding it', () => {
+  const profile = { ...PROFILE, benefit: 'the bestseller in its category, commonly used by dietitians' };
+  const found = findUnsupportedClaims({ caption: 'CalSnap is the best tracker and the only app you need.' }, profile);
+  assert.deepEqual(found.map((c) => c.claim), ['best', 'only']);
+  const backed = { ...PROFILE, facts: ['the best-rated tracker in its category'] };
+  assert.deepEqual(findUnsupportedClaims({ caption: 'CalSnap is the best tracker.' }, backed), []);
+});
+
+test('"first" counts only when it ranks the product, "instant" never', () => {
+  assert.deepEqual(claims({
+    caption: 'Your first week with CalSnap gives instant feedback on every meal. The first step is one photo.',
+  }), []);
+  assert.deepEqual(claims({ caption: 'CalSnap is the first app to log meals from a photo.' }), ['superlative:first']);
+  assert.deepEqual(claims({ caption: 'CalSnap is the first-ever photo tracker.' }), ['superlative:first']);
+  const first = { ...PROFILE, facts: ['The first calorie app to log meals from a photo'] };
+  assert.deepEqual(findUnsupportedClaims({ caption: 'CalSnap is the first app to log meals from a photo.' }, first), []);
+});
+
+test('title-case headings, the product name and the usual cta are not features', () => {
+  assert.deepEqual(claims({
+    slides: [{ heading: 'Why CalSnap Beats Guessing Every Meal', body: '' }],
+    cta: 'Get CalSnap. Link in bio.',
+    caption: 'Try the app free. CalSnap supports 40+ diets.',
+  }), []);
+});
+
+test('describeClaims names each claim and where it was found', () => {
+  const found = findUnsupportedClaims({ cta: 'CalSnap, the best tracker' }, PROFILE);
+  assert.equal(describeClaims(found), 'superlative "best" (cta)');
+});
@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import {
+  complianceRulesFor, disclaimerFor, findComplianceViolations, softenPlan, withDisclaimer, REGULATED_NICHES,
+} from '../api/_compliance.js';
+import { CAPTION_PLATFORMS, CAPTION_RULES, fitCaption } from '../api/_captions.js';
+import { buildPlanPayload, writeCarouselPlan } from '../api/_generate.js';
+import { prepareQueuedEdit, validatePostEdit } from '../api/_autopilot-controls.js';
+
+const runner = fs.readFileSync(new URL('../api/_autopilot-runner.js', import.meta.url), 'utf8');
+const db = fs.readFileSync(new URL('../api/_db.js', import.meta.url), 'utf8');
+const social = fs.readFileSync(new URL('../api/social.js', import.meta.url), 'utf8');
+
+const NICHE = { slug: 'fitness-weight-loss', name: 'Fitness & Weight Loss' };
+const PROFILE = {
+  name: 'CalSnap', what: 'AI calorie counter that logs meals from a photo.', facts: ['Logs meals from a photo'],
+  audience_niche: NICHE,
+};
+const HOOK = { id: 3, hook_template: 'Stop doing ___ after dinner', hook_verbatim: 'Stop doing this after dinner', topic: 'snacking' };
+
+test('rules follow the canonical niche, merged and aliased slugs included', () => {
+  assert.deepEqual(REGULATED_NICHES, ['fitness-weight-loss', 'personal-finance', 'mental-wellness']);
+  assert.ok(complianceRulesFor('fitness-nutrition'), 'merged into fitness-weight-loss');
+  assert.ok(complianceRulesFor('weight-loss'));
+  assert.equal(complianceRulesFor('productivity-focus'), null);
+  assert.equal(disclaimerFor('productivity-focus', 'en'), '');
+  assert.match(disclaimerFor('personal-finance', 'es'), /^No es asesoramiento financiero/);
+  assert.match(disclaimerFor('personal-finance', 'xx'), /^Not financial advice/);
+});
+
+test('forbidden claims are caught per niche; ordinary advice is not', () => {
+  const hit = (niche, heading) => findComplianceViolations({ slides: [{ heading, body: '' }] }, niche).map((v) => v.rule);
+  assert.deepEqual(hit('fitness-weight-loss', 'Lose 10 lbs in 2 weeks'), ['rapid-loss']);
+  assert.deepEqual(hit('fitness-weight-loss', 'This cures diabetes'), ['medical-cure']);
+  assert.deepEqual(hit('fitness-weight-loss', 'Track your meals for two weeks'), []);
+  assert.deepEqual(hit('personal-finance', 'Earn 20% a month, guaranteed returns'), ['guaranteed-returns', 'fixed-return']);
+  assert.deepEqual(hit('personal-finance', 'Pay yourself first every month'), []);
+  assert.deepEqual(hit('mental-wellness', 'Better than therapy'), ['replaces-care']);
+  assert.deepEqual(hit('mental-wellness', 'A breathing exercise for anxious evenings'), []);
+  assert.deepEqual(hit('productivity-focus', 'Lose 10 lbs in 2 weeks'), [], 'no rules outside regulated niches');
+});
+
+test('hype is softened in slides and every caption', () => {
+  const out = softenPlan({
+    slides: [{ heading: 'This miracle trick melts belly fat', body: 'Burns fat fast.' }],
+    cta: 'Guaranteed results', caption: 'Melt fat', captions: { threads: 'melts away fat' },
+  }, 'fitness-weight-loss');
+  assert.equal(out.slides[0].heading, 'This simple trick supports fat loss');
+  assert.equal(out.slides[0].body, 'Supports steady fat loss.');
+  assert.equal(out.cta, 'Real results');
+  assert.equal(out.caption, 'Supports fat loss');
+  assert.equal(out.captions.threads, 'supports fat loss');
+  const plain = { slides: [{ heading: 'Miracle' }] };
+  assert.equal(softenPlan(plain, 'saas-startups'), plain);
+});
+
+test('the disclaimer sits after the text on every platform and survives a cut', () => {
+  const disclaimer = disclaimerFor('fitness-weight-loss', 'en');
+  const threads = fitCaption('threads', { text: 'word '.repeat(200), tags: ['fitness'], url: 'https://calsnap.app', disclaimer });
+  assert.ok(threads.length <= CAPTION_RULES.threads.max);
+  assert.ok(threads.endsWith(`…\n\n${disclaimer}\n\nhttps://calsnap.app\n\n#fitness`));
+  assert.equal(fitCaption('tiktok', { text: `Snack less. ${disclaimer}`, disclaimer }).split(disclaimer).length, 2, 'never doubled');
+});
+
+test('a regulated plan is told the rules and carries its disclaimer', async () => {
+  assert.ok(buildPlanPayload({ profile: PROFILE, hook: HOOK, kind: 'value', slideCount: 6, tone: 'casual' }).compliance.never.includes('guarantees weight loss'));
+  assert.equal(buildPlanPayload({ profile: { ...PROFILE, audience_niche: null }, hook: HOOK, kind: 'value', slideCount: 6, tone: 'casual' }).compliance, null);
+  const saved = process.env.LLM_PROVIDER;
+  process.env.LLM_PROVIDER = 'fake';
+  try {
+    const plan = await writeCarouselPlan({ profile: { ...PROFILE, language: 'de' }, hook: HOOK, kind: 'value', styleOverride: 'mono' });
+    for (const p of CAPTION_PLATFORMS) assert.ok(plan.captions[p].includes(disclaimerFor('fitness-weight-loss', 'de')), p);
+    assert.deepEqual(plan.complianceViolations, []);
+  } finally {
+    if (saved === undefined) delete process.env.LLM_PROVIDER;
+    else process.env.LLM_PROVIDER = saved;
+  }
+});
+
+test('an edit gets its disclaimer back; one that cannot fit stays held', () => {
+  const disclaimer = disclaimerFor('personal-finance', 'en');
+  assert.equal(withDisclaimer('Save first. #money #budget', 'instagram', 'personal-finance', 'en'), `Save first.\n\n${disclaimer}\n\n#money #budget`);
+  assert.equal(withDisclaimer('Save first.', 'instagram', 'saas-startups', 'en'), 'Save first.');
+  const full = 'x'.repeat(CAPTION_RULES.threads.max - 10);
+  assert.equal(withDisclaimer(full, 'threads', 'personal-finance', 'en'), full);
+  const held = findComplianceViolations({ slides: [], captions: { threads: full } }, 'personal-finance', 'en');
+  assert.deepEqual(held.map((v) => [v.rule, v.where]), [['disclaimer', 'threads caption']]);
+});
+
+test('autopilot queues a failing post held, never claims it, and an edit re-checks it', () => {
+  assert.match(runner, /compliance: plan\.complianceViolations,/);
+  assert.match(runner, /ctx\.stats\.complianceHeld/);
+  assert.match(db, /u\.autopilot_enabled AND p\.compliance IS NULL/);
+  assert.match(social, /updateQueuedPost\(user\.id, postId, checked\.slides, caption, captions, compliance\)/);
+});
+
+test('an edit is checked against the captions it left alone', () => {
+  const disclaimer = disclaimerFor('fitness-weight-loss', 'en');
+  const stored = Object.fromEntries(CAPTION_PLATFORMS.map((p) => [p, `Log it.\n\n${disclaimer}`]));
+  stored.threads = `Guaranteed weight loss.\n\n${disclaimer}`;
+  const slides = [{ heading: 'Snap your plate', body: '', cta: '' }];
+  const edit = prepareQueuedEdit({ slides, caption: 'Log it.', captions: { instagram: 'Log it.' } }, stored, PROFILE);
+  assert.deepEqual(edit.compliance.map((v) => [v.rule, v.where]), [['guaranteed-loss', 'threads caption']]);
+  assert.equal(edit.captions.instagram, `Log it.\n\n${disclaimer}`);
+  // An edit of the one caption rebuilds every platform's text from it.
+  const checked = validatePostEdit({ slides, caption: 'Log it.' });
+  const rebuilt = prepareQueuedEdit(checked, stored, PROFILE);
+  assert.deepEqual(rebuilt.compliance, []);
+  assert.equal(rebuilt.captions.threads, `Log it.\n\n${disclaimer}`);
+
+  const fixed = prepareQueuedEdit(validatePostEdit({
+    slides: checked.slides, captions: { ...stored, threads: 'Steady progress.' },
+  }), stored, PROFILE);
+  assert.deepEqual(fixed.compliance, [], 'an edit that fixes the caption releases the hold');
+  assert.equal(fixed.captions.threads, `Steady progress.\n\n${disclaimer}`);
+  assert.match(social, /const stored = await getQueuedPostCaptions\(user\.id, postId\);\s+const \{ caption, captions, compliance \} = prepareQueuedEdit\(checked, stored, user\.profile\);/);
+});
@@ -0,0 +1,138 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+  parseCliOptions, scoreAnswer, runEval, diffReports, formatDiff, EVAL_PROMPTS,
+} from '../scripts/eval-prompts.mjs';
+import { PROMPT_REGISTRY, getPromptVersion, CAROUSEL_COPY_PROMPT } from '../api/_prompts.js';
+import { callGemini } from '../api/_shared.js';
+
+const fixtures = (name) => JSON.parse(readFileSync(new URL(`../scripts/eval-fixtures/${name}.json`, import.meta.url), 'utf8'));
+const failing = (checks) => checks.filter((c) => !c.pass).map((c) => c.check);
+
+test('registry: live versions are the exported prompts', () => {
+  assert.equal(getPromptVersion('carousel-copy').text, CAROUSEL_COPY_PROMPT);
+  assert.equal(getPromptVersion('carousel-copy').version, PROMPT_REGISTRY['carousel-copy'].live);
+  assert.throws(() => getPromptVersion('carousel-copy', 'v999'), /no version "v999"/);
+  assert.throws(() => getPromptVersion('nope'), /Unknown prompt/);
+  for (const name of Object.keys(EVAL_PROMPTS)) assert.ok(PROMPT_REGISTRY[name], name);
+});
+
+test('registry: every prompt\'s live version is one of its versions', () => {
+  for (const [name, entry] of Object.entries(PROMPT_REGISTRY)) {
+    assert.ok(Object.hasOwn(entry.versions, entry.live), `${name} live ${entry.live}`);
+    assert.equal(typeof entry.versions[entry.live], 'string', name);
+  }
+});
+
+test('cli requires a known prompt and one candidate source', () => {
+  assert.throws(() => parseCliOptions([]), /--prompt=name is required/);
+  assert.throws(() => parseCliOptions(['--prompt=slogans']), /Unknown --prompt/);
+  assert.throws(() => parseCliOptions(['--prompt=hook-pick', '--candidate=v2', '--candidate-file=x.txt']), /not both/);
+  const options = parseCliOptions(['--prompt=hook-pick', '--runs=50']);
+  assert.equal(options.runs, 5);
+  assert.match(options.fixtures, /eval-fixtures[\\/]hook-pick\.json$/);
+});
+
+test('copy scoring catches URL CTAs, over-long slides and unsupported claims', () => {
+  const [fx] = fixtures('carousel-copy');
+  const good = {
+    slides: [
+      { heading: 'I cut 3 foods and the scale finally moved', body: '' },
+      ...Array.from({ length: 4 }, (_, i) => ({ heading: `Mistake ${i + 1}`, body: 'Sauces carry more calories than the salad under them.' })),
+      { heading: 'Know what you eat', body: 'Snap it, log it, move on.' },
+    ],
+    cta: 'Get CalSnap. Link in bio.',
+    hashtags: ['weightloss', 'caloriedeficit', 'fitness', 'mealprep', 'healthyeating'],
+  };
+  assert.deepEqual(failing(scoreAnswer('carousel-copy', fx, good)), []);
+
+  const bad = {
+    ...good,
+    slides: [{ ...good.slides[0], body: 'oops' }, ...good.slides.slice(1, 5), { heading: 'CalSnap is the fastest tracker with 10 million users', body: 'x '.repeat(31) }],
+    cta: 'Get CalSnap at calsnap.app',
+    hashtags: ['#weightloss'],
+  };
+  assert.deepEqual(
+    failing(scoreAnswer('carousel-copy', fx, bad)),
+    ['slide-length', 'hook-slide-no-body', 'cta-survives-cleaning', 'claims-grounded', 'hashtags'],
+  );
+});
+
+test('extraction scoring uses the production grounding gates', () => {
+  const [fx] = fixtures('hook-extraction');
+  const answer = fx.videos.map((v, i) => ({
+    i, relevant: true, language: 'en', transferable: true, is_ad: i === 2, quality_score: i === 3 ? 2 : 5,
+    hook_verbatim: v.transcript.split(' ').slice(i === 0 ? 3 : 0, i === 0 ? 15 : 12).join(' '),
+    hook_template: 'placeholder ___ that is not derived',
+    topic: 'weight loss basics', mechanism: 'story',
+  }));
+  answer[0].hook_template = 'the scale went up ___ after my best ___ of eating';
+  answer[1].hook_template = 'You are eating ___ of protein at dinner and almost none';
+  const checks = scoreAnswer('hook-extraction', fx, answer);
+  assert.deepEqual(failing(checks), []);
+  answer[1].hook_verbatim = 'You are eating 40 grams of protein at every single meal';
+  assert.deepEqual(failing(scoreAnswer('hook-extraction', fx, answer)), ['video-1-accept']);
+});
+
+test('profile scoring flags facts the page never said', () => {
+  const [fx] = fixtures('app-profile');
+  const out = {
+    name: 'CalSnap', what: 'Logs meals from a photo.', color: '#22AA66',
+    facts: ['Logs a meal photo in under 5 seconds', 'Syncs with Apple Health', 'Supports 40+ diets'],
+  };
+  assert.deepEqual(failing(scoreAnswer('app-profile', fx, out)), []);
+  out.facts.push('Used by 10 million athletes');
+  out.color = '#777777';
+  assert.deepEqual(failing(scoreAnswer('app-profile', fx, out)), ['facts-grounded', 'color']);
+});
+
+test('runEval tallies pass rates across runs and survives failed calls', async () => {
+  const fx = fixtures('hook-pick');
+  let call = 0;
+  const callModel = async (prompt, input, temperature, { site }) => {
+    assert.equal(site, 'hook-pick');
+    assert.equal(temperature, 0.2);
+    call++;
+    if (call === 2) throw new Error('AI error (503): busy');
+    return { ids: JSON.parse(input).hooks.map((h) => h.id).slice(0, 1) };
+  };
+  const report = await runEval({ prompt: getPromptVersion('hook-pick'), fixtures: fx, runs: 2, callModel });
+  assert.equal(report.fixtures.length, 2);
+  const first = report.fixtures[0];
+  assert.deepEqual(first.errors, ['AI error (503): busy']);
+  assert.deepEqual(first.checks.find((c) => c.check === 'picks-a-fit'), { check: 'picks-a-fit', passed: 1, runs: 2, detail: 'call failed: AI error (503): busy' });
+  assert.equal(report.fixtures[1].score, 1);
+});
+
+test('diffReports lists improved and regressed checks per fixture', () => {
+  const report = (version, passed) => ({
+    prompt: 'hook-pick', version, runs: 1,
+    score: passed.filter(Boolean).length / 2,
+    fixtures: [{ id: 'a', score: passed.filter(Boolean).length / 2, checks: [
+      { check: 'shape', passed: passed[0], runs: 1 },
+      { check: 'rejects-misfits', passed: passed[1], runs: 1 },
+    ] }],
+  });
+  const diff = diffReports(report('v1', [1, 0]), report('v2', [0, 1]));
+  assert.deepEqual(diff.fixtures[0].improved, ['rejects-misfits']);
+  assert.deepEqual(diff.fixtures[0].regressed, ['shape']);
+  assert.equal(diff.score.delta, 0);
+  assert.match(formatDiff(diff), /v1  50% -> v2  50% \(\+0\)[\s\S]*\+rejects-misfits -shape/);
+});
+
+test('every fixture file replays offline through the fake provider', async () => {
+  const saved = process.env.LLM_PROVIDER;
+  process.env.LLM_PROVIDER = 'fake';
+  try {
+    for (const name of Object.keys(EVAL_PROMPTS)) {
+      const report = await runEval({ prompt: getPromptVersion(name), fixtures: fixtures(name), callModel: callGemini });
+      assert.ok(report.fixtures.length > 0, name);
+      assert.ok(report.fixtures.every((f) => !f.errors.length), name);
+    }
+  } finally {
+    if (saved === undefined) delete process.env.LLM_PROVIDER;
+    else process.env.LLM_PROVIDER = saved;
+  }
+});
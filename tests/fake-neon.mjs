@@ -0,0 +1,27 @@
+// The Neon HTTP driver, answered in memory for tests that run code against
+// api/_db.js. Point POSTGRES_URL anywhere and swap globalThis.fetch for
+// `fetch`; `answer(query, params)` returns the rows for each statement, a
+// transaction's included, and every statement is recorded in `queries`.
+const typeOf = (v) => (typeof v === 'number' ? 23 : v && typeof v === 'object' ? 3802 : 25);
+
+function result(rows = []) {
+  const names = rows.length ? Object.keys(rows[0]) : [];
+  return {
+    fields: names.map((name) => ({ name, dataTypeID: typeOf(rows[0][name]) })),
+    rows: rows.map((r) => names.map((n) => (r[n] === null ? null : typeof r[n] === 'object' ? JSON.stringify(r[n]) : String(r[n])))),
+  };
+}
+
+export function fakeNeon(answer) {
+  const queries = [];
+  const run = ({ query, params }) => {
+    queries.push({ query, params });
+    return result(answer(query, params) || []);
+  };
+  const fetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    const out = Array.isArray(body.queries) ? { results: body.queries.map(run) } : run(body);
+    return new Response(JSON.stringify(out), { status: 200 });
+  };
+  return { fetch, queries };
+}
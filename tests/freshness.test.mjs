@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import {
+  hookFreshnessScore, assessHookFreshness, decayNiche, runHookDecay, DECAY_FLOOR,
+} from '../api/_freshness.js';
+import handler from '../api/mine.js';
+
+const NOW = Date.parse('2026-10-01T00:00:00Z');
+const daysAgo = (n) => new Date(NOW - n * 24 * 3600 * 1000).toISOString();
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+test('age halves a hook every window, momentum lifts it and reuse wears it down', () => {
+  assert.equal(hookFreshnessScore({ ageDays: 0 }), 1);
+  assert.equal(hookFreshnessScore({ ageDays: 120 }), 0.5);
+  assert.equal(hookFreshnessScore({ ageDays: 120, viewsPerDay: 50_000 }), 1, 'velocity caps at double');
+  assert.equal(hookFreshnessScore({ ageDays: 120, uses: 8 }), 0.25);
+  assert.ok(hookFreshnessScore({ ageDays: 250 }) < DECAY_FLOOR);
+  assert.ok(hookFreshnessScore({ ageDays: 250, viewsPerDay: 10_000 }) >= DECAY_FLOOR);
+});
+
+test('velocity is the view gain per day since the hook was last verified', () => {
+  const hook = { id: 1, views: 400_000, last_verified: daysAgo(10), published_at: daysAgo(200), uses: 2 };
+  const a = assessHookFreshness(hook, { views: 450_000, publishedAt: daysAgo(130) }, NOW);
+  assert.deepEqual([a.ageDays, a.viewsPerDay, a.uses], [130, 5000, 2]);
+  assert.equal(assessHookFreshness(hook, null, NOW).viewsPerDay, 0, 'no refreshed stats, no momentum');
+  assert.equal(assessHookFreshness(hook, null, NOW).ageDays, 200);
+});
+
+function fixtureHooks() {
+  return [
+    { id: 1, hook_verbatim: 'Stop doing this', video_url: 'https://www.youtube.com/watch?v=aaaaaaaaaaa', views: 300_000, followers: 1000, last_verified: daysAgo(3), published_at: daysAgo(300), uses: 0, pinned: false },
+    { id: 2, hook_verbatim: 'Nobody tells you', video_url: 'https://www.tiktok.com/@a/video/2', views: 500_000, followers: 10, last_verified: daysAgo(3), published_at: daysAgo(30), uses: 1, pinned: false },
+    { id: 3, hook_verbatim: 'The evergreen one', video_url: 'https://www.tiktok.com/@a/video/3', views: 900_000, followers: 10, last_verified: daysAgo(3), published_at: daysAgo(400), uses: 0, pinned: true },
+    { id: 4, hook_verbatim: 'Still climbing', video_url: 'https://www.youtube.com/watch?v=bbbbbbbbbbb', views: 300_000, followers: 1000, last_verified: daysAgo(2), published_at: daysAgo(250), uses: 0, pinned: false },
+  ];
+}
+
+test('decay refreshes stats, retires below the floor, keeps pinned hooks and reports it', async () => {
+  const writes = { refreshed: [], applied: null };
+  const report = await decayNiche({ id: 7, slug: 'fitness' }, {
+    apiKey: 'k',
+    nowMs: NOW,
+    deps: {
+      getHooksForDecay: async () => fixtureHooks(),
+      getVideoStats: async (ids) => new Map([
+        ['aaaaaaaaaaa', { views: 300_100 }],
+        ['bbbbbbbbbbb', { views: 330_000, publishedAt: daysAgo(250) }],
+      ].filter(([id]) => ids.includes(id))),
+      refreshHookStats: async (url, views) => { writes.refreshed.push([url, views]); },
+      applyHookDecay: async (nicheId, scores, retireIds) => {
+        writes.applied = { nicheId, scored: scores.map((s) => s.id), retireIds };
+        return { retired: retireIds };
+      },
+    },
+  });
+  assert.deepEqual(writes.refreshed.map(([, views]) => views), [300_100, 330_000]);
+  assert.deepEqual(writes.applied, { nicheId: 7, scored: [1, 2, 3, 4], retireIds: [1] });
+  assert.equal(report.niche, 'fitness');
+  assert.deepEqual(report.retired.map((r) => [r.id, r.hook, r.ageDays]), [[1, 'Stop doing this', 300]]);
+  assert.deepEqual([report.checked, report.refreshed, report.kept, report.pinnedKept], [4, 2, 3, 1]);
+});
+
+test('a dry run scores and reports without writing; a broken niche does not stop the run', async (t) => {
+  const logged = t.mock.method(console, 'log', () => {});
+  const fail = async () => { throw new Error('write during dry run'); };
+  const result = await runHookDecay({
+    dry: true,
+    niches: [{ id: 1, slug: 'broken' }, { id: 2, slug: 'fitness' }],
+    deps: {
+      getHooksForDecay: async (nicheId) => {
+        if (nicheId === 1) throw new Error('db down');
+        return fixtureHooks();
+      },
+      refreshHookStats: fail,
+      applyHookDecay: fail,
+    },
+  });
+  assert.equal(result.dry, true);
+  assert.deepEqual(result.niches[0], { niche: 'broken', error: 'db down' });
+  assert.deepEqual(result.niches[1].retired.map((r) => r.id), [1, 4]);
+  assert.equal(result.retired, 2);
+  assert.equal(logged.mock.callCount(), 0, 'the caller logs the returned totals');
+  const mine = fs.readFileSync(new URL('../api/mine.js', import.meta.url), 'utf8');
+  assert.match(mine, /console\.log\(`hook decay: \$\{result\.decayed\} niches/);
+});
+
+test('decay is a daily cron; pinning is admin-only and needs a hook id', async () => {
+  const config = JSON.parse(fs.readFileSync(new URL('../vercel.json', import.meta.url), 'utf8'));
+  assert.ok(config.crons.some((c) => c.path === '/api/mine-decay'));
+  assert.ok(config.rewrites.some((r) => r.source === '/api/mine-decay' && r.destination === '/api/mine?action=decay'));
+
+  process.env.ADMIN_SECRET = 'admin-test';
+  process.env.CRON_SECRET = 'cron-test';
+  let res = response();
+  await handler({ method: 'GET', headers: {}, query: { action: 'decay' } }, res);
+  assert.equal(res.statusCode, 401);
+
+  res = response();
+  await handler({ method: 'POST', headers: { authorization: 'Bearer cron-test' }, query: {}, body: { action: 'pin', hookId: 3 } }, res);
+  assert.equal(res.statusCode, 401);
+
+  res = response();
+  await handler({ method: 'POST', headers: { authorization: 'Bearer admin-test' }, query: {}, body: { action: 'pin' } }, res);
+  assert.equal(res.statusCode, 400);
+});
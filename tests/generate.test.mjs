@@ -1,9 +1,14 @@
 import test from 'node:test';
 import assert from 'node:assert';
 import {
-  postKind, buildPlanPayload, cleanCta, pickTone, TONES,
+  postKind, buildPlanPayload, cleanCta, pickTone, TONES, pickStructure, clampSlideCount,
+  SLIDE_STRUCTURES, MIN_SLIDES, MAX_SLIDES,
   buildHookPickPayload, resolveHookPick, excludeHooks, retryablePlanError,
+  buildSlideRewritePayload, cleanRewriteInstruction, writeCarouselPlan, rewriteSlide,
 } from '../api/_generate.js';
+import { fakeText } from '../api/_llm.js';
+import { CAPTION_PLATFORMS, CAPTION_RULES, countHashtags } from '../api/_captions.js';
+import { disclaimerFor } from '../api/_compliance.js';
 
 test('postKind: every 4th post is a showcase (75/25 mix)', () => {
   assert.equal(postKind(0), 'value');
@@ -50,6 +55,48 @@ test('buildPlanPayload takes the tone it is given, never the profile', () => {
   assert.equal(p.product.tone, 'funny');
 });
 
+test('clampSlideCount keeps requested lengths inside 3..10 and ignores garbage', () => {
+  assert.equal(clampSlideCount(6), 6);
+  assert.equal(clampSlideCount(1), MIN_SLIDES);
+  assert.equal(clampSlideCount(40), MAX_SLIDES);
+  assert.equal(clampSlideCount(NaN), null);
+  assert.equal(clampSlideCount(undefined), null);
+  assert.equal(clampSlideCount(4.5), null);
+});
+
+test('pickStructure fits a requested length to the kind\'s closest shape', () => {
+  assert.deepEqual(pickStructure('value', 3), { shape: 'one-tip', slideCount: 3 });
+  assert.deepEqual(pickStructure('value', 7), { shape: 'listicle', slideCount: 7 });
+  assert.deepEqual(pickStructure('value', 10), { shape: 'deep-dive', slideCount: 10 });
+  assert.deepEqual(pickStructure('showcase', 10), { shape: 'problem-story', slideCount: 10 });
+  assert.deepEqual(pickStructure('value', 99), { shape: 'deep-dive', slideCount: MAX_SLIDES });
+});
+
+test('pickStructure without a request lands on every weighted shape of the kind', () => {
+  const rolls = [0, 0.3, 0.99];
+  const picked = rolls.map((r) => pickStructure('value', null, () => r));
+  assert.deepEqual(picked.map((p) => p.shape), ['one-tip', 'listicle', 'deep-dive']);
+  for (const kind of Object.keys(SLIDE_STRUCTURES)) {
+    for (const r of [0, 0.5, 0.999]) {
+      const { slideCount } = pickStructure(kind, null, () => r);
+      assert.ok(slideCount >= MIN_SLIDES && slideCount <= MAX_SLIDES);
+    }
+  }
+});
+
+test('buildPlanPayload carries the structure and clamps the slide count', () => {
+  const hook = { hook_template: '___', hook_verbatim: '', topic: '' };
+  const p = buildPlanPayload({ profile: PROFILE, hook, kind: 'value', slideCount: 10, tone: 'casual', structure: 'deep-dive' });
+  assert.equal(p.structure, 'deep-dive');
+  assert.equal(p.slideCount, 10);
+  // a shape from another kind, or none, falls back to the kind's closest shape
+  const q = buildPlanPayload({ profile: PROFILE, hook, kind: 'showcase', slideCount: 3, tone: 'casual', structure: 'deep-dive' });
+  assert.equal(q.structure, 'problem-story');
+  const r = buildPlanPayload({ profile: PROFILE, hook, kind: 'value', slideCount: 42, tone: 'casual' });
+  assert.equal(r.slideCount, MAX_SLIDES);
+  assert.equal(r.structure, 'deep-dive');
+});
+
 test('pickTone returns a valid tone and does not always return the same one', () => {
   const seen = new Set();
   for (let i = 0; i < 60; i++) {
@@ -142,6 +189,111 @@ test('carousel planning retries malformed, empty, rate-limited, and transient re
   assert.equal(retryablePlanError(new Error('Empty response from AI service.')), true);
   assert.equal(retryablePlanError(new Error('AI error (429): rate limit')), true);
   assert.equal(retryablePlanError(new Error('AI error (503): unavailable')), true);
+  assert.equal(retryablePlanError(new Error('AI used a banned phrase (hack). Please try again.')), true);
+  assert.equal(retryablePlanError(new Error('AI returned 4 slides instead of 8. Please try again.')), true);
   assert.equal(retryablePlanError(new Error('AI error (400): bad request')), false);
   assert.equal(retryablePlanError(new Error('No hooks available yet')), false);
 });
+
+test('cleanRewriteInstruction keeps one short plain line', () => {
+  assert.equal(cleanRewriteInstruction('  add a\nnumber '), 'add a number');
+  assert.equal(cleanRewriteInstruction('shorter' + String.fromCharCode(0)), 'shorter');
+  assert.equal(cleanRewriteInstruction(null), '');
+  assert.ok(cleanRewriteInstruction('x'.repeat(500)).length <= 160);
+});
+
+test('buildSlideRewritePayload sends the whole deck as context around one target slide', () => {
+  const slides = [
+    { index: 0, heading: '3 foods that stall weight loss', body: '' },
+    { index: 1, heading: 'Granola', body: 'A cup runs 600 calories.' },
+    { index: 2, heading: 'Log it with CalSnap', body: 'Snap a photo.', cta: 'Get CalSnap. Link in bio.' },
+  ];
+  const p = buildSlideRewritePayload({
+    profile: PROFILE,
+    hook: { hook_verbatim: '3 things that ruined my sleep', hook_template: '3 things that ruined my ___' },
+    slides, index: 1, instruction: 'add a number',
+  });
+  assert.equal(p.index, 1);
+  assert.equal(p.instruction, 'add a number');
+  assert.equal(p.hook.verbatim, '3 things that ruined my sleep');
+  assert.deepEqual(p.slides.map((s) => s.heading), slides.map((s) => s.heading));
+  assert.ok(p.slides.every((s) => !('cta' in s)));
+  // a retired source hook is optional context
+  const q = buildSlideRewritePayload({ profile: PROFILE, hook: undefined, slides, index: 0, instruction: '' });
+  assert.deepEqual(q.hook, { verbatim: '', template: '' });
+});
+
+test('rewriteSlide rebuilds every caption around the new slide and checks the whole post again', async () => {
+  const saved = process.env.LLM_PROVIDER;
+  process.env.LLM_PROVIDER = 'fake';
+  try {
+    const slides = [
+      { index: 0, heading: '3 foods that stall weight loss', body: '' },
+      { index: 1, heading: 'Granola', body: 'A cup runs 600 calories.' },
+      { index: 2, heading: 'Log it with CalSnap', body: 'Snap a photo.', cta: 'Get CalSnap. Link in bio.' },
+    ];
+    const out = await rewriteSlide({
+      profile: PROFILE, hook: undefined, slides, index: 1, instruction: '',
+      caption: 'Slide 2 is all about granola.\n\n#weightloss #caloriedeficit #mealprep',
+    });
+    assert.equal(out.slide.heading, 'Granola (rewritten)');
+    assert.deepEqual(out.slides.map((s) => s.heading), ['3 foods that stall weight loss', 'Granola (rewritten)', 'Log it with CalSnap']);
+    assert.equal(out.slides[2].cta, 'Get CalSnap. Link in bio.');
+    assert.equal(out.caption, out.captions.instagram);
+    const disclaimer = disclaimerFor('fitness-weight-loss', 'en');
+    for (const p of CAPTION_PLATFORMS) {
+      assert.match(out.captions[p], /Granola \(rewritten\)/, p);
+      assert.doesNotMatch(out.captions[p], /all about granola/, p);
+      assert.ok(out.captions[p].includes(disclaimer), p);
+      assert.equal(countHashtags(out.captions[p]), Math.min(3, CAPTION_RULES[p].tags), p);
+    }
+    assert.deepEqual(out.unsupportedClaims, []);
+    assert.deepEqual(out.complianceViolations, []);
+  } finally {
+    if (saved === undefined) delete process.env.LLM_PROVIDER;
+    else process.env.LLM_PROVIDER = saved;
+  }
+});
+
+// The copy model, answering over the OpenAI-compatible route with a well-formed
+// deck trimmed to `lengths[attempt]` slides.
+async function withShortDecks(lengths, fn) {
+  const saved = { fetch: globalThis.fetch, provider: process.env.LLM_PROVIDER_COPY, key: process.env.OPENAI_COMPAT_API_KEY };
+  const prompts = [];
+  globalThis.fetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    prompts.push(body.messages[0].content);
+    const plan = await fakeText({ prompt: body.messages[0].content, input: body.messages[1].content });
+    plan.slides = plan.slides.slice(0, lengths[prompts.length - 1]);
+    return new Response(JSON.stringify({ choices: [{ message: { content: JSON.stringify(plan) } }], usage: {} }), { status: 200 });
+  };
+  process.env.LLM_PROVIDER_COPY = 'openai';
+  process.env.OPENAI_COMPAT_API_KEY = 'k-test';
+  try {
+    return await fn(prompts);
+  } finally {
+    globalThis.fetch = saved.fetch;
+    if (saved.provider === undefined) delete process.env.LLM_PROVIDER_COPY;
+    else process.env.LLM_PROVIDER_COPY = saved.provider;
+    if (saved.key === undefined) delete process.env.OPENAI_COMPAT_API_KEY;
+    else process.env.OPENAI_COMPAT_API_KEY = saved.key;
+  }
+}
+
+test('a deck shorter than the requested slide count is retried, then refused', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const hook = { hook_template: 'Stop eating ___ before bed', hook_verbatim: 'Stop eating cereal before bed', topic: 'late night snacking' };
+  const profile = { ...PROFILE, facts: [] };
+  await withShortDecks([4, 8], async (prompts) => {
+    const plan = await writeCarouselPlan({ profile, hook, kind: 'value', styleOverride: 'mono', slideCount: 8 });
+    assert.equal(plan.slides.length, 8);
+    assert.equal(prompts.length, 2);
+    assert.match(prompts[1], /had 4 slides\. Write the post again with exactly 8 slides/);
+  });
+  await withShortDecks([4, 5], async () => {
+    await assert.rejects(
+      writeCarouselPlan({ profile, hook, kind: 'value', styleOverride: 'mono', slideCount: 8 }),
+      /returned 5 slides instead of 8/,
+    );
+  });
+});
@@ -0,0 +1,152 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import {
+  buildHashtagBank, cleanHashtagBlocklist, extractHashtags, hashtagTier, isBannedHashtag, phraseTag, pickHashtags,
+  refreshHashtagBankIfStale, HASHTAG_COUNT, TIER_MIX,
+} from '../api/_hashtags.js';
+import { writeCarouselPlan } from '../api/_generate.js';
+import { fakeNeon } from './fake-neon.mjs';
+
+const runner = fs.readFileSync(new URL('../api/_autopilot-runner.js', import.meta.url), 'utf8');
+const profileApi = fs.readFileSync(new URL('../api/profile.js', import.meta.url), 'utf8');
+
+const PROFILE = { name: 'Quietly', what: 'Blocks distracting apps on a schedule.', facts: ['Blocks apps on a schedule'] };
+const HOOK = { id: 7, hook_template: 'Stop doing ___ before bed', hook_verbatim: 'Stop doing this before bed', topic: 'sleep' };
+
+function bankOf(tiers) {
+  return Object.entries(tiers).flatMap(([tier, tags]) => tags.map((tag, i) => ({ tag, tier, score: 10 - i })));
+}
+
+const BANK = bankOf({
+  broad: ['productivity', 'motivation', 'selfimprovement'],
+  mid: ['focus', 'deepwork', 'screentime', 'digitalwellbeing'],
+  niche: ['phonecurfew', 'appblocker', 'dopaminedetox', 'focusmode'],
+});
+
+function tierOf(tag) {
+  return BANK.find((b) => b.tag === tag)?.tier;
+}
+
+test('tags read out of titles and captions; phrases become tags only when short', () => {
+  assert.deepEqual(extractHashtags('My routine #Sleep #sleep #deep_work! #fútbol'), ['sleep', 'deep_work', 'fútbol']);
+  assert.equal(phraseTag('screen time'), 'screentime');
+  assert.equal(phraseTag('how to fall asleep faster at night'), '');
+  assert.equal(phraseTag('ab'), '');
+  assert.deepEqual(cleanHashtagBlocklist('#Giveaway, competitorapp  #giveaway'), ['giveaway', 'competitorapp']);
+  assert.equal(cleanHashtagBlocklist(' , '), null);
+  assert.ok(isBannedHashtag('#FYP'));
+  assert.ok(!isBannedHashtag('sleep'));
+});
+
+test('tiers follow how widely a tag is used', () => {
+  assert.equal(hashtagTier({ spread: 3 }), 'broad');
+  assert.equal(hashtagTier({ spread: 1, keyword: true }), 'mid');
+  assert.equal(hashtagTier({ spread: 2, uses: 3 }), 'mid');
+  assert.equal(hashtagTier({ spread: 1, uses: 1 }), 'niche');
+});
+
+test('the bank is filled from hook sources, niche keywords and our own post metrics', () => {
+  const rows = buildHashtagBank({
+    niches: [{ id: 1, keywords: ['sleep hygiene'] }, { id: 2, keywords: [] }, { id: 3, keywords: [] }],
+    hooks: [
+      { niche_id: 1, video_title: 'Fix your nights #sleep #productivity #fyp', topic: 'phone curfew', views: 900000 },
+      { niche_id: 2, video_title: 'Morning #productivity', topic: '', views: 5000 },
+      { niche_id: 3, video_title: '#productivity tips', topic: '', views: 5000 },
+      { niche_id: 1, video_title: 'Why you wake up tired #sleep', topic: '', views: 10000 },
+    ],
+    posts: [{ niche_id: 1, caption: 'Put it down.\n\n#phonecurfew #sleep', views: '4000' }],
+  });
+  const niche1 = Object.fromEntries(rows.filter((r) => r.nicheId === 1).map((r) => [r.tag, r]));
+  assert.equal(niche1.productivity.tier, 'broad');
+  assert.equal(niche1.sleephygiene.tier, 'mid');
+  assert.equal(niche1.sleep.tier, 'mid');
+  assert.equal(niche1.phonecurfew.tier, 'niche');
+  assert.equal(niche1.phonecurfew.postViews, 4000);
+  assert.equal(niche1.fyp, undefined, 'banned tags never enter the bank');
+  // A tag our own post did well with outranks one only seen on sources.
+  assert.ok(niche1.phonecurfew.score > niche1.sleephygiene.score);
+});
+
+test('a post draws from every tier, led by the model\'s post-specific tags', () => {
+  const tags = pickHashtags({ bank: BANK, modelTags: ['sleeptips', '#Focus'] });
+  assert.equal(tags.length, HASHTAG_COUNT);
+  assert.equal(tags.filter((t) => tierOf(t) === 'broad').length, TIER_MIX.broad);
+  assert.equal(tags.filter((t) => tierOf(t) === 'mid').length, TIER_MIX.mid);
+  assert.ok(tags.includes('sleeptips'));
+  assert.ok(tags.includes('focus'));
+});
+
+test('consecutive posts never share one identical set', () => {
+  let recentSets = [];
+  for (let i = 0; i < 6; i++) {
+    const tags = pickHashtags({ bank: BANK, modelTags: [], recentSets });
+    if (recentSets[0]) assert.notDeepEqual([...tags].sort(), [...recentSets[0]].sort());
+    recentSets = [tags, ...recentSets].slice(0, 2);
+  }
+  // A pick that lands on the last set exactly swaps in whatever tag is spare.
+  const small = bankOf({ broad: ['productivity'], mid: ['focus'] });
+  const last = ['productivity', 'focus', 'sleep'];
+  const next = pickHashtags({ bank: small, modelTags: ['sleep', 'rest'], recentSets: [last], count: 3 });
+  assert.deepEqual(next, ['productivity', 'focus', 'rest']);
+});
+
+test('banned and blocklisted tags are dropped before the caption is built', async () => {
+  const tags = pickHashtags({ bank: BANK, modelTags: ['fyp', 'viral', 'AppBlocker'], blocklist: ['appblocker', 'productivity'] });
+  assert.ok(!tags.includes('fyp') && !tags.includes('viral'));
+  assert.ok(!tags.includes('appblocker') && !tags.includes('productivity'));
+
+  const saved = process.env.LLM_PROVIDER;
+  process.env.LLM_PROVIDER = 'fake';
+  try {
+    const plan = await writeCarouselPlan({
+      profile: { ...PROFILE, hashtag_blocklist: ['advice'] }, hook: HOOK, kind: 'value',
+      hashtags: { bank: BANK, recentSets: [] },
+    });
+    const captionTags = extractHashtags(plan.caption);
+    assert.ok(!captionTags.includes('advice'));
+    assert.ok(captionTags.includes('productivity'));
+    assert.ok(captionTags.length <= HASHTAG_COUNT);
+  } finally {
+    if (saved === undefined) delete process.env.LLM_PROVIDER;
+    else process.env.LLM_PROVIDER = saved;
+  }
+});
+
+test('topup rebuilds the bank daily and the blocklist survives a save that omits it', () => {
+  assert.match(runner, /await refreshHashtagBankIfStale\(\)/);
+  assert.match(runner, /series: part\?\.context, userId: user\.id,/);
+  assert.match(profileApi, /PRESERVED_PROFILE_KEYS = \[[^\]]*'hashtag_blocklist'/);
+});
+
+// refreshHashtagBankIfStale against a database with nothing to bank: no
+// niches, hooks or posted captions.
+async function refreshEmptyBank(lastBuild) {
+  const db = fakeNeon((query) => (/FROM hashtag_bank_builds/.test(query) && lastBuild ? [{ built_at: lastBuild }] : []));
+  const saved = { fetch: globalThis.fetch, url: process.env.POSTGRES_URL };
+  globalThis.fetch = db.fetch;
+  process.env.POSTGRES_URL = 'postgresql://u:p@db.test/hooklab';
+  try {
+    const banked = await refreshHashtagBankIfStale();
+    return { banked, writes: db.queries.filter((q) => /DELETE FROM hashtag_bank|INSERT INTO hashtag_bank/.test(q.query)) };
+  } finally {
+    globalThis.fetch = saved.fetch;
+    if (saved.url === undefined) delete process.env.POSTGRES_URL;
+    else process.env.POSTGRES_URL = saved.url;
+  }
+}
+
+test('a rebuild that banked nothing still counts as fresh for a day', async () => {
+  const first = await refreshEmptyBank(null);
+  assert.equal(first.banked, 0);
+  const build = first.writes.find((q) => /INSERT INTO hashtag_bank_builds/.test(q.query));
+  assert.ok(build, 'the rebuild time was not recorded');
+  assert.deepEqual(build.params, ['0']);
+
+  const hourAgo = new Date(Date.now() - 3600000).toISOString();
+  assert.deepEqual(await refreshEmptyBank(hourAgo), { banked: null, writes: [] });
+  const dayAgo = new Date(Date.now() - 25 * 3600000).toISOString();
+  assert.equal((await refreshEmptyBank(dayAgo)).banked, 0);
+});
+
@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import {
+  normalizeHookTemplate, templateWords, templateSimilarity, assignHookClusters, onePerCluster,
+} from '../api/_hookclusters.js';
+
+test('templates are stored with one slot spelling and tidy spacing', () => {
+  assert.equal(normalizeHookTemplate('  How I took my client from __ to _____  in ___ ___ .'), 'How I took my client from ___ to ___ in ___.');
+  assert.deepEqual(templateWords('Don’t eat ___ before ___!'), ['dont', 'eat', 'before']);
+});
+
+test('one changed fixed word is the same hook; a different shape is not', () => {
+  assert.ok(templateSimilarity('Stop doing ___ if you want ___', 'Stop eating ___ if you want ___') >= 0.75);
+  assert.ok(templateSimilarity('STOP doing ___ if you want ___!', 'Stop doing ___ if you want ___') === 1);
+  assert.ok(templateSimilarity('How I ___ in ___', 'How I ___ without ___') < 0.75);
+  assert.ok(templateSimilarity('Nobody tells you this about ___', 'Stop doing ___ if you want ___') < 0.3);
+});
+
+test('clusters keep their founder\'s id as copies are added', () => {
+  const first = assignHookClusters([
+    { id: 10, hook_template: 'Stop doing ___ if you want ___' },
+    { id: 11, hook_template: 'Nobody tells you this about ___' },
+  ]);
+  const later = assignHookClusters([
+    { id: 12, hook_template: 'Stop eating ___ if you want ___' },
+    { id: 11, hook_template: 'Nobody tells you this about ___' },
+    { id: 10, hook_template: 'Stop doing ___ if you want ___' },
+    { id: 13, hook_template: '___ ___' },
+  ]);
+  assert.equal(later.get(10), first.get(10));
+  assert.equal(later.get(12), first.get(10));
+  assert.notEqual(later.get(11), later.get(10));
+  assert.ok(later.get(13), 'a slot-only template still gets its own cluster');
+});
+
+test('a pool keeps the strongest source of each cluster, in pool order', () => {
+  const rows = [
+    { id: 1, cluster_id: 'a', views: '900000', outlier_score: '2' },
+    { id: 2, cluster_id: 'b', views: '800000', outlier_score: '9' },
+    { id: 3, cluster_id: 'a', views: '900000', outlier_score: '7' },
+    { id: 4, cluster_id: null, views: '500000', outlier_score: '1' },
+    { id: 5, cluster_id: null, views: '400000', outlier_score: '1' },
+    { id: 6, cluster_id: 'b', views: '300000', outlier_score: '50' },
+  ];
+  assert.deepEqual(onePerCluster(rows).map((r) => r.id), [3, 2, 4, 5]);
+  assert.deepEqual(onePerCluster(rows, 2).map((r) => r.id), [3, 2]);
+});
+
+test('both pick pools collapse clusters and the miner stores normalized templates', () => {
+  const db = fs.readFileSync(new URL('../api/_db.js', import.meta.url), 'utf8');
+  const pools = db.slice(db.indexOf('export async function getAutoHookPool'), db.indexOf('export async function getHooksByIds'));
+  assert.equal(pools.match(/return onePerCluster\(rows, poolSize\)/g).length, 2);
+  assert.equal(pools.match(/LIMIT \$\{poolSize \* HOOK_POOL_OVERFETCH\}/g).length, 2);
+  const miner = fs.readFileSync(new URL('../api/_miner.js', import.meta.url), 'utf8');
+  assert.match(miner, /hookTemplate: normalizeHookTemplate\(ex\.hook_template\)/);
+});
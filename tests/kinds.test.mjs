@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  POST_KINDS, MIXABLE_KINDS, DEFAULT_KIND_MIX, MAX_KIND_WEIGHT, cleanKindMix, kindRotation, postKind,
+} from '../api/_kinds.js';
+import { SLIDE_STRUCTURES, buildPlanPayload, cleanChanges, writeCarouselPlan } from '../api/_generate.js';
+import { CAROUSEL_COPY_PROMPT } from '../api/_prompts.js';
+
+const PROFILE = { name: 'Quietly', what: 'Blocks distracting apps on a schedule.', facts: ['Blocks apps on a schedule'] };
+const HOOK = { hook_template: 'My ___ said ___ and I felt ___', hook_verbatim: 'My screen time said 9 hours and I felt sick', topic: 'screen time' };
+
+test('every kind has slide shapes and prompt instructions', () => {
+  for (const kind of Object.keys(POST_KINDS)) {
+    assert.ok(SLIDE_STRUCTURES[kind]?.length, kind);
+    assert.ok(CAROUSEL_COPY_PROMPT.includes(`kind = "${kind}"`), kind);
+    for (const { shape } of SLIDE_STRUCTURES[kind]) assert.ok(CAROUSEL_COPY_PROMPT.includes(`"${shape}"`), shape);
+  }
+});
+
+test('cleanKindMix keeps mixable kinds with positive weights, clamped', () => {
+  assert.deepEqual(
+    cleanKindMix({ value: 2, 'myth-fact': 99, showcase: 0, changelog: 3, spam: 4 }),
+    { value: 2, 'myth-fact': MAX_KIND_WEIGHT },
+  );
+  assert.equal(cleanKindMix({ value: 0 }), null);
+  assert.equal(cleanKindMix('value'), null);
+  assert.ok(!MIXABLE_KINDS.includes('changelog'));
+});
+
+test('the default mix keeps the old three-value-then-showcase rhythm', () => {
+  assert.deepEqual(kindRotation(null), ['value', 'value', 'value', 'showcase']);
+  assert.deepEqual(kindRotation(DEFAULT_KIND_MIX), kindRotation({}));
+});
+
+test('a custom mix spreads each kind through the cycle', () => {
+  const rotation = kindRotation({ value: 3, 'myth-fact': 2, tutorial: 1 });
+  assert.deepEqual(rotation, ['value', 'myth-fact', 'value', 'value', 'myth-fact', 'tutorial']);
+  const mix = { value: 3, 'myth-fact': 2, tutorial: 1 };
+  assert.deepEqual([0, 1, 5, 6, 11].map((n) => postKind(n, mix)), ['value', 'myth-fact', 'tutorial', 'value', 'tutorial']);
+});
+
+test('buildPlanPayload accepts every kind and only a changelog carries changes', () => {
+  const log = buildPlanPayload({ profile: PROFILE, hook: HOOK, kind: 'changelog', slideCount: 4, tone: 'casual', changes: ['  Dark mode\n', '', 'Focus streaks'] });
+  assert.equal(log.kind, 'changelog');
+  assert.equal(log.structure, 'whats-new');
+  assert.deepEqual(log.changes, ['Dark mode', 'Focus streaks']);
+
+  const myth = buildPlanPayload({ profile: PROFILE, hook: HOOK, kind: 'myth-fact', slideCount: 7, tone: 'casual', changes: ['Dark mode'] });
+  assert.equal(myth.structure, 'myth-fact');
+  assert.deepEqual(myth.changes, []);
+
+  assert.equal(buildPlanPayload({ profile: PROFILE, hook: HOOK, kind: 'listicle', slideCount: 6, tone: 'casual' }).kind, 'value');
+});
+
+test('cleanChanges keeps short single lines, at most eight', () => {
+  const changes = cleanChanges(Array.from({ length: 12 }, (_, i) => `Change ${i}\twith detail`));
+  assert.equal(changes.length, 8);
+  assert.equal(changes[0], 'Change 0 with detail');
+  assert.equal(cleanChanges(['x'.repeat(400)])[0].length, 160);
+});
+
+test('a what\'s-new post refuses to run without release notes', async () => {
+  await assert.rejects(
+    writeCarouselPlan({ profile: PROFILE, hook: HOOK, kind: 'changelog' }),
+    /needs release notes/,
+  );
+});
+
+test('the plan path writes the new kinds offline', async () => {
+  const saved = process.env.LLM_PROVIDER;
+  process.env.LLM_PROVIDER = 'fake';
+  try {
+    const plan = await writeCarouselPlan({ profile: PROFILE, hook: HOOK, kind: 'tutorial', slideCount: 5 });
+    assert.equal(plan.kind, 'tutorial');
+    assert.equal(plan.slides.length, 5);
+    const log = await writeCarouselPlan({ profile: PROFILE, hook: HOOK, kind: 'changelog', changes: ['Focus streaks'] });
+    assert.equal(log.kind, 'changelog');
+  } finally {
+    if (saved === undefined) delete process.env.LLM_PROVIDER;
+    else process.env.LLM_PROVIDER = saved;
+  }
+});
@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { cleanLanguage, cleanHashtag, languageForPrompt, DEFAULT_LANGUAGE } from '../api/_language.js';
+import { buildPlanPayload } from '../api/_generate.js';
+import { findUnsupportedClaims } from '../api/_claims.js';
+
+test('cleanLanguage accepts supported codes and falls back to English', () => {
+  assert.equal(cleanLanguage('es'), 'es');
+  assert.equal(cleanLanguage(' DE '), 'de');
+  assert.equal(cleanLanguage('zz'), DEFAULT_LANGUAGE);
+  assert.equal(cleanLanguage(undefined), DEFAULT_LANGUAGE);
+  assert.equal(cleanLanguage('hasOwnProperty'), DEFAULT_LANGUAGE);
+});
+
+test('cleanHashtag keeps accented letters and drops what would break the tag', () => {
+  assert.equal(cleanHashtag('#Ernährung'), 'ernährung');
+  assert.equal(cleanHashtag('fútbol en casa!'), 'fútbolencasa');
+  assert.equal(cleanHashtag('#meal_prep'), 'meal_prep');
+  // decomposed u + combining diaeresis becomes one precomposed letter
+  assert.equal(cleanHashtag('Mu\u0308sli'), 'm\u00fcsli');
+  assert.equal(cleanHashtag('🔥🔥'), '');
+});
+
+test('buildPlanPayload carries the target language, English by default', () => {
+  const hook = { hook_template: '___' };
+  const en = buildPlanPayload({ profile: { what: 'x' }, hook, kind: 'value', slideCount: 6, tone: 'casual' });
+  assert.deepEqual(en.language, { code: 'en', name: 'English' });
+  const es = buildPlanPayload({ profile: { what: 'x', language: 'es' }, hook, kind: 'value', slideCount: 6, tone: 'casual' });
+  assert.deepEqual(es.language, languageForPrompt('es'));
+  assert.equal(es.language.name, 'Spanish');
+});
+
+test('German nouns are not mistaken for feature names, numbers still are checked', () => {
+  const profile = { name: 'CalSnap', what: 'Kalorienzähler', facts: ['Fotoerfassung in 5 Sekunden'] };
+  const plan = { slides: [{ heading: 'x', body: 'Mit CalSnap siehst du Deine Tägliche Bilanz in 3 Sekunden.' }] };
+  assert.deepEqual(findUnsupportedClaims(plan, profile, { language: 'de' }).map((c) => c.claim), ['3']);
+});
@@ -0,0 +1,192 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import { providerFor, modelFor, parseModelJson, fakeText, FAKE_PNG_BASE64, LLM_SITES } from '../api/_llm.js';
+import { callGemini, callGeminiImage, geminiTextCostMicros } from '../api/_shared.js';
+import { writeCarouselPlan } from '../api/_generate.js';
+import { validateHookExtraction, extractHooks } from '../api/_miner.js';
+import { HOOK_EXTRACTION_PROMPT, HOOK_MECHANISM_PROMPT, HOOK_PICK_PROMPT } from '../api/_prompts.js';
+
+const PROFILE = {
+  name: 'CalSnap',
+  what: 'Logs meals from a photo.',
+  who: 'People tracking calories.',
+  benefit: 'Logging takes seconds.',
+  facts: ['Scans a meal photo'],
+  color: '#22AA66',
+  audience_niche: { slug: 'fitness-weight-loss', name: 'Fitness & Weight Loss' },
+};
+
+const HOOK = { id: 7, hook_template: 'Stop eating ___ before bed', hook_verbatim: 'Stop eating cereal before bed', topic: 'late night snacking' };
+
+async function withEnv(vars, fn) {
+  const saved = {};
+  for (const [k, v] of Object.entries(vars)) {
+    saved[k] = process.env[k];
+    if (v === undefined) delete process.env[k];
+    else process.env[k] = v;
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  }
+}
+
+test('providerFor: per-site override beats the default, unknown falls back to gemini', () => {
+  const env = { LLM_PROVIDER: 'openai', LLM_PROVIDER_HOOK_PICK: 'fake' };
+  assert.equal(providerFor('hook-pick', env), 'fake');
+  assert.equal(providerFor('copy', env), 'openai');
+  assert.equal(providerFor('copy', {}), 'gemini');
+  assert.equal(providerFor('copy', { LLM_PROVIDER: 'claude-ish' }), 'gemini');
+  assert.equal(providerFor('hook-extraction', { LLM_PROVIDER_HOOK_EXTRACTION: 'FAKE' }), 'fake');
+});
+
+test('modelFor: per-site model, then provider defaults', () => {
+  assert.equal(modelFor('hook-pick', 'gemini', { LLM_MODEL_HOOK_PICK: 'gemini-2.5-flash-lite' }), 'gemini-2.5-flash-lite');
+  assert.equal(modelFor('copy', 'gemini', {}), 'gemini-2.5-flash');
+  assert.equal(modelFor('image', 'gemini', {}), 'gemini-2.5-flash-image');
+  assert.equal(modelFor('copy', 'openai', { OPENAI_COMPAT_MODEL: 'llama-3.1-70b' }), 'llama-3.1-70b');
+  assert.equal(modelFor('image', 'openai', { OPENAI_COMPAT_MODEL: 'llama-3.1-70b' }), 'gpt-image-1');
+});
+
+test('the mechanism backfill routes as its own site, apart from extraction', async () => {
+  assert.ok(LLM_SITES['hook-mechanism']);
+  assert.equal(providerFor('hook-mechanism', { LLM_PROVIDER_HOOK_EXTRACTION: 'openai' }), 'gemini');
+  const miner = fs.readFileSync(new URL('../api/_miner.js', import.meta.url), 'utf8');
+  assert.match(miner, /callGemini\(HOOK_MECHANISM_PROMPT, JSON\.stringify\(input\), 0\.2, \{ site: 'hook-mechanism' \}\)/);
+  await withEnv({ LLM_PROVIDER: undefined, LLM_PROVIDER_HOOK_MECHANISM: 'fake' }, async () => {
+    const input = JSON.stringify({ hooks: [{ id: 2, verbatim: 'Why does nobody talk about sleep debt?', template: '' }] });
+    const out = await callGemini(HOOK_MECHANISM_PROMPT, input, 0.2, { site: 'hook-mechanism' });
+    assert.deepEqual(out, { labels: { 2: 'question' } });
+  });
+});
+
+test('gemini text cost is priced per model, flash by default', () => {
+  assert.equal(geminiTextCostMicros(1_000_000, 1_000_000, 'gemini-2.5-flash-lite'), 500_000);
+  assert.equal(geminiTextCostMicros(1_000_000, 0, 'some-future-model'), 300_000);
+});
+
+test('parseModelJson repairs raw newlines and surrounding prose', () => {
+  assert.deepEqual(parseModelJson('{"a":"line\none"}'), { a: 'line\none' });
+  assert.deepEqual(parseModelJson('Sure! {"ids":[1,2]} hope that helps'), { ids: [1, 2] });
+  assert.throws(() => parseModelJson('no json here'), /invalid response/);
+});
+
+test('fake provider: the full plan path runs offline and passes every check', async () => {
+  await withEnv({ LLM_PROVIDER: 'fake', GEMINI_API_KEY: undefined }, async () => {
+    for (const slideCount of [3, 6, 10]) {
+      const plan = await writeCarouselPlan({ profile: PROFILE, hook: HOOK, kind: 'value', styleOverride: 'mono', slideCount });
+      assert.equal(plan.slides.length, slideCount);
+      assert.equal(plan.style, 'mono');
+      assert.equal(plan.slides[0].heading, HOOK.hook_verbatim);
+      assert.equal(plan.slides[slideCount - 1].cta, 'Get CalSnap. Link in bio.');
+      assert.match(plan.caption, /#tips #howto #learnsomething #dailyhabits #advice$/);
+      assert.deepEqual(plan.unsupportedClaims, []);
+    }
+  });
+});
+
+test('fake provider: hook pick and extraction answers are well formed', async () => {
+  const pick = await fakeText({ prompt: HOOK_PICK_PROMPT, input: JSON.stringify({ hooks: [{ id: 4 }, { id: 9 }] }) });
+  assert.deepEqual(pick.ids, [4, 9]);
+  assert.deepEqual(Object.keys(pick.reasons), ['4', '9']);
+
+  const transcript = 'Nobody tells you this about walking after dinner but it changes everything';
+  const [ex] = await fakeText({
+    prompt: HOOK_EXTRACTION_PROMPT,
+    input: JSON.stringify({ niche: 'Fitness', videos: [{ i: 0, title: 't', transcript }] }),
+  });
+  assert.equal(validateHookExtraction(ex, transcript).ok, true);
+
+  await assert.rejects(fakeText({ prompt: 'Something new', input: '{}' }), /no answer/);
+});
+
+test('fake provider: images are a valid PNG without a key', async () => {
+  await withEnv({ LLM_PROVIDER_IMAGE: 'fake', GEMINI_API_KEY: undefined }, async () => {
+    const b64 = await callGeminiImage('a desk');
+    assert.equal(b64, FAKE_PNG_BASE64);
+    assert.deepEqual([...Buffer.from(b64, 'base64').subarray(1, 4)], [...Buffer.from('PNG')]);
+  });
+});
+
+test('openai-compatible provider sends a JSON-mode chat completion', async () => {
+  const realFetch = globalThis.fetch;
+  let seen;
+  globalThis.fetch = async (url, init) => {
+    if (!String(url).startsWith('https://llm.example')) throw new Error('unexpected fetch');
+    seen = { url: String(url), init, body: JSON.parse(init.body) };
+    return new Response(JSON.stringify({ choices: [{ message: { content: '{"ids":[3]}' } }], usage: {} }), { status: 200 });
+  };
+  try {
+    await withEnv({
+      LLM_PROVIDER_HOOK_PICK: 'openai',
+      LLM_MODEL_HOOK_PICK: 'small-model',
+      OPENAI_COMPAT_BASE_URL: 'https://llm.example/v1/',
+      OPENAI_COMPAT_API_KEY: 'k-test',
+    }, async () => {
+      const out = await callGemini(HOOK_PICK_PROMPT, '{"hooks":[]}', 0.2, { site: 'hook-pick' });
+      assert.deepEqual(out, { ids: [3] });
+    });
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+  assert.equal(seen.url, 'https://llm.example/v1/chat/completions');
+  assert.equal(seen.init.headers.Authorization, 'Bearer k-test');
+  assert.equal(seen.body.model, 'small-model');
+  assert.deepEqual(seen.body.response_format, { type: 'json_object' });
+  assert.equal(seen.body.messages[0].content, HOOK_PICK_PROMPT);
+  assert.ok(seen.init.signal, 'request is bounded by a timeout');
+});
+
+// Routes every fetch to `answer(url, body)` with the OpenAI-compatible
+// provider configured for `site`.
+async function withOpenAI(site, answer, fn) {
+  const realFetch = globalThis.fetch;
+  const seen = [];
+  globalThis.fetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    seen.push(body);
+    return new Response(JSON.stringify(answer(String(url), body)), { status: 200 });
+  };
+  try {
+    await withEnv({
+      [`LLM_PROVIDER_${site.toUpperCase().replace(/-/g, '_')}`]: 'openai',
+      OPENAI_COMPAT_BASE_URL: 'https://llm.example/v1',
+      OPENAI_COMPAT_API_KEY: 'k-test',
+    }, () => fn(seen));
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+}
+
+test('openai-compatible hook extraction gets its array back, not JSON mode', async () => {
+  const transcript = 'Nobody tells you this about walking after dinner but it changes everything';
+  const [ex] = await fakeText({
+    prompt: HOOK_EXTRACTION_PROMPT,
+    input: JSON.stringify({ niche: 'Fitness', videos: [{ i: 0, title: 't', transcript }] }),
+  });
+  await withOpenAI('hook-extraction', () => ({
+    choices: [{ message: { content: `Here you go:\n${JSON.stringify([ex])}` } }], usage: {},
+  }), async (seen) => {
+    const out = await extractHooks({ name: 'Fitness' }, [{ title: 't', views: 300_000, followers: 10, platform: 'youtube', transcript }]);
+    assert.deepEqual(out.errors, []);
+    assert.equal(out.failures, 0);
+    assert.deepEqual(out.extracted, [ex]);
+    assert.equal(seen[0].response_format, undefined);
+  });
+});
+
+test('openai-compatible images ask for b64_json from DALL-E only', async () => {
+  const png = { data: [{ b64_json: FAKE_PNG_BASE64 }] };
+  await withOpenAI('image', () => png, async (seen) => {
+    assert.equal(await callGeminiImage('a desk'), FAKE_PNG_BASE64);
+    assert.equal(seen[0].model, 'gpt-image-1');
+    assert.ok(!('response_format' in seen[0]));
+    await withEnv({ LLM_MODEL_IMAGE: 'dall-e-3' }, () => callGeminiImage('a desk'));
+    assert.equal(seen[1].response_format, 'b64_json');
+  });
+});
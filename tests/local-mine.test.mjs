@@ -174,12 +174,13 @@ test('supplied candidates: enforces the reach floor', () => {
   assert.match(errors[0], /below reach threshold/);
 });
 
-test('supplied candidates: tiktok platform kept, unknown platform coerced to youtube', () => {
+test('supplied candidates: tiktok platform kept, unknown platform taken from the url', () => {
   const { candidates } = parseSuppliedCandidates([
     goodCandidate({ url: 'https://www.tiktok.com/@x/video/1', platform: 'tiktok' }),
     goodCandidate({ url: 'https://www.tiktok.com/@x/video/2', platform: 'myspace' }),
+    goodCandidate({ url: 'https://youtu.be/other', platform: 'myspace' }),
   ]);
-  assert.deepEqual(candidates.map((c) => c.platform).sort(), ['tiktok', 'youtube']);
+  assert.deepEqual(candidates.map((c) => c.platform).sort(), ['tiktok', 'tiktok', 'youtube']);
   assert.ok(VALID_PLATFORMS.includes('tiktok'));
 });
 
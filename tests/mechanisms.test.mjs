@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import {
+  HOOK_MECHANISMS, MECHANISM_IDS, normalizeMechanism, inferMechanism, hookMechanism,
+  leastUsedMechanismHooks,
+} from '../api/_mechanisms.js';
+import { HOOK_EXTRACTION_PROMPT, HOOK_MECHANISM_PROMPT } from '../api/_prompts.js';
+import { validateHookExtraction, buildHookRows } from '../api/_miner.js';
+import { fakeText } from '../api/_llm.js';
+
+const transcript = 'I deleted three apps and finally got my mornings back. Here is the exact routine I use now.';
+const good = {
+  relevant: true,
+  language: 'en',
+  transferable: true,
+  is_ad: false,
+  quality_score: 5,
+  hook_verbatim: 'I deleted three apps and finally got my mornings back.',
+  hook_template: 'I deleted ___ and finally got my mornings back.',
+  topic: 'digital habit reset',
+  mechanism: 'result-first',
+};
+
+test('labels normalize to taxonomy ids, legacy calendar labels included', () => {
+  assert.equal(normalizeMechanism('Curiosity gap'), 'curiosity-gap');
+  assert.equal(normalizeMechanism(' MISTAKE_WARNING '), 'mistake-warning');
+  assert.equal(normalizeMechanism('warning'), 'mistake-warning');
+  assert.equal(normalizeMechanism('list'), 'numbered-list');
+  assert.equal(normalizeMechanism('clickbait'), '');
+  assert.equal(normalizeMechanism(null), '');
+  assert.equal(normalizeMechanism('constructor'), '');
+});
+
+test('inference reads the opening move, first pattern wins', () => {
+  assert.equal(inferMechanism("Stop doing ___ if you want ___"), 'mistake-warning');
+  assert.equal(inferMechanism('5 mistakes killing your ___'), 'numbered-list');
+  assert.equal(inferMechanism('If you are ___, watch this'), 'identity-callout');
+  assert.equal(inferMechanism('How to ___ without ___'), 'how-to');
+  assert.equal(inferMechanism('Everyone is wrong about ___'), 'contrarian');
+  assert.equal(inferMechanism('The real reason your ___ stalls'), 'curiosity-gap');
+  assert.equal(inferMechanism('I lost ___ in ___ doing this'), 'result-first');
+  assert.equal(inferMechanism('My coach once told me ___'), 'story');
+  assert.equal(inferMechanism('Why does nobody ___?'), 'question');
+  assert.equal(inferMechanism('This changes ___'), 'statement');
+  assert.equal(hookMechanism({ mechanism: 'story', hook_template: 'Stop doing ___' }), 'story');
+  assert.equal(hookMechanism({ mechanism: null, hook_template: 'Stop doing ___' }), 'mistake-warning');
+});
+
+test('both labeling prompts list every mechanism with its description', () => {
+  for (const prompt of [HOOK_EXTRACTION_PROMPT, HOOK_MECHANISM_PROMPT]) {
+    for (const [id, description] of Object.entries(HOOK_MECHANISMS)) {
+      assert.ok(prompt.includes(`${id} (${description})`), `${id} missing`);
+    }
+  }
+  assert.match(HOOK_EXTRACTION_PROMPT, /"mechanism": "mistake-warning"/);
+});
+
+test('a hook labeled outside the taxonomy is kept with the mechanism it reads as', () => {
+  const inferred = inferMechanism(good.hook_verbatim);
+  assert.deepEqual(validateHookExtraction({ ...good, mechanism: 'Result first' }, transcript), { ok: true, reason: '', mechanism: 'result-first' });
+  assert.deepEqual(validateHookExtraction({ ...good, mechanism: 'vibes' }, transcript), { ok: true, reason: '', mechanism: inferred });
+  assert.deepEqual(validateHookExtraction({ ...good, mechanism: undefined }, transcript), { ok: true, reason: '', mechanism: inferred });
+  const source = (i) => ({ url: `https://www.youtube.com/watch?v=v${i}`, title: `Video ${i}`, platform: 'youtube', transcript });
+  const errors = [];
+  const { rows, rejections } = buildHookRows([source(0), source(1), source(2)], [
+    { ...good, i: 0, mechanism: 'Result first' },
+    { ...good, i: 1, mechanism: 'vibes' },
+    { ...good, i: 2, mechanism: undefined },
+  ], errors);
+  assert.deepEqual(rows.map((r) => r.mechanism), ['result-first', ...Array(2).fill(inferMechanism(good.hook_verbatim))]);
+  assert.ok(MECHANISM_IDS.includes(rows[1].mechanism));
+  assert.deepEqual([rejections, errors], [{}, []]);
+});
+
+test('the fake provider labels a backfill batch with taxonomy ids', async () => {
+  const out = await fakeText({
+    prompt: HOOK_MECHANISM_PROMPT,
+    input: JSON.stringify({ hooks: [{ id: 4, verbatim: 'Stop eating late', template: 'Stop ___ late' }, { id: 9, verbatim: '', template: '3 ways to ___' }] }),
+  });
+  assert.deepEqual(out, { labels: { 4: 'mistake-warning', 9: 'numbered-list' } });
+  assert.ok(Object.values(out.labels).every((m) => MECHANISM_IDS.includes(m)));
+});
+
+test('the single-post pick prefers the mechanism recent posts used least', () => {
+  const fit = [
+    { id: 1, mechanism: 'mistake-warning', hook_template: 'Stop ___' },
+    { id: 2, mechanism: 'question', hook_template: 'Why ___?' },
+    { id: 3, mechanism: null, hook_template: 'I lost ___ in ___' },
+  ];
+  assert.deepEqual(leastUsedMechanismHooks(fit, []).map((h) => h.id), [1, 2, 3]);
+  const recent = ['mistake-warning', 'question', 'mistake-warning'];
+  assert.deepEqual(leastUsedMechanismHooks(fit, recent).map((h) => h.id), [3]);
+  // Tied on uses, the mechanism of the very last post waits a turn.
+  assert.deepEqual(leastUsedMechanismHooks(fit.slice(0, 2), ['question', 'mistake-warning']).map((h) => h.id), [1]);
+  // Legacy labels count toward their taxonomy id; the pool never empties.
+  assert.deepEqual(leastUsedMechanismHooks(fit.slice(0, 1), ['warning', 'warning']).map((h) => h.id), [1]);
+});
+
+test('GET /api/hooks filters on a normalized mechanism', () => {
+  const route = fs.readFileSync(new URL('../api/hooks.js', import.meta.url), 'utf8');
+  assert.match(route, /mechanism: normalizeMechanism\(req\.query\.mechanism\) \|\| null/);
+  const db = fs.readFileSync(new URL('../api/_db.js', import.meta.url), 'utf8');
+  const getHooks = db.slice(db.indexOf('export async function getHooks('), db.indexOf('return { hooks: rows'));
+  assert.equal(getHooks.match(/h\.mechanism = \$\{mechanism \|\| null\}/g).length, 2, 'rows and count filter alike');
+});
@@ -27,14 +27,15 @@ test('hook conflicts update copy only inside the same non-curated niche', () =>
   assert.match(upsert, /hooks\.curated = FALSE/);
 });
 
-test('fresh replacement is transactional and soft-retires only obsolete YouTube rows', () => {
+test('fresh replacement is transactional and soft-retires only obsolete mined rows', () => {
   assert.match(replacement, /sql\.transaction/);
   assert.match(replacement, /pg_advisory_xact_lock\(87000, 1\)/);
   assert.match(replacement, /active = TRUE/);
   assert.match(replacement, /ownership_complete/);
   assert.match(replacement, /curated = FALSE/);
-  assert.match(replacement, /platform = 'youtube'/);
-  assert.match(replacement, /SET platform = 'youtube_retired'/);
+  assert.match(replacement, /platform = ANY\(\$\{MINED_PLATFORMS\}\)/);
+  assert.match(replacement, /SET platform = platform \|\| '_retired'/);
+  assert.match(replacement, /SET platform = platform \|\| '_retired'[\s\S]*AND platform = ANY\(\$\{platforms\}\)/);
   assert.doesNotMatch(replacement, /DELETE FROM hooks/);
   assert.match(replacement, /UPDATE niches[\s\S]*last_mined_at = NOW\(\)/);
 });
@@ -83,7 +84,7 @@ test('manual and saved-hook paths hide inactive, retired, and cross-niche mined
   for (const query of [byIds, swipe, saveSwipe]) {
     assert.match(query, /n\.active = TRUE/);
     assert.match(query, /h\.curated = FALSE/);
-    assert.match(query, /h\.platform <> 'youtube_retired'/);
+    assert.match(query, /h\.platform <> ALL\(\$\{RETIRED_PLATFORMS\}\)/);
     assert.match(query, /h\.views >= 250000/);
   }
   for (const query of [byIds, swipe]) {
@@ -95,6 +96,6 @@ test('manual and saved-hook paths hide inactive, retired, and cross-niche mined
   );
   assert.match(swipeCount, /JOIN hooks/);
   assert.match(swipeCount, /n\.active = TRUE/);
-  assert.match(swipeCount, /h\.platform <> 'youtube_retired'/);
+  assert.match(swipeCount, /h\.platform <> ALL\(\$\{RETIRED_PLATFORMS\}\)/);
   assert.match(swipeCount, /h\.views >= 250000/);
 });
@@ -0,0 +1,247 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { advanceMineJob, runMineJobs, advanceNicheJob, MINE_JOB_MAX_ATTEMPTS } from '../api/_minejobs.js';
+import { assessFreshReadiness } from '../api/_miner.js';
+import { youtubeQuotaDay } from '../api/_ytquota.js';
+
+const TRANSCRIPT = 'Stop scrolling at night if you want better sleep because your brain needs a slow hour before bed.';
+const NICHE = { id: 7, slug: 'sleep-health', name: 'Sleep health', keywords: ['sleep tips'], seed_channels: ['UCsleep'] };
+
+function outliers(n) {
+  return Array.from({ length: n }, (_, i) => ({
+    url: `https://www.youtube.com/shorts/video${String(i).padStart(6, '0')}`,
+    title: `Video ${i}`, views: 900_000 - i, followers: 50_000, platform: 'youtube', score: 18,
+  }));
+}
+
+function extraction(i) {
+  return {
+    i, relevant: true, language: 'en', transferable: true, is_ad: false, quality_score: 5,
+    hook_verbatim: 'Stop scrolling at night if you want better sleep',
+    hook_template: 'Stop ___ at night if you want better sleep',
+    topic: 'sleep habits', mechanism: 'mistake-warning', format: 'talking_head',
+  };
+}
+
+// An in-memory mine_jobs / mine_job_candidates with the _db.js surface.
+function store({ found = outliers(20), existing = new Set(), stalest = [NICHE] } = {}) {
+  const jobs = new Map();
+  const candidates = new Map();
+  const calls = { discover: 0, discovered: [], transcripts: [], extract: 0, settled: [] };
+  let nextId = 1;
+  const open = (job) => !['done', 'failed'].includes(job.phase);
+  const deps = {
+    async createMineJob(nicheId, { dry = false, fresh = false, options = {} } = {}) {
+      if ([...jobs.values()].some((j) => j.niche_id === nicheId && open(j))) return null;
+      const niche = stalest.find((n) => n.id === nicheId) || NICHE;
+      const job = {
+        id: nextId++, niche_id: nicheId, niche_slug: niche.slug, niche_name: niche.name, niche_active: true, niche,
+        phase: 'discover', dry, fresh, options, platforms: [], scanned: 0, discovery_failures: 0,
+        extract_failures: 0, errors: [], attempts: 0, result: null, locked: false,
+      };
+      jobs.set(job.id, job);
+      candidates.set(job.id, []);
+      return { ...job };
+    },
+    async getMineJob(id) { return { ...jobs.get(id) }; },
+    async getOpenMineJobs({ nicheId = null, limit = 10 } = {}) {
+      return [...jobs.values()].filter((j) => open(j) && (nicheId === null || j.niche_id === nicheId))
+        .slice(0, limit).map((j) => ({ ...j }));
+    },
+    async expireMineJobs() { return 0; },
+    async claimMineJob(id) {
+      const job = jobs.get(id);
+      if (job.locked || !open(job)) return false;
+      job.locked = true;
+      return true;
+    },
+    async releaseMineJob(id) { jobs.get(id).locked = false; },
+    async updateMineJob(id, patch) {
+      const job = jobs.get(id);
+      if (patch.phase) job.phase = patch.phase;
+      if (patch.platforms) job.platforms = patch.platforms;
+      if (patch.scanned !== undefined) job.scanned = patch.scanned;
+      if (patch.discoveryFailures !== undefined) job.discovery_failures = patch.discoveryFailures;
+      job.extract_failures += patch.extractFailures || 0;
+      job.errors.push(...(patch.errors || []));
+      if (patch.attempts !== undefined) job.attempts = patch.attempts;
+      if (patch.result) job.result = patch.result;
+    },
+    async addMineJobCandidates(id, list) {
+      candidates.get(id).push(...list.map((c, ordinal) => ({
+        ...c, ordinal, status: 'found', transcript: null, transcript_provider: null, extraction: null,
+      })));
+    },
+    async getMineJobCandidates(id, statuses = null) {
+      return candidates.get(id).filter((c) => !statuses || statuses.includes(c.status)).map((c) => ({ ...c }));
+    },
+    async checkpointMineJobCandidates(id, updates) {
+      for (const u of updates) {
+        const c = candidates.get(id).find((row) => row.url === u.url);
+        c.status = u.status;
+        if (u.transcript) c.transcript = u.transcript;
+        if (u.transcriptProvider) c.transcript_provider = u.transcriptProvider;
+        if (u.extraction) c.extraction = u.extraction;
+      }
+    },
+    async getExistingHookUrls(urls) { return new Set(urls.filter((u) => existing.has(u))); },
+    async getStalestNiches(limit) { return stalest.slice(0, limit); },
+    async discoverCandidates(niche, apiKey, opts) {
+      calls.discover++;
+      calls.discovered.push({ ...niche, opts });
+      return { scanned: 40, outliers: found, discoveryFailures: 0, errors: [], platforms: ['youtube'] };
+    },
+    transcriptProvider: async (candidate) => {
+      calls.transcripts.push(candidate.url);
+      return { text: TRANSCRIPT, provider: 'supadata' };
+    },
+    async extractHooks(niche, list) {
+      calls.extract++;
+      return { extracted: list.map((_, i) => extraction(i)), failed: new Set(), failures: 0, errors: [] };
+    },
+    // Stands in for the write: reports the totals the gates were judged on.
+    async settleMine(niche, run) {
+      calls.settled.push(run);
+      return { niche: niche.slug, accepted: run.rows.length, ...assessFreshReadiness({ ...run, accepted: run.rows.length }) };
+    },
+    async sleep() {},
+  };
+  return { deps, jobs, candidates, calls };
+}
+
+test('a job cut short mid-transcripts resumes at the first unfinished candidate', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const { deps, calls, candidates } = store();
+  deps.transcriptProvider = async (candidate) => {
+    calls.transcripts.push(candidate.url);
+    t.mock.timers.tick(5_000);
+    return { text: TRANSCRIPT, provider: 'supadata' };
+  };
+  const job = await deps.createMineJob(NICHE.id, {});
+
+  const first = await advanceMineJob(job, { deadline: 20_000, deps });
+  assert.deepEqual([first.phase, first.done], ['transcripts', false]);
+  const checkpointed = candidates.get(job.id).filter((c) => c.status === 'transcribed').length;
+  assert.equal(checkpointed, calls.transcripts.length);
+
+  const second = await advanceMineJob(await deps.getMineJob(job.id), { deadline: Date.now() + 1_000_000, deps });
+  assert.equal(second.done, true);
+  assert.equal(calls.discover, 1, 'discovery is not repeated');
+  assert.deepEqual([calls.discovered[0].keywords, calls.discovered[0].seed_channels], [['sleep tips'], ['UCsleep']]);
+  assert.equal(new Set(calls.transcripts).size, calls.transcripts.length, 'no transcript is fetched twice');
+  assert.equal(calls.transcripts.length, 12, 'the spend stops at maxExtractions');
+  // Two beyond maxTranscripts, six the queue never needed.
+  assert.equal(candidates.get(job.id).filter((c) => c.status === 'skipped').length, 8);
+  assert.equal(second.accepted, 12);
+});
+
+test('fresh readiness is judged over the whole job, not one invocation', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const { deps, calls } = store();
+  deps.transcriptProvider = async (candidate) => {
+    calls.transcripts.push(candidate.url);
+    t.mock.timers.tick(4_000);
+    return { text: TRANSCRIPT, provider: 'timedtext' };
+  };
+  let result;
+  let runs = 0;
+  while (runs < 5 && !result?.done) {
+    runs++;
+    result = await advanceNicheJob(NICHE, { dry: true, fresh: true, timeBudgetMs: 15_000, deps });
+  }
+  assert.equal(result.done, true);
+  assert.ok(runs > 1, 'no single invocation saw all 12 transcripts');
+  const [run] = calls.settled;
+  assert.equal(run.transcriptEligible, 12);
+  assert.equal(run.evaluated, 12);
+  assert.equal(run.transcriptAttempts, 12);
+  assert.deepEqual(run.transcriptProviders, { timedtext: 12 });
+  assert.deepEqual([result.canApply, result.blockers], [true, []]);
+});
+
+test('known sources are refreshed, not re-transcribed, by an incremental job', async () => {
+  const found = outliers(4);
+  const { deps, calls } = store({ found, existing: new Set([found[0].url]) });
+  const job = await deps.createMineJob(NICHE.id, {});
+  const result = await advanceMineJob(job, { deadline: Date.now() + 60_000, deps });
+  assert.equal(result.done, true);
+  assert.ok(!calls.transcripts.includes(found[0].url));
+  assert.deepEqual(calls.settled[0].refresh.map((c) => c.url), [found[0].url]);
+  assert.equal(calls.settled[0].refresh[0].views, found[0].views);
+});
+
+test('a failing phase is retried by later runs, then the job is given up', async () => {
+  const { deps, jobs } = store();
+  deps.discoverCandidates = async () => { throw new Error('YouTube quota exceeded'); };
+  const job = await deps.createMineJob(NICHE.id, {});
+  for (let run = 1; run <= MINE_JOB_MAX_ATTEMPTS; run++) {
+    const result = await advanceMineJob(await deps.getMineJob(job.id), { deadline: Date.now() + 60_000, deps });
+    assert.equal(result.phase, run < MINE_JOB_MAX_ATTEMPTS ? 'discover' : 'failed');
+    assert.equal(result.error, 'YouTube quota exceeded');
+  }
+  assert.deepEqual(jobs.get(job.id).errors, Array(MINE_JOB_MAX_ATTEMPTS).fill('discover: YouTube quota exceeded'));
+  assert.equal(jobs.get(job.id).locked, false, 'the lease is released');
+});
+
+test('a job another run holds is left alone', async () => {
+  const { deps, calls } = store();
+  const job = await deps.createMineJob(NICHE.id, {});
+  await deps.claimMineJob(job.id);
+  const result = await advanceMineJob(job, { deadline: Date.now() + 60_000, deps });
+  assert.deepEqual([result.busy, result.done, calls.discover], [true, false, 0]);
+});
+
+test('the cron continues open jobs before starting the stalest niches', async () => {
+  const other = { id: 8, slug: 'personal-finance', name: 'Personal finance' };
+  const third = { id: 9, slug: 'productivity-focus', name: 'Productivity' };
+  const { deps } = store({ stalest: [NICHE, other, third] });
+  const started = await deps.createMineJob(other.id, {});
+  const sweep = await runMineJobs({ nichesPerRun: 2, deps });
+  assert.deepEqual(sweep.results.map((r) => [r.job, r.niche]), [[started.id, 'personal-finance'], [2, 'sleep-health']]);
+  assert.equal(sweep.mined, 2);
+});
+
+test('the cron shares today\'s YouTube quota across its new jobs, stalest first', async () => {
+  const other = { id: 8, slug: 'personal-finance', name: 'Personal finance' };
+  const { deps, jobs, calls } = store({ stalest: [NICHE, other] });
+  const day = youtubeQuotaDay();
+  const planned = [];
+  deps.planYouTubeSearches = async (niches) => {
+    planned.push(niches.map((n) => n.id));
+    return new Map([[NICHE.id, { day, keywords: 6, channels: 3, units: 908 }], [other.id, { day, keywords: 2, channels: 0, units: 202 }]]);
+  };
+  await runMineJobs({ apiKey: 'k', nichesPerRun: 2, deps });
+  assert.deepEqual(planned, [[7, 8]], 'one plan for the whole sweep');
+  assert.deepEqual(jobs.get(2).options.youtube, { day, keywords: 2, channels: 0, units: 202 });
+  assert.deepEqual(calls.discovered.map((d) => d.opts.youtubePlan.keywords), [6, 2]);
+
+  // A plan made on an earlier quota day is dropped; discovery plans again.
+  const stale = await deps.createMineJob(9, { options: { youtube: { day: '2000-01-01', keywords: 6, channels: 3 } } });
+  await advanceMineJob(stale, { deadline: Date.now() + 60_000, deps });
+  assert.equal(calls.discovered.at(-1).opts.youtubePlan, undefined);
+});
+
+test('an open job with other flags is reported, not advanced', async () => {
+  const { deps, calls } = store();
+  await deps.createMineJob(NICHE.id, { dry: true });
+  const result = await advanceNicheJob(NICHE, { fresh: true, deps });
+  assert.deepEqual([result.conflict, result.dry, result.fresh, calls.discover], [true, true, false, 0]);
+});
+
+test('a dry sweep previews the stalest niches and leaves the open jobs alone', async () => {
+  const { deps, jobs, calls } = store();
+  const open = await deps.createMineJob(NICHE.id);
+  const previewed = [];
+  deps.mineNiche = async (niche, apiKey, opts) => {
+    previewed.push([niche.slug, opts.dry]);
+    return { niche: niche.slug, dry: true, accepted: 3 };
+  };
+  deps.expireMineJobs = async () => { throw new Error('a dry sweep writes nothing'); };
+  const sweep = await runMineJobs({ apiKey: 'k', dry: true, deps });
+  assert.deepEqual(previewed, [['sleep-health', true]]);
+  assert.deepEqual(sweep, { mined: 1, results: [{ niche: 'sleep-health', dry: true, accepted: 3 }] });
+  assert.equal(jobs.size, 1, 'no job row for a dry run');
+  assert.equal(jobs.get(open.id).phase, 'discover');
+  assert.deepEqual([calls.discover, calls.settled.length], [0, 0]);
+});
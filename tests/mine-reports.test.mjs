@@ -0,0 +1,140 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import {
+  mineRunMode, buildMineReport, compareMineReports, RECENT_RUNS,
+} from '../api/_minereports.js';
+import { buildHookRows, assessFreshReadiness } from '../api/_miner.js';
+import handler from '../api/mine.js';
+
+const transcript = 'I deleted three apps and finally got my mornings back. Here is the exact routine I use now.';
+const good = {
+  relevant: true,
+  language: 'en',
+  transferable: true,
+  is_ad: false,
+  quality_score: 5,
+  hook_verbatim: 'I deleted three apps and finally got my mornings back.',
+  hook_template: 'I deleted ___ and finally got my mornings back.',
+  topic: 'digital habit reset',
+  mechanism: 'result-first',
+};
+
+function source(i) {
+  return { url: `https://www.youtube.com/watch?v=v${i}`, title: `Video ${i}`, platform: 'youtube', transcript, views: 400_000, followers: 1_000, score: 400 };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+test('a run is filed as fresh, light or incremental', () => {
+  assert.equal(mineRunMode({ fresh: true, light: true }), 'fresh');
+  assert.equal(mineRunMode({ light: true }), 'light');
+  assert.equal(mineRunMode({ dry: true }), 'incremental');
+});
+
+test('the quality gate counts its rejections by reason', () => {
+  const errors = [];
+  const built = buildHookRows([source(0), source(1), source(2), source(3)], [
+    { ...good, i: 0 },
+    { ...good, i: 1, relevant: false },
+    { ...good, i: 2, mechanism: 'vibes' },
+    { ...good, i: 3, relevant: false },
+  ], errors);
+  assert.equal(built.rows.length, 2, 'an unknown mechanism is inferred, not rejected');
+  assert.deepEqual(built.rejections, { 'off-niche': 2 });
+  assert.equal(errors.length, 2);
+});
+
+test('a report holds the run\'s counts, rejections and fresh blockers', () => {
+  const run = {
+    rows: [{}, {}], rejections: { 'weak opening': 3 }, light: true, jobId: 12,
+    scanned: 80, outliers: 14, transcriptAttempts: 9, transcriptFailures: 4, transcriptEligible: 5,
+    evaluated: 5,
+  };
+  const readiness = assessFreshReadiness({ ...run, accepted: 2 });
+  const report = buildMineReport(run, { inserted: 2, errors: ['a', 'b'] }, readiness);
+  assert.deepEqual(report, {
+    mode: 'light', dry: false, jobId: 12, scanned: 80, discovered: 14,
+    transcriptAttempts: 9, transcriptFailures: 4, transcriptEligible: 5,
+    rejections: { 'weak opening': 3 }, accepted: 2,
+    freshBlockers: readiness.blockers, applied: null, errorCount: 2,
+  });
+  assert.ok(report.freshBlockers.length > 0);
+  assert.equal(buildMineReport({ ...run, dry: true }, { errors: [] }, readiness).applied, false);
+  assert.equal(buildMineReport({ ...run, fresh: true }, { applied: true, errors: [] }, readiness).applied, true);
+});
+
+test('a niche whose recent runs yield half as much is drying up', () => {
+  const day = (n) => new Date(Date.UTC(2026, 8, n)).toISOString();
+  const run = (niche, n, discovered, accepted, extra = {}) => ({
+    niche, createdAt: day(n), mode: 'incremental', dry: false, discovered, accepted, rejections: {}, ...extra,
+  });
+  const reports = [
+    run('sleep-health', 1, 30, 10, { rejections: { 'off-niche': 2 } }),
+    run('sleep-health', 2, 28, 9),
+    run('sleep-health', 3, 12, 3, { rejections: { 'off-niche': 1, 'weak opening': 4 } }),
+    run('sleep-health', 4, 10, 2),
+    run('sleep-health', 5, 11, 4),
+    // A dry preview and a light mine never count toward the routine trend.
+    run('sleep-health', 6, 60, 20, { dry: true }),
+    run('sleep-health', 7, 5, 1, { mode: 'light' }),
+    run('personal-finance', 1, 20, 6),
+    run('personal-finance', 2, 22, 7),
+  ].reverse();
+  const [first, second] = compareMineReports(reports);
+  assert.equal(first.niche, 'sleep-health', 'the niche running dry is listed first');
+  assert.equal(first.dryingUp, true);
+  assert.deepEqual(first.runs.map((r) => r.createdAt), [1, 2, 3, 4, 5, 6, 7].map(day));
+  assert.deepEqual(first.rejections, { 'off-niche': 3, 'weak opening': 4 });
+  assert.deepEqual(first.trends.incremental, {
+    runs: 5,
+    recent: { discovered: 11, accepted: 3 },
+    earlier: { discovered: 29, accepted: 9.5 },
+    dryingUp: true,
+  });
+  assert.deepEqual(first.trends.light, {
+    runs: 1, recent: { discovered: 5, accepted: 1 }, earlier: null, dryingUp: false,
+  });
+  assert.equal(second.niche, 'personal-finance');
+  assert.equal(second.trends.incremental.runs, 2);
+  assert.ok(second.trends.incremental.runs <= RECENT_RUNS && second.trends.incremental.earlier === null);
+  assert.equal(second.dryingUp, false);
+});
+
+test('every settled mine files a report, light mines included', () => {
+  const miner = fs.readFileSync(new URL('../api/_miner.js', import.meta.url), 'utf8');
+  const settle = miner.slice(miner.indexOf('export async function settleMine('), miner.indexOf('async function writeMine('));
+  assert.match(settle, /saveMineReport\(niche\.id, buildMineReport\(/);
+  assert.match(miner, /rows, rejections, dry, fresh, light,/);
+  const jobs = fs.readFileSync(new URL('../api/_minejobs.js', import.meta.url), 'utf8');
+  assert.match(jobs, /rejections: built\.rejections,\s+jobId: job\.id,/);
+  const profile = fs.readFileSync(new URL('../api/profile.js', import.meta.url), 'utf8');
+  assert.match(profile, /maxTranscripts: 6, light: true/);
+});
+
+test('GET /api/mine?action=reports is admin-only', async () => {
+  process.env.CRON_SECRET = 'cron-test';
+  process.env.ADMIN_SECRET = 'admin-test';
+  const res = response();
+  await handler({ method: 'GET', headers: { authorization: 'Bearer cron-test' }, query: { action: 'reports' } }, res);
+  assert.equal(res.statusCode, 401);
+  assert.match(res.body.error, /ADMIN_SECRET/);
+
+  const post = response();
+  await handler({ method: 'POST', headers: { authorization: 'Bearer admin-test' }, query: { action: 'reports' } }, post);
+  assert.equal(post.statusCode, 405);
+});
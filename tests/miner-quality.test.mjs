@@ -17,10 +17,11 @@ const good = {
   hook_verbatim: 'I deleted three apps and finally got my mornings back.',
   hook_template: 'I deleted ___ and finally got my mornings back.',
   topic: 'digital habit reset',
+  mechanism: 'result-first',
 };
 
 test('accepts a strong hook grounded near the transcript opening', () => {
-  assert.deepEqual(validateHookExtraction(good, transcript), { ok: true, reason: '' });
+  assert.deepEqual(validateHookExtraction(good, transcript), { ok: true, reason: '', mechanism: 'result-first' });
 });
 
 test('rejects a title-derived line that is absent from the transcript', () => {
@@ -115,7 +116,7 @@ test('fresh rebuilds do not steal a globally-owned video from another niche', ()
 });
 
 test('every mining upstream has a bounded request timeout', () => {
-  for (const file of ['../api/_youtube.js', '../api/_transcript.js', '../api/_shared.js']) {
+  for (const file of ['../api/_youtube.js', '../api/_tiktok.js', '../api/_textsources.js', '../api/_transcript.js', '../api/_shared.js', '../api/_llm.js']) {
     const source = fs.readFileSync(new URL(file, import.meta.url), 'utf8');
     assert.match(source, /signal:\s*AbortSignal\.timeout\(/, file);
   }
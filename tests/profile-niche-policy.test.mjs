@@ -32,7 +32,7 @@ test('save-time classification resolves against shared pools and fails closed',
   assert.match(saveHandler, /shouldReuseStoredAudience\(currentProfile, cleaned, activeNiches\)/);
   assert.match(saveHandler, /existing_niches: nicheCatalogueForPrompt\(activeNiches\)/);
   assert.match(saveHandler, /validateAudienceChoice\(choice, activeNiches\)/);
-  assert.match(saveHandler, /\}\), 0\)/);
+  assert.match(saveHandler, /\}\), 0, \{ site: 'profile' \}\)/);
   assert.match(saveHandler, /return res\.status\(502\)/);
   assert.doesNotMatch(saveHandler, /body\.profile\?\.audience_niche\?\.keywords/);
   assert.doesNotMatch(saveHandler, /ensureNiche\([^;]+\.catch/);
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import { buildPlanPayload, cleanRationale, mergeRationale, resolveHookPick, writeCarouselPlan } from '../api/_generate.js';
+import { CAROUSEL_COPY_PROMPT, HOOK_PICK_PROMPT } from '../api/_prompts.js';
+
+const carousel = fs.readFileSync(new URL('../api/carousel.js', import.meta.url), 'utf8');
+
+const PROFILE = { name: 'Quietly', what: 'Blocks distracting apps on a schedule.', facts: ['Blocks apps on a schedule'] };
+const POOL = [
+  { id: 7, hook_template: 'Stop doing ___ before bed', hook_verbatim: 'Stop doing this before bed', topic: 'sleep' },
+  { id: 9, hook_template: 'I quit ___ for 30 days', hook_verbatim: 'I quit sugar for 30 days', topic: 'diet' },
+];
+const FIT = { mechanism: 'a command that names a bad habit', subject: 'late-night snacking -> late-night scrolling', job: 'keeps the phone out of bedtime' };
+
+test('the hook screen\'s reason rides on the picked hook; the pool is untouched', () => {
+  const picked = resolveHookPick(POOL, { ids: [9, 7], reasons: { 7: FIT, 9: 'not an object' } });
+  assert.deepEqual(picked.map((h) => h.id), [9, 7]);
+  assert.equal(picked[0], POOL[1], 'no usable reason: the row as it was');
+  assert.deepEqual(picked[1].fit, FIT);
+  assert.equal(POOL[0].fit, undefined);
+  assert.deepEqual(resolveHookPick(POOL, { ids: [7] }), [POOL[0]], 'reasons are optional');
+});
+
+test('a rationale is three plain lines; the copy model\'s wins field by field', () => {
+  assert.equal(cleanRationale(null), null);
+  assert.equal(cleanRationale({ mechanism: '  ', other: 'x' }), null);
+  assert.deepEqual(cleanRationale({ mechanism: 'a\ncount\tdown', job: 'x'.repeat(300) }), { mechanism: 'a count down', subject: '', job: 'x'.repeat(200) });
+  assert.deepEqual(mergeRationale({ mechanism: 'a flipped confession' }, FIT), { ...FIT, mechanism: 'a flipped confession' });
+  assert.deepEqual(mergeRationale(null, FIT), FIT);
+  assert.equal(mergeRationale(null, null), null);
+});
+
+test('both prompts ask for the rationale and the copy prompt is handed the screen\'s', () => {
+  assert.match(HOOK_PICK_PROMPT, /"reasons": \{"7": \{"mechanism"/);
+  assert.match(CAROUSEL_COPY_PROMPT, /"rationale": \{ "mechanism"/);
+  const payload = buildPlanPayload({ profile: PROFILE, hook: { ...POOL[0], fit: FIT }, kind: 'value', slideCount: 6, tone: 'casual' });
+  assert.deepEqual(payload.hook.fit, FIT);
+  assert.equal(buildPlanPayload({ profile: PROFILE, hook: POOL[0], kind: 'value', slideCount: 6, tone: 'casual' }).hook.fit, null);
+});
+
+test('a plan carries its rationale, and Create stores and returns it', async () => {
+  const saved = process.env.LLM_PROVIDER;
+  process.env.LLM_PROVIDER = 'fake';
+  try {
+    const plan = await writeCarouselPlan({ profile: PROFILE, hook: { ...POOL[0], fit: FIT }, kind: 'value', styleOverride: 'mono' });
+    assert.equal(plan.rationale.mechanism, FIT.mechanism);
+    assert.equal(plan.rationale.job, PROFILE.what);
+  } finally {
+    if (saved === undefined) delete process.env.LLM_PROVIDER;
+    else process.env.LLM_PROVIDER = saved;
+  }
+  assert.match(carousel, /saveCarouselRationale\(saved\.id, plan\.rationale\)/);
+  assert.match(carousel, /rationale: plan\.rationale,/);
+});
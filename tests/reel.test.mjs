@@ -21,6 +21,16 @@ test('builds a silent 1080p 9:16 MP4 with deliberate slide timing', () => {
   assert.equal(reelSceneLength(5, 6), 8.5);
 });
 
+test('long decks share a one-minute Reel without dropping below reading pace', () => {
+  const urls = Array.from({ length: 10 }, (_, i) => `https://example.com/${i}.jpg`);
+  const clips = buildReelEdit(urls).timeline.tracks[0].clips;
+  const last = clips[clips.length - 1];
+  assert.equal(clips[0].length, 4);
+  assert.ok(last.start + last.length <= 60);
+  assert.ok(clips.slice(1).every((clip) => clip.length >= 6));
+  assert.equal(reelSceneLength(1, 3), 8.5);
+});
+
 test('Reel slide asset signatures reject tampering and expiry', () => {
   const payload = { carouselId: 42, index: 2, expires: 2_000_000_000 };
   const signature = signReelAsset(payload, 'test-secret');
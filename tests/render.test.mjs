@@ -2,7 +2,7 @@ import test from 'node:test';
 import assert from 'node:assert';
 import { createCanvas, loadImage } from '@napi-rs/canvas';
 import { renderReelSlideJpeg, renderSlidePngs } from '../api/_render.js';
-import { SLIDE_W, SLIDE_H } from '../slide-render.mjs';
+import { SLIDE_W, SLIDE_H, wrapText } from '../slide-render.mjs';
 
 // 1x1 red PNG
 const PX = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
@@ -62,6 +62,22 @@ test('the hero image is used for slide 0 only', async () => {
   assert.ok(withHero[1].equals(without[1]));
 });
 
+// An edited queued post keeps only heading/body/cta per slide, so the hero and
+// the watermark must follow position, not a stored index.
+test('slides without an index still put the hero first and the watermark last', async () => {
+  const bare = SLIDES.map(({ heading, body }) => ({ heading, body }));
+  const indexed = await renderSlidePngs({
+    slides: SLIDES, style: 'bold', accent: '#22C55E',
+    bgBase64: PX, heroBase64: BLUE, watermark: true,
+  });
+  const positional = await renderSlidePngs({
+    slides: bare, style: 'bold', accent: '#22C55E',
+    bgBase64: PX, heroBase64: BLUE, watermark: true,
+  });
+  assert.ok(indexed[0].equals(positional[0]));
+  assert.ok(indexed[1].equals(positional[1]));
+});
+
 // The scrim used to be a fixed gradient sized for a short hook. A long heading
 // ran straight past it into bare photo — white type on a bright frame.
 test('a long hook heading stays inside the hero scrim', async () => {
@@ -215,3 +231,19 @@ test('an undecodable hero degrades to the background instead of throwing', async
   assert.equal(bufs.length, 2);
   assert.ok(bufs[0].equals(baseline[0])); // slide 0 fell back to the bg render
 });
+
+// Posts can be written in Spanish, German, French, Portuguese or Italian.
+test('wrapText keeps accented words whole and breaks a word wider than the line', () => {
+  const x = createCanvas(SLIDE_W, SLIDE_H).getContext('2d');
+  x.font = '800 72px sans-serif';
+  const accented = wrapText(x, 'Así dejé de contar calorías sin perder el ritmo', 880);
+  assert.equal(accented.join(' '), 'Así dejé de contar calorías sin perder el ritmo');
+  assert.ok(accented.every((line) => x.measureText(line).width <= 880));
+  // combining marks are normalised before measuring
+  assert.equal(wrapText(x, 'Mu\u0308sli', 880)[0], 'M\u00fcsli');
+  const compound = 'Donaudampfschifffahrtsgesellschaftskapitänsmütze';
+  const lines = wrapText(x, compound, 400);
+  assert.ok(lines.length > 1);
+  assert.equal(lines.join(''), compound);
+  assert.ok(lines.every((line) => x.measureText(line).width <= 400));
+});
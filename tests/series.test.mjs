@@ -0,0 +1,140 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import {
+  cleanSeriesParts, cleanSeriesTheme, nextSlotSource, pickSeriesHook, prepareSeriesPart, seriesEntry, summarizeSlides,
+  MAX_SERIES_PARTS,
+} from '../api/_series.js';
+import { buildPlanPayload, cleanSeriesContext, writeCarouselPlan } from '../api/_generate.js';
+import { CAROUSEL_COPY_PROMPT } from '../api/_prompts.js';
+import { renderSlidePngs } from '../api/_render.js';
+import { seriesLabel } from '../slide-render.mjs';
+
+const runner = fs.readFileSync(new URL('../api/_autopilot-runner.js', import.meta.url), 'utf8');
+const carousel = fs.readFileSync(new URL('../api/carousel.js', import.meta.url), 'utf8');
+const social = fs.readFileSync(new URL('../api/social.js', import.meta.url), 'utf8');
+
+const PX = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+const PROFILE = { name: 'Quietly', what: 'Blocks distracting apps on a schedule.', facts: ['Blocks apps on a schedule'] };
+const HOOK = { id: 7, hook_template: 'Stop doing ___ before bed', hook_verbatim: 'Stop doing this before bed', topic: 'sleep' };
+const SLIDES = [
+  { index: 0, heading: 'Stop scrolling before bed', body: '' },
+  { index: 1, heading: 'Blue light is the small problem', body: 'The feed keeps your brain switched on.' },
+  { index: 2, heading: 'Set a phone curfew', body: '', cta: 'Get Quietly. Link in bio.' },
+];
+
+function hook(id, template) {
+  return { id, hook_template: template, hook_verbatim: template.replace(/___/g, 'x') };
+}
+
+test('a series runs 2 to 5 parts on a one-line theme', () => {
+  assert.equal(cleanSeriesParts('3'), 3);
+  assert.equal(cleanSeriesParts(1), null);
+  assert.equal(cleanSeriesParts(MAX_SERIES_PARTS + 1), null);
+  assert.equal(cleanSeriesParts('lots'), null);
+  assert.equal(cleanSeriesTheme('  Sleep,\n fixed in a week '), 'Sleep, fixed in a week');
+  assert.equal(cleanSeriesTheme('x'.repeat(300)).length, 200);
+});
+
+test('the badge reads "Part N of M" and only for a real place in a series', () => {
+  assert.equal(seriesLabel({ part: 2, of: 5 }), 'Part 2 of 5');
+  assert.equal(seriesLabel({ part: 6, of: 5 }), '');
+  assert.equal(seriesLabel({ part: 1, of: 1 }), '');
+  assert.equal(seriesLabel({ part: 1.5, of: 3 }), '');
+  assert.equal(seriesLabel(null), '');
+});
+
+test('every slide of a part carries the badge; a single post renders as before', async () => {
+  const base = { slides: SLIDES, style: 'bold', accent: '#22C55E', bgBase64: PX, watermark: false };
+  const plain = await renderSlidePngs(base);
+  const part = await renderSlidePngs({ ...base, series: { id: 4, part: 2, of: 3 } });
+  const nulled = await renderSlidePngs({ ...base, series: null });
+  part.forEach((png, i) => assert.ok(!png.equals(plain[i]), `slide ${i} should show the badge`));
+  nulled.forEach((png, i) => assert.ok(png.equals(plain[i])));
+});
+
+test('the plan payload carries the theme, the shared mechanism and what earlier parts said', () => {
+  const series = {
+    theme: 'Sleep, fixed in a week', part: 2, of: 3, mechanism: 'warning',
+    previous: [{ part: 1, slides: summarizeSlides(SLIDES) }, { part: 2, slides: ['not yet written'] }],
+  };
+  const payload = buildPlanPayload({ profile: PROFILE, hook: HOOK, kind: 'value', slideCount: 6, tone: 'casual', series });
+  assert.deepEqual(payload.series, {
+    theme: 'Sleep, fixed in a week', part: 2, of: 3, mechanism: 'warning',
+    previous: [{ part: 1, slides: ['Stop scrolling before bed', 'Blue light is the small problem', 'Set a phone curfew'] }],
+  });
+  assert.equal(buildPlanPayload({ profile: PROFILE, hook: HOOK, kind: 'value', slideCount: 6, tone: 'casual' }).series, null);
+  assert.equal(cleanSeriesContext({ theme: 'x', part: 4, of: 3 }), null);
+  assert.match(CAROUSEL_COPY_PROMPT, /series\.mechanism/);
+  assert.match(CAROUSEL_COPY_PROMPT, /Never write "Part N of M" on a slide/);
+});
+
+test('later parts keep the series mechanism and prefer a hook no part used yet', () => {
+  const series = { mechanism: 'warning', written: [{ part: 1, hookId: 1 }] };
+  const fit = [hook(2, 'Why does nobody talk about ___?'), hook(1, 'Stop doing ___'), hook(3, 'Never buy ___ again')];
+  assert.equal(pickSeriesHook(fit, series).id, 3);
+  assert.equal(pickSeriesHook(fit.slice(0, 2), series), null);
+});
+
+test('part 1 opens on the series hook; the part after it reads back what part 1 covered', async () => {
+  const fresh = { id: null, theme: 'Sleep', parts: 3, mechanism: 'warning', hook_id: 7, hook: HOOK, written: [] };
+  const first = await prepareSeriesPart(PROFILE, fresh);
+  assert.equal(first.hook, HOOK);
+  assert.deepEqual(first.badge, { id: null, part: 1, of: 3 });
+  assert.deepEqual(first.context.previous, []);
+
+  const saved = { ...fresh, id: 9, hook: undefined, written: [seriesEntry(1, { hook: HOOK, style: 'mono', slides: SLIDES })] };
+  // No audience niche -> nothing screens; the series hook is looked up by id.
+  await assert.rejects(prepareSeriesPart(PROFILE, { ...saved, hook_id: null }), /No hooks/);
+  await assert.rejects(prepareSeriesPart(PROFILE, { ...saved, parts: 1 }), /already complete/);
+});
+
+test('a series part is written offline with the context in the payload', async () => {
+  const saved = process.env.LLM_PROVIDER;
+  process.env.LLM_PROVIDER = 'fake';
+  try {
+    const plan = await writeCarouselPlan({
+      profile: PROFILE, hook: HOOK, kind: 'value', styleOverride: 'mono',
+      series: { theme: 'Sleep', part: 2, of: 3, mechanism: 'warning', previous: [{ part: 1, slides: ['Stop scrolling before bed'] }] },
+    });
+    assert.equal(plan.style, 'mono');
+    assert.ok(plan.slides.length >= 3);
+    assert.deepEqual(seriesEntry(2, plan).slides, summarizeSlides(plan.slides));
+  } finally {
+    if (saved === undefined) delete process.env.LLM_PROVIDER;
+    else process.env.LLM_PROVIDER = saved;
+  }
+});
+
+test('a release that comes out mid-series waits for the series\' last part', () => {
+  // One slot per topup run, as MAX_TOPUP_POSTS_PER_RUN allows: the runner
+  // drops the release once announced and the series once its last part is in.
+  let series = { id: 3, parts: 3, written: [] };
+  let release = { id: 'v2.0.0', changes: ['Dark mode'] };
+  const slots = [];
+  for (let run = 0; run < 5; run++) {
+    const source = nextSlotSource({ release, series });
+    slots.push(source);
+    if (source === 'series') {
+      series.written.push({ part: series.written.length + 1 });
+      if (series.written.length === series.parts) series = null;
+    }
+    if (source === 'release') release = null;
+  }
+  assert.deepEqual(slots, ['series', 'series', 'series', 'release', null]);
+  assert.equal(nextSlotSource({ release: { id: 'v2.0.0' }, series: null }), 'release');
+});
+
+test('autopilot writes series parts into consecutive slots and badges what it publishes', () => {
+  assert.match(runner, /const source = nextSlotSource\(\{ release, series \}\)/);
+  assert.match(runner, /const part = source === 'series' \? await prepareSeriesPart\(user\.profile, series\) : null/);
+  assert.match(runner, /hook: part\?\.hook, series: part\?\.context/);
+  assert.match(runner, /releaseId: announcing\?\.id, series: part\?\.badge/);
+  assert.match(runner, /watermark: false, series: post\.series/);
+  assert.ok(runner.indexOf('recordSeriesPart(') > runner.indexOf('await consumeCarousel(user, gate.source)'));
+  assert.match(social, /'start-series'/);
+  assert.match(social, /payload\.series = publicSeries/);
+  // Create checks the series before any allowance is spent.
+  assert.ok(carousel.indexOf("error: 'Sign in to write a series.'") < carousel.indexOf('gate = canGenerateCarousel(user)'));
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import { avoidAngles, findSimilarPosts, jaccard, shingles, SIMILARITY_THRESHOLD } from '../api/_similarity.js';
+import { buildPlanPayload, writeCarouselPlan } from '../api/_generate.js';
+import { CAROUSEL_COPY_PROMPT } from '../api/_prompts.js';
+
+const runner = fs.readFileSync(new URL('../api/_autopilot-runner.js', import.meta.url), 'utf8');
+const carousel = fs.readFileSync(new URL('../api/carousel.js', import.meta.url), 'utf8');
+
+const PROFILE = { name: 'Quietly', what: 'Blocks distracting apps on a schedule.', facts: ['Blocks apps on a schedule'] };
+const HOOK = { id: 7, hook_template: 'Stop doing ___ before bed', hook_verbatim: 'Stop doing this before bed', topic: 'sleep' };
+
+const SLEEP = [
+  { heading: 'Stop scrolling before bed', body: '' },
+  { heading: 'Blue light is the small problem', body: 'The feed keeps your brain switched on long after you put the phone down.' },
+  { heading: 'Set a phone curfew', body: 'Pick a time and put the phone in another room every night.' },
+];
+const REWORDED = [
+  { heading: 'Quit scrolling before bed', body: '' },
+  { heading: 'Blue light is the small problem', body: 'The feed keeps your brain switched on long after the phone goes down.' },
+  { heading: 'Set a phone curfew tonight', body: 'Pick a time and put the phone in another room each night.' },
+];
+const UNRELATED = [
+  { heading: 'Three ways to batch your email', body: '' },
+  { heading: 'Check it twice a day', body: 'Morning and mid-afternoon cover almost every reply that matters.' },
+];
+
+function withFakeLlm(fn) {
+  const saved = process.env.LLM_PROVIDER;
+  process.env.LLM_PROVIDER = 'fake';
+  return fn().finally(() => {
+    if (saved === undefined) delete process.env.LLM_PROVIDER;
+    else process.env.LLM_PROVIDER = saved;
+  });
+}
+
+test('shingles ignore case and punctuation; overlap is Jaccard', () => {
+  assert.deepEqual([...shingles("Don't STOP, now. Please")], ['dont stop now', 'stop now please']);
+  assert.deepEqual([...shingles('Hi there')], ['hi there']);
+  assert.equal(jaccard(new Set(['a', 'b']), new Set(['b', 'c'])), 1 / 3);
+  assert.equal(jaccard(new Set(), new Set(['a'])), 0);
+});
+
+test('a reworded deck is caught; a different post in the same feed is not', () => {
+  const recent = [{ id: 'post-1', slides: UNRELATED }, { id: 'post-2', slides: SLEEP }];
+  const found = findSimilarPosts(REWORDED, recent);
+  assert.deepEqual(found.map((f) => f.id), ['post-2']);
+  assert.ok(found[0].score > SIMILARITY_THRESHOLD);
+  assert.deepEqual(findSimilarPosts(UNRELATED, [{ id: 'post-2', slides: SLEEP }]), []);
+  assert.deepEqual(avoidAngles(found), ['Stop scrolling before bed', 'Blue light is the small problem', 'Set a phone curfew']);
+});
+
+test('the avoid list reaches the copy prompt', () => {
+  const payload = buildPlanPayload({ profile: PROFILE, hook: HOOK, kind: 'value', slideCount: 6, tone: 'casual', avoid: ['Set a phone curfew', ' set a phone  curfew ', ''] });
+  assert.deepEqual(payload.avoid, ['Set a phone curfew']);
+  assert.match(CAROUSEL_COPY_PROMPT, /No heading may restate an entry in avoid/);
+});
+
+test('a plan too close to a recent post is rewritten away from its angles', async () => {
+  await withFakeLlm(async () => {
+    const first = await writeCarouselPlan({ profile: PROFILE, hook: HOOK, kind: 'value', slideCount: 6, styleOverride: 'mono' });
+    assert.equal(first.similarity, null);
+    const second = await writeCarouselPlan({
+      profile: PROFILE, hook: HOOK, kind: 'value', slideCount: 6, styleOverride: 'mono',
+      recent: [{ id: 'post-9', slides: first.slides }],
+    });
+    assert.equal(second.similarity.matchId, 'post-9');
+    assert.equal(second.similarity.rewritten, true);
+    assert.ok(second.similarity.after < second.similarity.score);
+    assert.notDeepEqual(second.slides.map((s) => s.heading), first.slides.map((s) => s.heading));
+  });
+});
+
+test('Create and topup both check plans against the user\'s recent decks', () => {
+  assert.match(carousel, /userId: user\?\.id,/);
+  assert.match(runner, /series: part\?\.context, userId: user\.id,/);
+  assert.match(runner, /plan\.similarity\?\.rewritten/);
+});
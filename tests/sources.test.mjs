@@ -0,0 +1,98 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import { normalizeTikTokVideo, searchTikTok } from '../api/_tiktok.js';
+import { enabledSources } from '../api/_sources.js';
+import { discoverCandidates, parseSuppliedCandidates } from '../api/_miner.js';
+
+const NOW = Date.parse('2026-10-01T00:00:00Z');
+const DAY = 24 * 3600;
+
+test('a TikTok backend item becomes a candidate with its url, reach and platform', () => {
+  const v = normalizeTikTokVideo({
+    id: '7301234567890', desc: '  Stop  doing this after dinner ', createTime: NOW / 1000 - 3 * DAY,
+    author: { uniqueId: 'coachmia' }, stats: { playCount: 812000 }, authorStats: { followerCount: 40000 },
+  }, NOW);
+  assert.deepEqual(v, {
+    url: 'https://www.tiktok.com/@coachmia/video/7301234567890',
+    title: 'Stop doing this after dinner', views: 812000, followers: 40000, platform: 'tiktok',
+  });
+  const plain = normalizeTikTokVideo({
+    url: 'https://www.tiktok.com/@a/video/1', title: 'x', views: '300000', created_at: '2026-09-20T00:00:00Z',
+  }, NOW);
+  assert.equal(plain.views, 300000);
+});
+
+test('stale, undated, non-Latin or off-site TikTok items are dropped', () => {
+  const base = { id: '1', author: 'a', desc: 'A hook', createTime: NOW / 1000 - DAY, playCount: 500000 };
+  assert.ok(normalizeTikTokVideo(base, NOW));
+  assert.equal(normalizeTikTokVideo({ ...base, createTime: NOW / 1000 - 400 * DAY }, NOW), null);
+  assert.equal(normalizeTikTokVideo({ ...base, createTime: undefined }, NOW), null);
+  assert.equal(normalizeTikTokVideo({ ...base, desc: 'これは日本語のタイトルです' }, NOW), null);
+  assert.equal(normalizeTikTokVideo({ ...base, url: 'https://evil.example/@a/video/1' }, NOW), null);
+});
+
+test('the scraping backend is called with its key and any list shape is read', async () => {
+  const saved = { url: process.env.TIKTOK_SCRAPER_URL, key: process.env.TIKTOK_SCRAPER_KEY, fetch: globalThis.fetch };
+  process.env.TIKTOK_SCRAPER_URL = 'https://scraper.test/api/';
+  process.env.TIKTOK_SCRAPER_KEY = 'secret';
+  const item = { id: '9', author: 'a', desc: 'Hook', createTime: Math.floor(Date.now() / 1000) - DAY, playCount: 1 };
+  const calls = [];
+  const bodies = [{ videos: [item] }, { items: [item] }, { data: [item] }, [item]];
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, auth: init.headers.Authorization });
+    return { ok: true, json: async () => bodies[calls.length - 1] };
+  };
+  try {
+    for (let i = 0; i < bodies.length; i++) assert.equal((await searchTikTok('meal prep')).length, 1);
+    assert.equal(calls[0].url, 'https://scraper.test/api/search?keyword=meal+prep&count=30');
+    assert.equal(calls[0].auth, 'Bearer secret');
+  } finally {
+    globalThis.fetch = saved.fetch;
+    for (const [name, value] of [['TIKTOK_SCRAPER_URL', saved.url], ['TIKTOK_SCRAPER_KEY', saved.key]]) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+});
+
+test('only configured sources run', () => {
+  const saved = process.env.TIKTOK_SCRAPER_URL;
+  try {
+    delete process.env.TIKTOK_SCRAPER_URL;
+    assert.deepEqual(enabledSources({ apiKey: 'k' }).map((s) => s.platform), ['youtube']);
+    process.env.TIKTOK_SCRAPER_URL = 'https://scraper.test';
+    assert.deepEqual(enabledSources({}).map((s) => s.platform), ['tiktok']);
+  } finally {
+    if (saved === undefined) delete process.env.TIKTOK_SCRAPER_URL;
+    else process.env.TIKTOK_SCRAPER_URL = saved;
+  }
+});
+
+test('every source shares one reach filter and records its platform; a broken one is a failure', async () => {
+  const source = (platform, videos) => ({ platform, enabled: () => true, discover: async () => ({ scanned: videos.length, videos, failures: 0, errors: [] }) });
+  const result = await discoverCandidates({ keywords: ['x'] }, null, {
+    sources: [
+      source('youtube', [{ url: 'https://www.youtube.com/watch?v=a', title: 'A', views: 400000, followers: 10 }]),
+      source('tiktok', [
+        { url: 'https://www.tiktok.com/@b/video/1', title: 'B', views: 900000, followers: 10 },
+        { url: 'https://www.tiktok.com/@b/video/2', title: 'small', views: 1000, followers: 10 },
+      ]),
+      { platform: 'tiktok', enabled: () => true, discover: async () => { throw new Error('backend down'); } },
+    ],
+  });
+  assert.equal(result.scanned, 3);
+  assert.deepEqual(result.outliers.map((o) => [o.platform, o.title]), [['tiktok', 'B'], ['youtube', 'A']]);
+  assert.equal(result.discoveryFailures, 1);
+  assert.deepEqual(result.errors, ['tiktok: backend down']);
+});
+
+test('supplied TikTok candidates keep their platform and the hooks filter knows it', () => {
+  const { candidates } = parseSuppliedCandidates([{
+    url: 'https://www.tiktok.com/@a/video/1', title: 'A', views: 300000, followers: 1, transcript: 'Stop doing this.',
+  }]);
+  assert.equal(candidates[0].platform, 'tiktok');
+  const hooks = fs.readFileSync(new URL('../api/hooks.js', import.meta.url), 'utf8');
+  assert.match(hooks, /MINED_PLATFORMS\.includes\(/);
+});
@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import {
+  normalizedEngagement, firstSentence, normalizeRedditPost, normalizeXPost, candidatesFromTextExport,
+} from '../api/_textsources.js';
+import { validateHookExtraction, parseSuppliedCandidates } from '../api/_miner.js';
+import { buildHookPickPayload } from '../api/_generate.js';
+import { sourceTypeForPlatform } from '../api/_db.js';
+import handler from '../api/mine.js';
+
+const NOW = Date.parse('2026-10-01T00:00:00Z');
+const DAY = 24 * 3600;
+
+const redditChild = (data) => ({
+  kind: 't3',
+  data: {
+    title: 'I stopped budgeting by category and saved more. Here is why.',
+    selftext: 'For years I split every dollar into ten buckets.',
+    score: 3000, num_comments: 400, permalink: '/r/personalfinance/comments/abc/i_stopped/',
+    created_utc: NOW / 1000 - 5 * DAY, subreddit_subscribers: 19_000_000,
+    ...data,
+  },
+});
+
+test('engagement is scaled onto the view scale the reach policy uses', () => {
+  assert.equal(normalizedEngagement('reddit', { score: 2000, comments: 250 }), 250_000);
+  assert.equal(normalizedEngagement('x', { likes: 3000, reposts: 500, quotes: 100, replies: 800 }), 250_000);
+  assert.equal(normalizedEngagement('reddit', { score: -40, comments: 'x' }), 0);
+});
+
+test('the first sentence is the hook', () => {
+  assert.equal(firstSentence('  Stop tracking every meal. Track these three instead.'), 'Stop tracking every meal.');
+  assert.equal(firstSentence('Nobody tells you this\nabout protein'), 'Nobody tells you this');
+});
+
+test('a Reddit submission becomes a text candidate led by its title', () => {
+  const c = normalizeRedditPost(redditChild(), NOW);
+  assert.equal(c.url, 'https://www.reddit.com/r/personalfinance/comments/abc/i_stopped/');
+  assert.equal(c.platform, 'reddit');
+  assert.equal(c.views, 380_000);
+  assert.equal(c.followers, 19_000_000);
+  assert.equal(c.title, 'I stopped budgeting by category and saved more. Here is why.');
+  assert.match(c.body, /^I stopped budgeting[\s\S]*\n\nFor years/);
+  for (const bad of [{ stickied: true }, { over_18: true }, { created_utc: NOW / 1000 - 400 * DAY }, { permalink: 'https://evil.example' }]) {
+    assert.equal(normalizeRedditPost(redditChild(bad), NOW), null, JSON.stringify(bad));
+  }
+  assert.equal(normalizeRedditPost({ kind: 't1', data: redditChild().data }, NOW), null, 'comments are not posts');
+  assert.equal(normalizeRedditPost(redditChild({ selftext: '[removed]' }), NOW).body, redditChild().data.title);
+});
+
+test('X openers are kept; replies and reposts are not', () => {
+  const api = {
+    data: [
+      { id: '11', text: 'Most people warm up wrong. Here is the fix https://t.co/abc', author_id: '7', created_at: '2026-09-28T10:00:00Z', public_metrics: { like_count: 9000, retweet_count: 100, reply_count: 50, quote_count: 0 } },
+      { id: '12', text: '@a agreed', author_id: '7', created_at: '2026-09-28T10:00:00Z', referenced_tweets: [{ type: 'replied_to', id: '1' }], public_metrics: { like_count: 9000 } },
+      { id: '13', text: 'RT @a: Most people warm up wrong', author_id: '7', created_at: '2026-09-28T10:00:00Z', public_metrics: { like_count: 9000 } },
+    ],
+    includes: { users: [{ id: '7', username: 'coach', public_metrics: { followers_count: 12000 } }] },
+  };
+  const out = candidatesFromTextExport('x', api, NOW);
+  assert.deepEqual(out.map((c) => [c.url, c.body, c.views, c.followers]), [
+    ['https://x.com/coach/status/11', 'Most people warm up wrong. Here is the fix', 462_500, 12000],
+  ]);
+  const archived = normalizeXPost({ tweet: { id_str: '99', full_text: 'Stop stretching before you lift.', favorite_count: '6000', retweet_count: '10', created_at: 'Sun Sep 27 10:00:00 +0000 2026' } }, new Map(), NOW);
+  assert.equal(archived.url, 'https://x.com/i/status/99');
+  assert.throws(() => candidatesFromTextExport('threads', []), /reddit or x/);
+});
+
+test('a text hook must be grounded in the post\'s first sentence', () => {
+  const ex = {
+    relevant: true, language: 'en', transferable: true, is_ad: false, quality_score: 5,
+    hook_verbatim: 'I stopped budgeting by category and saved more',
+    hook_template: 'I stopped ___ by ___ and saved more', topic: 'budgeting methods', mechanism: 'result-first',
+  };
+  const post = 'I stopped budgeting by category and saved more. Here is why.';
+  assert.deepEqual(validateHookExtraction(ex, post, { sourceType: 'text' }), { ok: true, reason: '', mechanism: 'result-first' });
+  const later = 'Here is why I changed. I stopped budgeting by category and saved more.';
+  assert.equal(validateHookExtraction(ex, later, { sourceType: 'text' }).ok, false);
+  assert.equal(validateHookExtraction(ex, later).ok, true, 'video transcripts keep their opening window');
+});
+
+test('supplied Reddit and X posts are their own transcript and text source type', () => {
+  const { candidates } = parseSuppliedCandidates([
+    { url: 'https://www.reddit.com/r/a/comments/1/x/', title: 'T', views: 300000, body: 'The whole post text.' },
+    { url: 'https://x.com/coach/status/11', title: 'T', views: 300000, transcript: 'Given text.' },
+  ]);
+  assert.deepEqual(candidates.map((c) => [c.platform, c.transcript]).sort(), [['reddit', 'The whole post text.'], ['x', 'Given text.']]);
+  assert.equal(sourceTypeForPlatform('reddit'), 'text');
+  assert.equal(sourceTypeForPlatform('tiktok'), 'video');
+});
+
+test('the pick pool weights text hooks and tells the screen which they are', () => {
+  const db = fs.readFileSync(new URL('../api/_db.js', import.meta.url), 'utf8');
+  const pools = db.slice(db.indexOf('export async function getAutoHookPool'), db.indexOf('export async function getHooksByIds'));
+  assert.equal(pools.match(/h\.source_type = 'text'\s+THEN \$\{HOOK_SOURCE_WEIGHTS\.text\}/g).length, 2);
+  assert.match(db, /source_type = EXCLUDED\.source_type/);
+  const payload = buildHookPickPayload({ name: 'A' }, [
+    { id: 1, hook_verbatim: 'Video line', views: 1 },
+    { id: 2, hook_verbatim: 'Text line', views: 1, source_type: 'text' },
+  ]);
+  assert.equal(payload.hooks[0].source, undefined);
+  assert.equal(payload.hooks[1].source, 'text');
+});
+
+test('an export can add hooks but never run a fresh rebuild', async () => {
+  process.env.ADMIN_SECRET = 'admin-test';
+  const res = { status(code) { this.statusCode = code; return this; }, json(body) { this.body = body; return this; } };
+  await handler({
+    method: 'POST', headers: { authorization: 'Bearer admin-test' }, query: {},
+    body: { niche: 'personal-finance', fresh: true, export: { platform: 'reddit', data: [] } },
+  }, res);
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.error, /only add hooks/);
+});
@@ -3,7 +3,10 @@ import assert from 'node:assert/strict';
 
 // The module reads SUPADATA_API_KEY into a const at load, so set it before import.
 process.env.SUPADATA_API_KEY = 'test-key';
-const { fetchTranscript, transcriptRetryDelayMs } = await import('../api/_transcript.js');
+const {
+  fetchTranscript, fetchSupadataTranscript, fetchTimedtextTranscript, fetchWhisperTranscript,
+  transcriptRetryDelayMs, youtubeVideoId, TRANSCRIPT_PROVIDERS,
+} = await import('../api/_transcript.js');
 
 const noSleep = async () => {};
 const jsonResponse = (body) => new Response(JSON.stringify(body), { status: 200 });
@@ -23,7 +26,7 @@ test('a 429 is retried with backoff and then succeeds', async () => {
     if (calls < 3) return new Response('', { status: 429 });
     return jsonResponse({ content: [{ text: 'hello world' }] });
   };
-  const result = await fetchTranscript('https://youtu.be/x', { fetchImpl, sleep: noSleep, maxAttempts: 3 });
+  const result = await fetchSupadataTranscript('https://youtu.be/x', { fetchImpl, sleep: noSleep, maxAttempts: 3 });
   assert.equal(result.text, 'hello world');
   assert.equal(calls, 3);
 });
@@ -35,7 +38,7 @@ test('a persistent 429 gives up after maxAttempts', async () => {
     return new Response('', { status: 429 });
   };
   await assert.rejects(
-    fetchTranscript('https://youtu.be/x', { fetchImpl, sleep: noSleep, maxAttempts: 3 }),
+    fetchSupadataTranscript('https://youtu.be/x', { fetchImpl, sleep: noSleep, maxAttempts: 3 }),
     /429/,
   );
   assert.equal(calls, 3);
@@ -48,8 +51,91 @@ test('a non-429 error is not retried', async () => {
     return new Response('', { status: 500 });
   };
   await assert.rejects(
-    fetchTranscript('https://youtu.be/x', { fetchImpl, sleep: noSleep, maxAttempts: 3 }),
+    fetchSupadataTranscript('https://youtu.be/x', { fetchImpl, sleep: noSleep, maxAttempts: 3 }),
     /500/,
   );
   assert.equal(calls, 1);
 });
+
+const VIDEO = 'https://www.youtube.com/shorts/abcdefghijk';
+const step = (name, run) => ({ name, enabled: () => true, applies: () => true, fetch: run });
+
+test('the chain falls through to the next provider and names the one that answered', async () => {
+  const seen = [];
+  const result = await fetchTranscript(VIDEO, {
+    providers: [
+      step('supadata', async () => { seen.push('supadata'); throw new Error('Transcript still processing.'); }),
+      step('timedtext', async () => { seen.push('timedtext'); return { text: 'stop doing this after dinner' }; }),
+      step('whisper', async () => { seen.push('whisper'); return { text: 'never reached' }; }),
+    ],
+  });
+  assert.deepEqual(result, { text: 'stop doing this after dinner', provider: 'timedtext' });
+  assert.deepEqual(seen, ['supadata', 'timedtext']);
+});
+
+test('a video nobody has words for is a miss; a broken provider is an upstream failure', async () => {
+  const miss = async () => { throw new Error('No captions available.'); };
+  await assert.rejects(fetchTranscript(VIDEO, { providers: [step('a', miss), step('b', miss)] }), /^Error: No captions available\.$/);
+  await assert.rejects(
+    fetchTranscript(VIDEO, { providers: [step('supadata', async () => { throw new Error('Transcript service error (500)'); }), step('b', miss)] }),
+    /All transcript providers failed \(supadata: Transcript service error \(500\); b: No captions available\.\)/,
+  );
+  await assert.rejects(fetchTranscript(VIDEO, { providers: [] }), /not configured/);
+});
+
+test('timedtext serves YouTube only, tries the authored track, then the auto one', async () => {
+  assert.equal(youtubeVideoId('https://youtu.be/abcdefghijk'), 'abcdefghijk');
+  assert.equal(youtubeVideoId('https://www.youtube.com/watch?v=abcdefghijk'), 'abcdefghijk');
+  assert.equal(youtubeVideoId('https://www.tiktok.com/@a/video/1'), '');
+  const timedtext = TRANSCRIPT_PROVIDERS.find((p) => p.name === 'timedtext');
+  assert.equal(timedtext.applies('https://www.tiktok.com/@a/video/1'), false);
+
+  const urls = [];
+  let calls = 0;
+  const fetchImpl = async (url) => {
+    urls.push(url);
+    calls += 1;
+    if (calls === 1) return new Response('', { status: 200 });
+    if (calls === 2) return new Response('', { status: 503 });
+    return jsonResponse({ events: [{ segs: [{ utf8: 'stop doing' }] }, { segs: [{ utf8: 'this' }] }] });
+  };
+  const result = await fetchTimedtextTranscript(VIDEO, { fetchImpl, sleep: noSleep });
+  assert.equal(result.text, 'stop doing this');
+  assert.doesNotMatch(urls[0], /kind=asr/);
+  assert.match(urls[1], /kind=asr/);
+  assert.equal(calls, 3, 'a 5xx is retried once');
+});
+
+test('whisper posts the url with its key and retries only a busy server', async () => {
+  process.env.WHISPER_HTTP_URL = 'https://whisper.test/transcribe';
+  process.env.WHISPER_HTTP_KEY = 'w-key';
+  try {
+    const sent = [];
+    let calls = 0;
+    const fetchImpl = async (url, init) => {
+      sent.push({ url, auth: init.headers.Authorization, body: JSON.parse(init.body) });
+      calls += 1;
+      return calls === 1 ? new Response('', { status: 503 }) : jsonResponse({ segments: [{ text: 'hello' }, { text: 'world' }] });
+    };
+    assert.equal((await fetchWhisperTranscript(VIDEO, { fetchImpl, sleep: noSleep })).text, 'hello world');
+    assert.deepEqual(sent[0], { url: 'https://whisper.test/transcribe', auth: 'Bearer w-key', body: { url: VIDEO, language: 'en' } });
+
+    calls = 0;
+    const failing = async () => { calls += 1; return new Response('', { status: 500 }); };
+    await assert.rejects(fetchWhisperTranscript(VIDEO, { fetchImpl: failing, sleep: noSleep }), /500/);
+    assert.equal(calls, 1);
+  } finally {
+    delete process.env.WHISPER_HTTP_URL;
+    delete process.env.WHISPER_HTTP_KEY;
+  }
+});
+
+test('supplied transcripts record where they came from', async () => {
+  const { parseSuppliedCandidates } = await import('../api/_miner.js');
+  const { candidates } = parseSuppliedCandidates([
+    { url: 'https://www.youtube.com/watch?v=abcdefghijk', title: 'A', views: 300000, transcript: 'Spoken words.' },
+    { url: 'https://www.youtube.com/watch?v=bcdefghijkl', title: 'B', views: 300000, transcript: 'Heard words.', transcriptProvider: 'whisper' },
+    { url: 'https://www.reddit.com/r/a/comments/1/x/', title: 'C', views: 300000, body: 'The post.' },
+  ]);
+  assert.deepEqual(candidates.map((c) => c.transcriptProvider).sort(), ['local', 'post', 'whisper']);
+});
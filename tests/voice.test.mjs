@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+  cleanBrandVoice, pickTone, voiceForPrompt, findBannedPhrases, TONES, MAX_TONE_WEIGHT,
+} from '../api/_voice.js';
+import { buildPlanPayload } from '../api/_generate.js';
+
+test('cleanBrandVoice keeps known tones with positive weights, clamped', () => {
+  const v = cleanBrandVoice({ tones: { casual: 3, funny: 0, authority: 99, shouty: 4 } });
+  assert.deepEqual(v.tones, { casual: 3, authority: MAX_TONE_WEIGHT });
+});
+
+test('cleanBrandVoice trims samples and dedupes banned phrases', () => {
+  const v = cleanBrandVoice({
+    samples: ['  We ship on Fridays.\nAlways.  ', '', 'x'.repeat(2000), 'four', 'five'],
+    banned: ['Hack', 'hack', '  crush   it ', ''],
+    reading_level: 'simple',
+    emoji: 'loads',
+  });
+  assert.equal(v.samples.length, 3);
+  assert.equal(v.samples[0], 'We ship on Fridays.\nAlways.');
+  assert.ok(v.samples[1].length <= 600);
+  assert.deepEqual(v.banned, ['hack', 'crush it']);
+  assert.equal(v.reading_level, 'simple');
+  assert.equal(v.emoji, '');
+});
+
+test('cleanBrandVoice returns null when nothing was set', () => {
+  assert.equal(cleanBrandVoice(undefined), null);
+  assert.equal(cleanBrandVoice({ tones: { casual: 0 }, samples: [], banned: [] }), null);
+});
+
+test('pickTone follows the voice weights and never picks a switched-off tone', () => {
+  const weights = { casual: 1, authority: 3 };
+  assert.equal(pickTone(weights, () => 0), 'casual');
+  assert.equal(pickTone(weights, () => 0.5), 'authority');
+  for (let i = 0; i < 40; i++) assert.ok(['casual', 'authority'].includes(pickTone(weights)));
+  // no weights -> every tone stays possible
+  assert.equal(pickTone(null, () => 0), TONES[0]);
+  assert.equal(pickTone({}, () => 0.99), TONES[TONES.length - 1]);
+});
+
+test('findBannedPhrases checks slides, cta and caption, whole words and inflections', () => {
+  const plan = {
+    slides: [{ heading: 'Unlocked: the 3 habits', body: '' }, { heading: 'Skip the shack', body: 'No hacks here.' }],
+    cta: 'Get CalSnap. Link in bio.',
+    caption: 'We crush it every week.',
+  };
+  assert.deepEqual(findBannedPhrases(plan, ['hack', 'crush it', 'link in bio.']).sort(), ['crush it', 'hack', 'link in bio.', 'unlock'].sort());
+  assert.deepEqual(findBannedPhrases({ slides: [{ heading: 'A shack by the sea', body: '' }] }, ['hack']), []);
+});
+
+test('findBannedPhrases always applies the house list', () => {
+  assert.deepEqual(findBannedPhrases({ caption: 'This will skyrocket your savings' }), ['skyrocket']);
+  assert.deepEqual(findBannedPhrases({ caption: 'Here’s the truth about budgets' }), ["here's the truth"]);
+});
+
+test('buildPlanPayload carries the brand voice with defaults', () => {
+  const profile = { name: 'CalSnap', what: 'AI calorie counter' };
+  const hook = { hook_template: '___' };
+  const bare = buildPlanPayload({ profile, hook, kind: 'value', slideCount: 6, tone: 'casual' });
+  assert.deepEqual(bare.voice, voiceForPrompt(null));
+  assert.equal(bare.voice.readingLevel, 'standard');
+  const voiced = buildPlanPayload({
+    profile: { ...profile, voice: cleanBrandVoice({ samples: ['We ship on Fridays.'], banned: ['hack'], emoji: 'none' }) },
+    hook, kind: 'value', slideCount: 6, tone: 'casual',
+  });
+  assert.deepEqual(voiced.voice.samples, ['We ship on Fridays.']);
+  assert.deepEqual(voiced.voice.banned, ['hack']);
+  assert.equal(voiced.voice.emoji, 'none');
+});
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import {
+  YOUTUBE_UNIT_COSTS, youtubeCallUnits, youtubeQuotaDay, remainingYouTubeUnits,
+  estimateDiscoveryUnits, planYouTubeDiscovery,
+} from '../api/_ytquota.js';
+import { youtubeSource } from '../api/_sources.js';
+import { planYouTubeSearches } from '../api/_miner.js';
+
+test('calls cost their API method\'s units on the Pacific quota day', () => {
+  assert.deepEqual(YOUTUBE_UNIT_COSTS, { search: 100, videos: 1, channels: 1 });
+  assert.equal(youtubeCallUnits('search'), 100);
+  assert.equal(youtubeCallUnits('channels'), 1);
+  // 05:00 UTC is still the previous evening in Los Angeles.
+  assert.equal(youtubeQuotaDay(new Date('2026-10-19T05:00:00Z')), '2026-10-18');
+  assert.equal(youtubeQuotaDay(new Date('2026-10-19T08:00:00Z')), '2026-10-19');
+  assert.equal(remainingYouTubeUnits(1_000, 10_000), 8_700, 'the reserve is never planned');
+  assert.equal(remainingYouTubeUnits(9_800, 10_000), 0);
+});
+
+test('a niche\'s discovery costs its searches plus the stats batches', () => {
+  assert.equal(estimateDiscoveryUnits({}), 0);
+  assert.equal(estimateDiscoveryUnits({ keywords: 1 }), 102);
+  // 195 result ids: four videos.list and four channels.list batches.
+  assert.equal(estimateDiscoveryUnits({ keywords: 6, channels: 3 }), 908);
+});
+
+test('the plan serves the stalest niche in full before the next gets any', () => {
+  const stalest = { id: 1, keywords: ['a', 'b', 'c', 'd', 'e', 'f', 'g'], seed_channels: ['c1', 'c2', 'c3'] };
+  const next = { id: 2, keywords: ['a', 'b'], seed_channels: [] };
+  const roomy = planYouTubeDiscovery([stalest, next], 2_000);
+  assert.deepEqual(roomy.get(1), { keywords: 6, channels: 3, units: 908 });
+  assert.deepEqual(roomy.get(2), { keywords: 2, channels: 0, units: 202 });
+
+  const tight = planYouTubeDiscovery([stalest, next], 700);
+  assert.deepEqual(tight.get(1), { keywords: 6, channels: 0, units: 606 });
+  assert.deepEqual(tight.get(2), { keywords: 0, channels: 0, units: 0 });
+  assert.deepEqual(planYouTubeDiscovery([stalest], 0).get(1), { keywords: 0, channels: 0, units: 0 });
+});
+
+test('the plan is tagged with its quota day; an unreadable ledger plans nothing', async (t) => {
+  const niche = { id: 4, keywords: ['sleep'], seed_channels: [] };
+  const plan = await planYouTubeSearches([niche], { getUsed: async () => 9_000 });
+  assert.deepEqual(plan.get(4), { day: youtubeQuotaDay(), keywords: 1, channels: 0, units: 102 });
+  t.mock.method(console, 'error', () => {});
+  assert.equal(await planYouTubeSearches([niche], { getUsed: async () => { throw new Error('db down'); } }), null);
+});
+
+test('searches the plan drops are discovery failures, not silent gaps', async (t) => {
+  const searched = [];
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    const u = new URL(url);
+    const path = u.pathname.split('/').pop();
+    if (path === 'search') searched.push(u.searchParams.get('q') || u.searchParams.get('channelId'));
+    const items = {
+      search: [{ id: { videoId: 'v1' }, snippet: { title: 'Sleep better tonight', channelId: 'c1' } }],
+      videos: [{ id: 'v1', statistics: { viewCount: '300000' }, snippet: { title: 'Sleep better tonight', channelId: 'c1' } }],
+      channels: [{ id: 'c1', statistics: { subscriberCount: '1000' } }],
+    }[path];
+    return { ok: true, json: async () => ({ items }) };
+  });
+  const niche = { keywords: ['sleep', 'insomnia', 'naps'], seed_channels: ['UCsleep'] };
+  const found = await youtubeSource.discover(niche, { apiKey: 'k', youtubePlan: { keywords: 1, channels: 0 } });
+  assert.deepEqual(searched, ['sleep']);
+  assert.equal(found.failures, 3);
+  assert.deepEqual(found.errors, ['youtube: 3 searches skipped, over the YouTube quota budget']);
+  assert.equal(found.videos.length, 1);
+});
+
+test('the admin costs section reads the ledger and the page shows it', () => {
+  const admin = fs.readFileSync(new URL('../api/_admin.js', import.meta.url), 'utf8');
+  const costs = admin.slice(admin.indexOf('async function costsSection('), admin.indexOf('export async function buildAdminPayload('));
+  assert.match(costs, /FROM api_usage/);
+  assert.match(costs, /FROM youtube_quota/);
+  assert.match(costs, /youtube: \{/);
+  const page = fs.readFileSync(new URL('../admin.html', import.meta.url), 'utf8');
+  assert.match(page, /youtubeQuota\(c\.youtube\)/);
+  const youtube = fs.readFileSync(new URL('../api/_youtube.js', import.meta.url), 'utf8');
+  assert.match(youtube, /recordYouTubeQuota\(path, youtubeCallUnits\(path\)\)/);
+});